@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+/**
+ * ===================================
+ * fhir-patient Command-Line Tool
+ * The converter core without the page
+ * ===================================
+ *
+ * Usage: fhir-patient convert  [file] [--format json|xml|turtle|ndjson]
+ *                              [--operator name] [--operator-id id] [--reason text]
+ *        fhir-patient validate [file]
+ *        fhir-patient batch    [file] [--format json|ndjson] [--bundle-type transaction|collection]
+ *                              [--mapping mapping.json] [--errors report.csv]
+ *        fhir-patient synthetic [--count n] [--seed text] [--format json|ndjson]
+ *        fhir-patient deidentify [file] [--date-mode truncate|shift] [--key secret]
+ *
+ * Input:   A file, or stdin when the file is omitted or "-".
+ *          convert and validate read form data as JSON (the shape of the
+ *          page's form, see createEmptyFormData()); validate also accepts
+ *          a Patient resource. batch reads a CSV/TSV roster. deidentify
+ *          reads a Patient or a Bundle; synthetic reads nothing.
+ * Output:  FHIR on stdout (a Patient, an OperationOutcome or a Bundle);
+ *          validation errors on stderr. convert with --operator,
+ *          --operator-id or --reason writes a Bundle of the Patient and its
+ *          Provenance.
+ * Options: --lang <locale> for messages and the narrative, --profile <id> for
+ *          the target profile, --mrn-namespace and --id-strategy
+ *          random|deterministic as in the page's settings.
+ * Exit:    0 valid, 1 validation errors (batch: any rejected row),
+ *          2 usage or input errors.
+ */
+
+import fs from 'fs';
+
+import { translations, availableLocales, currentLanguage, setLanguage } from '../fhir-translations.js';
+import { validateFhirPatient } from '../fhir-validator.js';
+import { OUTPUT_FORMATS, serializeResource, serializeNdjson } from '../fhir-formats.js';
+import { DEFAULT_IDENTIFIER_SETTINGS } from '../fhir-identifiers.js';
+import { TARGET_PROFILES, DEFAULT_TARGET_PROFILE } from '../fhir-profiles.js';
+import { normalizeFormData, mapToFhirPatient, validateFormData } from '../fhir-patient.js';
+import {
+    parseDelimitedText, guessColumnMapping, convertCsvRowsToBundle, buildBatchErrorReport
+} from '../fhir-batch.js';
+import { SYNTHETIC_DEFAULT_COUNT, SYNTHETIC_MAX_COUNT, generateSyntheticBundle } from '../fhir-synthetic.js';
+import { DEIDENTIFY_DATE_MODES, deidentifyPatient, deidentifyBundle } from '../fhir-deidentify.js';
+import { buildProvenance, buildAuditBundle } from '../fhir-audit.js';
+
+const EXIT_VALID = 0;
+const EXIT_INVALID = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: fhir-patient <convert|validate|batch|synthetic|deidentify> [file] [options]
+
+  convert     Form data (JSON) to a FHIR Patient
+  validate    Check form data or a Patient resource (JSON); prints an OperationOutcome
+  batch       CSV/TSV roster to a Bundle of Patients
+  synthetic   Bundle of fictitious bilingual (English/Spanish) test patients
+  deidentify  Patient or Bundle (JSON) with the HIPAA Safe Harbor identifiers removed
+
+Options:
+  --format <json|xml|turtle|ndjson>       Output format (batch, synthetic: json or ndjson)
+  --lang <code>                           Language of messages and the narrative (locales/index.json)
+  --profile <${Object.keys(TARGET_PROFILES).join('|')}>
+                                          Target profile (default ${DEFAULT_TARGET_PROFILE})
+  --mrn-namespace <uri>                   System of generated MRNs
+  --id-strategy <random|deterministic>    How Patient ids and MRNs are generated
+  --bundle-type <transaction|collection>  Bundle type (batch, synthetic)
+  --mapping <file>                        Column mapping as JSON {"header": "target"} (batch)
+  --errors <file>                         Write rejected rows as CSV instead of stderr (batch)
+  --count <n>                             Number of patients (synthetic, default ${SYNTHETIC_DEFAULT_COUNT})
+  --seed <text>                           Seed for reproducible patients (synthetic)
+  --date-mode <truncate|shift>            Keep only the year of dates, or shift them (deidentify)
+  --key <secret>                          Key of the identifier hashes and date shift; random
+                                          when omitted (deidentify)
+  --operator <name>                       Who is converting; convert then writes the Patient with
+                                          its Provenance (json or ndjson)
+  --operator-id <id>                      The operator's user name or email (convert)
+  --reason <text>                         Why the patient is created (convert)
+
+Reads stdin when the file is omitted or "-".
+Exit codes: 0 valid, 1 validation errors, 2 usage or input errors.`;
+
+/**
+ * A problem with the command line or the input, reported with exit code 2
+ */
+class UsageError extends Error {}
+
+// ===================================
+// Options
+// ===================================
+
+const VALUE_OPTIONS = [
+    '--format', '--lang', '--profile', '--mrn-namespace', '--id-strategy', '--bundle-type', '--mapping', '--errors',
+    '--count', '--seed', '--date-mode', '--key', '--operator', '--operator-id', '--reason'
+];
+
+/**
+ * Splits the arguments into the command, the input file and options
+ */
+function parseArguments(args) {
+    const options = {};
+    const positional = [];
+
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (VALUE_OPTIONS.includes(arg)) {
+            if (args[index + 1] === undefined) throw new UsageError(`${arg} needs a value`);
+            options[arg.substring(2)] = args[++index];
+        } else if (arg.startsWith('--')) {
+            throw new UsageError(`Unknown option ${arg}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    if (positional.length > 2) throw new UsageError(`Unexpected argument ${positional[2]}`);
+    return { command: positional[0], file: positional[1], options };
+}
+
+/**
+ * Checks an option against its allowed values
+ */
+function checkChoice(name, value, choices) {
+    if (value !== undefined && !choices.includes(value)) {
+        throw new UsageError(`--${name} must be one of: ${choices.join(', ')}`);
+    }
+}
+
+/**
+ * Identifier settings from --mrn-namespace and --id-strategy, with the
+ * target profile from --profile
+ */
+function identifierSettingsFrom(options) {
+    checkChoice('id-strategy', options['id-strategy'], ['random', 'deterministic']);
+    checkChoice('profile', options.profile, Object.keys(TARGET_PROFILES));
+    return {
+        ...DEFAULT_IDENTIFIER_SETTINGS,
+        ...(options['mrn-namespace'] ? { mrnNamespace: options['mrn-namespace'] } : {}),
+        ...(options['id-strategy'] ? { idStrategy: options['id-strategy'] } : {}),
+        profile: options.profile || DEFAULT_TARGET_PROFILE
+    };
+}
+
+// ===================================
+// Input and Output
+// ===================================
+
+/**
+ * Reads a file, or stdin for "-" or no file
+ */
+function readInput(file) {
+    try {
+        return fs.readFileSync(file && file !== '-' ? file : 0, 'utf8');
+    } catch (err) {
+        throw new UsageError(`Cannot read ${file || 'stdin'}: ${err.message}`);
+    }
+}
+
+/**
+ * Parses JSON input
+ */
+function readJsonInput(file) {
+    const text = readInput(file);
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        throw new UsageError(`${file || 'stdin'} is not valid JSON: ${err.message}`);
+    }
+}
+
+/**
+ * Prints form validation errors, one "field: message" line each
+ */
+function printFormErrors(errors) {
+    Object.keys(errors).forEach(key => process.stderr.write(`${key}: ${errors[key]}\n`));
+}
+
+/**
+ * Writes text to stdout with a final newline
+ */
+function writeOutput(text) {
+    process.stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+}
+
+// ===================================
+// Commands
+// ===================================
+
+/**
+ * convert: form data to a Patient in the chosen format; with an operator
+ * or reason, a Bundle of the Patient and its Provenance
+ */
+function convertCommand(file, options) {
+    const format = options.format || 'json';
+    const audited = ['operator', 'operator-id', 'reason'].some(name => options[name] !== undefined);
+    checkChoice('format', format, audited ? ['json', 'ndjson'] : Object.keys(OUTPUT_FORMATS));
+
+    const settings = identifierSettingsFrom(options);
+    const formData = normalizeFormData(readJsonInput(file));
+    const validation = validateFormData(formData, settings.profile);
+    if (!validation.isValid) {
+        process.stderr.write(`${translations[currentLanguage].errorValidation}\n`);
+        printFormErrors(validation.errors);
+        return EXIT_INVALID;
+    }
+
+    const patient = mapToFhirPatient(formData, null, settings);
+    if (!audited) {
+        writeOutput(serializeResource(patient, format));
+        return EXIT_VALID;
+    }
+
+    const provenance = buildProvenance(patient, {
+        operator: { name: options.operator, identifier: options['operator-id'] },
+        reason: options.reason
+    });
+    writeOutput(format === 'ndjson'
+        ? serializeNdjson([patient, provenance])
+        : JSON.stringify(buildAuditBundle([patient], [provenance]), null, 2));
+    return EXIT_VALID;
+}
+
+/**
+ * validate: form errors, or the structural validation of the Patient, as
+ * an OperationOutcome
+ */
+function validateCommand(file, options) {
+    const input = readJsonInput(file);
+    let outcome;
+
+    if (input && input.resourceType === 'Patient') {
+        outcome = validateFhirPatient(input);
+    } else {
+        const settings = identifierSettingsFrom(options);
+        const formData = normalizeFormData(input);
+        const validation = validateFormData(formData, settings.profile);
+        outcome = validation.isValid
+            ? validateFhirPatient(mapToFhirPatient(formData, null, settings))
+            : formErrorsOutcome(validation.errors);
+    }
+
+    writeOutput(JSON.stringify(outcome, null, 2));
+    return outcome.issue.some(issue => issue.severity === 'error' || issue.severity === 'fatal')
+        ? EXIT_INVALID
+        : EXIT_VALID;
+}
+
+/**
+ * OperationOutcome of form validation errors; the location is the form
+ * field ("names[0].given"), which is not a FHIRPath expression
+ */
+function formErrorsOutcome(errors) {
+    return {
+        resourceType: 'OperationOutcome',
+        issue: Object.keys(errors).map(key => ({
+            severity: 'error',
+            code: 'invalid',
+            details: { text: errors[key] },
+            location: [key]
+        }))
+    };
+}
+
+/**
+ * batch: CSV rows to a Bundle (or NDJSON Patients); rejected rows are
+ * reported and make the exit code 1
+ */
+async function batchCommand(file, options) {
+    const format = options.format || 'json';
+    const bundleType = options['bundle-type'] || 'transaction';
+    checkChoice('format', format, ['json', 'ndjson']);
+    checkChoice('bundle-type', bundleType, ['transaction', 'collection']);
+
+    const { headers, rows, rowLines } = parseDelimitedText(readInput(file));
+    if (rows.length === 0) {
+        throw new UsageError(translations[currentLanguage].batchEmpty);
+    }
+
+    let mapping = guessColumnMapping(headers);
+    if (options.mapping) {
+        const saved = readJsonInput(options.mapping);
+        mapping = headers.map(header => saved[header] !== undefined ? saved[header] : '');
+    }
+
+    const result = await convertCsvRowsToBundle(rows, mapping, {
+        bundleType,
+        headers,
+        rowLines,
+        identifierSettings: identifierSettingsFrom(options)
+    });
+
+    writeOutput(format === 'ndjson'
+        ? serializeNdjson(result.bundle.entry.map(entry => entry.resource))
+        : JSON.stringify(result.bundle, null, 2));
+
+    if (result.errors.length === 0) return EXIT_VALID;
+
+    const report = buildBatchErrorReport(result.errors, translations[currentLanguage]);
+    if (options.errors) {
+        fs.writeFileSync(options.errors, report);
+    } else {
+        process.stderr.write(report);
+    }
+    return EXIT_INVALID;
+}
+
+/**
+ * synthetic: a Bundle (or NDJSON Patients) of generated test patients
+ */
+function syntheticCommand(file, options) {
+    const format = options.format || 'json';
+    const bundleType = options['bundle-type'] || 'collection';
+    const count = options.count === undefined ? SYNTHETIC_DEFAULT_COUNT : Number(options.count);
+    checkChoice('format', format, ['json', 'ndjson']);
+    checkChoice('bundle-type', bundleType, ['transaction', 'collection']);
+    if (file) throw new UsageError('synthetic reads no input file');
+    if (!Number.isInteger(count) || count < 1 || count > SYNTHETIC_MAX_COUNT) {
+        throw new UsageError(`--count must be a whole number from 1 to ${SYNTHETIC_MAX_COUNT}`);
+    }
+
+    const bundle = generateSyntheticBundle({
+        count,
+        seed: options.seed,
+        bundleType,
+        identifierSettings: identifierSettingsFrom(options)
+    });
+
+    writeOutput(format === 'ndjson'
+        ? serializeNdjson(bundle.entry.map(entry => entry.resource))
+        : JSON.stringify(bundle, null, 2));
+    return EXIT_VALID;
+}
+
+/**
+ * deidentify: a de-identified copy of a Patient, or of the Patients of a
+ * Bundle
+ */
+function deidentifyCommand(file, options) {
+    const dateMode = options['date-mode'] || 'truncate';
+    checkChoice('date-mode', dateMode, DEIDENTIFY_DATE_MODES);
+
+    const input = readJsonInput(file);
+    const settings = { dateMode, key: options.key };
+    if (input && input.resourceType === 'Bundle') {
+        writeOutput(JSON.stringify(deidentifyBundle(input, settings), null, 2));
+    } else if (input && input.resourceType === 'Patient') {
+        writeOutput(JSON.stringify(deidentifyPatient(input, settings), null, 2));
+    } else {
+        throw new UsageError(`${file || 'stdin'} is not a Patient or a Bundle`);
+    }
+    return EXIT_VALID;
+}
+
+const COMMANDS = {
+    convert: convertCommand,
+    validate: validateCommand,
+    batch: batchCommand,
+    synthetic: syntheticCommand,
+    deidentify: deidentifyCommand
+};
+
+// ===================================
+// Main
+// ===================================
+
+/**
+ * Runs a command and returns its exit code
+ */
+async function main(args) {
+    const { command, file, options } = parseArguments(args);
+
+    if (options.help) {
+        writeOutput(USAGE);
+        return EXIT_VALID;
+    }
+    if (!COMMANDS[command]) {
+        throw new UsageError(command ? `Unknown command ${command}` : 'No command given');
+    }
+
+    checkChoice('lang', options.lang, availableLocales.map(locale => locale.code));
+    await setLanguage(options.lang || 'en');
+
+    return COMMANDS[command](file, options);
+}
+
+main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    err => {
+        process.stderr.write(`fhir-patient: ${err.message}\n`);
+        if (err instanceof UsageError) process.stderr.write('Run "fhir-patient --help" for usage.\n');
+        process.exitCode = EXIT_USAGE;
+    });
@@ -0,0 +1,306 @@
+/**
+ * ===================================
+ * Address Normalization Module
+ * US states, ZIP codes and countries
+ * ===================================
+ *
+ * Purpose: Check and normalize Address.state, postalCode and country, and
+ *          suggest the city and state of a US ZIP code
+ * Offline data: The USPS state list and three-digit ZIP prefixes cover every
+ *               US ZIP; the city table only holds a small set of well-known
+ *               ZIPs, so for other ZIPs only the state can be checked
+ * Countries: Address.country is written as an ISO 3166-1 alpha-2 code;
+ *            names come from the browser (Intl.DisplayNames)
+ */
+
+import { translations } from './fhir-translations.js';
+import { normalizeMatchText } from './fhir-match.js';
+
+// ===================================
+// US States and ZIP Codes
+// ===================================
+
+/**
+ * USPS state, territory and military "state" abbreviations
+ */
+export const US_STATES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+    CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+    FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+    IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+    ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+    MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+    NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+    NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+    PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+    TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+    WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+    AS: 'American Samoa', GU: 'Guam', MP: 'Northern Mariana Islands', PR: 'Puerto Rico',
+    VI: 'U.S. Virgin Islands', FM: 'Federated States of Micronesia', MH: 'Marshall Islands',
+    PW: 'Palau', AA: 'Armed Forces Americas', AE: 'Armed Forces Europe', AP: 'Armed Forces Pacific'
+};
+
+/**
+ * USPS three-digit ZIP prefixes: [first, last, state]; a prefix can
+ * belong to more than one state (969 is shared by the Pacific islands);
+ * American Samoa's single ZIP (96799) is in the city table
+ */
+const US_ZIP_PREFIX_RANGES = [
+    [5, 5, 'NY'], [6, 7, 'PR'], [8, 8, 'VI'], [9, 9, 'PR'],
+    [10, 27, 'MA'], [28, 29, 'RI'], [30, 38, 'NH'], [39, 49, 'ME'],
+    [50, 54, 'VT'], [55, 55, 'MA'], [56, 59, 'VT'], [60, 69, 'CT'],
+    [70, 89, 'NJ'], [90, 99, 'AE'], [100, 149, 'NY'], [150, 196, 'PA'],
+    [197, 199, 'DE'], [200, 200, 'DC'], [201, 201, 'VA'], [202, 205, 'DC'],
+    [206, 219, 'MD'], [220, 246, 'VA'], [247, 268, 'WV'], [270, 289, 'NC'],
+    [290, 299, 'SC'], [300, 319, 'GA'], [320, 339, 'FL'], [340, 340, 'AA'],
+    [341, 349, 'FL'], [350, 369, 'AL'], [370, 385, 'TN'], [386, 397, 'MS'],
+    [398, 399, 'GA'], [400, 427, 'KY'], [430, 459, 'OH'], [460, 479, 'IN'],
+    [480, 499, 'MI'], [500, 528, 'IA'], [530, 549, 'WI'], [550, 567, 'MN'],
+    [569, 569, 'DC'], [570, 577, 'SD'], [580, 588, 'ND'], [590, 599, 'MT'],
+    [600, 629, 'IL'], [630, 658, 'MO'], [660, 679, 'KS'], [680, 693, 'NE'],
+    [700, 714, 'LA'], [716, 729, 'AR'], [730, 732, 'OK'], [733, 733, 'TX'],
+    [734, 749, 'OK'], [750, 799, 'TX'], [800, 816, 'CO'], [820, 831, 'WY'],
+    [832, 838, 'ID'], [840, 847, 'UT'], [850, 865, 'AZ'], [870, 884, 'NM'],
+    [885, 885, 'TX'], [889, 898, 'NV'], [900, 961, 'CA'], [962, 966, 'AP'],
+    [967, 968, 'HI'], [969, 969, 'GU'], [969, 969, 'MP'], [969, 969, 'FM'],
+    [969, 969, 'MH'], [969, 969, 'PW'], [970, 979, 'OR'], [980, 994, 'WA'],
+    [995, 999, 'AK']
+];
+
+/**
+ * City and state of well-known ZIP codes (offline lookup table)
+ */
+const US_ZIP_CODES = {
+    '00802': ['St Thomas', 'VI'], '00901': ['San Juan', 'PR'], '02108': ['Boston', 'MA'],
+    '02903': ['Providence', 'RI'], '03101': ['Manchester', 'NH'], '04101': ['Portland', 'ME'],
+    '05401': ['Burlington', 'VT'], '06103': ['Hartford', 'CT'], '07102': ['Newark', 'NJ'],
+    '10001': ['New York', 'NY'], '15222': ['Pittsburgh', 'PA'], '19103': ['Philadelphia', 'PA'],
+    '19801': ['Wilmington', 'DE'], '20001': ['Washington', 'DC'], '21202': ['Baltimore', 'MD'],
+    '23219': ['Richmond', 'VA'], '25301': ['Charleston', 'WV'], '27601': ['Raleigh', 'NC'],
+    '28202': ['Charlotte', 'NC'], '29201': ['Columbia', 'SC'], '30303': ['Atlanta', 'GA'],
+    '32202': ['Jacksonville', 'FL'], '32801': ['Orlando', 'FL'], '33130': ['Miami', 'FL'],
+    '33602': ['Tampa', 'FL'], '35203': ['Birmingham', 'AL'], '37203': ['Nashville', 'TN'],
+    '38103': ['Memphis', 'TN'], '39201': ['Jackson', 'MS'], '40202': ['Louisville', 'KY'],
+    '43215': ['Columbus', 'OH'], '44113': ['Cleveland', 'OH'], '45202': ['Cincinnati', 'OH'],
+    '46204': ['Indianapolis', 'IN'], '48226': ['Detroit', 'MI'], '50309': ['Des Moines', 'IA'],
+    '53202': ['Milwaukee', 'WI'], '55401': ['Minneapolis', 'MN'], '57104': ['Sioux Falls', 'SD'],
+    '58102': ['Fargo', 'ND'], '59101': ['Billings', 'MT'], '60601': ['Chicago', 'IL'],
+    '63101': ['Saint Louis', 'MO'], '64106': ['Kansas City', 'MO'], '67202': ['Wichita', 'KS'],
+    '68102': ['Omaha', 'NE'], '70112': ['New Orleans', 'LA'], '72201': ['Little Rock', 'AR'],
+    '73102': ['Oklahoma City', 'OK'], '74103': ['Tulsa', 'OK'], '75201': ['Dallas', 'TX'],
+    '77002': ['Houston', 'TX'], '78205': ['San Antonio', 'TX'], '78701': ['Austin', 'TX'],
+    '80202': ['Denver', 'CO'], '82001': ['Cheyenne', 'WY'], '83702': ['Boise', 'ID'],
+    '84101': ['Salt Lake City', 'UT'], '85004': ['Phoenix', 'AZ'], '85701': ['Tucson', 'AZ'],
+    '87102': ['Albuquerque', 'NM'], '89101': ['Las Vegas', 'NV'], '90001': ['Los Angeles', 'CA'],
+    '90210': ['Beverly Hills', 'CA'], '92101': ['San Diego', 'CA'], '93721': ['Fresno', 'CA'],
+    '94103': ['San Francisco', 'CA'], '95113': ['San Jose', 'CA'], '95814': ['Sacramento', 'CA'],
+    '96799': ['Pago Pago', 'AS'], '96813': ['Honolulu', 'HI'], '96910': ['Hagatna', 'GU'],
+    '97204': ['Portland', 'OR'], '98101': ['Seattle', 'WA'], '99501': ['Anchorage', 'AK']
+};
+
+/**
+ * USPS abbreviation for a state given as an abbreviation or a name
+ * @param {string} text - "ca", "California"
+ * @returns {string} Abbreviation, or '' when it is not recognized
+ */
+function findUsStateCode(text) {
+    const key = normalizeMatchText(text);
+    if (!key) return '';
+
+    return Object.keys(US_STATES).find(code =>
+        code.toLowerCase() === key || normalizeMatchText(US_STATES[code]) === key) || '';
+}
+
+/**
+ * States a ZIP code can belong to
+ * @param {string} postalCode - ZIP or ZIP+4
+ * @returns {Array} USPS abbreviations (empty for an unknown or malformed ZIP)
+ */
+function usZipCodeStates(postalCode) {
+    const zip = (postalCode || '').substring(0, 5);
+    if (!/^\d{5}$/.test(zip)) return [];
+    if (US_ZIP_CODES[zip]) return [US_ZIP_CODES[zip][1]];
+
+    const prefix = Number(zip.substring(0, 3));
+    return US_ZIP_PREFIX_RANGES
+        .filter(([first, last]) => prefix >= first && prefix <= last)
+        .map(range => range[2]);
+}
+
+/**
+ * Compares the city and state of a US address with its ZIP code
+ * @param {Object} entry - Address entry (postalCode, city, state)
+ * @returns {Object|null} zip, the city and states it belongs to, and
+ *                        which of the entered values disagree; null when
+ *                        the ZIP tells nothing
+ */
+export function checkUsZipCode(entry) {
+    const states = usZipCodeStates(entry.postalCode);
+    if (states.length === 0) return null;
+
+    const zip = entry.postalCode.substring(0, 5);
+    const city = US_ZIP_CODES[zip] ? US_ZIP_CODES[zip][0] : '';
+    const state = (entry.state || '').toUpperCase();
+
+    return {
+        zip,
+        city,
+        states,
+        stateMismatch: Boolean(state) && !states.includes(state),
+        cityMismatch: Boolean(city && entry.city) && normalizeMatchText(city) !== normalizeMatchText(entry.city)
+    };
+}
+
+// ===================================
+// Countries and Postal Codes
+// ===================================
+
+/**
+ * ISO 3166-1 alpha-2 codes and their alpha-3 codes (HL7 v2 Table 0399)
+ */
+export const ISO_COUNTRY_CODES = {
+    AD: 'AND', AE: 'ARE', AF: 'AFG', AG: 'ATG', AI: 'AIA', AL: 'ALB', AM: 'ARM', AO: 'AGO',
+    AQ: 'ATA', AR: 'ARG', AS: 'ASM', AT: 'AUT', AU: 'AUS', AW: 'ABW', AX: 'ALA', AZ: 'AZE',
+    BA: 'BIH', BB: 'BRB', BD: 'BGD', BE: 'BEL', BF: 'BFA', BG: 'BGR', BH: 'BHR', BI: 'BDI',
+    BJ: 'BEN', BL: 'BLM', BM: 'BMU', BN: 'BRN', BO: 'BOL', BQ: 'BES', BR: 'BRA', BS: 'BHS',
+    BT: 'BTN', BV: 'BVT', BW: 'BWA', BY: 'BLR', BZ: 'BLZ', CA: 'CAN', CC: 'CCK', CD: 'COD',
+    CF: 'CAF', CG: 'COG', CH: 'CHE', CI: 'CIV', CK: 'COK', CL: 'CHL', CM: 'CMR', CN: 'CHN',
+    CO: 'COL', CR: 'CRI', CU: 'CUB', CV: 'CPV', CW: 'CUW', CX: 'CXR', CY: 'CYP', CZ: 'CZE',
+    DE: 'DEU', DJ: 'DJI', DK: 'DNK', DM: 'DMA', DO: 'DOM', DZ: 'DZA', EC: 'ECU', EE: 'EST',
+    EG: 'EGY', EH: 'ESH', ER: 'ERI', ES: 'ESP', ET: 'ETH', FI: 'FIN', FJ: 'FJI', FK: 'FLK',
+    FM: 'FSM', FO: 'FRO', FR: 'FRA', GA: 'GAB', GB: 'GBR', GD: 'GRD', GE: 'GEO', GF: 'GUF',
+    GG: 'GGY', GH: 'GHA', GI: 'GIB', GL: 'GRL', GM: 'GMB', GN: 'GIN', GP: 'GLP', GQ: 'GNQ',
+    GR: 'GRC', GS: 'SGS', GT: 'GTM', GU: 'GUM', GW: 'GNB', GY: 'GUY', HK: 'HKG', HM: 'HMD',
+    HN: 'HND', HR: 'HRV', HT: 'HTI', HU: 'HUN', ID: 'IDN', IE: 'IRL', IL: 'ISR', IM: 'IMN',
+    IN: 'IND', IO: 'IOT', IQ: 'IRQ', IR: 'IRN', IS: 'ISL', IT: 'ITA', JE: 'JEY', JM: 'JAM',
+    JO: 'JOR', JP: 'JPN', KE: 'KEN', KG: 'KGZ', KH: 'KHM', KI: 'KIR', KM: 'COM', KN: 'KNA',
+    KP: 'PRK', KR: 'KOR', KW: 'KWT', KY: 'CYM', KZ: 'KAZ', LA: 'LAO', LB: 'LBN', LC: 'LCA',
+    LI: 'LIE', LK: 'LKA', LR: 'LBR', LS: 'LSO', LT: 'LTU', LU: 'LUX', LV: 'LVA', LY: 'LBY',
+    MA: 'MAR', MC: 'MCO', MD: 'MDA', ME: 'MNE', MF: 'MAF', MG: 'MDG', MH: 'MHL', MK: 'MKD',
+    ML: 'MLI', MM: 'MMR', MN: 'MNG', MO: 'MAC', MP: 'MNP', MQ: 'MTQ', MR: 'MRT', MS: 'MSR',
+    MT: 'MLT', MU: 'MUS', MV: 'MDV', MW: 'MWI', MX: 'MEX', MY: 'MYS', MZ: 'MOZ', NA: 'NAM',
+    NC: 'NCL', NE: 'NER', NF: 'NFK', NG: 'NGA', NI: 'NIC', NL: 'NLD', NO: 'NOR', NP: 'NPL',
+    NR: 'NRU', NU: 'NIU', NZ: 'NZL', OM: 'OMN', PA: 'PAN', PE: 'PER', PF: 'PYF', PG: 'PNG',
+    PH: 'PHL', PK: 'PAK', PL: 'POL', PM: 'SPM', PN: 'PCN', PR: 'PRI', PS: 'PSE', PT: 'PRT',
+    PW: 'PLW', PY: 'PRY', QA: 'QAT', RE: 'REU', RO: 'ROU', RS: 'SRB', RU: 'RUS', RW: 'RWA',
+    SA: 'SAU', SB: 'SLB', SC: 'SYC', SD: 'SDN', SE: 'SWE', SG: 'SGP', SH: 'SHN', SI: 'SVN',
+    SJ: 'SJM', SK: 'SVK', SL: 'SLE', SM: 'SMR', SN: 'SEN', SO: 'SOM', SR: 'SUR', SS: 'SSD',
+    ST: 'STP', SV: 'SLV', SX: 'SXM', SY: 'SYR', SZ: 'SWZ', TC: 'TCA', TD: 'TCD', TF: 'ATF',
+    TG: 'TGO', TH: 'THA', TJ: 'TJK', TK: 'TKL', TL: 'TLS', TM: 'TKM', TN: 'TUN', TO: 'TON',
+    TR: 'TUR', TT: 'TTO', TV: 'TUV', TW: 'TWN', TZ: 'TZA', UA: 'UKR', UG: 'UGA', UM: 'UMI',
+    US: 'USA', UY: 'URY', UZ: 'UZB', VA: 'VAT', VC: 'VCT', VE: 'VEN', VG: 'VGB', VI: 'VIR',
+    VN: 'VNM', VU: 'VUT', WF: 'WLF', WS: 'WSM', YE: 'YEM', YT: 'MYT', ZA: 'ZAF', ZM: 'ZMB',
+    ZW: 'ZWE'
+};
+
+/**
+ * Other common spellings (normalized) of countries
+ */
+const COUNTRY_SYNONYMS = {
+    US: ['united states of america', 'u s a', 'eeuu', 'ee uu'],
+    GB: ['uk', 'england', 'great britain'],
+    MX: ['mejico']
+};
+
+/**
+ * Postal code rules and field labels by country: pattern of a normalized
+ * code, an example, an optional [pattern, replacement] that normalizes the
+ * entered code, and the translation keys of the subdivision and postal
+ * code labels; other countries accept any postal code
+ */
+export const POSTAL_CODE_RULES = {
+    US: { pattern: /^\d{5}(-\d{4})?$/, example: '12345', normalize: [/^(\d{5})-?(\d{4})$/, '$1-$2'], subdivisionLabel: 'labelState', postalLabel: 'labelZipCode' },
+    CA: { pattern: /^[A-Z]\d[A-Z] \d[A-Z]\d$/, example: 'K1A 0B1', normalize: [/^([A-Z]\d[A-Z]) ?(\d[A-Z]\d)$/, '$1 $2'], subdivisionLabel: 'labelProvince' },
+    MX: { pattern: /^\d{5}$/, example: '06600', subdivisionLabel: 'labelState' },
+    GT: { pattern: /^\d{5}$/, example: '01001', subdivisionLabel: 'labelDepartment' },
+    DO: { pattern: /^\d{5}$/, example: '10101', subdivisionLabel: 'labelProvince' },
+    CO: { pattern: /^\d{6}$/, example: '110111', subdivisionLabel: 'labelDepartment' },
+    PE: { pattern: /^\d{5}$/, example: '15001', subdivisionLabel: 'labelRegion' },
+    AR: { pattern: /^([A-Z]\d{4}[A-Z]{3}|\d{4})$/, example: 'C1002AAP', subdivisionLabel: 'labelProvince' },
+    CL: { pattern: /^\d{7}$/, example: '8320000', subdivisionLabel: 'labelRegion' },
+    BR: { pattern: /^\d{5}-\d{3}$/, example: '01001-000', normalize: [/^(\d{5})-?(\d{3})$/, '$1-$2'], subdivisionLabel: 'labelState' },
+    ES: { pattern: /^\d{5}$/, example: '28001', subdivisionLabel: 'labelProvince' },
+    GB: { pattern: /^[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}$/, example: 'SW1A 1AA', normalize: [/^([A-Z]{1,2}\d[A-Z\d]?) ?(\d[A-Z]{2})$/, '$1 $2'], subdivisionLabel: 'labelCounty', postalLabel: 'labelPostcode' },
+    DE: { pattern: /^\d{5}$/, example: '10115', subdivisionLabel: 'labelState' },
+    FR: { pattern: /^\d{5}$/, example: '75001', subdivisionLabel: 'labelRegion' },
+    IT: { pattern: /^\d{5}$/, example: '00118', subdivisionLabel: 'labelProvince' },
+    NL: { pattern: /^\d{4} [A-Z]{2}$/, example: '1012 AB', normalize: [/^(\d{4}) ?([A-Z]{2})$/, '$1 $2'], subdivisionLabel: 'labelProvince' },
+    AU: { pattern: /^\d{4}$/, example: '2000', subdivisionLabel: 'labelState', postalLabel: 'labelPostcode' },
+    IN: { pattern: /^\d{6}$/, example: '110001', subdivisionLabel: 'labelState' },
+    CN: { pattern: /^\d{6}$/, example: '100000', subdivisionLabel: 'labelProvince' },
+    PH: { pattern: /^\d{4}$/, example: '1000', subdivisionLabel: 'labelProvince' },
+    JP: { pattern: /^\d{3}-\d{4}$/, example: '100-0001', normalize: [/^(\d{3})-?(\d{4})$/, '$1-$2'], subdivisionLabel: 'labelPrefecture' }
+};
+
+/**
+ * Intl.DisplayNames per language, created on first use
+ */
+const countryDisplayNames = {};
+
+/**
+ * Country name in a language (the code when the browser has no name for it)
+ */
+export function countryName(code, lang) {
+    try {
+        if (!countryDisplayNames[lang]) {
+            countryDisplayNames[lang] = new Intl.DisplayNames([lang], { type: 'region' });
+        }
+        return countryDisplayNames[lang].of(code) || code;
+    } catch (err) {
+        return code;
+    }
+}
+
+/**
+ * ISO 3166-1 alpha-2 code for a country given as an alpha-2 or alpha-3
+ * code or as a name in one of the interface languages
+ * @param {string} text - "US", "USA", "Estados Unidos"
+ * @returns {string} Alpha-2 code, or '' when it is not recognized
+ */
+export function findCountryCode(text) {
+    const key = normalizeMatchText(text);
+    if (!key) return '';
+
+    return Object.keys(ISO_COUNTRY_CODES).find(code =>
+        code.toLowerCase() === key ||
+        ISO_COUNTRY_CODES[code].toLowerCase() === key ||
+        (COUNTRY_SYNONYMS[code] || []).includes(key)
+    ) || Object.keys(ISO_COUNTRY_CODES).find(code =>
+        Object.keys(translations).some(lang => normalizeMatchText(countryName(code, lang)) === key)
+    ) || '';
+}
+
+/**
+ * Postal code in the country's usual form (upper case, standard spacing)
+ */
+function normalizePostalCode(value, country) {
+    const code = (value || '').trim().replace(/\s+/g, ' ').toUpperCase();
+    const rule = POSTAL_CODE_RULES[country];
+    return rule && rule.normalize ? code.replace(rule.normalize[0], rule.normalize[1]) : code;
+}
+
+/**
+ * Checks a normalized postal code against the country's rule
+ */
+export function isValidPostalCode(value, country) {
+    const rule = POSTAL_CODE_RULES[country];
+    return !rule || rule.pattern.test(value);
+}
+
+/**
+ * Address entry with its country, state and postal code normalized;
+ * an entry without a country is a US address
+ * @param {Object} entry - Address entry (country, state, postalCode)
+ * @returns {Object} Normalized copy
+ */
+export function normalizeAddressEntry(entry) {
+    const country = findCountryCode(entry.country) || (entry.country || 'US').toUpperCase();
+    const state = entry.state || '';
+
+    return {
+        ...entry,
+        country,
+        state: country === 'US' ? findUsStateCode(state) || state.toUpperCase() : state,
+        postalCode: normalizePostalCode(entry.postalCode, country)
+    };
+}
@@ -0,0 +1,294 @@
+/**
+ * ===================================
+ * Audit Trail Module
+ * FHIR R4 Provenance and AuditEvent
+ * ===================================
+ *
+ * Purpose: Record who generated or changed each Patient, when and why
+ *          (Provenance), and who exported or copied it (AuditEvent)
+ * Targets: Both point at the exact version (Patient/id/_history/n); a
+ *          change to an existing patient is an UPDATE whose entity is the
+ *          version it revises
+ * Operator: Whoever uses the page or the CLI says who they are; nothing
+ *           here authenticates them
+ */
+
+import { generateUuid, uuidV5 } from './fhir-identifiers.js';
+
+// ===================================
+// Codes
+// ===================================
+
+/**
+ * Provenance.activity: CREATE for a new patient, UPDATE for a change
+ */
+const PROVENANCE_ACTIVITY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-DataOperation';
+export const PROVENANCE_ACTIVITIES = {
+    CREATE: 'create',
+    UPDATE: 'revise'
+};
+
+/**
+ * Provenance.agent.type of the operator
+ */
+const PROVENANCE_AUTHOR_TYPE = {
+    system: 'http://terminology.hl7.org/CodeSystem/provenance-participant-type',
+    code: 'author',
+    display: 'Author'
+};
+
+/**
+ * AuditEvent.type of every recorded event: the data left the converter
+ */
+const AUDIT_EVENT_EXPORT_TYPE = {
+    system: 'http://dicom.nema.org/resources/ontology/DCM',
+    code: '110106',
+    display: 'Export'
+};
+
+/**
+ * AuditEvent.subtype: how the data left (a downloaded file, the clipboard
+ * or a FHIR server)
+ */
+const AUDIT_ACTION_SYSTEM = 'https://github.com/dquint32/fhir-patient-converter/audit-action';
+export const AUDIT_ACTIONS = {
+    download: 'Download',
+    copy: 'Copy to clipboard',
+    send: 'Send to FHIR server'
+};
+
+/**
+ * AuditEvent.entity type and role of the exported Patient
+ */
+const AUDIT_ENTITY_PATIENT_TYPE = {
+    system: 'http://terminology.hl7.org/CodeSystem/audit-entity-type',
+    code: '1',
+    display: 'Person'
+};
+const AUDIT_ENTITY_PATIENT_ROLE = {
+    system: 'http://terminology.hl7.org/CodeSystem/object-role',
+    code: '1',
+    display: 'Patient'
+};
+
+/**
+ * AuditEvent.source.observer: the application that recorded the event
+ */
+const AUDIT_SOURCE_DISPLAY = 'FHIR Patient Data Converter';
+
+/**
+ * Agent display when the operator gave neither a name nor an id
+ * (Provenance.agent.who is required)
+ */
+export const UNIDENTIFIED_OPERATOR = 'Unidentified operator';
+
+// ===================================
+// References
+// ===================================
+
+/**
+ * Reference to a Patient version, or to the Patient when it has no versionId
+ * @param {Object} patient - Patient resource
+ * @param {string} [versionId] - Version (default: the patient's meta.versionId)
+ * @returns {string} Patient/id/_history/versionId or Patient/id
+ */
+export function patientVersionReference(patient, versionId) {
+    const version = versionId || (patient.meta && patient.meta.versionId);
+    return version ? `Patient/${patient.id}/_history/${version}` : `Patient/${patient.id}`;
+}
+
+/**
+ * Reference to the operator: the name as display and the id (a user name,
+ * email or staff number) as identifier
+ * @param {Object} operator - name and identifier
+ * @returns {Object} FHIR Reference
+ */
+export function operatorReference(operator = {}) {
+    const name = (operator.name || '').trim();
+    const identifier = (operator.identifier || '').trim();
+    const reference = {};
+
+    if (identifier) reference.identifier = { value: identifier };
+    if (name) reference.display = name;
+    if (!identifier && !name) reference.display = UNIDENTIFIED_OPERATOR;
+    return reference;
+}
+
+/**
+ * Whether an audit resource is about a patient (any version)
+ * @param {Object} resource - Provenance or AuditEvent
+ * @param {string} patientId - Patient id
+ * @returns {boolean}
+ */
+export function auditResourceConcerns(resource, patientId) {
+    const references = resource.resourceType === 'Provenance'
+        ? (resource.target || []).map(target => target.reference)
+        : (resource.entity || []).map(entity => entity.what && entity.what.reference);
+    const patientReference = `Patient/${patientId}`;
+
+    return references.some(reference => reference === patientReference ||
+        (typeof reference === 'string' && reference.startsWith(`${patientReference}/_history/`)));
+}
+
+// ===================================
+// Provenance
+// ===================================
+
+/**
+ * Provenance of a generated Patient version
+ * @param {Object} patient - Patient with id and meta.versionId
+ * @param {Object} audit - operator (name, identifier) and reason
+ * @param {Object} [options] - previousVersionId: the version this one
+ *                             revises; activity: 'CREATE' or 'UPDATE'
+ *                             (default UPDATE when there is a previous
+ *                             version); now and generateId as in
+ *                             mapToFhirPatient()
+ * @returns {Object} Provenance resource
+ */
+export function buildProvenance(patient, audit = {}, options = {}) {
+    const activity = options.activity || (options.previousVersionId ? 'UPDATE' : 'CREATE');
+    const provenance = {
+        resourceType: 'Provenance',
+        id: options.generateId ? options.generateId() : generateUuid(),
+        target: [{ reference: patientVersionReference(patient) }],
+        recorded: (options.now ? options.now() : new Date()).toISOString(),
+        activity: {
+            coding: [{
+                system: PROVENANCE_ACTIVITY_SYSTEM,
+                code: activity,
+                display: PROVENANCE_ACTIVITIES[activity]
+            }]
+        },
+        agent: [{
+            type: { coding: [PROVENANCE_AUTHOR_TYPE] },
+            who: operatorReference(audit.operator)
+        }]
+    };
+
+    const reason = (audit.reason || '').trim();
+    if (reason) {
+        provenance.reason = [{ text: reason }];
+    }
+    if (options.previousVersionId) {
+        provenance.entity = [{
+            role: 'revision',
+            what: { reference: patientVersionReference(patient, options.previousVersionId) }
+        }];
+    }
+
+    return provenance;
+}
+
+// ===================================
+// AuditEvent
+// ===================================
+
+/**
+ * AuditEvent of a Patient leaving the converter
+ * @param {Object} patient - Exported Patient
+ * @param {Object} audit - operator (name, identifier) and reason
+ * @param {Object} options - action ('download', 'copy' or 'send'), format
+ *                           (json, xml, hl7v2…), now and generateId
+ * @returns {Object} AuditEvent resource
+ */
+export function buildAuditEvent(patient, audit = {}, options = {}) {
+    const action = AUDIT_ACTIONS[options.action] ? options.action : 'download';
+    const event = {
+        resourceType: 'AuditEvent',
+        id: options.generateId ? options.generateId() : generateUuid(),
+        type: AUDIT_EVENT_EXPORT_TYPE,
+        subtype: [{ system: AUDIT_ACTION_SYSTEM, code: action, display: AUDIT_ACTIONS[action] }],
+        action: 'R',
+        recorded: (options.now ? options.now() : new Date()).toISOString(),
+        outcome: '0',
+        agent: [{
+            who: operatorReference(audit.operator),
+            requestor: true
+        }],
+        source: {
+            observer: { display: AUDIT_SOURCE_DISPLAY }
+        },
+        entity: [{
+            what: { reference: patientVersionReference(patient) },
+            type: AUDIT_ENTITY_PATIENT_TYPE,
+            role: AUDIT_ENTITY_PATIENT_ROLE
+        }]
+    };
+
+    const reason = (audit.reason || '').trim();
+    if (reason) {
+        event.purposeOfEvent = [{ text: reason }];
+    }
+    if (options.format) {
+        event.entity[0].detail = [{ type: 'format', valueString: options.format }];
+    }
+
+    return event;
+}
+
+// ===================================
+// Bundle and Log
+// ===================================
+
+/**
+ * Ids that can be used as they are in a urn:uuid fullUrl
+ */
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Namespace of the UUIDs that stand in for ids that are not UUIDs
+ * (the RFC 4122 URL namespace)
+ */
+const ENTRY_UUID_NAMESPACE = '6ba7b811-9dad-11d1-80b4-00c04fd430c8';
+
+/**
+ * Collection Bundle of the versions of a Patient with its Provenance and
+ * AuditEvents. Each fullUrl is urn:uuid:<id>; an id that is not a UUID
+ * (an imported or server-assigned one) gets a UUIDv5 of Type/id instead.
+ * The versions of the Patient share a fullUrl and differ in
+ * meta.versionId, which is what Patient/<id>/_history/<n> resolves to
+ * @param {Array} patients - Versions of the Patient, oldest first
+ * @param {Array} auditResources - Provenance and AuditEvent resources
+ * @returns {Object} Bundle
+ */
+export function buildAuditBundle(patients, auditResources) {
+    return {
+        resourceType: 'Bundle',
+        type: 'collection',
+        timestamp: new Date().toISOString(),
+        entry: patients.concat(auditResources).map(resource => ({
+            fullUrl: `urn:uuid:${UUID_PATTERN.test(resource.id)
+                ? resource.id
+                : uuidV5(ENTRY_UUID_NAMESPACE, `${resource.resourceType}/${resource.id}`)}`,
+            resource
+        }))
+    };
+}
+
+/**
+ * One row of the audit log view
+ * @param {Object} resource - Provenance or AuditEvent
+ * @returns {Object} recorded, event (CREATE, UPDATE, download or copy),
+ *                   patient reference, operator and reason
+ */
+export function summarizeAuditResource(resource) {
+    const isProvenance = resource.resourceType === 'Provenance';
+    const agent = (resource.agent || [])[0] || {};
+    const who = agent.who || {};
+    const operatorId = who.identifier && who.identifier.value;
+    const coding = isProvenance
+        ? ((resource.activity || {}).coding || [])[0]
+        : (resource.subtype || [])[0];
+    const reasons = isProvenance ? resource.reason : resource.purposeOfEvent;
+
+    return {
+        id: resource.id,
+        recorded: resource.recorded || '',
+        event: (coding && coding.code) || '',
+        patient: isProvenance
+            ? ((resource.target || [])[0] || {}).reference || ''
+            : (((resource.entity || [])[0] || {}).what || {}).reference || '',
+        operator: who.display && operatorId ? `${who.display} (${operatorId})` : who.display || operatorId || '',
+        reason: ((reasons || [])[0] || {}).text || ''
+    };
+}
@@ -0,0 +1,458 @@
+/**
+ * ===================================
+ * Batch CSV Conversion Module
+ * FHIR R4 Bundle (transaction / collection)
+ * ===================================
+ *
+ * Purpose: Convert a CSV/TSV patient roster into a FHIR Bundle by running
+ *          every row through validateFormData() and mapToFhirPatient()
+ * Performance: Rows are processed in chunks so large files do not block the page
+ */
+
+import {
+    US_SSN_SYSTEM, DEFAULT_IDENTIFIER_SETTINGS
+} from './fhir-identifiers.js';
+import { findContactRelationshipCode } from './fhir-contacts.js';
+import { normalizeAddressEntry } from './fhir-addresses.js';
+import { findLanguageCode } from './fhir-languages.js';
+import { targetProfile, profileIdentifierSystem } from './fhir-profiles.js';
+import { createEmptyFormData, mapToFhirPatient, validateFormData } from './fhir-patient.js';
+
+// ===================================
+// Column Targets
+// ===================================
+
+/**
+ * Form fields a CSV column can be mapped to, with header names that
+ * are recognized automatically (compared lowercase, without spaces,
+ * dashes or underscores)
+ */
+export const CSV_COLUMN_TARGETS = {
+    given: ['given', 'firstname', 'first', 'givenname', 'nombre'],
+    middle: ['middle', 'middlename', 'middlenames', 'segundonombre'],
+    family: ['family', 'lastname', 'last', 'surname', 'familyname', 'apellido'],
+    dob: ['dob', 'birthdate', 'dateofbirth', 'birthday', 'fechadenacimiento'],
+    gender: ['gender', 'sex', 'genero', 'sexo'],
+    identifierType: ['identifiertype', 'idtype'],
+    identifierSystem: ['identifiersystem', 'system', 'mrnsystem'],
+    identifierValue: ['identifier', 'identifiervalue', 'mrn', 'patientid'],
+    ssn: ['ssn', 'socialsecurity', 'socialsecuritynumber'],
+    phone: ['phone', 'homephone', 'telephone', 'telefono'],
+    mobilePhone: ['mobile', 'mobilephone', 'cell', 'cellphone', 'celular'],
+    workPhone: ['workphone', 'businessphone', 'officephone'],
+    email: ['email', 'emailaddress', 'correo', 'correoelectronico'],
+    addressLine1: ['address', 'addressline', 'addressline1', 'street', 'streetaddress', 'direccion'],
+    addressLine2: ['addressline2', 'apt', 'unit', 'suite'],
+    city: ['city', 'ciudad'],
+    state: ['state', 'estado'],
+    postalCode: ['postalcode', 'zip', 'zipcode', 'codigopostal'],
+    county: ['county', 'district', 'condado'],
+    country: ['country', 'pais'],
+    emergencyName: ['emergencyname', 'emergencycontact', 'contactname'],
+    emergencyGiven: ['emergencygiven', 'emergencyfirstname', 'contactgiven', 'contactfirstname'],
+    emergencyFamily: ['emergencyfamily', 'emergencylastname', 'contactfamily', 'contactlastname'],
+    emergencyRelationship: ['emergencyrelationship', 'relationship', 'relacion'],
+    emergencyPhone: ['emergencyphone', 'contactphone'],
+    race: ['race', 'raza'],
+    ethnicity: ['ethnicity', 'etnicidad'],
+    birthSex: ['birthsex', 'sexatbirth'],
+    language: ['language', 'preferredlanguage', 'primarylanguage', 'idioma']
+};
+
+/**
+ * Accepted spellings of Patient.gender values
+ */
+const CSV_GENDER_VALUES = {
+    m: 'male', male: 'male', masculino: 'male',
+    f: 'female', female: 'female', femenino: 'female',
+    o: 'other', other: 'other', otro: 'other',
+    u: 'unknown', unknown: 'unknown', desconocido: 'unknown'
+};
+
+/**
+ * Accepted spellings of identifier types (v2-0203 codes)
+ */
+const CSV_IDENTIFIER_TYPES = {
+    mr: 'MR', mrn: 'MR', medicalrecord: 'MR',
+    ss: 'SS', ssn: 'SS',
+    dl: 'DL', driverslicense: 'DL', license: 'DL',
+    mb: 'MB', member: 'MB', memberid: 'MB', insurance: 'MB',
+    ni: 'NI', ihi: 'NI', nationalid: 'NI',
+    mc: 'MC', medicare: 'MC',
+    jhn: 'JHN', healthcard: 'JHN', hcn: 'JHN'
+};
+
+/**
+ * Rows converted between pauses that let the page repaint
+ */
+const BATCH_CHUNK_SIZE = 250;
+
+// ===================================
+// CSV Parsing
+// ===================================
+
+/**
+ * Parses delimited text (RFC 4180 quoting, including quoted line breaks)
+ * @param {string} text - File contents
+ * @param {string} [delimiter] - Column delimiter; detected from the header when omitted
+ * @returns {Object} headers, rows (arrays of cell strings) and rowLines (the
+ *                   line of the file each row starts on, for error reports)
+ */
+export function parseDelimitedText(text, delimiter) {
+    const content = text.charCodeAt(0) === 0xFEFF ? text.substring(1) : text;
+    const separator = delimiter || detectDelimiter(content);
+    const records = [];
+    const recordLines = [];
+    let record = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                // Quoted line breaks are kept but still start a new line of the file
+                if (char === '\n' || (char === '\r' && content[i + 1] !== '\n')) line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === separator) {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            record.push(cell);
+            records.push(record);
+            recordLines.push(recordLine);
+            record = [];
+            cell = '';
+            recordLine = ++line;
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+        recordLines.push(recordLine);
+    }
+
+    const nonEmpty = records
+        .map((row, index) => ({ row, line: recordLines[index] }))
+        .filter(({ row }) => row.some(value => value.trim() !== ''));
+    return {
+        headers: nonEmpty.length > 0 ? nonEmpty[0].row.map(header => header.trim()) : [],
+        rows: nonEmpty.slice(1).map(({ row }) => row),
+        rowLines: nonEmpty.slice(1).map(({ line }) => line)
+    };
+}
+
+/**
+ * Picks tab, semicolon or comma, whichever appears most in the first line
+ */
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const counts = ['\t', ';', ','].map(separator => ({
+        separator,
+        count: firstLine.split(separator).length - 1
+    }));
+    counts.sort((a, b) => b.count - a.count);
+    return counts[0].count > 0 ? counts[0].separator : ',';
+}
+
+// ===================================
+// Column Mapping
+// ===================================
+
+/**
+ * Guesses a target for each header from CSV_COLUMN_TARGETS
+ * @param {Array} headers - CSV header names
+ * @returns {Array} Target field name (or '') per column
+ */
+export function guessColumnMapping(headers) {
+    const used = new Set();
+
+    return headers.map(header => {
+        const normalized = normalizeHeader(header);
+        const target = Object.keys(CSV_COLUMN_TARGETS).find(name =>
+            !used.has(name) && CSV_COLUMN_TARGETS[name].includes(normalized));
+        if (target) used.add(target);
+        return target || '';
+    });
+}
+
+/**
+ * Lowercases a header and removes accents, spaces, dashes and underscores
+ */
+function normalizeHeader(header) {
+    return header.toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[\s_\-.]/g, '');
+}
+
+/**
+ * Key under which a mapping is saved for files with the same headers
+ */
+export function columnMappingSignature(headers) {
+    return headers.map(normalizeHeader).join('|');
+}
+
+// ===================================
+// Row Conversion
+// ===================================
+
+/**
+ * Builds form data from one CSV row
+ * @param {Array} row - Cell values
+ * @param {Array} mapping - Target field per column
+ * @param {Object} settings - Identifier settings (MRN namespace for MRN columns)
+ * @returns {Object} formData and, per validation key, the target it came from
+ */
+function csvRowToFormData(row, mapping, settings) {
+    const values = {};
+    mapping.forEach((target, column) => {
+        if (target && row[column] !== undefined) {
+            values[target] = row[column].trim();
+        }
+    });
+    const value = target => values[target] || '';
+    const sources = {
+        'names[0].given': 'given',
+        'names[0].family': 'family',
+        dob: 'dob',
+        gender: 'gender',
+        race: 'race',
+        ethnicity: 'ethnicity',
+        'addresses[0].state': 'state',
+        'addresses[0].postalCode': 'postalCode',
+        'communications[0].language': 'language'
+    };
+
+    const telecoms = [];
+    [['phone', 'phone', 'home'], ['mobilePhone', 'phone', 'mobile'],
+     ['workPhone', 'phone', 'work'], ['email', 'email', 'home']].forEach(([target, system, use]) => {
+        if (!value(target)) return;
+        sources[`telecoms[${telecoms.length}].value`] = target;
+        telecoms.push({ system, value: value(target), use });
+    });
+
+    const identifiers = [];
+    if (value('identifierValue') || value('identifierSystem')) {
+        const type = CSV_IDENTIFIER_TYPES[normalizeHeader(value('identifierType'))] || '';
+        // Driver's licenses are assumed to be issued by the state of the address
+        const issuer = type === 'DL' ? value('state').toUpperCase() : '';
+        const system = profileIdentifierSystem(targetProfile(settings.profile), type, issuer, settings);
+        sources['identifiers[0].system'] = 'identifierSystem';
+        sources['identifiers[0].value'] = 'identifierValue';
+        identifiers.push({
+            use: 'usual',
+            type,
+            issuer,
+            system: value('identifierSystem') || system,
+            value: value('identifierValue')
+        });
+    }
+    if (value('ssn')) {
+        sources[`identifiers[${identifiers.length}].value`] = 'ssn';
+        identifiers.push({ use: 'official', type: 'SS', issuer: '', system: US_SSN_SYSTEM, value: value('ssn') });
+    }
+
+    const addresses = [];
+    if (value('addressLine1') || value('addressLine2') || value('city') || value('county') || value('state') || value('postalCode')) {
+        // State names and country names are turned into codes here
+        addresses.push(normalizeAddressEntry({
+            use: 'home',
+            type: 'both',
+            lines: [value('addressLine1'), value('addressLine2')].filter(Boolean),
+            city: value('city'),
+            district: value('county'),
+            state: value('state'),
+            postalCode: value('postalCode'),
+            country: value('country'),
+            periodStart: '',
+            periodEnd: ''
+        }));
+    }
+
+    const contacts = [];
+    if (value('emergencyName') || value('emergencyGiven') || value('emergencyFamily') || value('emergencyPhone')) {
+        sources['contacts[0].phone'] = 'emergencyPhone';
+        sources['contacts[0].relationship'] = 'emergencyRelationship';
+        contacts.push({
+            given: value('emergencyGiven'),
+            family: value('emergencyFamily'),
+            // A single name column is not split; it becomes the name text
+            nameText: value('emergencyName'),
+            gender: '',
+            role: 'C',
+            // Unrecognized text is kept so validation reports it
+            relationship: findContactRelationshipCode(value('emergencyRelationship')) || value('emergencyRelationship'),
+            phone: value('emergencyPhone'),
+            organization: '',
+            lines: [],
+            city: '',
+            district: '',
+            state: '',
+            postalCode: '',
+            country: 'US'
+        });
+    }
+
+    // Fields a roster has no column for start empty, as on a new form
+    const formData = {
+        ...createEmptyFormData(),
+        names: [{
+            use: 'official',
+            given: value('given'),
+            middle: value('middle'),
+            family: value('family'),
+            periodStart: '',
+            periodEnd: ''
+        }],
+        dob: normalizeCsvDate(value('dob')),
+        gender: CSV_GENDER_VALUES[value('gender').toLowerCase()] || value('gender'),
+        identifiers,
+        telecoms,
+        addresses,
+        contacts,
+        race: splitCodeList(value('race')),
+        ethnicity: splitCodeList(value('ethnicity')),
+        birthSex: value('birthSex').toUpperCase(),
+        genderIdentity: '',
+        // Languages may be given by name; unrecognized text is kept so validation reports it
+        communications: value('language')
+            ? [{ language: findLanguageCode(value('language')) || value('language'), preferred: true, proficiency: '' }]
+            : [],
+        interpreterRequired: ''
+    };
+
+    return { formData, sources };
+}
+
+/**
+ * Accepts YYYY-MM-DD, YYYYMMDD and MM/DD/YYYY dates
+ */
+function normalizeCsvDate(value) {
+    let match = value.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+    if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+    match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (match) return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+
+    return value;
+}
+
+/**
+ * Splits "code;code" lists (semicolon or pipe separated)
+ */
+function splitCodeList(value) {
+    return value.split(/[;|]/).map(code => code.trim()).filter(Boolean);
+}
+
+// ===================================
+// Bundle Conversion
+// ===================================
+
+/**
+ * Converts every row to a Patient and collects them in a Bundle
+ * @param {Array} rows - Parsed CSV rows
+ * @param {Array} mapping - Target field per column
+ * @param {Object} options - bundleType ('transaction' or 'collection'), headers,
+ *                           identifierSettings (with the target profile id),
+ *                           rowLines (from parseDelimitedText(), for the line
+ *                           numbers of errors) and onProgress(done, total)
+ *                           callback
+ * @returns {Promise<Object>} bundle and per-row errors
+ */
+export async function convertCsvRowsToBundle(rows, mapping, options) {
+    const errors = [];
+    const entries = [];
+
+    for (let start = 0; start < rows.length; start += BATCH_CHUNK_SIZE) {
+        rows.slice(start, start + BATCH_CHUNK_SIZE).forEach((row, offset) => {
+            // Without rowLines the header is taken as line 1 and rows as one line each
+            const rowNumber = options.rowLines ? options.rowLines[start + offset] : start + offset + 2;
+            const settings = options.identifierSettings || DEFAULT_IDENTIFIER_SETTINGS;
+            const { formData, sources } = csvRowToFormData(row, mapping, settings);
+            const validation = validateFormData(formData, settings.profile);
+
+            if (!validation.isValid) {
+                Object.keys(validation.errors).forEach(key => {
+                    const column = mapping.indexOf(sources[key]);
+                    errors.push({
+                        row: rowNumber,
+                        column: column >= 0 ? options.headers[column] : (sources[key] || key),
+                        message: validation.errors[key]
+                    });
+                });
+                return;
+            }
+
+            entries.push(buildBundleEntry(mapToFhirPatient(formData, null, settings), options.bundleType));
+        });
+
+        if (options.onProgress) {
+            options.onProgress(Math.min(start + BATCH_CHUNK_SIZE, rows.length), rows.length);
+        }
+
+        // Yield so the page stays responsive
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return {
+        bundle: {
+            resourceType: 'Bundle',
+            type: options.bundleType,
+            timestamp: new Date().toISOString(),
+            entry: entries
+        },
+        errors
+    };
+}
+
+/**
+ * Wraps a Patient in a Bundle entry; transactions POST each Patient. The
+ * fullUrl is the Patient's own id, which is always a UUID
+ */
+function buildBundleEntry(patient, bundleType) {
+    const entry = {
+        fullUrl: `urn:uuid:${patient.id}`,
+        resource: patient
+    };
+
+    if (bundleType === 'transaction') {
+        entry.request = {
+            method: 'POST',
+            url: 'Patient'
+        };
+    }
+
+    return entry;
+}
+
+/**
+ * Serializes the error report as CSV
+ * @param {Array} errors - Row errors
+ * @param {Object} t - Translations for the header row
+ * @returns {string} CSV text
+ */
+export function buildBatchErrorReport(errors, t) {
+    const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+    const lines = [[t.batchColRow, t.batchColColumn, t.batchColMessage].map(quote).join(',')];
+
+    errors.forEach(error => {
+        lines.push([error.row, error.column, error.message].map(quote).join(','));
+    });
+
+    return lines.join('\r\n') + '\r\n';
+}
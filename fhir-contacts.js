@@ -0,0 +1,175 @@
+/**
+ * ===================================
+ * Patient Contact Relationships
+ * HL7 FHIR Standard Compliant Module
+ * ===================================
+ *
+ * Purpose: Code Patient.contact.relationship with the contact role
+ *          (HL7 v2 Table 0131) and the personal relationship (v3 RoleCode)
+ * Standard: Patient.contact.relationship is bound (extensible) to the
+ *           PatientContactRelationship value set (v2-0131); the personal
+ *           relationship is sent as a second CodeableConcept
+ */
+
+import { translations } from './fhir-translations.js';
+import { normalizeMatchText } from './fhir-match.js';
+
+// ===================================
+// Code Systems
+// ===================================
+
+const CONTACT_ROLE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v2-0131';
+const ROLE_CODE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-RoleCode';
+
+/**
+ * HL7 v2 Table 0131 (Contact Role); display is the code system display
+ */
+export const CONTACT_ROLE_CODES = {
+    C: 'Emergency Contact',
+    N: 'Next-of-Kin',
+    E: 'Employer',
+    I: 'Insurance Company',
+    F: 'Federal Agency',
+    S: 'State Agency',
+    U: 'Unknown'
+};
+
+/**
+ * Personal relationships from v3 RoleCode (PersonalRelationshipRoleType)
+ */
+export const CONTACT_RELATIONSHIP_CODES = {
+    SPS: 'spouse',
+    HUSB: 'husband',
+    WIFE: 'wife',
+    DOMPART: 'domestic partner',
+    SIGOTHR: 'significant other',
+    PRN: 'parent',
+    MTH: 'mother',
+    FTH: 'father',
+    STPPRN: 'step parent',
+    CHILD: 'child',
+    DAUC: 'daughter',
+    SONC: 'son',
+    SIB: 'sibling',
+    SIS: 'sister',
+    BRO: 'brother',
+    GRPRN: 'grandparent',
+    GRMTH: 'grandmother',
+    GRFTH: 'grandfather',
+    GRNDCHILD: 'grandchild',
+    AUNT: 'aunt',
+    UNCLE: 'uncle',
+    NIECE: 'niece',
+    NEPHEW: 'nephew',
+    COUSN: 'cousin',
+    FAMMEMB: 'family member',
+    FRND: 'unrelated friend',
+    NBOR: 'neighbor',
+    ROOM: 'roommate'
+};
+
+/**
+ * Other common spellings (normalized) of relationships
+ */
+const CONTACT_RELATIONSHIP_SYNONYMS = {
+    SPS: ['conyuge', 'esposo a', 'married'],
+    HUSB: ['esposo', 'marido'],
+    WIFE: ['esposa'],
+    DOMPART: ['partner', 'pareja'],
+    SIGOTHR: ['boyfriend', 'girlfriend', 'novio', 'novia'],
+    MTH: ['mom', 'mama'],
+    FTH: ['dad', 'papa'],
+    DAUC: ['hija'],
+    SONC: ['hijo'],
+    SIS: ['hermana'],
+    BRO: ['hermano'],
+    GRMTH: ['abuela'],
+    GRFTH: ['abuelo'],
+    FRND: ['friend', 'amigo', 'amiga'],
+    NBOR: ['vecino', 'vecina']
+};
+
+// ===================================
+// Building and Reading
+// ===================================
+
+/**
+ * Patient.contact.relationship for a contact role and personal relationship
+ * @param {string} role - v2-0131 code
+ * @param {string} relationship - v3 RoleCode code (optional)
+ * @returns {Array} CodeableConcepts (empty when neither is known)
+ */
+export function buildContactRelationship(role, relationship) {
+    const concepts = [];
+
+    if (CONTACT_ROLE_CODES[role]) {
+        concepts.push({
+            coding: [{ system: CONTACT_ROLE_SYSTEM, code: role, display: CONTACT_ROLE_CODES[role] }]
+        });
+    }
+    if (CONTACT_RELATIONSHIP_CODES[relationship]) {
+        concepts.push({
+            coding: [{ system: ROLE_CODE_SYSTEM, code: relationship, display: CONTACT_RELATIONSHIP_CODES[relationship] }]
+        });
+    }
+
+    return concepts;
+}
+
+/**
+ * Contact role and personal relationship of Patient.contact.relationship
+ * Older records carry the relationship only as the display or text of a
+ * v2-0131 coding ("C" / "Spouse"); that text is looked up as well
+ * @param {Array} concepts - Patient.contact.relationship
+ * @returns {Object} role, relationship and the indexes of concepts that were not understood
+ */
+export function readContactRelationship(concepts) {
+    const result = { role: '', relationship: '', unmapped: [] };
+
+    (concepts || []).forEach((concept, index) => {
+        const codings = concept.coding || [];
+        const roleCoding = codings.find(coding => coding.system === CONTACT_ROLE_SYSTEM && CONTACT_ROLE_CODES[coding.code]);
+        const relationshipCoding = codings.find(coding => coding.system === ROLE_CODE_SYSTEM && CONTACT_RELATIONSHIP_CODES[coding.code]);
+        let understood = false;
+
+        if (roleCoding && !result.role) {
+            result.role = roleCoding.code;
+            understood = true;
+        }
+        if (relationshipCoding && !result.relationship) {
+            result.relationship = relationshipCoding.code;
+            understood = true;
+        }
+
+        if (!result.relationship && !relationshipCoding) {
+            const labels = [concept.text].concat(codings.map(coding => coding.display));
+            const found = labels.map(findContactRelationshipCode).find(Boolean);
+            if (found) {
+                result.relationship = found;
+                understood = true;
+            }
+        }
+
+        if (!understood) result.unmapped.push(index);
+    });
+
+    return result;
+}
+
+/**
+ * v3 RoleCode for a relationship given as a code or as an English or
+ * Spanish name ("SPS", "Spouse", "Esposa")
+ * @param {string} text - Code or name
+ * @returns {string} Code, or '' when it is not recognized
+ */
+export function findContactRelationshipCode(text) {
+    const key = normalizeMatchText(text);
+    if (!key) return '';
+
+    return Object.keys(CONTACT_RELATIONSHIP_CODES).find(code =>
+        code.toLowerCase() === key ||
+        normalizeMatchText(CONTACT_RELATIONSHIP_CODES[code]) === key ||
+        Object.values(translations).some(t => normalizeMatchText(t[`relationship${code}`]) === key) ||
+        (CONTACT_RELATIONSHIP_SYNONYMS[code] || []).includes(key)
+    ) || '';
+}
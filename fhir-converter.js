@@ -7,400 +7,2369 @@
  * Purpose: Convert patient intake form data to FHIR R4 Patient Resource
  * Standard: HL7 FHIR R4 (v4.0.1)
  * Interoperability: Epic, Cerner, Allscripts compatible
+ * Page: This module holds the form, output, worklist, audit log, server,
+ *       batch and synthetic data UI;
+ *       mapping and validation come from the DOM-free core (fhir-patient.js)
  */
 
+import {
+    translations, availableLocales, currentLanguage, findLocale, matchLocale, setLanguage, localeDirection,
+    formatLocaleDate, formatLocaleDateTime
+} from './fhir-translations.js';
+import { validateFhirPatient, formatMessage } from './fhir-validator.js';
+import { OUTPUT_FORMATS, serializeResource, serializeNdjson, escapeXml } from './fhir-formats.js';
+import { renderJsonViewer, highlightJsonText } from './json-viewer.js';
+import {
+    US_CORE_EXTENSION_URLS, US_CORE_RACE_CODES, US_CORE_ETHNICITY_CODES, US_CORE_BIRTH_SEX_CODES,
+    US_CORE_GENDER_IDENTITY_CODES
+} from './fhir-us-core.js';
+import { US_STATE_FIPS_CODES, DEFAULT_IDENTIFIER_SETTINGS } from './fhir-identifiers.js';
+import { CONTACT_ROLE_CODES, CONTACT_RELATIONSHIP_CODES } from './fhir-contacts.js';
+import {
+    US_STATES, checkUsZipCode, ISO_COUNTRY_CODES, POSTAL_CODE_RULES, countryName,
+    normalizeAddressEntry
+} from './fhir-addresses.js';
+import { parsePhoneNumber, formatPhoneNumber } from './fhir-phones.js';
+import { COMMON_LANGUAGE_CODES, languageName, findLanguageCode } from './fhir-languages.js';
+import { MARITAL_STATUS_CODES, checkPhoto } from './fhir-demographics.js';
+import {
+    TARGET_PROFILES, DEFAULT_TARGET_PROFILE, PROFILE_REQUIRED_FIELDS, targetProfile, findTargetProfile,
+    profileIdentifierSystem
+} from './fhir-profiles.js';
+import {
+    mapToFhirPatient, parseFhirPatientJson, createEmptyFormData, normalizeFormData, mapFromFhirPatient,
+    validateFormData
+} from './fhir-patient.js';
+import { parseHl7v2Message, mapHl7v2ToFormData, serializeAdtA04 } from './hl7v2.js';
+import {
+    CSV_COLUMN_TARGETS, parseDelimitedText, guessColumnMapping, columnMappingSignature,
+    convertCsvRowsToBundle, buildBatchErrorReport
+} from './fhir-batch.js';
+import { sendPatientToServer, findDuplicatePatients } from './fhir-server.js';
+import {
+    SYNTHETIC_MAX_COUNT, createSeededRandom, generateSyntheticFormData, generateSyntheticBundle
+} from './fhir-synthetic.js';
+import { createDeidentifyKey, deidentifyBundle } from './fhir-deidentify.js';
+import {
+    buildProvenance, buildAuditEvent, buildAuditBundle, auditResourceConcerns, summarizeAuditResource
+} from './fhir-audit.js';
+import {
+    savePatientVersion, listStoredPatients, getStoredPatient, deleteStoredPatient, filterStoredPatients,
+    diffResources, saveDraft, loadDraft, exportPatientStore, importPatientStore, clearPatientStore,
+    saveAuditResource, listAuditResources
+} from './fhir-store.js';
+
+// ===================================
+// State Management
+// ===================================
+
+let currentFhirJson = null;
+let outputFormat = 'json';
+let importedPatientContext = null;
+let identifierSettings = { ...DEFAULT_IDENTIFIER_SETTINGS };
+let targetProfileId = DEFAULT_TARGET_PROFILE;
+let patientPhoto = null;
+let validatedResource = null;
+let duplicateResult = null;
+let worklistRecords = [];
+let historyRecord = null;
+let draftSaveTimer = null;
+let batchData = null;
+let batchResult = null;
+let auditResources = [];
+// Kept for the session (never saved) so repeated exports hash alike
+const deidentifyKey = createDeidentifyKey();
+
+// ===================================
+// Validation Display
+// ===================================
+
+/**
+ * Display validation errors in the UI
+ */
+function displayValidationErrors(errors) {
+    // Clear all previous errors
+    clearValidationErrors();
+
+    // Display new errors
+    Object.keys(errors).forEach(fieldName => {
+        const { errorElement, inputElement } = findFieldElements(fieldName);
+
+        if (errorElement && inputElement) {
+            errorElement.textContent = errors[fieldName];
+            inputElement.classList.add('error');
+        }
+    });
+}
+
+/**
+ * Clear all validation errors
+ */
+function clearValidationErrors() {
+    document.querySelectorAll('.error-message').forEach(el => el.textContent = '');
+    document.querySelectorAll('input, select, textarea, .checkbox-group').forEach(el => el.classList.remove('error'));
+}
+
+/**
+ * Find the input and error elements for a validation key;
+ * "group[index].field" keys point into a repeatable entry, and race and
+ * ethnicity errors mark their checkbox group
+ */
+function findFieldElements(fieldName) {
+    const match = fieldName.match(/^(\w+)\[(\d+)\]\.(\w+)$/);
+
+    if (!match) {
+        return {
+            errorElement: document.getElementById(`${fieldName}-error`),
+            inputElement: document.getElementById(fieldName) || document.getElementById(`${fieldName}-options`)
+        };
+    }
+
+    const [, groupName, index, field] = match;
+    const entry = document.getElementById(`${groupName}-entries`).children[Number(index)];
+    if (!entry) return {};
+
+    return {
+        errorElement: entry.querySelector(`[data-error-for="${field}"]`),
+        inputElement: entry.querySelector(`[data-field="${field}"]`)
+    };
+}
+
+/**
+ * Run the structural validator and show its OperationOutcome
+ */
+function displayStructuralValidation(resource) {
+    validatedResource = resource;
+    const t = translations[currentLanguage];
+    const outcome = validateFhirPatient(resource);
+    const panel = document.getElementById('validation-panel');
+    const errors = outcome.issue.filter(issue => issue.severity === 'error').length;
+    const warnings = outcome.issue.filter(issue => issue.severity === 'warning').length;
+
+    document.getElementById('validation-title').textContent = t.validationTitle;
+    const summary = document.getElementById('validation-summary');
+    summary.textContent = formatMessage(t.validationSummary, { errors, warnings });
+    summary.className = errors > 0 ? 'validation-summary has-errors' : 'validation-summary';
+
+    document.getElementById('validation-col-severity').textContent = t.validationColSeverity;
+    document.getElementById('validation-col-location').textContent = t.validationColLocation;
+    document.getElementById('validation-col-message').textContent = t.validationColMessage;
+    renderOutcomeIssues(document.getElementById('validation-issues'), outcome.issue, t);
+
+    panel.style.display = 'block';
+}
+
+/**
+ * Fill a table body with OperationOutcome issues (ours or a server's)
+ */
+function renderOutcomeIssues(tbody, issues, t) {
+    const severityLabels = {
+        fatal: t.severityFatal,
+        error: t.severityError,
+        warning: t.severityWarning,
+        information: t.severityInformation
+    };
+
+    tbody.innerHTML = '';
+    issues.forEach(issue => {
+        const row = document.createElement('tr');
+        row.className = `issue-${issue.severity === 'fatal' ? 'error' : issue.severity}`;
+        const location = (issue.expression || issue.location || []).join(', ');
+        const message = (issue.details && issue.details.text) || issue.diagnostics || issue.code || '';
+        [severityLabels[issue.severity] || issue.severity, location, message].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+}
+
+// ===================================
+// UI/DOM Manipulation
+// ===================================
+
+/**
+ * Collect form data from DOM
+ */
+function collectFormData() {
+    return normalizeFormData({
+        names: collectRepeatableEntries('names'),
+        dob: document.getElementById('dob').value,
+        gender: document.getElementById('gender').value,
+        identifiers: collectRepeatableEntries('identifiers'),
+        telecoms: collectRepeatableEntries('telecoms'),
+        addresses: collectRepeatableEntries('addresses'),
+        contacts: collectRepeatableEntries('contacts'),
+        race: collectCheckedValues('race'),
+        ethnicity: collectCheckedValues('ethnicity'),
+        birthSex: document.getElementById('birthSex').value,
+        genderIdentity: document.getElementById('genderIdentity').value,
+        communications: collectRepeatableEntries('communications'),
+        interpreterRequired: document.getElementById('interpreterRequired').value,
+        active: document.getElementById('active').checked,
+        maritalStatus: document.getElementById('maritalStatus').value,
+        deceased: document.getElementById('deceased').value,
+        deceasedDate: document.getElementById('deceasedDate').value,
+        multipleBirth: document.getElementById('multipleBirth').value,
+        birthOrder: document.getElementById('birthOrder').value,
+        photo: patientPhoto,
+        generalPractitioners: collectRepeatableEntries('generalPractitioners'),
+        managingOrganization: document.getElementById('managingOrganization').value.trim(),
+        managingOrganizationDisplay: document.getElementById('managingOrganizationDisplay').value.trim()
+    });
+}
+
+/**
+ * Collect the values of the checked boxes in a group
+ */
+function collectCheckedValues(groupName) {
+    return Array.from(document.querySelectorAll(`input[name="${groupName}"]:checked`))
+        .map(checkbox => checkbox.value);
+}
+
+// ===================================
+// Repeatable Field Groups
+// ===================================
+
+/**
+ * Groups of repeatable entries; each has a "<group>-template" and a
+ * "<group>-entries" container in the page
+ */
+const REPEATABLE_GROUPS = [
+    'names', 'identifiers', 'telecoms', 'addresses', 'contacts', 'communications', 'generalPractitioners'
+];
+
+/**
+ * Per-group wiring run on every new (or cleared) entry
+ */
+const REPEATABLE_ENTRY_SETUP = {
+    identifiers: setupIdentifierEntry,
+    telecoms: setupTelecomEntry,
+    addresses: setupAddressEntry,
+    contacts: setupContactEntry,
+    communications: setupCommunicationEntry
+};
+
+let repeatableEntryCounter = 0;
+
+/**
+ * Add an entry to a repeatable group from its template
+ * @param {string} groupName - Group name
+ * @param {Object} [values] - Field values to fill in
+ */
+function addRepeatableEntry(groupName, values) {
+    const template = document.getElementById(`${groupName}-template`);
+    const entry = template.content.firstElementChild.cloneNode(true);
+    const entryId = `${groupName}-${++repeatableEntryCounter}`;
+
+    // Give each field a unique id so labels and errors stay linked
+    entry.querySelectorAll('[data-field]').forEach(field => {
+        field.id = `${entryId}-${field.dataset.field}`;
+    });
+    entry.querySelectorAll('[data-field-label]').forEach(label => {
+        label.htmlFor = `${entryId}-${label.dataset.fieldLabel}`;
+    });
+    entry.querySelectorAll('[data-error-for]').forEach(error => {
+        error.id = `${entryId}-${error.dataset.errorFor}-error`;
+        entry.querySelector(`[data-field="${error.dataset.errorFor}"]`).setAttribute('aria-describedby', error.id);
+    });
+
+    entry.querySelector('.btn-remove').addEventListener('click', function() {
+        removeRepeatableEntry(groupName, entry);
+    });
+
+    applyDataTranslations(entry, translations[currentLanguage]);
+    if (values) setEntryValues(entry, values);
+    if (REPEATABLE_ENTRY_SETUP[groupName]) REPEATABLE_ENTRY_SETUP[groupName](entry);
+
+    document.getElementById(`${groupName}-entries`).appendChild(entry);
+    markRequiredFields();
+    return entry;
+}
+
+/**
+ * Remove an entry; the last entry of a group is cleared instead
+ */
+function removeRepeatableEntry(groupName, entry) {
+    const container = document.getElementById(`${groupName}-entries`);
+
+    if (container.children.length === 1) {
+        entry.querySelectorAll('[data-field]').forEach(field => {
+            if (field.type === 'checkbox') {
+                field.checked = false;
+                return;
+            }
+            field.value = field.tagName === 'SELECT' ? field.options[0].value : '';
+        });
+        if (REPEATABLE_ENTRY_SETUP[groupName]) REPEATABLE_ENTRY_SETUP[groupName](entry);
+        return;
+    }
+
+    container.removeChild(entry);
+    markRequiredFields();
+}
+
+/**
+ * Replace all entries of a group (at least one empty entry is kept)
+ */
+function setRepeatableEntries(groupName, entries) {
+    document.getElementById(`${groupName}-entries`).innerHTML = '';
+
+    if (entries.length === 0) {
+        addRepeatableEntry(groupName);
+        return;
+    }
+    entries.forEach(values => addRepeatableEntry(groupName, values));
+}
+
+/**
+ * Collect the field values of every entry in a group, in page order
+ */
+function collectRepeatableEntries(groupName) {
+    return Array.from(document.getElementById(`${groupName}-entries`).children).map(entry => {
+        const values = {};
+        entry.querySelectorAll('[data-field]').forEach(field => {
+            if (field.type === 'checkbox') {
+                values[field.dataset.field] = field.checked;
+                return;
+            }
+            values[field.dataset.field] = field.hasAttribute('data-multiline')
+                ? field.value.split('\n').map(line => line.trim()).filter(Boolean)
+                : field.value.trim();
+        });
+        return values;
+    });
+}
+
+/**
+ * Fill the fields of one entry
+ */
+function setEntryValues(entry, values) {
+    entry.querySelectorAll('[data-field]').forEach(field => {
+        const value = values[field.dataset.field];
+        if (value === undefined) return;
+        if (field.type === 'checkbox') {
+            field.checked = value === true;
+            return;
+        }
+        field.value = Array.isArray(value) ? value.join('\n') : value;
+    });
+}
+
+/**
+ * Set the text of every [data-i18n] element under root
+ */
+function applyDataTranslations(root, t) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t[el.dataset.i18n];
+    });
+}
+
+/**
+ * Build the race and ethnicity checkboxes and the birth sex and
+ * gender identity options from the US Core code tables
+ */
+function renderUsCoreOptions() {
+    renderCheckboxGroup('race-options', 'race', US_CORE_RACE_CODES);
+    renderCheckboxGroup('ethnicity-options', 'ethnicity', US_CORE_ETHNICITY_CODES);
+    renderSelectOptions('birthSex', US_CORE_BIRTH_SEX_CODES);
+    renderSelectOptions('genderIdentity', US_CORE_GENDER_IDENTITY_CODES.map(entry => entry.code));
+}
+
+/**
+ * Build one checkbox per code; detailed codes are nested under their category
+ */
+function renderCheckboxGroup(containerId, groupName, codeTable) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+
+    codeTable.forEach(entry => {
+        const label = document.createElement('label');
+        label.className = entry.category === 'detailed' ? 'checkbox-option detailed' : 'checkbox-option';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = groupName;
+        checkbox.value = entry.code;
+
+        const text = document.createElement('span');
+        text.dataset.code = entry.code;
+
+        label.appendChild(checkbox);
+        label.appendChild(text);
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Append one option per code after the "Select..." option
+ */
+function renderSelectOptions(selectId, codes) {
+    const select = document.getElementById(selectId);
+    select.innerHTML = '';
+    [''].concat(codes).forEach(code => {
+        const option = document.createElement('option');
+        option.value = code;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Translate the US Core option labels
+ */
+function updateUsCoreOptionLabels(t) {
+    document.querySelectorAll('#race-options span[data-code]').forEach(el => {
+        el.textContent = t.raceOptions[el.dataset.code];
+    });
+    document.querySelectorAll('#ethnicity-options span[data-code]').forEach(el => {
+        el.textContent = t.ethnicityOptions[el.dataset.code];
+    });
+    document.querySelectorAll('#birthSex option').forEach(el => {
+        el.textContent = el.value ? t.birthSexOptions[el.value] : t.optionSelect;
+    });
+    document.querySelectorAll('#genderIdentity option').forEach(el => {
+        el.textContent = el.value ? t.genderIdentityOptions[el.value] : t.optionSelect;
+    });
+}
+
+/**
+ * Display FHIR JSON in the output section
+ */
+function displayFhirJson(fhirObject) {
+    // Store current JSON
+    currentFhirJson = fhirObject;
+
+    renderFhirOutput();
+
+    // Show metadata
+    const metadataSection = document.getElementById('metadata-section');
+    const timestampElement = document.getElementById('meta-timestamp-value');
+    timestampElement.dataset.time = new Date().toISOString();
+    timestampElement.textContent = formatLocaleDateTime(timestampElement.dataset.time);
+    metadataSection.style.display = 'block';
+
+    // Enable download and copy buttons
+    document.getElementById('btn-download').disabled = false;
+    document.getElementById('btn-download-hl7').disabled = false;
+    document.getElementById('btn-copy').disabled = false;
+    document.getElementById('btn-download-audit').disabled = false;
+    document.getElementById('btn-download-deidentified').disabled = false;
+    document.getElementById('btn-server-create').disabled = false;
+    document.getElementById('btn-server-update').disabled = false;
+    document.getElementById('btn-server-conditional').disabled = false;
+
+    // Check the resource against Patient and its profiles
+    displayStructuralValidation(fhirObject);
+}
+
+/**
+ * Show the current resource in the selected output format
+ */
+function renderFhirOutput() {
+    if (!currentFhirJson) return;
+
+    const codeElement = document.getElementById('fhir-code');
+    codeElement.className = `language-${outputFormat}`;
+    codeElement.onclick = null;
+    document.getElementById('output-status').textContent = '';
+
+    if (outputFormat === 'json') {
+        renderJsonViewer(codeElement, currentFhirJson, {
+            rootPath: currentFhirJson.resourceType,
+            onPathClick: copyElementPath
+        });
+    } else if (outputFormat === 'ndjson') {
+        codeElement.replaceChildren(highlightJsonText(serializeResource(currentFhirJson, outputFormat)));
+    } else {
+        codeElement.innerHTML = highlightOutput(serializeResource(currentFhirJson, outputFormat), outputFormat);
+    }
+}
+
+/**
+ * Copy an element path clicked in the JSON viewer
+ */
+async function copyElementPath(path) {
+    const status = document.getElementById('output-status');
+    try {
+        await navigator.clipboard.writeText(path);
+        status.textContent = formatMessage(translations[currentLanguage].outputPathCopied, { path });
+    } catch (err) {
+        status.textContent = path;
+    }
+}
+
+/**
+ * Syntax highlighting of XML and Turtle output; the text is escaped
+ * before any markup is added
+ */
+function highlightOutput(text, format) {
+    const escaped = escapeXml(text);
+
+    if (format === 'xml') {
+        return escaped
+            .replace(/(&lt;\?xml.*?\?&gt;)/, '<span class="json-comment">$1</span>')
+            .replace(/(&lt;\/?)([\w:]+)/g, '$1<span class="json-key">$2</span>')
+            .replace(/(\w+)=(&quot;.*?&quot;)/g, '$1=<span class="json-string">$2</span>');
+    }
+
+    return escaped
+        .replace(/^(@prefix.*)$/gm, '<span class="json-comment">$1</span>')
+        .replace(/(&quot;(?:[^\\]|\\.)*?&quot;)(\^\^xsd:\w+)?/g, '<span class="json-string">$1$2</span>')
+        .replace(/(\s)(fhir:[\w.]+)/g, '$1<span class="json-key">$2</span>')
+        .replace(/(fhir:value) (true|false)/g, '$1 <span class="json-boolean">$2</span>');
+}
+
+/**
+ * localStorage key for the selected output format
+ */
+const OUTPUT_FORMAT_STORAGE_KEY = 'fhirConverter.outputFormat';
+
+/**
+ * Restore the output format chosen last time
+ */
+function loadOutputFormat() {
+    try {
+        const saved = localStorage.getItem(OUTPUT_FORMAT_STORAGE_KEY);
+        if (OUTPUT_FORMATS[saved]) outputFormat = saved;
+    } catch (err) {
+        outputFormat = 'json';
+    }
+    document.getElementById('output-format').value = outputFormat;
+}
+
+/**
+ * Switch the output (and download/copy) to another format
+ */
+function handleOutputFormatChange() {
+    outputFormat = document.getElementById('output-format').value;
+    document.getElementById('btn-download-text').textContent =
+        formatMessage(translations[currentLanguage].btnDownload, { format: OUTPUT_FORMATS[outputFormat].label });
+    renderFhirOutput();
+
+    try {
+        localStorage.setItem(OUTPUT_FORMAT_STORAGE_KEY, outputFormat);
+    } catch (err) {
+        console.error('Failed to save output format:', err);
+    }
+}
+
+/**
+ * Download the current resource in the selected format
+ */
+function downloadFhirJson() {
+    if (!currentFhirJson) return;
+
+    const format = OUTPUT_FORMATS[outputFormat];
+    const timestamp = new Date().toISOString().split('T')[0];
+    downloadTextFile(serializeResource(currentFhirJson, outputFormat), `fhir-patient-${timestamp}.${format.extension}`, format.mimeType);
+    recordExport('download', outputFormat);
+}
+
+/**
+ * Download the current patient as an HL7 v2 ADT^A04 message
+ */
+function downloadHl7v2Message() {
+    if (!currentFhirJson) return;
+
+    const message = serializeAdtA04(currentFhirJson);
+    const blob = new Blob([message], { type: 'x-application/hl7-v2+er7' });
+    const url = URL.createObjectURL(blob);
+    
+    const timestamp = new Date().toISOString().split('T')[0];
+    const filename = `adt-a04-${timestamp}.hl7`;
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    recordExport('download', 'hl7v2');
+}
+
+/**
+ * Download the current patient de-identified (HIPAA Safe Harbor) in a
+ * collection Bundle
+ */
+function downloadDeidentifiedBundle() {
+    if (!currentFhirJson) return;
+
+    const bundle = deidentifyBundle({ type: 'collection', entry: [{ resource: currentFhirJson }] }, {
+        dateMode: document.getElementById('deidentify-date-mode').value,
+        key: deidentifyKey
+    });
+    const timestamp = new Date().toISOString().split('T')[0];
+    downloadTextFile(JSON.stringify(bundle, null, 2), `fhir-deidentified-${timestamp}.json`, 'application/fhir+json');
+    recordExport('download', 'deidentified');
+}
+
+/**
+ * Download the current patient in a collection Bundle with its stored
+ * versions and every Provenance and AuditEvent recorded for it (this
+ * download included)
+ */
+async function downloadAuditBundle() {
+    if (!currentFhirJson) return;
+
+    const patient = currentFhirJson;
+    let versions = [];
+    try {
+        const record = await getStoredPatient(patient.id);
+        versions = record ? record.versions.map(version => version.resource) : [];
+    } catch (err) {
+        console.error('Failed to read the stored versions:', err);
+    }
+    if (!versions.some(version => version.meta.versionId === patient.meta.versionId)) {
+        versions.push(patient);
+    }
+
+    recordExport('download', 'json');
+    const bundle = buildAuditBundle(versions,
+        auditResources.filter(resource => auditResourceConcerns(resource, patient.id)));
+    const timestamp = new Date().toISOString().split('T')[0];
+    downloadTextFile(JSON.stringify(bundle, null, 2), `fhir-patient-audit-${timestamp}.json`, 'application/fhir+json');
+}
+
+/**
+ * Copy the current resource, in the selected format, to the clipboard
+ */
+async function copyToClipboard() {
+    if (!currentFhirJson) return;
+
+    try {
+        await navigator.clipboard.writeText(serializeResource(currentFhirJson, outputFormat));
+        recordExport('copy', outputFormat);
+        alert(translations[currentLanguage].successCopy);
+    } catch (err) {
+        console.error('Failed to copy:', err);
+    }
+}
+
+/**
+ * Load a synthetic patient into the form
+ */
+function loadDemoData() {
+    populateForm(generateSyntheticFormData(createSeededRandom(), conversionSettings()));
+    
+    // Demo data is a new patient, not a correction
+    importedPatientContext = null;
+    
+    // Clear any validation errors
+    clearValidationErrors();
+}
+
+/**
+ * Fill the form fields from form data; fields it leaves out (older drafts)
+ * are cleared
+ */
+function populateForm(input) {
+    const formData = { ...createEmptyFormData(), ...input };
+
+    Object.keys(formData).forEach(fieldName => {
+        const value = formData[fieldName];
+
+        // Repeatable field groups
+        if (REPEATABLE_GROUPS.includes(fieldName)) {
+            setRepeatableEntries(fieldName, value);
+            return;
+        }
+
+        if (fieldName === 'photo') {
+            setPhoto(value);
+            return;
+        }
+
+        // Checkbox groups hold a list of codes
+        if (Array.isArray(value)) {
+            document.querySelectorAll(`input[name="${fieldName}"]`).forEach(checkbox => {
+                checkbox.checked = value.includes(checkbox.value);
+            });
+            return;
+        }
+
+        const inputElement = document.getElementById(fieldName);
+        if (inputElement && inputElement.type === 'checkbox') {
+            inputElement.checked = value === true;
+        } else if (inputElement) {
+            inputElement.value = value;
+        }
+    });
+
+    // Telecoms are filled before the address that sets their country
+    refreshPhoneHints();
+    updateDemographicFields();
+
+    // Programmatic changes fire no input events, so save the draft here
+    scheduleDraftSave();
+}
+
+/**
+ * Clear the form and start a new patient (the next Generate creates a new id)
+ */
+function startNewPatient() {
+    populateForm(createEmptyFormData());
+    importedPatientContext = null;
+    document.getElementById('audit-reason').value = '';
+    clearValidationErrors();
+}
+
+/**
+ * Import Patient JSON or an HL7 v2 message into the form
+ */
+function importPatientText(text) {
+    if (/^\s*MSH/.test(text)) {
+        importHl7v2Text(text);
+        return;
+    }
+
+    let resource;
+
+    try {
+        resource = parseFhirPatientJson(text);
+    } catch (err) {
+        const statusElement = document.getElementById('import-status');
+        statusElement.textContent = err.message;
+        statusElement.className = 'import-status import-error';
+        document.getElementById('import-unmapped').innerHTML = '';
+        return;
+    }
+
+    loadPatientResource(resource, translations[currentLanguage].importSuccess);
+}
+
+/**
+ * Fill the form from a Patient resource, keeping its id and meta so the
+ * next generated resource is an update of it
+ */
+function loadPatientResource(resource, successMessage) {
+    const statusElement = document.getElementById('import-status');
+    let result;
+
+    // Malformed elements are listed as not imported; anything the mapping
+    // still cannot read leaves the form as it was, and the validation panel
+    // shows what is wrong with the resource
+    try {
+        result = mapFromFhirPatient(resource);
+    } catch (err) {
+        statusElement.textContent = translations[currentLanguage].importErrorMalformed;
+        statusElement.className = 'import-status import-error';
+        document.getElementById('import-unmapped').innerHTML = '';
+        displayStructuralValidation(resource);
+        return;
+    }
+
+    clearValidationErrors();
+    populateForm(result.formData);
+    importedPatientContext = result.preserved;
+
+    // Carry on in the target profile the resource claims
+    const claimedProfile = findTargetProfile(resource.meta && resource.meta.profile);
+    if (claimedProfile) setTargetProfile(claimedProfile);
+
+    statusElement.textContent = successMessage;
+    statusElement.className = 'import-status import-success';
+    displayUnmappedElements(result.unmapped);
+    displayStructuralValidation(resource);
+}
+
+/**
+ * Import an HL7 v2 ADT message into the form
+ */
+function importHl7v2Text(text) {
+    const statusElement = document.getElementById('import-status');
+    let result;
+
+    try {
+        result = mapHl7v2ToFormData(parseHl7v2Message(text));
+    } catch (err) {
+        statusElement.textContent = err.message;
+        statusElement.className = 'import-status import-error';
+        document.getElementById('import-unmapped').innerHTML = '';
+        return;
+    }
+
+    clearValidationErrors();
+    populateForm(result.formData);
+    importedPatientContext = null;
+
+    statusElement.textContent = translations[currentLanguage].importHl7Success;
+    statusElement.className = 'import-status import-success';
+    displayUnmappedElements(result.unmapped);
+}
+
+/**
+ * List the elements the form could not represent
+ */
+function displayUnmappedElements(unmapped) {
+    const container = document.getElementById('import-unmapped');
+    container.innerHTML = '';
+
+    const heading = document.createElement('p');
+    heading.textContent = unmapped.length > 0
+        ? translations[currentLanguage].importUnmappedTitle
+        : translations[currentLanguage].importUnmappedNone;
+    container.appendChild(heading);
+
+    if (unmapped.length > 0) {
+        const list = document.createElement('ul');
+        unmapped.forEach(path => {
+            const item = document.createElement('li');
+            item.textContent = path;
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+    }
+}
+
+/**
+ * Handle the import button (pasted text)
+ */
+function handleImportClick() {
+    importPatientText(document.getElementById('import-text').value);
+}
+
+/**
+ * Handle a file chosen with the file picker
+ */
+async function handleImportFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const text = await file.text();
+    document.getElementById('import-text').value = text;
+    importPatientText(text);
+    event.target.value = '';
+}
+
+/**
+ * Handle a file dropped on the import area
+ */
+async function handleImportDrop(event) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('drag-over');
+
+    const file = event.dataTransfer.files[0];
+    if (!file) return;
+
+    const text = await file.text();
+    document.getElementById('import-text').value = text;
+    importPatientText(text);
+}
+
+/**
+ * Handle form submission
+ */
+async function handleFormSubmit(event) {
+    event.preventDefault();
+    
+    // Clear previous errors
+    clearValidationErrors();
+    
+    // Collect form data
+    const formData = collectFormData();
+    
+    // Validate form data
+    const validation = validateFormData(formData, targetProfileId);
+    
+    if (!validation.isValid) {
+        displayValidationErrors(validation.errors);
+        alert(translations[currentLanguage].errorValidation);
+        return;
+    }
+    
+    // Convert to FHIR
+    let fhirPatient = mapToFhirPatient(formData, importedPatientContext, conversionSettings());
+    
+    // Store it in the worklist, which assigns meta.versionId
+    let saved = { added: true, previousVersionId: null };
+    try {
+        saved = await savePatientVersion(fhirPatient);
+        fhirPatient = saved.resource;
+        refreshWorklist();
+    } catch (err) {
+        console.error('Failed to save patient version:', err);
+        fhirPatient.meta.versionId = fhirPatient.meta.versionId || '1';
+    }
+    
+    // Record who made this version and why; an imported or reopened
+    // patient is being changed, not created
+    if (saved.added) {
+        recordAudit(buildProvenance(fhirPatient, collectAuditDetails(), {
+            activity: saved.previousVersionId || importedPatientContext ? 'UPDATE' : 'CREATE',
+            previousVersionId: saved.previousVersionId
+        }));
+    }
+    
+    // Regenerating from this form now creates a new version of the same patient
+    importedPatientContext = { id: fhirPatient.id, meta: fhirPatient.meta, identifier: fhirPatient.identifier };
+    
+    // Display result
+    displayFhirJson(fhirPatient);
+    scheduleDraftSave();
+    
+    // Scroll to output
+    document.getElementById('fhir-converter').scrollIntoView({ 
+        behavior: 'smooth',
+        block: 'start'
+    });
+}
+
+// ===================================
+// Identifier Settings
+// ===================================
+
+/**
+ * localStorage key for the MRN namespace and id strategy
+ */
+const IDENTIFIER_SETTINGS_STORAGE_KEY = 'fhirConverter.identifierSettings';
+
+/**
+ * Restore the identifier settings into the form
+ */
+function loadIdentifierSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(IDENTIFIER_SETTINGS_STORAGE_KEY)) || {};
+        identifierSettings = { ...DEFAULT_IDENTIFIER_SETTINGS, ...saved };
+    } catch (err) {
+        identifierSettings = { ...DEFAULT_IDENTIFIER_SETTINGS };
+    }
+
+    document.getElementById('mrn-namespace').value = identifierSettings.mrnNamespace;
+    document.getElementById('id-strategy').value = identifierSettings.idStrategy;
+}
+
+/**
+ * Read and save the identifier settings after a change
+ */
+function handleIdentifierSettingsChange() {
+    identifierSettings = {
+        mrnNamespace: document.getElementById('mrn-namespace').value.trim(),
+        idStrategy: document.getElementById('id-strategy').value
+    };
+
+    try {
+        localStorage.setItem(IDENTIFIER_SETTINGS_STORAGE_KEY, JSON.stringify(identifierSettings));
+    } catch (err) {
+        console.error('Failed to save identifier settings:', err);
+    }
+}
+
+/**
+ * Add the issuing states to the identifier template once
+ */
+function renderIdentifierIssuerOptions() {
+    const select = document.getElementById('identifiers-template').content.querySelector('[data-field="issuer"]');
+    Object.keys(US_STATE_FIPS_CODES).forEach(state => {
+        const option = document.createElement('option');
+        option.value = state;
+        option.textContent = state;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Fill the contact role and relationship pickers of the contact template;
+ * the option text comes from the translations
+ */
+function renderContactRelationshipOptions() {
+    const template = document.getElementById('contacts-template').content;
+    const addOptions = (select, codes, prefix) => codes.forEach(code => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.dataset.i18n = `${prefix}${code}`;
+        select.appendChild(option);
+    });
+
+    addOptions(template.querySelector('[data-field="role"]'), Object.keys(CONTACT_ROLE_CODES), 'contactRole');
+    addOptions(template.querySelector('[data-field="relationship"]'), Object.keys(CONTACT_RELATIONSHIP_CODES), 'relationship');
+}
+
+/**
+ * Add the countries to the address and contact templates and the USPS
+ * abbreviations to the state suggestions, once
+ */
+function renderAddressOptions() {
+    const countries = ['US'].concat(Object.keys(ISO_COUNTRY_CODES).filter(code => code !== 'US'));
+    ['addresses-template', 'contacts-template'].forEach(id => {
+        const select = document.getElementById(id).content.querySelector('[data-field="country"]');
+        countries.forEach(code => {
+            const option = document.createElement('option');
+            option.value = code;
+            select.appendChild(option);
+        });
+    });
+
+    const datalist = document.getElementById('us-state-options');
+    Object.keys(US_STATES).forEach(code => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.label = US_STATES[code];
+        datalist.appendChild(option);
+    });
+
+    labelCountryOptions();
+}
+
+/**
+ * Name the country options in the current language, sorted by name
+ * with the United States first
+ */
+function labelCountryOptions() {
+    const roots = ['addresses-template', 'contacts-template']
+        .map(id => document.getElementById(id).content)
+        .concat([document]);
+
+    roots.forEach(root => root.querySelectorAll('select[data-field="country"]').forEach(select => {
+        const value = select.value;
+        const options = Array.from(select.options);
+        options.forEach(option => {
+            option.textContent = countryName(option.value, currentLanguage);
+        });
+        options
+            .sort((a, b) => (b.value === 'US') - (a.value === 'US') || a.textContent.localeCompare(b.textContent, currentLanguage))
+            .forEach(option => select.appendChild(option));
+        select.value = value;
+    }));
+}
+
+/**
+ * Label the state, district and postal code fields for the entry's
+ * country, normalize what is typed and check US ZIP codes
+ */
+function setupAddressEntry(entry) {
+    const field = name => entry.querySelector(`[data-field="${name}"]`);
+
+    const updateCountry = () => {
+        const country = field('country').value;
+        const rule = POSTAL_CODE_RULES[country] || {};
+        setEntryFieldLabel(entry, 'state', rule.subdivisionLabel || 'labelSubdivision');
+        setEntryFieldLabel(entry, 'postalCode', rule.postalLabel || 'labelPostalcode');
+        setEntryFieldLabel(entry, 'district', country === 'US' ? 'labelCounty' : 'labelDistrict');
+        field('postalCode').placeholder = rule.example || '';
+        field('state').placeholder = country === 'US' ? 'CA' : '';
+        if (country === 'US') {
+            field('state').setAttribute('list', 'us-state-options');
+        } else {
+            field('state').removeAttribute('list');
+        }
+        updateAddressHint(entry, false);
+    };
+    const normalizeFields = () => {
+        const normalized = normalizeAddressEntry({
+            country: field('country').value,
+            state: field('state').value.trim(),
+            postalCode: field('postalCode').value
+        });
+        field('state').value = normalized.state;
+        field('postalCode').value = normalized.postalCode;
+    };
+
+    updateCountry();
+    if (entry.dataset.addressSetup) return;
+    entry.dataset.addressSetup = 'true';
+
+    field('country').addEventListener('change', () => {
+        updateCountry();
+        refreshPhoneHints();
+    });
+    field('state').addEventListener('change', () => {
+        normalizeFields();
+        updateAddressHint(entry, false);
+    });
+    field('postalCode').addEventListener('change', () => {
+        normalizeFields();
+        updateAddressHint(entry, true);
+    });
+    field('city').addEventListener('change', () => updateAddressHint(entry, false));
+}
+
+/**
+ * Point a field label of an entry at another translation key
+ */
+function setEntryFieldLabel(entry, fieldName, key) {
+    const label = entry.querySelector(`[data-field-label="${fieldName}"]`);
+    label.dataset.i18n = key;
+    label.textContent = translations[currentLanguage][key];
+}
+
+/**
+ * Compare a US address with its ZIP code; when filling, an empty city
+ * and state are taken from the ZIP tables
+ */
+function updateAddressHint(entry, fill) {
+    const t = translations[currentLanguage];
+    const field = name => entry.querySelector(`[data-field="${name}"]`);
+    const hint = entry.querySelector('.address-hint');
+    const readCheck = () => checkUsZipCode({
+        postalCode: field('postalCode').value,
+        city: field('city').value,
+        state: field('state').value
+    });
+
+    hint.textContent = '';
+    hint.classList.remove('address-mismatch');
+    if (field('country').value !== 'US') return;
+
+    let check = readCheck();
+    if (!check) return;
+
+    if (fill && ((!field('city').value && check.city) || (!field('state').value && check.states.length === 1))) {
+        if (!field('city').value) field('city').value = check.city;
+        if (!field('state').value && check.states.length === 1) field('state').value = check.states[0];
+        hint.textContent = formatMessage(t.addressZipFilled, { zip: check.zip });
+        check = readCheck();
+    }
+
+    if (check.stateMismatch || check.cityMismatch) {
+        const place = check.city ? `${check.city}, ${check.states[0]}` : check.states.join(', ');
+        hint.textContent = formatMessage(t.addressZipMismatch, { zip: check.zip, place });
+        hint.classList.add('address-mismatch');
+    }
+}
+
+/**
+ * Show how a telecom's phone number will be written
+ */
+function setupTelecomEntry(entry) {
+    const update = () => updatePhoneHint(entry, 'value', patientPhoneCountry());
+
+    update();
+    if (entry.dataset.telecomSetup) return;
+    entry.dataset.telecomSetup = 'true';
+
+    entry.querySelector('[data-field="system"]').addEventListener('change', update);
+    entry.querySelector('[data-field="value"]').addEventListener('change', update);
+}
+
+/**
+ * Contact entries have an address and a phone in the address's country
+ */
+function setupContactEntry(entry) {
+    setupAddressEntry(entry);
+    updatePhoneHint(entry, 'phone', entry.querySelector('[data-field="country"]').value);
+
+    if (entry.dataset.contactSetup) return;
+    entry.dataset.contactSetup = 'true';
+
+    entry.querySelector('[data-field="phone"]').addEventListener('change', () => {
+        updatePhoneHint(entry, 'phone', entry.querySelector('[data-field="country"]').value);
+    });
+}
+
+/**
+ * Country of the first patient address on the form
+ */
+function patientPhoneCountry() {
+    const field = document.querySelector('#addresses-entries [data-field="country"]');
+    return (field && field.value) || 'US';
+}
+
+/**
+ * Recompute the phone hints of every telecom and contact entry
+ */
+function refreshPhoneHints() {
+    document.querySelectorAll('#telecoms-entries > .repeatable-entry').forEach(entry => {
+        updatePhoneHint(entry, 'value', patientPhoneCountry());
+    });
+    document.querySelectorAll('#contacts-entries > .repeatable-entry').forEach(entry => {
+        updatePhoneHint(entry, 'phone', entry.querySelector('[data-field="country"]').value);
+    });
+}
+
+/**
+ * Show the canonical form of a phone number and any numbering plan
+ * warnings under the field (emails and unparseable text show nothing)
+ */
+function updatePhoneHint(entry, fieldName, country) {
+    const t = translations[currentLanguage];
+    const hint = entry.querySelector('.phone-hint');
+    const systemField = entry.querySelector('[data-field="system"]');
+    const parsed = systemField && systemField.value === 'email'
+        ? null
+        : parsePhoneNumber(entry.querySelector(`[data-field="${fieldName}"]`).value, country);
+
+    hint.textContent = '';
+    hint.classList.remove('phone-warning');
+    if (!parsed || !parsed.valid) return;
+
+    const params = { areaCode: parsed.national.substring(0, 3), exchange: parsed.national.substring(3, 6) };
+    const messages = [formatMessage(t.phoneCanonical, { value: formatPhoneNumber(parsed) })]
+        .concat(parsed.warnings.map(key => formatMessage(t[key], params)));
+    hint.textContent = messages.join(' ');
+    if (parsed.warnings.length > 0) hint.classList.add('phone-warning');
+}
+
+/**
+ * Put one suggestion per listed language in the language picker, once
+ */
+function renderLanguageCodeOptions() {
+    const datalist = document.getElementById('language-options');
+    COMMON_LANGUAGE_CODES.forEach(code => {
+        const option = document.createElement('option');
+        option.value = code;
+        datalist.appendChild(option);
+    });
+
+    labelLanguageCodeOptions();
+}
+
+/**
+ * Name the language suggestions in the current language, sorted by name
+ */
+function labelLanguageCodeOptions() {
+    const datalist = document.getElementById('language-options');
+    Array.from(datalist.options)
+        .map(option => {
+            option.label = languageName(option.value, currentLanguage);
+            return option;
+        })
+        .sort((a, b) => a.label.localeCompare(b.label, currentLanguage))
+        .forEach(option => datalist.appendChild(option));
+}
+
+/**
+ * Turn a language typed by name into its code and name the code below
+ * the field
+ */
+function setupCommunicationEntry(entry) {
+    const field = entry.querySelector('[data-field="language"]');
+    const update = () => {
+        const code = findLanguageCode(field.value);
+        if (code) field.value = code;
+        entry.querySelector('.language-hint').textContent = code ? languageName(code, currentLanguage) : '';
+    };
+
+    update();
+    if (entry.dataset.communicationSetup) return;
+    entry.dataset.communicationSetup = 'true';
+
+    field.addEventListener('change', update);
+}
+
+/**
+ * Fill the system from the identifier type (and issuing state) and
+ * show the state picker only for driver's licenses; only the target
+ * profile's identifier types are offered
+ */
+function setupIdentifierEntry(entry) {
+    const typeField = entry.querySelector('[data-field="type"]');
+    const issuerField = entry.querySelector('[data-field="issuer"]');
+    const systemField = entry.querySelector('[data-field="system"]');
+
+    const updateVisibility = () => {
+        entry.querySelectorAll('[data-show-for-type]').forEach(group => {
+            group.style.display = group.dataset.showForType === typeField.value ? '' : 'none';
+        });
+    };
+    const updateSystem = () => {
+        const system = profileIdentifierSystem(targetProfile(targetProfileId), typeField.value,
+            issuerField.value, identifierSettings);
+        if (system) systemField.value = system;
+    };
+
+    updateVisibility();
+    filterIdentifierTypeOptions(typeField);
+    if (entry.dataset.identifierSetup) return;
+    entry.dataset.identifierSetup = 'true';
+
+    typeField.addEventListener('change', () => {
+        updateVisibility();
+        filterIdentifierTypeOptions(typeField);
+        updateSystem();
+    });
+    issuerField.addEventListener('change', updateSystem);
+}
+
+// ===================================
+// Extended Demographics
+// ===================================
+
+/**
+ * Add the marital status codes to their picker once
+ */
+function renderMaritalStatusOptions() {
+    const select = document.getElementById('maritalStatus');
+    Object.keys(MARITAL_STATUS_CODES).forEach(code => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.dataset.i18n = `maritalStatus${code}`;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Show the date of death and the birth order only when they apply
+ */
+function updateDemographicFields() {
+    document.querySelectorAll('[data-show-when]').forEach(group => {
+        group.style.display = document.getElementById(group.dataset.showWhen).value === 'true' ? '' : 'none';
+    });
+}
+
+/**
+ * Keep a chosen photo as inline data; other file types and files over
+ * the size limit are refused with a message
+ */
+async function handlePhotoFile(event) {
+    const file = event.target.files[0];
+    const errorElement = document.getElementById('photo-error');
+    errorElement.textContent = '';
+    if (!file) return;
+
+    try {
+        const dataUrl = await readFileAsDataUrl(file);
+        const photo = { contentType: file.type, data: dataUrl.substring(dataUrl.indexOf(',') + 1), title: file.name };
+        const problem = checkPhoto(photo);
+        if (problem) {
+            errorElement.textContent = formatMessage(translations[currentLanguage][problem.key], problem.params);
+        } else {
+            setPhoto(photo);
+            scheduleDraftSave();
+        }
+    } catch (err) {
+        console.error('Failed to read photo:', err);
+    }
+    event.target.value = '';
+}
+
+/**
+ * Read a file as a data: URL
+ */
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Show a photo (or none) with its file name and remove button
+ */
+function setPhoto(photo) {
+    const preview = document.getElementById('photo-preview');
+    patientPhoto = photo || null;
+
+    if (patientPhoto) {
+        preview.src = `data:${patientPhoto.contentType};base64,${patientPhoto.data}`;
+    } else {
+        preview.removeAttribute('src');
+    }
+    preview.hidden = !patientPhoto;
+    document.getElementById('photo-title').textContent = patientPhoto ? patientPhoto.title : '';
+    document.getElementById('btn-remove-photo').hidden = !patientPhoto;
+}
+
+// ===================================
+// Target Profile
+// ===================================
+
+/**
+ * localStorage key for the chosen target profile
+ */
+const TARGET_PROFILE_STORAGE_KEY = 'fhirConverter.targetProfile';
+
+/**
+ * Add the target profiles to the picker (profile names are not translated)
+ */
+function renderTargetProfileOptions() {
+    const select = document.getElementById('target-profile');
+    Object.keys(TARGET_PROFILES).forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = TARGET_PROFILES[id].name;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Restore the remembered target profile
+ */
+function loadTargetProfile() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(TARGET_PROFILE_STORAGE_KEY);
+    } catch (err) {
+        console.error('Failed to load the target profile:', err);
+    }
+    setTargetProfile(TARGET_PROFILES[saved] ? saved : DEFAULT_TARGET_PROFILE);
+}
+
+/**
+ * Switch and save the target profile after a change
+ */
+function handleTargetProfileChange(event) {
+    setTargetProfile(event.target.value);
+
+    try {
+        localStorage.setItem(TARGET_PROFILE_STORAGE_KEY, targetProfileId);
+    } catch (err) {
+        console.error('Failed to save the target profile:', err);
+    }
+}
+
+/**
+ * Switch the form to a target profile: mark its required fields, offer
+ * its identifier types and show the US Core section only when it
+ * carries those extensions
+ */
+function setTargetProfile(id) {
+    targetProfileId = id;
+    document.getElementById('target-profile').value = id;
+    document.getElementById('legend-uscore').parentElement.hidden =
+        !targetProfile(id).extensions.includes(US_CORE_EXTENSION_URLS.race);
+    document.querySelectorAll('#identifiers-entries [data-field="type"]').forEach(filterIdentifierTypeOptions);
+    markRequiredFields();
+}
+
+/**
+ * Mark the fields the target profile requires (an asterisk on the label)
+ */
+function markRequiredFields() {
+    const form = document.getElementById('patient-form');
+    form.querySelectorAll('.field-required').forEach(group => group.classList.remove('field-required'));
+    form.querySelectorAll('[aria-required]').forEach(field => {
+        field.required = false;
+        field.removeAttribute('aria-required');
+    });
+
+    targetProfile(targetProfileId).required.forEach(field => {
+        const { inputElement } = findFieldElements(PROFILE_REQUIRED_FIELDS[field]);
+        if (!inputElement) return;
+        inputElement.required = true;
+        inputElement.setAttribute('aria-required', 'true');
+        inputElement.closest('.form-group').classList.add('field-required');
+    });
+}
+
+/**
+ * Hide the identifier types the target profile does not use; the
+ * selected type stays visible
+ */
+function filterIdentifierTypeOptions(select) {
+    const types = targetProfile(targetProfileId).identifierTypes;
+    Array.from(select.options).forEach(option => {
+        option.hidden = Boolean(option.value) && !types.includes(option.value) && option.value !== select.value;
+    });
+}
+
+/**
+ * Identifier settings with the target profile, for mapping and batch
+ * conversion
+ */
+function conversionSettings() {
+    return { ...identifierSettings, profile: targetProfileId };
+}
+
+// ===================================
+// FHIR Server
+// ===================================
+
+/**
+ * localStorage key for the server settings (never the token or key)
+ */
+const SERVER_SETTINGS_STORAGE_KEY = 'fhirConverter.serverSettings';
+
+/**
+ * Read the server settings from the panel
+ */
+function collectServerConfig() {
+    return {
+        baseUrl: document.getElementById('server-base-url').value,
+        authMode: document.getElementById('server-auth').value,
+        token: document.getElementById('server-token').value,
+        smart: {
+            clientId: document.getElementById('smart-client-id').value.trim(),
+            scope: document.getElementById('smart-scope').value,
+            tokenUrl: document.getElementById('smart-token-url').value,
+            privateKey: document.getElementById('smart-private-key').value
+        }
+    };
+}
+
+/**
+ * Restore the saved base URL, authorization mode and SMART client settings
+ */
+function loadServerSettings() {
+    let settings = {};
+    try {
+        settings = JSON.parse(localStorage.getItem(SERVER_SETTINGS_STORAGE_KEY)) || {};
+    } catch (err) {
+        settings = {};
+    }
+
+    document.getElementById('server-base-url').value = settings.baseUrl || '';
+    document.getElementById('server-auth').value = settings.authMode || 'none';
+    document.getElementById('smart-client-id').value = settings.clientId || '';
+    document.getElementById('smart-scope').value = settings.scope || '';
+    document.getElementById('smart-token-url').value = settings.tokenUrl || '';
+    updateServerAuthFields();
+}
+
+/**
+ * Save the non-secret server settings
+ */
+function saveServerSettings(config) {
+    try {
+        localStorage.setItem(SERVER_SETTINGS_STORAGE_KEY, JSON.stringify({
+            baseUrl: config.baseUrl.trim(),
+            authMode: config.authMode,
+            clientId: config.smart.clientId,
+            scope: config.smart.scope.trim(),
+            tokenUrl: config.smart.tokenUrl.trim()
+        }));
+    } catch (err) {
+        console.error('Failed to save server settings:', err);
+    }
+}
+
+/**
+ * Show the credential fields of the selected authorization mode
+ */
+function updateServerAuthFields() {
+    const authMode = document.getElementById('server-auth').value;
+    document.getElementById('server-bearer-fields').style.display = authMode === 'bearer' ? 'block' : 'none';
+    document.getElementById('server-smart-fields').style.display = authMode === 'smart' ? 'block' : 'none';
+}
+
+/**
+ * Send the current Patient with the chosen action and show the response
+ */
+async function handleServerSend(action) {
+    if (!currentFhirJson) return;
+
+    const t = translations[currentLanguage];
+    const config = collectServerConfig();
+    const buttons = ['btn-server-create', 'btn-server-update', 'btn-server-conditional']
+        .map(id => document.getElementById(id));
+
+    saveServerSettings(config);
+    buttons.forEach(button => { button.disabled = true; });
+    showServerStatus(formatMessage(t.serverSending, { url: config.baseUrl.trim() }), '');
+
+    try {
+        const response = await sendPatientToServer(currentFhirJson, action, config);
+        displayServerResponse(response);
+        if (response.ok) recordExport('send', 'json');
+    } catch (err) {
+        showServerStatus(err.message, 'import-error');
+    } finally {
+        buttons.forEach(button => { button.disabled = false; });
+    }
+}
+
+/**
+ * Show the status line and reset the response details
+ */
+function showServerStatus(message, type) {
+    const status = document.getElementById('server-status');
+    status.textContent = message;
+    status.className = type ? `import-status ${type}` : 'import-status';
+
+    ['server-location-value', 'server-id-value', 'server-version-value', 'server-updated-value'].forEach(id => {
+        document.getElementById(id).textContent = '';
+    });
+    document.getElementById('server-outcome').style.display = 'none';
+    document.getElementById('server-result').style.display = 'block';
+}
+
+/**
+ * Show status, Location, id/versionId and any OperationOutcome
+ */
+function displayServerResponse(response) {
+    const t = translations[currentLanguage];
+    let message;
+
+    if (!response.ok) {
+        message = formatMessage(t.serverFailed, response);
+    } else if (response.method === 'PUT') {
+        message = formatMessage(t.serverUpdated, response);
+    } else {
+        message = formatMessage(response.created ? t.serverCreated : t.serverMatched, response);
+    }
+    showServerStatus(message, response.ok ? 'import-success' : 'import-error');
+
+    document.getElementById('server-location-value').textContent = response.location;
+    document.getElementById('server-id-value').textContent = response.id;
+    document.getElementById('server-version-value').textContent = response.versionId;
+    document.getElementById('server-updated-value').textContent =
+        response.lastUpdated ? formatLocaleDateTime(response.lastUpdated) : '';
+
+    if (response.outcome && Array.isArray(response.outcome.issue)) {
+        renderOutcomeIssues(document.getElementById('server-issues'), response.outcome.issue, t);
+        document.getElementById('server-outcome').style.display = 'table';
+    }
+
+    // Later updates target the resource the server now holds
+    if (response.ok && response.id) {
+        const stored = response.resource || {
+            ...currentFhirJson,
+            id: response.id,
+            meta: {
+                ...currentFhirJson.meta,
+                versionId: response.versionId || undefined,
+                lastUpdated: response.lastUpdated || undefined
+            }
+        };
+        importedPatientContext = { id: stored.id, meta: stored.meta, identifier: stored.identifier };
+        displayFhirJson(stored);
+    }
+}
+
+/**
+ * Search the server for records of the person in the form
+ */
+async function handleDuplicateCheck() {
+    const t = translations[currentLanguage];
+    const button = document.getElementById('btn-server-duplicates');
+    const config = collectServerConfig();
+    const status = document.getElementById('duplicates-status');
+
+    saveServerSettings(config);
+    button.disabled = true;
+    duplicateResult = null;
+    document.getElementById('duplicates-list').innerHTML = '';
+    document.getElementById('duplicates-panel').style.display = 'block';
+    status.textContent = t.duplicatesSearching;
+    status.className = 'import-status';
+
+    try {
+        duplicateResult = await findDuplicatePatients(collectFormData(), config);
+        displayDuplicateCandidates();
+    } catch (err) {
+        status.textContent = err.message;
+        status.className = 'import-status import-error';
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * List candidates with score and a field-by-field comparison
+ */
+function displayDuplicateCandidates() {
+    const t = translations[currentLanguage];
+    const status = document.getElementById('duplicates-status');
+    const list = document.getElementById('duplicates-list');
+    const candidates = duplicateResult.candidates;
+
+    document.getElementById('duplicates-title').textContent = t.duplicatesTitle;
+    status.textContent = [
+        candidates.length > 0 ? formatMessage(t.duplicatesFound, { count: candidates.length }) : t.duplicatesNone,
+        duplicateResult.matchSupported ? '' : t.duplicatesMatchUnsupported
+    ].filter(Boolean).join(' ');
+    status.className = candidates.length > 0 ? 'import-status import-error' : 'import-status import-success';
+
+    list.innerHTML = '';
+    candidates.forEach((candidate, index) => {
+        const details = document.createElement('details');
+        details.className = 'duplicate-candidate';
+        details.open = index === 0;
+
+        const summary = document.createElement('summary');
+        const name = candidate.comparison.find(row => row.field === 'given').candidate + ' ' +
+            candidate.comparison.find(row => row.field === 'family').candidate;
+        const grade = candidate.grade ? ` (${t.duplicateGrades[candidate.grade] || candidate.grade})` : '';
+        summary.textContent = [
+            `${name.trim()} · ${candidate.resource.birthDate || ''}`,
+            formatMessage(t.duplicateScore, { score: Math.round(candidate.score * 100) }) + grade,
+            candidate.sources.map(source => t.duplicateSources[source]).join(', '),
+            `Patient/${candidate.resource.id}`
+        ].join(' — ');
+        details.appendChild(summary);
+
+        const table = document.createElement('table');
+        table.className = 'validation-table comparison-table';
+        const head = document.createElement('tr');
+        [t.compareColField, t.compareColEntered, t.compareColCandidate, ''].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            head.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(head);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        candidate.comparison.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = `compare-${row.status}`;
+            [t.compareFields[row.field], row.entered, row.candidate, t.compareStatus[row.status]].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        details.appendChild(table);
+
+        const loadButton = document.createElement('button');
+        loadButton.type = 'button';
+        loadButton.className = 'btn btn-secondary';
+        loadButton.textContent = t.btnLoadCandidate;
+        loadButton.addEventListener('click', () => loadDuplicateCandidate(candidate));
+        details.appendChild(loadButton);
+
+        list.appendChild(details);
+    });
+}
+
+/**
+ * Replace the form with an existing record so it is updated, not duplicated
+ */
+function loadDuplicateCandidate(candidate) {
+    const message = formatMessage(translations[currentLanguage].duplicateLoaded, { id: candidate.resource.id });
+    loadPatientResource(candidate.resource, message);
+    document.getElementById('import-section').scrollIntoView({ behavior: 'smooth' });
+}
+
 // ===================================
-// Bilingual Translation Module
+// Patient Worklist
 // ===================================
 
-const translations = {
-    en: {
-        mainTitle: "FHIR R4 Patient Data Converter",
-        mainSubtitle: "Healthcare Interoperability Standard Compliant",
-        formTitle: "Patient Information",
-        legendDemographics: "Demographics",
-        legendContact: "Contact Information",
-        legendAddress: "Address",
-        legendEmergency: "Emergency Contact",
-        labelFirstname: "First Name",
-        labelLastname: "Last Name",
-        labelDob: "Date of Birth",
-        labelGender: "Gender",
-        labelPhone: "Phone Number",
-        labelEmail: "Email Address",
-        labelAddressline: "Street Address",
-        labelCity: "City",
-        labelState: "State",
-        labelPostalcode: "Postal Code",
-        labelEmergencyname: "Contact Name",
-        labelRelationship: "Relationship",
-        labelEmergencyphone: "Contact Phone",
-        optionSelect: "Select...",
-        optionMale: "Male",
-        optionFemale: "Female",
-        optionOther: "Other",
-        optionUnknown: "Unknown",
-        btnDemo: "Load Demo Data",
-        btnGenerate: "Generate FHIR JSON",
-        btnDownload: "Download JSON",
-        btnCopy: "Copy to Clipboard",
-        outputTitle: "FHIR R4 JSON Output",
-        metaResource: "Resource Type:",
-        metaStandard: "FHIR Standard:",
-        metaTimestamp: "Generated:",
-        footerText: "Built for Healthcare Interoperability | HL7 FHIR R4 Compliant",
-        errorRequired: "This field is required",
-        errorEmail: "Please enter a valid email address",
-        errorPhone: "Please enter a valid phone number",
-        successCopy: "JSON copied to clipboard!",
-        errorValidation: "Please fill in all required fields correctly"
-    },
-    es: {
-        mainTitle: "Convertidor de Datos de Pacientes FHIR R4",
-        mainSubtitle: "Cumple con el Estándar de Interoperabilidad en Salud",
-        formTitle: "Información del Paciente",
-        legendDemographics: "Datos Demográficos",
-        legendContact: "Información de Contacto",
-        legendAddress: "Dirección",
-        legendEmergency: "Contacto de Emergencia",
-        labelFirstname: "Nombre",
-        labelLastname: "Apellido",
-        labelDob: "Fecha de Nacimiento",
-        labelGender: "Género",
-        labelPhone: "Número de Teléfono",
-        labelEmail: "Correo Electrónico",
-        labelAddressline: "Dirección",
-        labelCity: "Ciudad",
-        labelState: "Estado",
-        labelPostalcode: "Código Postal",
-        labelEmergencyname: "Nombre del Contacto",
-        labelRelationship: "Relación",
-        labelEmergencyphone: "Teléfono del Contacto",
-        optionSelect: "Seleccionar...",
-        optionMale: "Masculino",
-        optionFemale: "Femenino",
-        optionOther: "Otro",
-        optionUnknown: "Desconocido",
-        btnDemo: "Cargar Datos de Prueba",
-        btnGenerate: "Generar JSON FHIR",
-        btnDownload: "Descargar JSON",
-        btnCopy: "Copiar al Portapapeles",
-        outputTitle: "Salida JSON FHIR R4",
-        metaResource: "Tipo de Recurso:",
-        metaStandard: "Estándar FHIR:",
-        metaTimestamp: "Generado:",
-        footerText: "Construido para Interoperabilidad en Salud | Cumple FHIR R4 de HL7",
-        errorRequired: "Este campo es obligatorio",
-        errorEmail: "Por favor ingrese un correo electrónico válido",
-        errorPhone: "Por favor ingrese un número de teléfono válido",
-        successCopy: "¡JSON copiado al portapapeles!",
-        errorValidation: "Por favor complete todos los campos requeridos correctamente"
+/**
+ * Delay between the last edit and the draft autosave
+ */
+const DRAFT_SAVE_DELAY_MS = 800;
+
+/**
+ * Save the form as a draft shortly after the last change
+ */
+function scheduleDraftSave() {
+    clearTimeout(draftSaveTimer);
+    draftSaveTimer = setTimeout(() => {
+        saveDraft({
+            formData: collectFormData(),
+            context: importedPatientContext,
+            resource: currentFhirJson
+        }).catch(err => console.error('Failed to save draft:', err));
+    }, DRAFT_SAVE_DELAY_MS);
+}
+
+/**
+ * Restore the autosaved draft and list the stored patients
+ */
+async function initWorklist() {
+    const t = translations[currentLanguage];
+    let draft;
+
+    try {
+        draft = await loadDraft();
+    } catch (err) {
+        showWorklistStatus(err.message, 'import-error');
+        ['btn-store-export', 'btn-store-import', 'btn-store-clear'].forEach(id => {
+            document.getElementById(id).disabled = true;
+        });
+        return;
+    }
+
+    if (draft) {
+        populateForm(draft.formData);
+        importedPatientContext = draft.context || null;
+        if (draft.resource) displayFhirJson(draft.resource);
+        showWorklistStatus(formatMessage(t.storeDraftRestored, {
+            time: formatLocaleDateTime(draft.savedAt)
+        }), 'import-success');
+    }
+
+    await refreshWorklist();
+}
+
+/**
+ * Reload the records from the store and show them
+ */
+async function refreshWorklist() {
+    try {
+        worklistRecords = await listStoredPatients();
+    } catch (err) {
+        showWorklistStatus(err.message, 'import-error');
+        return;
+    }
+    renderWorklist();
+}
+
+/**
+ * Show the records matching the search and gender filter
+ */
+function renderWorklist() {
+    const t = translations[currentLanguage];
+    const tbody = document.getElementById('worklist-rows');
+    const records = filterStoredPatients(
+        worklistRecords,
+        document.getElementById('worklist-search').value,
+        document.getElementById('worklist-gender').value
+    );
+
+    tbody.innerHTML = '';
+    records.forEach(record => {
+        const row = document.createElement('tr');
+        const latest = record.versions[record.versions.length - 1];
+        [
+            record.name,
+            formatLocaleDate(record.birthDate),
+            t[`option${record.gender.charAt(0).toUpperCase()}${record.gender.slice(1)}`] || record.gender,
+            record.identifiers.join(', '),
+            `${latest.versionId} (${record.versions.length})`,
+            formatLocaleDateTime(record.updatedAt)
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        const actions = document.createElement('td');
+        [
+            [t.btnWorklistOpen, 'btn-primary', () => openStoredVersion(latest.resource)],
+            [t.btnWorklistHistory, 'btn-secondary', () => showVersionHistory(record)],
+            [t.btnWorklistDelete, 'btn-secondary', () => deleteWorklistPatient(record)]
+        ].forEach(([label, style, handler]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `btn ${style}`;
+            button.textContent = label;
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        });
+        row.appendChild(actions);
+
+        tbody.appendChild(row);
+    });
+
+    document.getElementById('worklist-empty').textContent =
+        worklistRecords.length === 0 ? t.worklistEmpty : records.length === 0 ? t.worklistNoMatches : '';
+}
+
+/**
+ * Show a message above the worklist
+ */
+function showWorklistStatus(message, type) {
+    const status = document.getElementById('worklist-status');
+    status.textContent = message;
+    status.className = type ? `import-status ${type}` : 'import-status';
+}
+
+/**
+ * Load a stored version into the form and the output
+ */
+function openStoredVersion(resource) {
+    loadPatientResource(resource, formatMessage(translations[currentLanguage].storeOpened, {
+        id: resource.id,
+        version: resource.meta.versionId
+    }));
+    displayFhirJson(resource);
+    document.getElementById('import-section').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Remove one patient and its history after confirmation
+ */
+async function deleteWorklistPatient(record) {
+    const t = translations[currentLanguage];
+    if (!confirm(formatMessage(t.storeDeleteConfirm, { name: record.name || record.id }))) return;
+
+    await deleteStoredPatient(record.id);
+    if (historyRecord && historyRecord.id === record.id) {
+        historyRecord = null;
+        document.getElementById('history-panel').style.display = 'none';
+    }
+    await refreshWorklist();
+}
+
+/**
+ * Show the versions of a patient and the diff of the last two
+ */
+function showVersionHistory(record) {
+    const t = translations[currentLanguage];
+    const fromSelect = document.getElementById('history-from');
+    const toSelect = document.getElementById('history-to');
+
+    historyRecord = record;
+    document.getElementById('history-patient').textContent = `${record.name} · Patient/${record.id}`;
+
+    [fromSelect, toSelect].forEach(select => {
+        select.innerHTML = '';
+        record.versions.forEach((version, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = formatMessage(t.historyVersionOption, {
+                version: version.versionId,
+                time: formatLocaleDateTime(version.savedAt)
+            });
+            select.appendChild(option);
+        });
+    });
+
+    toSelect.value = record.versions.length - 1;
+    fromSelect.value = Math.max(0, record.versions.length - 2);
+    renderVersionDiff();
+
+    document.getElementById('history-panel').style.display = 'block';
+}
+
+/**
+ * Element-by-element differences between the two selected versions
+ */
+function renderVersionDiff() {
+    if (!historyRecord) return;
+
+    const t = translations[currentLanguage];
+    const before = historyRecord.versions[document.getElementById('history-from').value].resource;
+    const after = historyRecord.versions[document.getElementById('history-to').value].resource;
+    const tbody = document.getElementById('history-diff');
+    const changes = diffResources(before, after);
+
+    tbody.innerHTML = '';
+    if (changes.length === 0) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 3;
+        cell.textContent = t.historyNoChanges;
+        row.appendChild(cell);
+        tbody.appendChild(row);
+        return;
+    }
+
+    changes.forEach(change => {
+        const row = document.createElement('tr');
+        row.className = `diff-${change.kind}`;
+        [change.path, change.before || '', change.after || ''].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * Download the whole store as JSON
+ */
+async function handleStoreExport() {
+    const data = await exportPatientStore();
+    const timestamp = new Date().toISOString().split('T')[0];
+    downloadTextFile(JSON.stringify(data, null, 2), `fhir-worklist-${timestamp}.json`, 'application/json');
+}
+
+/**
+ * Merge an exported store file into this browser's store
+ */
+async function handleStoreImport(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const t = translations[currentLanguage];
+    try {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (err) {
+            throw new Error(t.storeImportInvalid);
+        }
+        const result = await importPatientStore(data);
+        showWorklistStatus(formatMessage(t.storeImported, result), 'import-success');
+        await refreshWorklist();
+    } catch (err) {
+        showWorklistStatus(err.message, 'import-error');
+    } finally {
+        event.target.value = '';
     }
-};
+}
 
-// ===================================
-// State Management
-// ===================================
+/**
+ * Delete every stored patient and draft and clear patient data from the page
+ */
+async function handleStoreClear() {
+    const t = translations[currentLanguage];
+    if (!confirm(t.storeClearConfirm)) return;
 
-let currentLanguage = 'en';
-let currentFhirJson = null;
+    clearTimeout(draftSaveTimer);
+    await clearPatientStore();
+
+    // Nothing with patient data stays on screen either
+    startNewPatient();
+    clearTimeout(draftSaveTimer);
+    currentFhirJson = null;
+    validatedResource = null;
+    duplicateResult = null;
+    batchData = null;
+    batchResult = null;
+    historyRecord = null;
+    auditResources = [];
+    renderAuditLog();
+    document.getElementById('fhir-code').textContent = '';
+    document.getElementById('import-text').value = '';
+    document.getElementById('import-status').textContent = '';
+    document.getElementById('import-unmapped').innerHTML = '';
+    document.getElementById('batch-file').value = '';
+    ['metadata-section', 'validation-panel', 'server-result', 'duplicates-panel', 'history-panel',
+     'batch-mapping-panel', 'batch-progress-panel', 'batch-result-panel'].forEach(id => {
+        document.getElementById(id).style.display = 'none';
+    });
+    ['btn-download', 'btn-download-hl7', 'btn-copy', 'btn-download-audit', 'btn-download-deidentified',
+     'btn-server-create', 'btn-server-update', 'btn-server-conditional', 'btn-batch-convert'].forEach(id => {
+        document.getElementById(id).disabled = true;
+    });
+
+    await refreshWorklist();
+    showWorklistStatus(t.storeCleared, 'import-success');
+}
 
 // ===================================
-// FHIR R4 Mapping Module
+// Audit Trail
 // ===================================
 
 /**
- * Maps form data to FHIR R4 Patient Resource
- * @param {Object} formData - Raw form data
- * @returns {Object} FHIR R4 compliant Patient resource
+ * localStorage key for the operator and the AuditEvent choice (never the
+ * reason, which belongs to one change)
  */
-function mapToFhirPatient(formData) {
-    const fhirPatient = {
-        resourceType: "Patient",
-        id: generatePatientId(),
-        meta: {
-            versionId: "1",
-            lastUpdated: new Date().toISOString(),
-            profile: ["http://hl7.org/fhir/us/core/StructureDefinition/us-core-patient"]
-        },
-        text: {
-            status: "generated",
-            div: `<div xmlns="http://www.w3.org/1999/xhtml">Patient: ${formData.firstName} ${formData.lastName}</div>`
-        },
-        identifier: [
-            {
-                use: "official",
-                system: "urn:oid:2.16.840.1.113883.4.1",
-                value: generateMRN()
-            }
-        ],
-        active: true,
-        name: [
-            {
-                use: "official",
-                family: formData.lastName,
-                given: [formData.firstName]
-            }
-        ],
-        telecom: [],
-        gender: formData.gender,
-        birthDate: formData.dob,
-        address: [],
-        contact: []
-    };
+const AUDIT_SETTINGS_STORAGE_KEY = 'fhirConverter.auditSettings';
 
-    // Add phone telecom if provided
-    if (formData.phone) {
-        fhirPatient.telecom.push({
-            system: "phone",
-            value: formData.phone,
-            use: "home"
-        });
+/**
+ * Restore the audit settings into the form
+ */
+function loadAuditSettings() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(AUDIT_SETTINGS_STORAGE_KEY)) || {};
+    } catch (err) {
+        saved = {};
     }
 
-    // Add email telecom if provided
-    if (formData.email) {
-        fhirPatient.telecom.push({
-            system: "email",
-            value: formData.email,
-            use: "home"
-        });
+    document.getElementById('operator-name').value = saved.operatorName || '';
+    document.getElementById('operator-id').value = saved.operatorId || '';
+    document.getElementById('audit-exports').checked = saved.recordExports !== false;
+}
+
+/**
+ * Save the audit settings after a change
+ */
+function handleAuditSettingsChange() {
+    try {
+        localStorage.setItem(AUDIT_SETTINGS_STORAGE_KEY, JSON.stringify({
+            operatorName: document.getElementById('operator-name').value.trim(),
+            operatorId: document.getElementById('operator-id').value.trim(),
+            recordExports: document.getElementById('audit-exports').checked
+        }));
+    } catch (err) {
+        console.error('Failed to save audit settings:', err);
     }
+}
 
-    // Add address if provided
-    if (formData.addressLine || formData.city || formData.state || formData.postalCode) {
-        const address = {
-            use: "home",
-            type: "both"
-        };
+/**
+ * Operator and reason entered in the form
+ */
+function collectAuditDetails() {
+    return {
+        operator: {
+            name: document.getElementById('operator-name').value,
+            identifier: document.getElementById('operator-id').value
+        },
+        reason: document.getElementById('audit-reason').value
+    };
+}
 
-        if (formData.addressLine) address.line = [formData.addressLine];
-        if (formData.city) address.city = formData.city;
-        if (formData.state) address.state = formData.state;
-        if (formData.postalCode) address.postalCode = formData.postalCode;
-        address.country = "US";
-
-        fhirPatient.address.push(address);
-    }
-
-    // Add emergency contact if provided
-    if (formData.emergencyName || formData.emergencyPhone) {
-        const emergencyContact = {
-            relationship: [
-                {
-                    coding: [
-                        {
-                            system: "http://terminology.hl7.org/CodeSystem/v2-0131",
-                            code: "C",
-                            display: formData.emergencyRelationship || "Emergency Contact"
-                        }
-                    ]
-                }
-            ]
-        };
+/**
+ * Add a Provenance or AuditEvent to the log and the store; it stays in
+ * the page's log when the store is unavailable
+ */
+async function recordAudit(resource) {
+    auditResources.push(resource);
+    renderAuditLog();
 
-        if (formData.emergencyName) {
-            const nameParts = formData.emergencyName.split(' ');
-            emergencyContact.name = {
-                family: nameParts[nameParts.length - 1],
-                given: nameParts.slice(0, -1)
-            };
-        }
+    try {
+        await saveAuditResource(resource);
+    } catch (err) {
+        console.error('Failed to save audit record:', err);
+    }
+}
 
-        if (formData.emergencyPhone) {
-            emergencyContact.telecom = [
-                {
-                    system: "phone",
-                    value: formData.emergencyPhone,
-                    use: "mobile"
-                }
-            ];
-        }
+/**
+ * Record an AuditEvent for the current patient leaving the page, when
+ * that is turned on
+ * @param {string} action - 'download', 'copy' or 'send'
+ * @param {string} format - Output format (json, xml, hl7v2…)
+ */
+function recordExport(action, format) {
+    if (!currentFhirJson || !document.getElementById('audit-exports').checked) return;
 
-        fhirPatient.contact.push(emergencyContact);
-    }
+    recordAudit(buildAuditEvent(currentFhirJson, collectAuditDetails(), { action, format }));
+}
 
-    return fhirPatient;
+/**
+ * Reload the log from the store and show it
+ */
+async function refreshAuditLog() {
+    try {
+        auditResources = await listAuditResources();
+    } catch (err) {
+        console.error('Failed to load the audit log:', err);
+    }
+    renderAuditLog();
 }
 
 /**
- * Generate unique patient ID (simulated)
- * In production, this would be assigned by the EHR system
+ * Show the log, most recent first
  */
-function generatePatientId() {
-    return `patient-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+function renderAuditLog() {
+    const t = translations[currentLanguage];
+    const tbody = document.getElementById('audit-rows');
+
+    tbody.innerHTML = '';
+    auditResources.map(summarizeAuditResource).reverse().forEach(entry => {
+        const row = document.createElement('tr');
+        [
+            formatLocaleDateTime(entry.recorded),
+            t.auditEvents[entry.event] || entry.event,
+            entry.patient,
+            entry.operator,
+            entry.reason
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+
+    document.getElementById('audit-empty').textContent = auditResources.length === 0 ? t.auditEmpty : '';
+    document.getElementById('btn-audit-export').disabled = auditResources.length === 0;
 }
 
 /**
- * Generate Medical Record Number (simulated)
- * In production, this would be assigned by the hospital/clinic
+ * Download the log as NDJSON (one Provenance or AuditEvent per line,
+ * oldest first)
  */
-function generateMRN() {
-    return `MRN${Math.floor(Math.random() * 900000) + 100000}`;
+function handleAuditExport() {
+    const timestamp = new Date().toISOString().split('T')[0];
+    downloadTextFile(serializeNdjson(auditResources), `fhir-audit-log-${timestamp}.ndjson`, OUTPUT_FORMATS.ndjson.mimeType);
 }
 
 // ===================================
-// Validation Module
+// Batch Conversion
 // ===================================
 
 /**
- * Validates form data before FHIR conversion
- * @param {Object} formData - Form data to validate
- * @returns {Object} Validation result with errors
+ * localStorage key for saved CSV column mappings
  */
-function validateFormData(formData) {
-    const errors = {};
+const BATCH_MAPPING_STORAGE_KEY = 'fhirConverter.csvColumnMappings';
 
-    // Required fields
-    if (!formData.firstName || formData.firstName.trim() === '') {
-        errors.firstName = translations[currentLanguage].errorRequired;
-    }
+/**
+ * Maximum number of errors listed on the page
+ */
+const BATCH_ERRORS_SHOWN = 200;
 
-    if (!formData.lastName || formData.lastName.trim() === '') {
-        errors.lastName = translations[currentLanguage].errorRequired;
-    }
+/**
+ * Read a roster file and show the column mapping
+ */
+async function handleBatchFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
 
-    if (!formData.dob) {
-        errors.dob = translations[currentLanguage].errorRequired;
-    }
+    const text = await file.text();
+    const delimiter = /\.tsv$/i.test(file.name) ? '\t' : undefined;
+    batchData = parseDelimitedText(text, delimiter);
+    batchResult = null;
 
-    if (!formData.gender) {
-        errors.gender = translations[currentLanguage].errorRequired;
-    }
+    document.getElementById('batch-result-panel').style.display = 'none';
+    document.getElementById('batch-progress-panel').style.display = 'none';
 
-    // Email validation (if provided)
-    if (formData.email && !isValidEmail(formData.email)) {
-        errors.email = translations[currentLanguage].errorEmail;
+    if (batchData.rows.length === 0) {
+        document.getElementById('batch-mapping-panel').style.display = 'none';
+        document.getElementById('btn-batch-convert').disabled = true;
+        alert(translations[currentLanguage].batchEmpty);
+        return;
     }
 
-    // Phone validation (if provided)
-    if (formData.phone && !isValidPhone(formData.phone)) {
-        errors.phone = translations[currentLanguage].errorPhone;
-    }
+    const savedMappings = loadSavedColumnMappings();
+    const mapping = savedMappings[columnMappingSignature(batchData.headers)] || guessColumnMapping(batchData.headers);
+    renderColumnMapping(batchData.headers, batchData.rows[0], mapping);
 
-    if (formData.emergencyPhone && !isValidPhone(formData.emergencyPhone)) {
-        errors.emergencyPhone = translations[currentLanguage].errorPhone;
-    }
+    document.getElementById('batch-mapping-panel').style.display = 'block';
+    document.getElementById('btn-batch-convert').disabled = false;
+}
 
-    return {
-        isValid: Object.keys(errors).length === 0,
-        errors
-    };
+/**
+ * Build one row per CSV column with a select of form fields
+ */
+function renderColumnMapping(headers, sampleRow, mapping) {
+    const t = translations[currentLanguage];
+    const tbody = document.getElementById('batch-mapping');
+    tbody.innerHTML = '';
+
+    headers.forEach((header, column) => {
+        const row = document.createElement('tr');
+
+        const headerCell = document.createElement('td');
+        headerCell.textContent = header;
+        row.appendChild(headerCell);
+
+        const sampleCell = document.createElement('td');
+        sampleCell.textContent = sampleRow[column] || '';
+        row.appendChild(sampleCell);
+
+        const targetCell = document.createElement('td');
+        const select = document.createElement('select');
+        select.className = 'batch-target';
+        select.setAttribute('aria-label', header);
+        [''].concat(Object.keys(CSV_COLUMN_TARGETS)).forEach(target => {
+            const option = document.createElement('option');
+            option.value = target;
+            option.textContent = target ? t.batchTargets[target] : t.batchIgnore;
+            select.appendChild(option);
+        });
+        select.value = mapping[column] || '';
+        targetCell.appendChild(select);
+        row.appendChild(targetCell);
+
+        tbody.appendChild(row);
+    });
 }
 
 /**
- * Email validation helper
+ * Read the selected target of every column
  */
-function isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+function collectColumnMapping() {
+    return Array.from(document.querySelectorAll('#batch-mapping .batch-target')).map(select => select.value);
 }
 
 /**
- * Phone validation helper (accepts various formats)
+ * Saved mappings keyed by header signature
  */
-function isValidPhone(phone) {
-    const phoneRegex = /^[\d\s\-\(\)]+$/;
-    const digits = phone.replace(/\D/g, '');
-    return phoneRegex.test(phone) && digits.length >= 10;
+function loadSavedColumnMappings() {
+    try {
+        return JSON.parse(localStorage.getItem(BATCH_MAPPING_STORAGE_KEY)) || {};
+    } catch (err) {
+        return {};
+    }
 }
 
 /**
- * Display validation errors in the UI
+ * Remember a mapping for files with the same headers
  */
-function displayValidationErrors(errors) {
-    // Clear all previous errors
-    document.querySelectorAll('.error-message').forEach(el => el.textContent = '');
-    document.querySelectorAll('input, select').forEach(el => el.classList.remove('error'));
+function saveColumnMapping(headers, mapping) {
+    const savedMappings = loadSavedColumnMappings();
+    savedMappings[columnMappingSignature(headers)] = mapping;
 
-    // Display new errors
-    Object.keys(errors).forEach(fieldName => {
-        const errorElement = document.getElementById(`${fieldName}-error`);
-        const inputElement = document.getElementById(fieldName);
+    try {
+        localStorage.setItem(BATCH_MAPPING_STORAGE_KEY, JSON.stringify(savedMappings));
+    } catch (err) {
+        console.error('Failed to save column mapping:', err);
+    }
+}
 
-        if (errorElement && inputElement) {
-            errorElement.textContent = errors[fieldName];
-            inputElement.classList.add('error');
+/**
+ * Convert every row of the roster into the Bundle
+ */
+async function handleBatchConvert() {
+    if (!batchData) return;
+
+    const t = translations[currentLanguage];
+    const mapping = collectColumnMapping();
+    const convertButton = document.getElementById('btn-batch-convert');
+    const progress = document.getElementById('batch-progress');
+    const progressText = document.getElementById('batch-progress-text');
+
+    saveColumnMapping(batchData.headers, mapping);
+    convertButton.disabled = true;
+    document.getElementById('batch-result-panel').style.display = 'none';
+    document.getElementById('batch-progress-panel').style.display = 'block';
+    progress.max = batchData.rows.length;
+    progress.value = 0;
+
+    batchResult = await convertCsvRowsToBundle(batchData.rows, mapping, {
+        identifierSettings: conversionSettings(),
+        bundleType: document.getElementById('bundle-type').value,
+        headers: batchData.headers,
+        rowLines: batchData.rowLines,
+        onProgress: (done, total) => {
+            progress.value = done;
+            progressText.textContent = formatMessage(t.batchProgress, { done, total });
         }
     });
+
+    convertButton.disabled = false;
+    displayBatchResult();
 }
 
 /**
- * Clear all validation errors
+ * Show the conversion summary and the first errors
  */
-function clearValidationErrors() {
-    document.querySelectorAll('.error-message').forEach(el => el.textContent = '');
-    document.querySelectorAll('input, select').forEach(el => el.classList.remove('error'));
-}
+function displayBatchResult() {
+    const t = translations[currentLanguage];
+    const failedRows = new Set(batchResult.errors.map(error => error.row)).size;
+    const summary = document.getElementById('batch-summary');
 
-// ===================================
-// UI/DOM Manipulation
-// ===================================
+    summary.textContent = formatMessage(t.batchSummary, {
+        converted: batchResult.bundle.entry.length,
+        failed: failedRows
+    });
+    summary.className = failedRows > 0 ? 'validation-summary has-errors' : 'validation-summary';
+
+    const tbody = document.getElementById('batch-errors');
+    tbody.innerHTML = '';
+    batchResult.errors.slice(0, BATCH_ERRORS_SHOWN).forEach(error => {
+        const row = document.createElement('tr');
+        row.className = 'issue-error';
+        [error.row, error.column, error.message].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+
+    document.getElementById('batch-errors-note').textContent = batchResult.errors.length > BATCH_ERRORS_SHOWN
+        ? formatMessage(t.batchErrorsTruncated, { shown: BATCH_ERRORS_SHOWN, total: batchResult.errors.length })
+        : '';
+    document.getElementById('btn-download-errors').disabled = batchResult.errors.length === 0;
+    document.getElementById('btn-download-bundle').disabled = batchResult.bundle.entry.length === 0;
+    document.getElementById('btn-download-ndjson').disabled = batchResult.bundle.entry.length === 0;
+    document.getElementById('batch-result-panel').style.display = 'block';
+}
 
 /**
- * Collect form data from DOM
+ * Download the Bundle (compact JSON keeps large rosters small)
  */
-function collectFormData() {
-    return {
-        firstName: document.getElementById('firstName').value.trim(),
-        lastName: document.getElementById('lastName').value.trim(),
-        dob: document.getElementById('dob').value,
-        gender: document.getElementById('gender').value,
-        phone: document.getElementById('phone').value.trim(),
-        email: document.getElementById('email').value.trim(),
-        addressLine: document.getElementById('addressLine').value.trim(),
-        city: document.getElementById('city').value.trim(),
-        state: document.getElementById('state').value.trim().toUpperCase(),
-        postalCode: document.getElementById('postalCode').value.trim(),
-        emergencyName: document.getElementById('emergencyName').value.trim(),
-        emergencyRelationship: document.getElementById('emergencyRelationship').value.trim(),
-        emergencyPhone: document.getElementById('emergencyPhone').value.trim()
-    };
+function downloadBatchBundle() {
+    if (!batchResult) return;
+
+    const timestamp = new Date().toISOString().split('T')[0];
+    downloadTextFile(JSON.stringify(batchResult.bundle), `fhir-bundle-${timestamp}.json`, 'application/fhir+json');
 }
 
 /**
- * Display FHIR JSON in the output section
+ * Download the converted patients as NDJSON (one Patient per line)
  */
-function displayFhirJson(fhirObject) {
-    const jsonString = JSON.stringify(fhirObject, null, 2);
-    const codeElement = document.getElementById('fhir-code');
-    
-    // Simple syntax highlighting
-    const highlighted = jsonString
-        .replace(/"([^"]+)":/g, '<span class="json-key">"$1"</span>:')
-        .replace(/: "([^"]*)"/g, ': <span class="json-string">"$1"</span>')
-        .replace(/: (\d+)/g, ': <span class="json-number">$1</span>')
-        .replace(/: (true|false)/g, ': <span class="json-boolean">$1</span>');
+function downloadBatchNdjson() {
+    if (!batchResult) return;
 
-    codeElement.innerHTML = highlighted;
-
-    // Show metadata
-    const metadataSection = document.getElementById('metadata-section');
-    const timestampElement = document.getElementById('meta-timestamp-value');
-    timestampElement.textContent = new Date().toLocaleString();
-    metadataSection.style.display = 'block';
+    const timestamp = new Date().toISOString().split('T')[0];
+    downloadTextFile(serializeNdjson(batchResult.bundle.entry.map(entry => entry.resource)),
+        `fhir-patients-${timestamp}.ndjson`, OUTPUT_FORMATS.ndjson.mimeType);
+}
 
-    // Enable download and copy buttons
-    document.getElementById('btn-download').disabled = false;
-    document.getElementById('btn-copy').disabled = false;
+/**
+ * Download the per-row error report as CSV
+ */
+function downloadBatchErrors() {
+    if (!batchResult) return;
 
-    // Store current JSON
-    currentFhirJson = fhirObject;
+    const timestamp = new Date().toISOString().split('T')[0];
+    downloadTextFile(buildBatchErrorReport(batchResult.errors, translations[currentLanguage]),
+        `fhir-batch-errors-${timestamp}.csv`, 'text/csv');
 }
 
 /**
- * Download FHIR JSON as file
+ * Save text as a file through a temporary link
  */
-function downloadFhirJson() {
-    if (!currentFhirJson) return;
-
-    const jsonString = JSON.stringify(currentFhirJson, null, 2);
-    const blob = new Blob([jsonString], { type: 'application/json' });
+function downloadTextFile(text, filename, type) {
+    const blob = new Blob([text], { type });
     const url = URL.createObjectURL(blob);
     
-    const timestamp = new Date().toISOString().split('T')[0];
-    const filename = `fhir-patient-${timestamp}.json`;
-    
     const link = document.createElement('a');
     link.href = url;
     link.download = filename;
@@ -410,148 +2379,158 @@ function downloadFhirJson() {
     URL.revokeObjectURL(url);
 }
 
+// ===================================
+// Synthetic Patients
+// ===================================
+
 /**
- * Copy FHIR JSON to clipboard
+ * Generate synthetic patients and download them as a Bundle
  */
-async function copyToClipboard() {
-    if (!currentFhirJson) return;
+function handleSyntheticGenerate() {
+    const t = translations[currentLanguage];
+    const countInput = document.getElementById('synthetic-count');
+    const countError = document.getElementById('synthetic-count-error');
+    const status = document.getElementById('synthetic-status');
+    const count = Number(countInput.value);
 
-    const jsonString = JSON.stringify(currentFhirJson, null, 2);
-    
-    try {
-        await navigator.clipboard.writeText(jsonString);
-        alert(translations[currentLanguage].successCopy);
-    } catch (err) {
-        console.error('Failed to copy:', err);
+    if (!Number.isInteger(count) || count < 1 || count > SYNTHETIC_MAX_COUNT) {
+        countError.textContent = formatMessage(t.errorSyntheticCount, { max: SYNTHETIC_MAX_COUNT });
+        countInput.classList.add('error');
+        return;
     }
+    countError.textContent = '';
+    countInput.classList.remove('error');
+
+    const bundle = generateSyntheticBundle({
+        count,
+        seed: document.getElementById('synthetic-seed').value.trim(),
+        bundleType: document.getElementById('synthetic-bundle-type').value,
+        identifierSettings: conversionSettings()
+    });
+
+    const timestamp = new Date().toISOString().split('T')[0];
+    downloadTextFile(JSON.stringify(bundle), `fhir-synthetic-${timestamp}.json`, 'application/fhir+json');
+    status.textContent = formatMessage(t.syntheticGenerated, { count: bundle.entry.length });
+    status.className = 'import-status import-success';
 }
 
+// ===================================
+// Language Switching
+// ===================================
+
 /**
- * Load demo/synthetic data into form
+ * Remembered language; without one the browser's languages pick a locale
  */
-function loadDemoData() {
-    document.getElementById('firstName').value = 'María';
-    document.getElementById('lastName').value = 'García';
-    document.getElementById('dob').value = '1985-03-15';
-    document.getElementById('gender').value = 'female';
-    document.getElementById('phone').value = '(555) 123-4567';
-    document.getElementById('email').value = 'maria.garcia@example.com';
-    document.getElementById('addressLine').value = '123 Medical Center Blvd';
-    document.getElementById('city').value = 'Los Angeles';
-    document.getElementById('state').value = 'CA';
-    document.getElementById('postalCode').value = '90001';
-    document.getElementById('emergencyName').value = 'Carlos García';
-    document.getElementById('emergencyRelationship').value = 'Spouse';
-    document.getElementById('emergencyPhone').value = '(555) 987-6543';
-    
-    // Clear any validation errors
-    clearValidationErrors();
+const LANGUAGE_STORAGE_KEY = 'fhirConverter.language';
+
+/**
+ * Fill the language picker from the available locale bundles
+ */
+function renderLanguageOptions() {
+    const select = document.getElementById('language-select');
+    select.innerHTML = '';
+    availableLocales.forEach(locale => {
+        const option = document.createElement('option');
+        option.value = locale.code;
+        option.lang = locale.code;
+        option.dir = locale.dir || 'ltr';
+        option.textContent = locale.name;
+        select.appendChild(option);
+    });
 }
 
 /**
- * Handle form submission
+ * Language of the last session, or the browser's preferred one
  */
-function handleFormSubmit(event) {
-    event.preventDefault();
-    
-    // Clear previous errors
-    clearValidationErrors();
-    
-    // Collect form data
-    const formData = collectFormData();
-    
-    // Validate form data
-    const validation = validateFormData(formData);
-    
-    if (!validation.isValid) {
-        displayValidationErrors(validation.errors);
-        alert(translations[currentLanguage].errorValidation);
-        return;
+function loadLanguagePreference() {
+    try {
+        const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+        if (saved && findLocale(saved)) return saved;
+    } catch (err) {
+        console.error('Failed to load language preference:', err);
     }
-    
-    // Convert to FHIR
-    const fhirPatient = mapToFhirPatient(formData);
-    
-    // Display result
-    displayFhirJson(fhirPatient);
-    
-    // Scroll to output
-    document.getElementById('fhir-converter').scrollIntoView({ 
-        behavior: 'smooth',
-        block: 'start'
-    });
+    return matchLocale(navigator.languages || [navigator.language]);
 }
 
-// ===================================
-// Language Switching
-// ===================================
+/**
+ * Handle a choice in the language picker and remember it
+ */
+async function handleLanguageChange(event) {
+    const lang = event.target.value;
+    try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, lang);
+    } catch (err) {
+        console.error('Failed to save language preference:', err);
+    }
+    await updateLanguage(lang);
+}
 
 /**
  * Update UI text based on current language
  */
-function updateLanguage(lang) {
-    currentLanguage = lang;
+async function updateLanguage(lang) {
+    try {
+        await setLanguage(lang);
+    } catch (err) {
+        // The bundle could not be loaded; stay in the current language
+        console.error(`Failed to load locale ${lang}:`, err);
+        document.getElementById('language-select').value = currentLanguage;
+        return;
+    }
     const t = translations[lang];
     
-    // Update main header
-    document.getElementById('main-title').textContent = t.mainTitle;
-    document.getElementById('main-subtitle').textContent = t.mainSubtitle;
-    
-    // Update form title
-    document.getElementById('form-title').textContent = t.formTitle;
-    
-    // Update fieldset legends
-    document.getElementById('legend-demographics').textContent = t.legendDemographics;
-    document.getElementById('legend-contact').textContent = t.legendContact;
-    document.getElementById('legend-address').textContent = t.legendAddress;
-    document.getElementById('legend-emergency').textContent = t.legendEmergency;
-    
-    // Update labels
-    document.getElementById('label-firstname').textContent = t.labelFirstname;
-    document.getElementById('label-lastname').textContent = t.labelLastname;
-    document.getElementById('label-dob').textContent = t.labelDob;
-    document.getElementById('label-gender').textContent = t.labelGender;
-    document.getElementById('label-phone').textContent = t.labelPhone;
-    document.getElementById('label-email').textContent = t.labelEmail;
-    document.getElementById('label-addressline').textContent = t.labelAddressline;
-    document.getElementById('label-city').textContent = t.labelCity;
-    document.getElementById('label-state').textContent = t.labelState;
-    document.getElementById('label-postalcode').textContent = t.labelPostalcode;
-    document.getElementById('label-emergencyname').textContent = t.labelEmergencyname;
-    document.getElementById('label-relationship').textContent = t.labelRelationship;
-    document.getElementById('label-emergencyphone').textContent = t.labelEmergencyphone;
-    
-    // Update select options
-    document.getElementById('option-select').textContent = t.optionSelect;
-    document.getElementById('option-male').textContent = t.optionMale;
-    document.getElementById('option-female').textContent = t.optionFemale;
-    document.getElementById('option-other').textContent = t.optionOther;
-    document.getElementById('option-unknown').textContent = t.optionUnknown;
+    // Page language and direction (Arabic is laid out right to left)
+    document.documentElement.lang = lang;
+    document.documentElement.dir = localeDirection(lang);
+    document.title = t.mainTitle;
+    document.getElementById('language-select').value = lang;
+    
+    // Every element with a data-i18n key, including repeatable entries
+    applyDataTranslations(document, t);
+    labelCountryOptions();
+    document.querySelectorAll('#addresses-entries > .repeatable-entry, #contacts-entries > .repeatable-entry')
+        .forEach(entry => updateAddressHint(entry, false));
+    refreshPhoneHints();
+    labelLanguageCodeOptions();
+    document.querySelectorAll('#communications-entries > .repeatable-entry').forEach(setupCommunicationEntry);
+    
+    // Update US Core demographics
+    updateUsCoreOptionLabels(t);
     
     // Update buttons
-    document.getElementById('btn-demo-text').textContent = t.btnDemo;
-    document.getElementById('btn-generate-text').textContent = t.btnGenerate;
-    document.getElementById('btn-download-text').textContent = t.btnDownload;
-    document.getElementById('btn-copy-text').textContent = t.btnCopy;
+    document.getElementById('btn-download-text').textContent =
+        formatMessage(t.btnDownload, { format: OUTPUT_FORMATS[outputFormat].label });
     
     // Update output section
-    document.getElementById('output-title').textContent = t.outputTitle;
-    document.getElementById('meta-resource').textContent = t.metaResource;
-    document.getElementById('meta-standard').textContent = t.metaStandard;
-    document.getElementById('meta-timestamp').textContent = t.metaTimestamp;
+    const timestampElement = document.getElementById('meta-timestamp-value');
+    if (timestampElement.dataset.time) {
+        timestampElement.textContent = formatLocaleDateTime(timestampElement.dataset.time);
+    }
+    
+    // Update FHIR server panel
+    if (duplicateResult) {
+        displayDuplicateCandidates();
+    }
     
-    // Update footer
-    document.getElementById('footer-text').textContent = t.footerText;
+    // Update worklist and audit log
+    renderWorklist();
+    renderAuditLog();
+    if (historyRecord) {
+        const from = document.getElementById('history-from').value;
+        showVersionHistory(historyRecord);
+        document.getElementById('history-from').value = from;
+        renderVersionDiff();
+    }
     
-    // Update language buttons
-    document.querySelectorAll('.lang-btn').forEach(btn => {
-        btn.classList.remove('active');
-        btn.setAttribute('aria-pressed', 'false');
+    // Update batch section
+    document.querySelectorAll('#batch-mapping .batch-target option').forEach(option => {
+        option.textContent = option.value ? t.batchTargets[option.value] : t.batchIgnore;
     });
     
-    const activeBtn = document.getElementById(`lang-${lang}`);
-    activeBtn.classList.add('active');
-    activeBtn.setAttribute('aria-pressed', 'true');
+    // Re-run validation so issue messages follow the language
+    if (validatedResource) {
+        displayStructuralValidation(validatedResource);
+    }
 }
 
 // ===================================
@@ -561,30 +2540,149 @@ function updateLanguage(lang) {
 /**
  * Initialize application when DOM is ready
  */
-document.addEventListener('DOMContentLoaded', function() {
-    // Language switching
-    document.getElementById('lang-en').addEventListener('click', function() {
-        updateLanguage('en');
+async function initializeApp() {
+    // Language picker, filled from the available locale bundles; the
+    // remembered (or browser) language is loaded before any text is shown
+    renderLanguageOptions();
+    document.getElementById('language-select').addEventListener('change', handleLanguageChange);
+    try {
+        await setLanguage(loadLanguagePreference());
+    } catch (err) {
+        console.error('Failed to load the preferred locale:', err);
+    }
+    
+    // US Core race, ethnicity, birth sex and gender identity pickers
+    renderUsCoreOptions();
+    
+    // Contact role and relationship pickers
+    renderContactRelationshipOptions();
+    
+    // Countries and US states of the address pickers
+    renderAddressOptions();
+    
+    // Language suggestions of the communication entries
+    renderLanguageCodeOptions();
+    
+    // Identifier types, issuing states and id settings
+    renderIdentifierIssuerOptions();
+    loadIdentifierSettings();
+    document.getElementById('mrn-namespace').addEventListener('change', handleIdentifierSettingsChange);
+    document.getElementById('id-strategy').addEventListener('change', handleIdentifierSettingsChange);
+    
+    // Marital status, death, multiple birth and photo
+    renderMaritalStatusOptions();
+    document.getElementById('deceased').addEventListener('change', updateDemographicFields);
+    document.getElementById('multipleBirth').addEventListener('change', updateDemographicFields);
+    document.getElementById('photo').addEventListener('change', handlePhotoFile);
+    document.getElementById('btn-remove-photo').addEventListener('click', () => {
+        setPhoto(null);
+        scheduleDraftSave();
     });
+    updateDemographicFields();
+    
+    // Target profile: its required fields and identifier types
+    renderTargetProfileOptions();
+    loadTargetProfile();
+    document.getElementById('target-profile').addEventListener('change', handleTargetProfileChange);
     
-    document.getElementById('lang-es').addEventListener('click', function() {
-        updateLanguage('es');
+    // Repeatable field groups start with one entry each
+    REPEATABLE_GROUPS.forEach(groupName => addRepeatableEntry(groupName));
+    document.querySelectorAll('[data-add-entry]').forEach(button => {
+        button.addEventListener('click', function() {
+            addRepeatableEntry(button.dataset.addEntry);
+        });
     });
     
-    // Demo data button
+    // Demo data and new patient buttons
     document.getElementById('btn-demo').addEventListener('click', loadDemoData);
+    document.getElementById('btn-new').addEventListener('click', startNewPatient);
+    
+    // Draft autosave and the worklist
+    document.getElementById('patient-form').addEventListener('input', scheduleDraftSave);
+    document.getElementById('patient-form').addEventListener('change', scheduleDraftSave);
+    document.getElementById('worklist-search').addEventListener('input', renderWorklist);
+    document.getElementById('worklist-gender').addEventListener('change', renderWorklist);
+    document.getElementById('history-from').addEventListener('change', renderVersionDiff);
+    document.getElementById('history-to').addEventListener('change', renderVersionDiff);
+    document.getElementById('btn-history-open').addEventListener('click', function() {
+        if (!historyRecord) return;
+        openStoredVersion(historyRecord.versions[document.getElementById('history-to').value].resource);
+    });
+    document.getElementById('btn-store-export').addEventListener('click', handleStoreExport);
+    document.getElementById('btn-store-import').addEventListener('click', function() {
+        document.getElementById('store-import-file').click();
+    });
+    document.getElementById('store-import-file').addEventListener('change', handleStoreImport);
+    document.getElementById('btn-store-clear').addEventListener('click', handleStoreClear);
+    initWorklist();
+    
+    // Operator, reason and the audit log
+    loadAuditSettings();
+    ['operator-name', 'operator-id', 'audit-exports'].forEach(id => {
+        document.getElementById(id).addEventListener('change', handleAuditSettingsChange);
+    });
+    document.getElementById('btn-audit-export').addEventListener('click', handleAuditExport);
+    refreshAuditLog();
     
     // Form submission
     document.getElementById('patient-form').addEventListener('submit', handleFormSubmit);
     
     // Download button
     document.getElementById('btn-download').addEventListener('click', downloadFhirJson);
+    loadOutputFormat();
+    document.getElementById('output-format').addEventListener('change', handleOutputFormatChange);
+    document.getElementById('btn-download-hl7').addEventListener('click', downloadHl7v2Message);
     
     // Copy button
     document.getElementById('btn-copy').addEventListener('click', copyToClipboard);
     
-    // Initialize with English
-    updateLanguage('en');
+    // Download with the audit trail
+    document.getElementById('btn-download-audit').addEventListener('click', downloadAuditBundle);
+    
+    // De-identified download
+    document.getElementById('btn-download-deidentified').addEventListener('click', downloadDeidentifiedBundle);
+    
+    // FHIR server
+    loadServerSettings();
+    document.getElementById('server-auth').addEventListener('change', updateServerAuthFields);
+    document.getElementById('btn-server-create').addEventListener('click', () => handleServerSend('create'));
+    document.getElementById('btn-server-update').addEventListener('click', () => handleServerSend('update'));
+    document.getElementById('btn-server-conditional').addEventListener('click', () => handleServerSend('conditional'));
+    document.getElementById('btn-server-duplicates').addEventListener('click', handleDuplicateCheck);
+    
+    // Batch conversion
+    document.getElementById('batch-file').addEventListener('change', handleBatchFile);
+    document.getElementById('btn-batch-convert').addEventListener('click', handleBatchConvert);
+    document.getElementById('btn-download-bundle').addEventListener('click', downloadBatchBundle);
+    document.getElementById('btn-download-ndjson').addEventListener('click', downloadBatchNdjson);
+    document.getElementById('btn-download-errors').addEventListener('click', downloadBatchErrors);
+    
+    // Synthetic patients
+    document.getElementById('btn-synthetic-generate').addEventListener('click', handleSyntheticGenerate);
+    
+    // Import controls
+    const importSection = document.getElementById('import-section');
+    document.getElementById('btn-import').addEventListener('click', handleImportClick);
+    document.getElementById('import-file').addEventListener('change', handleImportFile);
+    importSection.addEventListener('dragover', function(event) {
+        event.preventDefault();
+        importSection.classList.add('drag-over');
+    });
+    importSection.addEventListener('dragleave', function() {
+        importSection.classList.remove('drag-over');
+    });
+    importSection.addEventListener('drop', handleImportDrop);
+    
+    // Translate the page into the loaded language
+    await updateLanguage(currentLanguage);
     
     console.log('FHIR Patient Data Converter initialized successfully');
-});
\ No newline at end of file
+}
+
+// Module scripts run after parsing, but the locale bundles they await
+// can finish loading after DOMContentLoaded has fired
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeApp);
+} else {
+    initializeApp();
+}
\ No newline at end of file
@@ -0,0 +1,261 @@
+/**
+ * ===================================
+ * De-identification
+ * HIPAA Safe Harbor for Patient resources
+ * ===================================
+ *
+ * Purpose: Remove from a Patient the identifiers listed by the HIPAA Safe
+ *          Harbor method (45 CFR 164.514(b)(2)) so it can be used as test
+ *          or research data
+ * Rules:   Only the elements listed below are kept, so anything unknown is
+ *          dropped. Names, telecom, photos, contacts and links are removed;
+ *          addresses keep the state, the country and the first three digits
+ *          of a US ZIP code (000 for the sparsely populated ZIP areas);
+ *          dates keep only the year, or are shifted by a number of days
+ *          fixed per patient (intervals are kept, but this alone is not Safe
+ *          Harbor); ages over 89 are aggregated; the id and identifiers are
+ *          replaced with keyed hashes
+ */
+
+import { currentLanguage } from './fhir-translations.js';
+import { hmacSha1Hex, uuidV5 } from './fhir-identifiers.js';
+import { TARGET_PROFILES } from './fhir-profiles.js';
+import { buildPatientNarrative } from './fhir-patient.js';
+
+// ===================================
+// Rules
+// ===================================
+
+/**
+ * How dates are de-identified: keep the year, or shift by a number of days
+ */
+export const DEIDENTIFY_DATE_MODES = ['truncate', 'shift'];
+
+/**
+ * Largest date shift, in days either way
+ */
+const DATE_SHIFT_MAX_DAYS = 365;
+
+/**
+ * Oldest age that may be given; older patients are "90 or older"
+ */
+const SAFE_HARBOR_MAX_AGE = 89;
+
+/**
+ * Three-digit ZIP areas with 20,000 people or fewer (2000 Census), written
+ * as 000
+ */
+const RESTRICTED_ZIP_PREFIXES = [
+    '036', '059', '063', '102', '203', '556', '692', '790', '821',
+    '823', '830', '831', '878', '879', '884', '890', '893'
+];
+
+/**
+ * System of hashed identifier values
+ */
+export const DEIDENTIFIED_IDENTIFIER_SYSTEM = 'https://github.com/dquint32/fhir-patient-converter/deidentified-identifier';
+
+/**
+ * Namespace of de-identified Patient ids
+ * (UUIDv5 of "https://github.com/dquint32/fhir-patient-converter/Patient/deidentified" in the URL namespace)
+ */
+const DEIDENTIFIED_ID_NAMESPACE = '06324357-c8f4-5dfd-80d7-639dae88acd7';
+
+/**
+ * Security label of de-identified resources: the hashes can be linked back
+ * by whoever holds the key, so the data is pseudonymized
+ */
+const PSEUDONYMIZED_LABEL = {
+    system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationValue',
+    code: 'PSEUDED',
+    display: 'pseudonymized'
+};
+
+/**
+ * Profiles the result can no longer conform to, because they require a name
+ */
+const NAME_REQUIRED_PROFILE_URLS = Object.values(TARGET_PROFILES)
+    .filter(profile => profile.cardinality['Patient.name'])
+    .map(profile => profile.url);
+
+/**
+ * Extensions known to carry no identifiers (race, ethnicity, birth sex,
+ * gender identity, interpreter required); others could hold names
+ */
+const KEPT_EXTENSION_URLS = new Set(Object.values(TARGET_PROFILES).flatMap(profile => profile.extensions));
+
+/**
+ * Elements copied unchanged
+ */
+const KEPT_ELEMENTS = [
+    'active', 'gender', 'maritalStatus', 'multipleBirthBoolean', 'multipleBirthInteger',
+    'communication', 'generalPractitioner', 'managingOrganization'
+];
+
+// ===================================
+// De-identification
+// ===================================
+
+/**
+ * New random key for hashing identifiers (32 hex digits)
+ */
+export function createDeidentifyKey() {
+    const bytes = new Uint8Array(16);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        crypto.getRandomValues(bytes);
+    } else {
+        bytes.forEach((byte, index) => { bytes[index] = Math.floor(Math.random() * 256); });
+    }
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * De-identified copy of a Patient
+ * @param {Object} patient - FHIR Patient resource
+ * @param {Object} options - dateMode ('truncate' or 'shift') and the key of
+ *                           the hashes; patients de-identified with the same
+ *                           key keep the same hashes and date shift
+ * @returns {Object} Patient without Safe Harbor identifiers
+ */
+export function deidentifyPatient(patient, options) {
+    const key = options.key || createDeidentifyKey();
+    const subject = patient.id || JSON.stringify(patient.identifier || []);
+    const shiftDays = options.dateMode === 'shift' ? dateShiftDays(key, subject) : 0;
+    const over89 = isOlderThanSafeHarbor(patient);
+    const meta = patient.meta || {};
+
+    const result = {
+        resourceType: 'Patient',
+        id: uuidV5(DEIDENTIFIED_ID_NAMESPACE, hmacSha1Hex(key, subject)),
+        meta: {
+            profile: (meta.profile || []).filter(url => !NAME_REQUIRED_PROFILE_URLS.includes(url)),
+            security: (meta.security || [])
+                .filter(label => label.code !== PSEUDONYMIZED_LABEL.code)
+                .concat(PSEUDONYMIZED_LABEL)
+        },
+        text: { status: 'generated', div: '' },
+        extension: (patient.extension || []).filter(extension => KEPT_EXTENSION_URLS.has(extension.url)),
+        identifier: (patient.identifier || []).filter(identifier => identifier.value).map(identifier => {
+            const hashed = {};
+            if (identifier.use) hashed.use = identifier.use;
+            if (identifier.type) hashed.type = identifier.type;
+            hashed.system = DEIDENTIFIED_IDENTIFIER_SYSTEM;
+            hashed.value = hmacSha1Hex(key, `${identifier.system || ''}|${identifier.value}`);
+            return hashed;
+        }),
+        address: (patient.address || []).map(deidentifyAddress).filter(Boolean)
+    };
+
+    KEPT_ELEMENTS.forEach(element => {
+        if (patient[element] !== undefined) result[element] = patient[element];
+    });
+
+    if (patient.birthDate) {
+        result.birthDate = over89 ? aggregatedBirthYear() : deidentifyDate(patient.birthDate, shiftDays);
+    }
+    // The year of death of a patient over 89 would give the age away
+    if (patient.deceasedDateTime) {
+        if (over89) {
+            result.deceasedBoolean = true;
+        } else {
+            result.deceasedDateTime = deidentifyDate(patient.deceasedDateTime, shiftDays);
+        }
+    } else if (patient.deceasedBoolean !== undefined) {
+        result.deceasedBoolean = patient.deceasedBoolean;
+    }
+
+    ['extension', 'identifier', 'address'].forEach(element => {
+        if (result[element].length === 0) delete result[element];
+    });
+    if (result.meta.profile.length === 0) delete result.meta.profile;
+
+    result.text.div = buildPatientNarrative(result, currentLanguage);
+    return result;
+}
+
+/**
+ * Address reduced to its use and type, state, country and three-digit ZIP
+ * @returns {Object|null} Address, or null when nothing is left
+ */
+function deidentifyAddress(address) {
+    const reduced = {};
+    if (address.use) reduced.use = address.use;
+    if (address.type) reduced.type = address.type;
+    if (address.state) reduced.state = address.state;
+
+    const zip = /^(\d{3})\d{2}(?:-\d{4})?$/.exec(address.postalCode || '');
+    if (zip && (!address.country || address.country === 'US')) {
+        reduced.postalCode = RESTRICTED_ZIP_PREFIXES.includes(zip[1]) ? '000' : zip[1];
+    }
+    if (address.country) reduced.country = address.country;
+
+    return reduced.state || reduced.postalCode || reduced.country ? reduced : null;
+}
+
+/**
+ * A date or dateTime as its year, or shifted by whole days (as a date)
+ * @param {string} value - FHIR date or dateTime
+ * @param {number} shiftDays - Days to shift; 0 keeps only the year
+ */
+function deidentifyDate(value, shiftDays) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+    // Partial dates (year, year-month) cannot be shifted by days
+    if (shiftDays === 0 || !match) return value.substring(0, 4);
+
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + shiftDays));
+    return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Days a patient's dates are shifted, from the key: 1 to 365 either way
+ */
+function dateShiftDays(key, subject) {
+    const number = parseInt(hmacSha1Hex(key, `date-shift|${subject}`).substring(0, 8), 16);
+    const days = number % DATE_SHIFT_MAX_DAYS + 1;
+    return number & 0x80000000 ? -days : days;
+}
+
+/**
+ * Whether the patient is (or was at death) older than 89
+ */
+function isOlderThanSafeHarbor(patient) {
+    const birth = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?/.exec(patient.birthDate || '');
+    if (!birth) return false;
+
+    const end = patient.deceasedDateTime ? new Date(patient.deceasedDateTime.substring(0, 10)) : new Date();
+    const birthday = new Date(Date.UTC(end.getUTCFullYear(), Number(birth[2] || 1) - 1, Number(birth[3] || 1)));
+    const age = end.getUTCFullYear() - Number(birth[1]) - (end < birthday ? 1 : 0);
+    return age > SAFE_HARBOR_MAX_AGE;
+}
+
+/**
+ * Birth year written for every patient 90 or older
+ */
+function aggregatedBirthYear() {
+    return String(new Date().getUTCFullYear() - SAFE_HARBOR_MAX_AGE - 1);
+}
+
+/**
+ * Bundle of de-identified copies of the Patients of a Bundle; other
+ * resources are left out
+ * @param {Object} bundle - FHIR Bundle
+ * @param {Object} options - As for deidentifyPatient(); one key is used
+ *                           for the whole Bundle
+ * @returns {Object} Bundle of the same type
+ */
+export function deidentifyBundle(bundle, options) {
+    const settings = { ...options, key: options.key || createDeidentifyKey() };
+    return {
+        resourceType: 'Bundle',
+        type: bundle.type || 'collection',
+        timestamp: new Date().toISOString(),
+        entry: (bundle.entry || [])
+            .filter(entry => entry.resource && entry.resource.resourceType === 'Patient')
+            .map(entry => {
+                const patient = deidentifyPatient(entry.resource, settings);
+                const deidentified = { fullUrl: `urn:uuid:${patient.id}`, resource: patient };
+                if (entry.request) deidentified.request = { method: 'POST', url: 'Patient' };
+                return deidentified;
+            })
+    };
+}
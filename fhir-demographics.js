@@ -0,0 +1,187 @@
+/**
+ * ===================================
+ * Extended Patient Demographics
+ * HL7 FHIR Standard Compliant Module
+ * ===================================
+ *
+ * Purpose: Code the registration details of a Patient beyond name, birth
+ *          date and gender: marital status, death, multiple birth, photo
+ *          and the patient's care providers
+ * Standard: Patient.maritalStatus is bound (extensible) to the R4
+ *           MaritalStatus value set (v3 MaritalStatus and NullFlavor UNK);
+ *           the photo is an Attachment with inline base64 data;
+ *           generalPractitioner and managingOrganization are literal
+ *           References
+ */
+
+// ===================================
+// Marital Status
+// ===================================
+
+const MARITAL_STATUS_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-MaritalStatus';
+const NULL_FLAVOR_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-NullFlavor';
+
+/**
+ * R4 MaritalStatus value set; display is the code system display
+ */
+export const MARITAL_STATUS_CODES = {
+    A: 'Annulled',
+    D: 'Divorced',
+    I: 'Interlocutory',
+    L: 'Legally Separated',
+    M: 'Married',
+    P: 'Polygamous',
+    S: 'Never Married',
+    T: 'Domestic partner',
+    U: 'unmarried',
+    W: 'Widowed',
+    UNK: 'unknown'
+};
+
+/**
+ * Patient.maritalStatus for a code of the value set
+ * @returns {Object|null} CodeableConcept, or null for an empty or unknown code
+ */
+export function buildMaritalStatus(code) {
+    if (!MARITAL_STATUS_CODES[code]) return null;
+
+    return {
+        coding: [{
+            system: code === 'UNK' ? NULL_FLAVOR_SYSTEM : MARITAL_STATUS_SYSTEM,
+            code,
+            display: MARITAL_STATUS_CODES[code]
+        }]
+    };
+}
+
+/**
+ * Value set code of a Patient.maritalStatus, or '' when it has none
+ */
+export function readMaritalStatus(concept) {
+    const coding = ((concept && concept.coding) || []).find(entry =>
+        MARITAL_STATUS_CODES[entry.code] &&
+        entry.system === (entry.code === 'UNK' ? NULL_FLAVOR_SYSTEM : MARITAL_STATUS_SYSTEM));
+    return coding ? coding.code : '';
+}
+
+// ===================================
+// Death and Multiple Birth
+// ===================================
+
+/**
+ * Patient.deceased[x] for the form's answer ("true", "false" or '') and
+ * date of death; the date is only sent for a deceased patient
+ * @returns {Object} deceasedDateTime, deceasedBoolean, or nothing
+ */
+export function buildDeceased(deceased, date) {
+    if (deceased === 'true' && date) return { deceasedDateTime: date };
+    if (deceased === 'true' || deceased === 'false') return { deceasedBoolean: deceased === 'true' };
+    return {};
+}
+
+/**
+ * Patient.multipleBirth[x] for the form's answer ("true", "false" or '')
+ * and birth order; the order is only sent for a multiple birth
+ * @returns {Object} multipleBirthInteger, multipleBirthBoolean, or nothing
+ */
+export function buildMultipleBirth(multipleBirth, birthOrder) {
+    if (multipleBirth === 'true' && birthOrder) return { multipleBirthInteger: Number(birthOrder) };
+    if (multipleBirth === 'true' || multipleBirth === 'false') return { multipleBirthBoolean: multipleBirth === 'true' };
+    return {};
+}
+
+// ===================================
+// Photo
+// ===================================
+
+/**
+ * Image types accepted for Patient.photo
+ */
+export const PHOTO_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+/**
+ * Largest photo accepted (1 MB); it is stored inline in every version
+ */
+export const PHOTO_MAX_BYTES = 1024 * 1024;
+
+/**
+ * Size in bytes of base64 data
+ */
+export function base64ByteLength(data) {
+    const text = (data || '').replace(/\s/g, '');
+    const padding = (text.match(/=*$/) || [''])[0].length;
+    return Math.floor(text.length * 3 / 4) - padding;
+}
+
+/**
+ * Problem with a form photo, as a message key and its parameters
+ * @param {Object} photo - contentType, base64 data and title
+ * @returns {Object|null} key and params, or null for an acceptable photo
+ */
+export function checkPhoto(photo) {
+    if (!PHOTO_CONTENT_TYPES.includes(photo.contentType) || !/^[A-Za-z0-9+/]+={0,2}$/.test(photo.data || '')) {
+        return { key: 'errorPhotoType', params: {} };
+    }
+    if (base64ByteLength(photo.data) > PHOTO_MAX_BYTES) {
+        return { key: 'errorPhotoSize', params: { max: `${PHOTO_MAX_BYTES / (1024 * 1024)} MB` } };
+    }
+    return null;
+}
+
+/**
+ * Patient.photo Attachment for the form's photo ({contentType, data, title})
+ */
+export function buildPhoto(photo) {
+    const attachment = {
+        contentType: photo.contentType,
+        data: photo.data,
+        size: base64ByteLength(photo.data)
+    };
+    if (photo.title) attachment.title = photo.title;
+    return attachment;
+}
+
+/**
+ * Form photo of an Attachment with inline image data
+ * @returns {Object|null} contentType, data and title, or null when the
+ *                        Attachment has no image data the form can show
+ */
+export function readPhoto(attachment) {
+    if (!attachment || !PHOTO_CONTENT_TYPES.includes(attachment.contentType) || !attachment.data) return null;
+    return { contentType: attachment.contentType, data: attachment.data, title: attachment.title || '' };
+}
+
+// ===================================
+// Care Provider References
+// ===================================
+
+/**
+ * Resource types each Patient reference element may point to
+ */
+export const REFERENCE_TARGETS = {
+    generalPractitioner: ['Organization', 'Practitioner', 'PractitionerRole'],
+    managingOrganization: ['Organization']
+};
+
+/**
+ * Checks a literal reference ("Practitioner/123", an absolute URL ending
+ * in Type/id, optionally with a _history version) against the target types
+ */
+export function isValidReference(reference, types) {
+    const match = /^(?:https?:\/\/\S+\/)?([A-Z][A-Za-z]+)\/[A-Za-z0-9\-.]{1,64}(?:\/_history\/[A-Za-z0-9\-.]{1,64})?$/
+        .exec(reference || '');
+    return Boolean(match) && types.includes(match[1]);
+}
+
+/**
+ * Reference for a reference entry of the form ({reference, display})
+ * @returns {Object|null} Reference, or null when the entry is empty
+ */
+export function buildReference(entry) {
+    if (!entry.reference && !entry.display) return null;
+
+    const reference = {};
+    if (entry.reference) reference.reference = entry.reference;
+    if (entry.display) reference.display = entry.display;
+    return reference;
+}
@@ -0,0 +1,327 @@
+/**
+ * ===================================
+ * FHIR Output Formats
+ * HL7 FHIR Standard Compliant Module
+ * ===================================
+ *
+ * Purpose: Serialize resources as FHIR JSON, FHIR XML, FHIR RDF Turtle
+ *          and NDJSON (one resource per line, as used by Bulk Data)
+ * Standard: HL7 FHIR R4 (v4.0.1) XML and RDF representations
+ * Element order: Taken from the structure definitions of the validator,
+ *                which list elements in StructureDefinition order
+ */
+
+import { FHIR_PRIMITIVE_RULES, FHIR_STRUCTURES, FHIR_BACKBONE_TYPES } from './fhir-validator.js';
+
+// ===================================
+// Formats
+// ===================================
+
+/**
+ * Output formats: MIME type and file extension
+ */
+export const OUTPUT_FORMATS = {
+    json: { mimeType: 'application/fhir+json', extension: 'json', label: 'JSON' },
+    xml: { mimeType: 'application/fhir+xml', extension: 'xml', label: 'XML' },
+    turtle: { mimeType: 'text/turtle', extension: 'ttl', label: 'Turtle' },
+    ndjson: { mimeType: 'application/fhir+ndjson', extension: 'ndjson', label: 'NDJSON' }
+};
+
+const FHIR_XML_NAMESPACE = 'http://hl7.org/fhir';
+const FHIR_RDF_NAMESPACE = 'http://hl7.org/fhir/';
+
+/**
+ * Property name prefix of backbone elements in RDF (Patient.contact.name)
+ */
+const FHIR_BACKBONE_PATHS = {
+    PatientContact: 'Patient.contact',
+    PatientCommunication: 'Patient.communication',
+    PatientLink: 'Patient.link'
+};
+
+/**
+ * Serializes a resource in an output format
+ * @param {Object} resource - FHIR resource (JSON)
+ * @param {string} format - Key of OUTPUT_FORMATS
+ * @returns {string} Serialized resource
+ */
+export function serializeResource(resource, format) {
+    switch (format) {
+        case 'xml':
+            return serializeFhirXml(resource);
+        case 'turtle':
+            return serializeFhirTurtle(resource);
+        case 'ndjson':
+            return serializeNdjson([resource]);
+        default:
+            return JSON.stringify(resource, null, 2);
+    }
+}
+
+/**
+ * NDJSON: one resource per line, each line ending with a newline
+ * @param {Array} resources - FHIR resources
+ * @returns {string} NDJSON text
+ */
+export function serializeNdjson(resources) {
+    return resources.map(resource => JSON.stringify(resource) + '\n').join('');
+}
+
+// ===================================
+// Element Model
+// ===================================
+
+/**
+ * Elements of an object in definition order: [name, value, type, primitive extensions]
+ * Elements the definitions do not know are kept at the end in JSON order
+ * @param {Object} value - JSON object
+ * @param {string} typeName - FHIR type (key of FHIR_STRUCTURES), '' if unknown
+ * @returns {Array} Ordered elements
+ */
+function orderedFhirElements(value, typeName) {
+    const structure = FHIR_STRUCTURES[typeName] || {};
+    const isResource = Boolean(value.resourceType);
+    const elements = [];
+    const used = new Set(['resourceType']);
+
+    const add = (name, type) => {
+        if (used.has(name) || (value[name] === undefined && value[`_${name}`] === undefined)) return;
+        used.add(name);
+        used.add(`_${name}`);
+        elements.push([name, value[name], type, value[`_${name}`]]);
+    };
+
+    // Datatypes and backbone elements start with id and extensions
+    // (the id of a datatype, and Extension.url, are attributes in XML)
+    if (!isResource) {
+        used.add('id');
+        if (typeName === 'Extension') add('url', 'uri');
+        add('extension', 'Extension');
+        if (FHIR_BACKBONE_TYPES.includes(typeName)) add('modifierExtension', 'Extension');
+    }
+
+    Object.keys(structure).forEach(key => {
+        const definition = structure[key];
+        if (!key.endsWith('[x]')) {
+            add(key, definition.type);
+            return;
+        }
+
+        // Choice element: the JSON name carries the type (valueCoding, deceasedBoolean)
+        const base = key.slice(0, -3);
+        Object.keys(value).forEach(name => {
+            if (!name.startsWith(base) || name.length === base.length || name.startsWith('_')) return;
+            const suffix = name.substring(base.length);
+            const type = definition.types.find(candidate => candidate.toLowerCase() === suffix.toLowerCase());
+            if (type) add(name, type);
+        });
+    });
+
+    Object.keys(value).forEach(name => {
+        if (name.startsWith('_')) {
+            if (!used.has(name)) add(name.substring(1), '');
+            return;
+        }
+        add(name, '');
+    });
+
+    return elements;
+}
+
+/**
+ * Whether a type is a FHIR primitive (value attribute in XML, fhir:value in RDF)
+ */
+function isFhirPrimitiveType(type, value) {
+    if (type) return Boolean(FHIR_PRIMITIVE_RULES[type]);
+    return value === null || typeof value !== 'object';
+}
+
+// ===================================
+// FHIR XML
+// ===================================
+
+/**
+ * FHIR XML representation of a resource
+ * @param {Object} resource - FHIR resource (JSON)
+ * @returns {string} XML document
+ */
+function serializeFhirXml(resource) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + xmlResource(resource, '', true);
+}
+
+/**
+ * One resource element (the namespace is declared on the outermost one)
+ */
+function xmlResource(resource, indent, root) {
+    const namespace = root ? ` xmlns="${FHIR_XML_NAMESPACE}"` : '';
+    const children = xmlChildren(resource, resource.resourceType, `${indent}  `);
+    return `${indent}<${resource.resourceType}${namespace}>\n${children}${indent}</${resource.resourceType}>\n`;
+}
+
+/**
+ * Child elements of an object, in definition order
+ */
+function xmlChildren(value, typeName, indent) {
+    return orderedFhirElements(value, typeName).map(([name, content, type, primitiveExtension]) => {
+        const values = Array.isArray(content) ? content : [content];
+        const extensions = Array.isArray(content) ? (primitiveExtension || []) : [primitiveExtension];
+
+        return values.map((item, index) => xmlElement(name, item, type, extensions[index], indent)).join('');
+    }).join('');
+}
+
+/**
+ * One element: primitives carry a value attribute, the narrative div is
+ * XHTML, Extension.url and element ids are attributes
+ */
+function xmlElement(name, value, type, primitiveExtension, indent) {
+    if (type === 'xhtml') {
+        return `${indent}${value}\n`;
+    }
+
+    if (type === 'Resource' || (value && value.resourceType)) {
+        return `${indent}<${name}>\n${xmlResource(value, `${indent}  `, false)}${indent}</${name}>\n`;
+    }
+
+    if (isFhirPrimitiveType(type, value)) {
+        const attributes = [];
+        if (primitiveExtension && primitiveExtension.id) attributes.push(`id="${escapeXml(primitiveExtension.id)}"`);
+        if (value !== null && value !== undefined) attributes.push(`value="${escapeXml(String(value))}"`);
+
+        const children = primitiveExtension ? xmlChildren(primitiveExtension, 'Element', `${indent}  `) : '';
+        const open = `${indent}<${[name].concat(attributes).join(' ')}`;
+        return children ? `${open}>\n${children}${indent}</${name}>\n` : `${open}/>\n`;
+    }
+
+    const attributes = [name];
+    if (value.id) attributes.push(`id="${escapeXml(value.id)}"`);
+    if (type === 'Extension' && value.url) attributes.push(`url="${escapeXml(value.url)}"`);
+
+    const content = type === 'Extension' ? { ...value, url: undefined } : value;
+    const children = xmlChildren(content, type, `${indent}  `);
+    return children
+        ? `${indent}<${attributes.join(' ')}>\n${children}${indent}</${name}>\n`
+        : `${indent}<${attributes.join(' ')}/>\n`;
+}
+
+/**
+ * Escapes text for an XML attribute or element
+ */
+export function escapeXml(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ===================================
+// FHIR RDF (Turtle)
+// ===================================
+
+/**
+ * FHIR RDF Turtle representation of a resource
+ * @param {Object} resource - FHIR resource (JSON)
+ * @returns {string} Turtle document
+ */
+function serializeFhirTurtle(resource) {
+    const prefixes = [
+        `@prefix fhir: <${FHIR_RDF_NAMESPACE}> .`,
+        '@prefix owl: <http://www.w3.org/2002/07/owl#> .',
+        '@prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#> .',
+        '@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .'
+    ].join('\n');
+    const subject = resource.id ? `<${resource.resourceType}/${resource.id}>` : '[]';
+    const properties = [`a fhir:${resource.resourceType}`, 'fhir:nodeRole fhir:treeRoot']
+        .concat(turtleProperties(resource, resource.resourceType, '  '));
+
+    return `${prefixes}\n\n${subject} ${properties.join(' ;\n  ')} .\n`;
+}
+
+/**
+ * Predicate-object pairs of an object, in definition order
+ */
+function turtleProperties(value, typeName, indent) {
+    return orderedFhirElements(value, typeName).flatMap(([name, content, type, primitiveExtension]) => {
+        const predicate = `fhir:${turtlePropertyOwner(name, typeName, Boolean(value.resourceType))}.${name}`;
+        const values = Array.isArray(content) ? content : [content];
+        const extensions = Array.isArray(content) ? (primitiveExtension || []) : [primitiveExtension];
+
+        return values.map((item, index) => {
+            const position = Array.isArray(content) ? index : null;
+            return `${predicate} ${turtleNode(item, type, extensions[index], position, indent)}`;
+        });
+    });
+}
+
+/**
+ * Type that defines an element: Resource.id, DomainResource.text,
+ * Element.extension, Patient.contact.name
+ */
+function turtlePropertyOwner(name, typeName, isResource) {
+    if (isResource) {
+        if (['id', 'meta', 'implicitRules', 'language'].includes(name)) return 'Resource';
+        if (['text', 'contained', 'extension', 'modifierExtension'].includes(name)) return 'DomainResource';
+    } else {
+        if (name === 'extension') return 'Element';
+        if (name === 'modifierExtension') return 'BackboneElement';
+    }
+    return FHIR_BACKBONE_PATHS[typeName] || typeName || 'Element';
+}
+
+/**
+ * Object of one property; every element is a blank node, primitives hold fhir:value
+ */
+function turtleNode(value, type, primitiveExtension, position, indent) {
+    const inner = `${indent}  `;
+    const properties = [];
+
+    if (position !== null) properties.push(`fhir:index ${position}`);
+
+    if (type === 'xhtml') {
+        return turtleLiteral(value, 'string');
+    }
+
+    if (type === 'Resource' || (value && value.resourceType)) {
+        properties.push(`a fhir:${value.resourceType}`);
+        properties.push(...turtleProperties(value, value.resourceType, inner));
+    } else if (isFhirPrimitiveType(type, value)) {
+        if (value !== null && value !== undefined) properties.push(`fhir:value ${turtleLiteral(value, type)}`);
+        if (primitiveExtension) properties.push(...turtleProperties(primitiveExtension, 'Element', inner));
+    } else {
+        if (value.id) properties.push(`fhir:Element.id [ fhir:value ${turtleLiteral(value.id, 'string')} ]`);
+        properties.push(...turtleProperties(value, type, inner));
+    }
+
+    if (properties.length === 1 && !properties[0].includes('\n')) {
+        return `[ ${properties[0]} ]`;
+    }
+    return `[\n${inner}${properties.join(` ;\n${inner}`)}\n${indent}]`;
+}
+
+/**
+ * Typed literal of a primitive value (R4 RDF datatype mapping)
+ */
+function turtleLiteral(value, type) {
+    if (type === 'boolean' || typeof value === 'boolean') return String(value);
+    if (type === 'integer') return `"${value}"^^xsd:int`;
+    if (type === 'positiveInt') return `"${value}"^^xsd:positiveInteger`;
+    if (type === 'unsignedInt') return `"${value}"^^xsd:nonNegativeInteger`;
+    if (type === 'decimal' || typeof value === 'number') return `"${value}"^^xsd:decimal`;
+
+    const text = `"${String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')
+        .replace(/\t/g, '\\t')}"`;
+
+    if (['date', 'dateTime', 'instant'].includes(type)) {
+        if (/^\d{4}$/.test(value)) return `${text}^^xsd:gYear`;
+        if (/^\d{4}-\d{2}$/.test(value)) return `${text}^^xsd:gYearMonth`;
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return `${text}^^xsd:date`;
+        return `${text}^^xsd:dateTime`;
+    }
+    if (type === 'base64Binary') return `${text}^^xsd:base64Binary`;
+    return text;
+}
@@ -0,0 +1,327 @@
+/**
+ * ===================================
+ * Identifier Assignment Module
+ * Identifier types (v2-0203) and Patient ids
+ * ===================================
+ *
+ * Purpose: Type and namespace Patient identifiers (MRN, SSN, driver's
+ *          license, insurance member ID) and assign resource ids that are
+ *          either random (UUIDv4) or derived from the identifiers (UUIDv5)
+ * Deterministic ids: The same system|value always gives the same id, so
+ *                    regression runs of the same input produce stable output
+ */
+
+// ===================================
+// Identifier Types
+// ===================================
+
+/**
+ * HL7 v2 Table 0203 (Identifier Type)
+ */
+const IDENTIFIER_TYPE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v2-0203';
+
+/**
+ * SSN system (equivalent to urn:oid:2.16.840.1.113883.4.1)
+ */
+export const US_SSN_SYSTEM = 'http://hl7.org/fhir/sid/us-ssn';
+
+/**
+ * SSN OID used by HL7 v2 and CDA assigning authorities
+ */
+export const US_SSN_OID = '2.16.840.1.113883.4.1';
+
+/**
+ * Driver's license systems are this OID followed by the state FIPS code
+ */
+const US_DRIVERS_LICENSE_OID_ROOT = '2.16.840.1.113883.4.3';
+
+/**
+ * Default MRN namespace: the HL7 example facility OID ("Good Health Clinic")
+ */
+export const DEFAULT_MRN_NAMESPACE = 'urn:oid:2.16.840.1.113883.19.5';
+
+/**
+ * Identifier types offered on the form; system is the fixed system for
+ * the type, or where it comes from (facility setting, issuing state,
+ * payer, target profile, issuing province)
+ */
+export const IDENTIFIER_TYPES = {
+    MR: { display: 'Medical record number', system: 'facility' },
+    SS: { display: 'Social Security number', system: US_SSN_SYSTEM },
+    DL: { display: "Driver's license number", system: 'state' },
+    MB: { display: 'Member Number', system: 'payer' },
+    NI: { display: 'National unique individual identifier', system: 'profile' },
+    MC: { display: "Patient's Medicare number", system: 'profile' },
+    JHN: { display: 'Jurisdictional health number (Canada)', system: 'province' }
+};
+
+/**
+ * FIPS 5-2 state codes (driver's license issuing authorities)
+ */
+export const US_STATE_FIPS_CODES = {
+    AL: '01', AK: '02', AZ: '04', AR: '05', CA: '06', CO: '08', CT: '09', DE: '10',
+    DC: '11', FL: '12', GA: '13', HI: '15', ID: '16', IL: '17', IN: '18', IA: '19',
+    KS: '20', KY: '21', LA: '22', ME: '23', MD: '24', MA: '25', MI: '26', MN: '27',
+    MS: '28', MO: '29', MT: '30', NE: '31', NV: '32', NH: '33', NJ: '34', NM: '35',
+    NY: '36', NC: '37', ND: '38', OH: '39', OK: '40', OR: '41', PA: '42', RI: '44',
+    SC: '45', SD: '46', TN: '47', TX: '48', UT: '49', VT: '50', VA: '51', WA: '53',
+    WV: '54', WI: '55', WY: '56', PR: '72'
+};
+
+/**
+ * Identifier settings used when nothing has been configured
+ */
+export const DEFAULT_IDENTIFIER_SETTINGS = {
+    mrnNamespace: DEFAULT_MRN_NAMESPACE,
+    idStrategy: 'random'
+};
+
+/**
+ * System an identifier type implies
+ * @param {string} type - v2-0203 code
+ * @param {string} issuer - Issuing state for driver's licenses
+ * @param {Object} settings - Identifier settings (MRN namespace)
+ * @returns {string} System URI, or '' when the user has to enter it
+ */
+export function identifierSystemForType(type, issuer, settings) {
+    if (type === 'MR') return settings.mrnNamespace || '';
+    if (type === 'SS') return US_SSN_SYSTEM;
+    if (type === 'DL') {
+        const fips = US_STATE_FIPS_CODES[(issuer || '').toUpperCase()];
+        return fips ? `urn:oid:${US_DRIVERS_LICENSE_OID_ROOT}.${Number(fips)}` : '';
+    }
+    return '';
+}
+
+/**
+ * Issuing state of a driver's license system (reverse of the FIPS lookup)
+ */
+export function driversLicenseState(system) {
+    const prefix = `urn:oid:${US_DRIVERS_LICENSE_OID_ROOT}.`;
+    if (!system || !system.startsWith(prefix)) return '';
+
+    const fips = system.substring(prefix.length);
+    return Object.keys(US_STATE_FIPS_CODES).find(state => Number(US_STATE_FIPS_CODES[state]) === Number(fips)) || '';
+}
+
+/**
+ * Identifier.type for a v2-0203 code
+ */
+export function buildIdentifierType(code) {
+    return {
+        coding: [{
+            system: IDENTIFIER_TYPE_SYSTEM,
+            code,
+            display: IDENTIFIER_TYPES[code].display
+        }]
+    };
+}
+
+/**
+ * v2-0203 code of an Identifier.type, if it is one the form offers
+ */
+export function readIdentifierType(type) {
+    const coding = ((type && type.coding) || []).find(entry =>
+        entry.system === IDENTIFIER_TYPE_SYSTEM && IDENTIFIER_TYPES[entry.code]);
+    return coding ? coding.code : '';
+}
+
+/**
+ * SSNs are stored as nine digits; anything else is left as entered
+ */
+export function normalizeSsn(value) {
+    const digits = value.replace(/[\s-]/g, '');
+    return /^\d{9}$/.test(digits) ? digits : value;
+}
+
+/**
+ * Checks an SSN: nine digits, no 000/666/9xx area, 00 group or 0000 serial
+ */
+export function isValidSsn(value) {
+    const digits = value.replace(/[\s-]/g, '');
+    return /^(?!000|666|9\d\d)\d{3}(?!00)\d{2}(?!0000)\d{4}$/.test(digits);
+}
+
+// ===================================
+// Resource Ids and MRNs
+// ===================================
+
+/**
+ * Namespace of deterministic Patient ids
+ * (UUIDv5 of "https://github.com/dquint32/fhir-patient-converter/Patient" in the URL namespace)
+ */
+const PATIENT_ID_NAMESPACE = '593cc4d5-9af2-56df-8838-e399fd3c37f7';
+
+/**
+ * Id for a Patient with the given identifiers
+ * @param {Array} identifiers - FHIR Identifiers (the MRN is preferred)
+ * @param {Object} settings - Identifier settings (idStrategy 'random' or
+ *                            'deterministic'; generateId() replaces the
+ *                            random UUIDs)
+ * @returns {string} UUID
+ */
+export function generatePatientId(identifiers, settings) {
+    if (settings.idStrategy !== 'deterministic') {
+        return settings.generateId ? settings.generateId() : generateUuid();
+    }
+
+    const key = identifiers.find(identifier => readIdentifierType(identifier.type) === 'MR') || identifiers[0];
+    return uuidV5(PATIENT_ID_NAMESPACE, `${key.system || ''}|${key.value}`);
+}
+
+/**
+ * Synthetic MRN for a patient entered without identifiers; in
+ * deterministic mode the digits come from the demographics
+ * In production, this would be assigned by the hospital/clinic
+ * @param {Object} formData - Collected form data
+ * @param {Object} settings - Identifier settings
+ * @returns {string} MRN value
+ */
+export function generateMRN(formData, settings) {
+    if (settings.idStrategy !== 'deterministic') {
+        return `MRN${Math.floor(Math.random() * 900000) + 100000}`;
+    }
+
+    const primaryName = formData.names[0] || {};
+    const seed = [primaryName.family, primaryName.given, formData.dob, formData.gender].join('|');
+    const hash = sha1Bytes(utf8Bytes(seed));
+    const number = ((hash[0] << 16) | (hash[1] << 8) | hash[2]) % 900000 + 100000;
+    return `MRN${number}`;
+}
+
+/**
+ * Random (version 4) UUID
+ */
+export function generateUuid() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+        const random = Math.random() * 16 | 0;
+        return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+    });
+}
+
+/**
+ * Name-based UUID (RFC 4122 version 5, SHA-1)
+ * @param {string} namespace - Namespace UUID
+ * @param {string} name - Name within the namespace
+ * @returns {string} UUID
+ */
+export function uuidV5(namespace, name) {
+    const namespaceBytes = namespace.replace(/-/g, '').match(/../g).map(hex => parseInt(hex, 16));
+    const hash = sha1Bytes(namespaceBytes.concat(utf8Bytes(name)));
+
+    hash[6] = (hash[6] & 0x0f) | 0x50;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+
+    const hex = hash.slice(0, 16).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20)}`;
+}
+
+/**
+ * SHA-1 digest of a string as hex
+ */
+export function sha1Hex(text) {
+    return toHex(sha1Bytes(utf8Bytes(text)));
+}
+
+/**
+ * Keyed hash (HMAC-SHA1, RFC 2104) of a string as hex; without the key a
+ * hashed value cannot be recomputed from a guessed one
+ * @param {string} key - Secret key
+ * @param {string} text - Value to hash
+ * @returns {string} 40 hex digits
+ */
+export function hmacSha1Hex(key, text) {
+    let keyBytes = utf8Bytes(key);
+    if (keyBytes.length > 64) keyBytes = sha1Bytes(keyBytes);
+    while (keyBytes.length < 64) keyBytes.push(0);
+
+    const inner = sha1Bytes(keyBytes.map(byte => byte ^ 0x36).concat(utf8Bytes(text)));
+    return toHex(sha1Bytes(keyBytes.map(byte => byte ^ 0x5c).concat(inner)));
+}
+
+/**
+ * Bytes as lowercase hex
+ */
+function toHex(bytes) {
+    return bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * UTF-8 bytes of a string
+ */
+function utf8Bytes(text) {
+    return Array.from(new TextEncoder().encode(text));
+}
+
+/**
+ * SHA-1 digest (FIPS 180-4); synchronous so mapping stays synchronous
+ * @param {Array} bytes - Message bytes
+ * @returns {Array} 20 digest bytes
+ */
+function sha1Bytes(bytes) {
+    const message = bytes.slice();
+    const bitLength = bytes.length * 8;
+
+    message.push(0x80);
+    while (message.length % 64 !== 56) message.push(0);
+    // Message length as a 64-bit big-endian integer
+    const high = Math.floor(bitLength / 0x100000000);
+    for (let shift = 24; shift >= 0; shift -= 8) message.push((high >>> shift) & 0xff);
+    for (let shift = 24; shift >= 0; shift -= 8) message.push((bitLength >>> shift) & 0xff);
+
+    const h = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0];
+    const w = new Array(80);
+    const rotl = (value, count) => (value << count) | (value >>> (32 - count));
+
+    for (let offset = 0; offset < message.length; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (message[j] << 24) | (message[j + 1] << 16) | (message[j + 2] << 8) | message[j + 3];
+        }
+        for (let i = 16; i < 80; i++) {
+            w[i] = rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+        }
+
+        let [a, b, c, d, e] = h;
+        for (let i = 0; i < 80; i++) {
+            let f;
+            let k;
+            if (i < 20) {
+                f = (b & c) | (~b & d);
+                k = 0x5A827999;
+            } else if (i < 40) {
+                f = b ^ c ^ d;
+                k = 0x6ED9EBA1;
+            } else if (i < 60) {
+                f = (b & c) | (b & d) | (c & d);
+                k = 0x8F1BBCDC;
+            } else {
+                f = b ^ c ^ d;
+                k = 0xCA62C1D6;
+            }
+
+            const temp = (rotl(a, 5) + f + e + k + w[i]) | 0;
+            e = d;
+            d = c;
+            c = rotl(b, 30);
+            b = a;
+            a = temp;
+        }
+
+        h[0] = (h[0] + a) | 0;
+        h[1] = (h[1] + b) | 0;
+        h[2] = (h[2] + c) | 0;
+        h[3] = (h[3] + d) | 0;
+        h[4] = (h[4] + e) | 0;
+    }
+
+    const digest = [];
+    h.forEach(word => {
+        for (let shift = 24; shift >= 0; shift -= 8) digest.push((word >>> shift) & 0xff);
+    });
+    return digest;
+}
@@ -0,0 +1,206 @@
+/**
+ * ===================================
+ * Patient Communication
+ * HL7 FHIR Standard Compliant Module
+ * ===================================
+ *
+ * Purpose: Code the languages a patient speaks (Patient.communication),
+ *          how well, and whether an interpreter is needed
+ * Standard: Patient.communication.language uses BCP 47 tags (preferred
+ *           binding to the Common Languages value set); proficiency is the
+ *           patient-proficiency extension (v3 LanguageAbilityProficiency)
+ *           and the interpreter flag the patient-interpreterRequired extension
+ */
+
+import { translations } from './fhir-translations.js';
+
+// ===================================
+// Code Systems and Extensions
+// ===================================
+
+/**
+ * Code system of Patient.communication.language (BCP 47 language tags)
+ */
+export const LANGUAGE_SYSTEM = 'urn:ietf:bcp:47';
+
+const PROFICIENCY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-LanguageAbilityProficiency';
+
+export const LANGUAGE_EXTENSION_URLS = {
+    proficiency: 'http://hl7.org/fhir/StructureDefinition/patient-proficiency',
+    interpreterRequired: 'http://hl7.org/fhir/StructureDefinition/patient-interpreterRequired'
+};
+
+/**
+ * Languages offered in the picker: the FHIR Common Languages value set
+ * and the languages most often needing interpreters in US clinics; any
+ * other BCP 47 tag can still be typed
+ */
+export const COMMON_LANGUAGE_CODES = [
+    'en', 'en-US', 'en-GB', 'es', 'es-MX', 'es-ES', 'zh', 'zh-CN', 'zh-TW', 'yue', 'vi', 'tl', 'ar',
+    'ko', 'ru', 'ht', 'fr', 'pt', 'pt-BR', 'de', 'it', 'pl', 'ja', 'hi', 'bn', 'pa', 'ur', 'gu',
+    'fa', 'ps', 'uk', 'el', 'he', 'hy', 'km', 'lo', 'hmn', 'my', 'ne', 'so', 'am', 'ti', 'sw',
+    'yo', 'th', 'tr', 'ro', 'sq', 'sr', 'hr', 'bs', 'nv', 'chk', 'mh', 'sm', 'to', 'ase'
+];
+
+/**
+ * v3 LanguageAbilityProficiency; display is the code system display
+ */
+export const LANGUAGE_PROFICIENCY_CODES = {
+    E: 'Excellent',
+    G: 'Good',
+    F: 'Fair',
+    P: 'Poor'
+};
+
+// ===================================
+// Language Tags
+// ===================================
+
+/**
+ * Name of a language in another language ("Vietnamese", "vietnamita")
+ * @param {string} code - BCP 47 tag
+ * @param {string} lang - Language to write the name in
+ * @returns {string} Name, or the code when it has none
+ */
+export function languageName(code, lang) {
+    if (!code) return '';
+    try {
+        return new Intl.DisplayNames([lang], { type: 'language' }).of(code);
+    } catch (err) {
+        return code;
+    }
+}
+
+/**
+ * BCP 47 tag for a language given as a tag or as its name in English,
+ * in itself or in a loaded interface language ("zh-tw", "Spanish",
+ * "Tiếng Việt", "árabe")
+ * @param {string} text - Tag or name
+ * @returns {string} Canonical tag, or '' when it is not recognized
+ */
+export function findLanguageCode(text) {
+    const key = languageKey(text);
+    if (!key) return '';
+
+    const listed = COMMON_LANGUAGE_CODES.find(code => code.toLowerCase() === key);
+    if (listed) return listed;
+
+    const langs = ['en'].concat(Object.keys(translations));
+    const named = COMMON_LANGUAGE_CODES.find(code =>
+        [code].concat(langs).some(lang => languageKey(languageName(code, lang)) === key));
+    if (named) return named;
+
+    // Any well-formed tag with a 2 or 3 letter language ("Spanish" is
+    // well-formed too, as a registered 5-8 letter subtag)
+    if (!/^[a-z]{2,3}(-|$)/.test(key)) return '';
+    try {
+        return Intl.getCanonicalLocales(text.trim())[0];
+    } catch (err) {
+        return '';
+    }
+}
+
+/**
+ * Comparison key of a tag or name: lower case without accents; other
+ * scripts are kept
+ */
+function languageKey(text) {
+    return (text || '').trim().toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, ' ')
+        .normalize('NFC');
+}
+
+// ===================================
+// FHIR Elements
+// ===================================
+
+/**
+ * Patient.communication for a language entry of the form
+ * @param {Object} entry - language (BCP 47), preferred and proficiency
+ * @returns {Object} Patient.communication
+ */
+export function buildCommunication(entry) {
+    const communication = {};
+
+    if (LANGUAGE_PROFICIENCY_CODES[entry.proficiency]) {
+        communication.extension = [
+            {
+                url: LANGUAGE_EXTENSION_URLS.proficiency,
+                extension: [
+                    {
+                        url: 'level',
+                        valueCoding: {
+                            system: PROFICIENCY_SYSTEM,
+                            code: entry.proficiency,
+                            display: LANGUAGE_PROFICIENCY_CODES[entry.proficiency]
+                        }
+                    }
+                ]
+            }
+        ];
+    }
+
+    communication.language = {
+        coding: [
+            {
+                system: LANGUAGE_SYSTEM,
+                code: entry.language,
+                display: languageName(entry.language, 'en')
+            }
+        ],
+        text: languageName(entry.language, entry.language)
+    };
+    if (entry.preferred) communication.preferred = true;
+
+    return communication;
+}
+
+/**
+ * Language entry of a Patient.communication
+ * @param {Object} communication - Patient.communication
+ * @returns {Object} entry (null without a BCP 47 coding) and the relative
+ *                   paths of parts the form cannot hold
+ */
+export function readCommunication(communication) {
+    const unmapped = [];
+    const coding = ((communication.language || {}).coding || [])
+        .find(item => item.system === LANGUAGE_SYSTEM && item.code);
+    if (!coding) return { entry: null, unmapped };
+
+    const entry = { language: coding.code, preferred: communication.preferred === true, proficiency: '' };
+
+    (communication.extension || []).forEach((extension, index) => {
+        const level = extension.url === LANGUAGE_EXTENSION_URLS.proficiency &&
+            (extension.extension || []).find(sub => sub.url === 'level' && sub.valueCoding);
+        const code = level && level.valueCoding.system === PROFICIENCY_SYSTEM ? level.valueCoding.code : '';
+
+        // Only the level is kept; the mode (spoken, written...) is not on the form
+        if (LANGUAGE_PROFICIENCY_CODES[code] && !entry.proficiency &&
+            extension.extension.every(sub => sub.url === 'level')) {
+            entry.proficiency = code;
+        } else {
+            unmapped.push(`extension[${index}]`);
+        }
+    });
+
+    return { entry, unmapped };
+}
+
+/**
+ * patient-interpreterRequired extension for the form's "true" or
+ * "false", or null when it was not answered
+ */
+export function buildInterpreterRequired(value) {
+    if (value !== 'true' && value !== 'false') return null;
+    return { url: LANGUAGE_EXTENSION_URLS.interpreterRequired, valueBoolean: value === 'true' };
+}
+
+/**
+ * Whether an extension is a patient-interpreterRequired extension the form
+ * can hold
+ */
+export function isInterpreterRequiredExtension(extension) {
+    return Boolean(extension) && extension.url === LANGUAGE_EXTENSION_URLS.interpreterRequired &&
+        typeof extension.valueBoolean === 'boolean';
+}
@@ -0,0 +1,229 @@
+/**
+ * ===================================
+ * Patient Matching Module
+ * Duplicate detection before registration
+ * ===================================
+ *
+ * Purpose: Compare the entered Patient with candidates returned by a FHIR
+ *          server field by field and score how likely they are the same person
+ * Scoring: Weighted agreement of the fields both records have; fields
+ *          missing on either side do not count for or against a candidate
+ */
+
+import { parsePhoneNumber } from './fhir-phones.js';
+
+// ===================================
+// Weights
+// ===================================
+
+/**
+ * Relative weight of each compared field (identifiers and birth date
+ * discriminate best, gender and postal code the least)
+ */
+const PATIENT_MATCH_WEIGHTS = {
+    family: 0.2,
+    given: 0.15,
+    birthDate: 0.2,
+    gender: 0.05,
+    identifier: 0.2,
+    phone: 0.05,
+    email: 0.05,
+    address: 0.05,
+    postalCode: 0.05
+};
+
+/**
+ * Match grade extension returned by $match
+ */
+const MATCH_GRADE_EXTENSION_URL = 'http://hl7.org/fhir/StructureDefinition/match-grade';
+
+// ===================================
+// Comparison
+// ===================================
+
+/**
+ * Compares two Patients field by field
+ * @param {Object} entered - Patient built from the form
+ * @param {Object} candidate - Patient from the server
+ * @returns {Array} field, entered, candidate and status ('match', 'partial', 'differs', 'missing') per field
+ */
+function comparePatients(entered, candidate) {
+    const a = extractMatchFields(entered);
+    const b = extractMatchFields(candidate);
+
+    return Object.keys(PATIENT_MATCH_WEIGHTS).map(field => ({
+        field,
+        entered: a[field].display,
+        candidate: b[field].display,
+        status: compareMatchField(field, a[field].values, b[field].values)
+    }));
+}
+
+/**
+ * Weighted score (0 to 1) of a field comparison
+ * @param {Array} comparison - Result of comparePatients()
+ * @returns {number} Score rounded to two decimals
+ */
+function scorePatientMatch(comparison) {
+    const points = { match: 1, partial: 0.5, differs: 0 };
+    let total = 0;
+    let earned = 0;
+
+    comparison.forEach(row => {
+        if (row.status === 'missing') return;
+        total += PATIENT_MATCH_WEIGHTS[row.field];
+        earned += PATIENT_MATCH_WEIGHTS[row.field] * points[row.status];
+    });
+
+    return total > 0 ? Math.round(earned / total * 100) / 100 : 0;
+}
+
+/**
+ * Status of one field; a single shared value is enough for repeating elements
+ */
+function compareMatchField(field, enteredValues, candidateValues) {
+    if (enteredValues.length === 0 || candidateValues.length === 0) {
+        return 'missing';
+    }
+
+    if (enteredValues.some(value => candidateValues.includes(value))) {
+        return 'match';
+    }
+
+    const partial = enteredValues.some(a => candidateValues.some(b => isPartialMatch(field, a, b)));
+    return partial ? 'partial' : 'differs';
+}
+
+/**
+ * Near matches: name prefixes (Alex / Alexander) and birth dates with
+ * two of three parts equal (typos, swapped day and month)
+ */
+function isPartialMatch(field, a, b) {
+    if (field === 'family' || field === 'given') {
+        return a.length >= 3 && b.length >= 3 && (a.startsWith(b) || b.startsWith(a));
+    }
+
+    if (field === 'birthDate') {
+        const partsA = a.split('-');
+        const partsB = b.split('-');
+        const equal = partsA.filter((part, index) => part === partsB[index]).length;
+        const swapped = partsA[0] === partsB[0] && partsA[1] === partsB[2] && partsA[2] === partsB[1];
+        return equal === 2 || swapped;
+    }
+
+    return false;
+}
+
+/**
+ * Normalized values (for comparing) and display text of each field
+ */
+function extractMatchFields(patient) {
+    const names = patient.name || [];
+    const primaryName = names.find(name => name.use === 'official') || names[0] || {};
+    const telecoms = patient.telecom || [];
+    const addresses = patient.address || [];
+    const field = (values, display) => ({
+        values: values.filter(Boolean),
+        display: display || ''
+    });
+
+    return {
+        family: field(names.map(name => normalizeMatchText(name.family)), primaryName.family),
+        given: field(names.map(name => normalizeMatchText((name.given || [])[0])), (primaryName.given || []).join(' ')),
+        birthDate: field([patient.birthDate], patient.birthDate),
+        gender: field([patient.gender], patient.gender),
+        identifier: field(
+            (patient.identifier || []).map(identifier => identifier.value ? `${identifier.system || ''}|${identifier.value}` : ''),
+            (patient.identifier || []).map(identifier => identifier.value).filter(Boolean).join(', ')
+        ),
+        phone: field(
+            telecoms.filter(telecom => telecom.system === 'phone').map(telecom => phoneMatchKey(telecom.value)),
+            telecoms.filter(telecom => telecom.system === 'phone').map(telecom => telecom.value).join(', ')
+        ),
+        email: field(
+            telecoms.filter(telecom => telecom.system === 'email').map(telecom => (telecom.value || '').trim().toLowerCase()),
+            telecoms.filter(telecom => telecom.system === 'email').map(telecom => telecom.value).join(', ')
+        ),
+        address: field(
+            addresses.map(address => normalizeMatchText(`${(address.line || [])[0] || ''} ${address.city || ''}`)),
+            addresses.length > 0 ? [(addresses[0].line || [])[0], addresses[0].city, addresses[0].state].filter(Boolean).join(', ') : ''
+        ),
+        postalCode: field(
+            addresses.map(address => (address.postalCode || '').substring(0, 5)),
+            addresses.map(address => address.postalCode).filter(Boolean).join(', ')
+        )
+    };
+}
+
+/**
+ * Lowercase text without accents, punctuation or repeated spaces
+ */
+export function normalizeMatchText(value) {
+    return (value || '').toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9 ]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Phone numbers compare as E.164 without the extension, whatever
+ * format each side was written in
+ */
+function phoneMatchKey(value) {
+    const parsed = parsePhoneNumber(value);
+    return parsed && parsed.valid ? parsed.e164 : (value || '').replace(/\D/g, '').slice(-10);
+}
+
+// ===================================
+// Candidates
+// ===================================
+
+/**
+ * Merges $match and search results into scored candidates
+ * @param {Object} entered - Patient built from the form
+ * @param {Array} matchEntries - Bundle entries from $match (may be empty)
+ * @param {Array} searchEntries - Bundle entries from the search (may be empty)
+ * @returns {Array} Candidates sorted by score, highest first
+ */
+export function buildDuplicateCandidates(entered, matchEntries, searchEntries) {
+    const candidates = new Map();
+
+    const addEntry = (entry, source) => {
+        const resource = entry.resource;
+        if (!resource || resource.resourceType !== 'Patient') return;
+
+        const key = resource.id || entry.fullUrl;
+        const candidate = candidates.get(key) || {
+            resource,
+            sources: [],
+            serverScore: null,
+            grade: ''
+        };
+
+        candidate.sources.push(source);
+        if (source === 'match' && entry.search) {
+            if (typeof entry.search.score === 'number') candidate.serverScore = entry.search.score;
+            const grade = (entry.search.extension || []).find(extension => extension.url === MATCH_GRADE_EXTENSION_URL);
+            if (grade) candidate.grade = grade.valueCode;
+        }
+        candidates.set(key, candidate);
+    };
+
+    matchEntries.forEach(entry => addEntry(entry, 'match'));
+    searchEntries.forEach(entry => addEntry(entry, 'search'));
+
+    return Array.from(candidates.values())
+        .map(candidate => {
+            const comparison = comparePatients(entered, candidate.resource);
+            const localScore = scorePatientMatch(comparison);
+            return {
+                ...candidate,
+                comparison,
+                localScore,
+                // Prefer the server's algorithm when it gave one
+                score: candidate.serverScore !== null ? candidate.serverScore : localScore
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+}
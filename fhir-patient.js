@@ -0,0 +1,1018 @@
+/**
+ * ===================================
+ * FHIR R4 Patient Core
+ * Mapping, import and validation without the DOM
+ * ===================================
+ *
+ * Purpose: Convert intake form data to a FHIR R4 Patient resource and back,
+ *          and validate form data before conversion
+ * Used by: The converter page (fhir-converter.js), CSV batch conversion and
+ *          the fhir-patient command-line tool (bin/fhir-patient.js)
+ * Form data: The object collectFormData() reads from the page
+ *            (see createEmptyFormData())
+ */
+
+import { translations, currentLanguage, formatLocaleDate } from './fhir-translations.js';
+import { formatMessage } from './fhir-validator.js';
+import { escapeXml } from './fhir-formats.js';
+import {
+    buildUsCoreExtensions, parseUsCoreExtensions, checkRaceEthnicityCodes, US_CORE_OMB_CATEGORY_MAX
+} from './fhir-us-core.js';
+import {
+    DEFAULT_MRN_NAMESPACE, IDENTIFIER_TYPES, DEFAULT_IDENTIFIER_SETTINGS, driversLicenseState,
+    buildIdentifierType, readIdentifierType, normalizeSsn, isValidSsn, generatePatientId,
+    generateMRN
+} from './fhir-identifiers.js';
+import {
+    CONTACT_RELATIONSHIP_CODES, buildContactRelationship, readContactRelationship
+} from './fhir-contacts.js';
+import {
+    US_STATES, POSTAL_CODE_RULES, countryName, findCountryCode, isValidPostalCode, normalizeAddressEntry
+} from './fhir-addresses.js';
+import { parsePhoneNumber, normalizePhoneNumber } from './fhir-phones.js';
+import {
+    LANGUAGE_PROFICIENCY_CODES, languageName, findLanguageCode, buildCommunication, readCommunication,
+    buildInterpreterRequired, isInterpreterRequiredExtension
+} from './fhir-languages.js';
+import { TARGET_PROFILES, PROFILE_REQUIRED_FIELDS, targetProfile, checkIdentifierFormat } from './fhir-profiles.js';
+import {
+    MARITAL_STATUS_CODES, buildMaritalStatus, readMaritalStatus, buildDeceased, buildMultipleBirth,
+    checkPhoto, buildPhoto, readPhoto,
+    REFERENCE_TARGETS, isValidReference, buildReference
+} from './fhir-demographics.js';
+
+// ===================================
+// FHIR R4 Mapping Module
+// ===================================
+
+/**
+ * Maps form data to FHIR R4 Patient Resource
+ * @param {Object} formData - Raw form data
+ * @param {Object} [preserved] - id, meta and identifiers kept from an
+ *                               imported resource
+ * @param {Object} [settings] - Identifier settings (MRN namespace, id strategy)
+ *                              and the target profile id (profile); now()
+ *                              and generateId() replace the clock and the
+ *                              random ids, so tests get the same output
+ * @returns {Object} FHIR R4 compliant Patient resource
+ */
+export function mapToFhirPatient(formData, preserved, settings = DEFAULT_IDENTIFIER_SETTINGS) {
+    const profile = targetProfile(settings.profile);
+    const phoneCountry = defaultPhoneCountry(formData);
+    const interpreterRequired = buildInterpreterRequired(formData.interpreterRequired);
+    const identifiers = formData.identifiers
+        .filter(entry => entry.value)
+        .map(mapIdentifier);
+
+    // Assign a synthetic MRN in the facility namespace when no identifier was entered
+    if (identifiers.length === 0) {
+        identifiers.push({
+            use: "usual",
+            type: buildIdentifierType('MR'),
+            system: settings.mrnNamespace || DEFAULT_MRN_NAMESPACE,
+            value: generateMRN(formData, settings)
+        });
+    }
+
+    const fhirPatient = {
+        resourceType: "Patient",
+        id: generatePatientId(identifiers, settings),
+        // versionId is assigned when the worklist stores the resource
+        meta: {
+            lastUpdated: (settings.now ? settings.now() : new Date()).toISOString(),
+            profile: [profile.url]
+        },
+        // The narrative is written once the other elements are mapped
+        text: {
+            status: "generated",
+            div: ''
+        },
+        // Only the extensions the target profile carries
+        extension: buildUsCoreExtensions(formData)
+            .concat(interpreterRequired ? [interpreterRequired] : [])
+            .filter(extension => profile.extensions.includes(extension.url)),
+        identifier: identifiers,
+        active: formData.active !== false,
+        name: formData.names
+            .filter(entry => entry.given || entry.middle || entry.family)
+            .map(mapHumanName),
+        telecom: formData.telecoms
+            .filter(entry => entry.value)
+            .map((entry, index) => mapContactPoint(entry, index + 1, phoneCountry)),
+        gender: formData.gender,
+        birthDate: formData.dob,
+        ...buildDeceased(formData.deceased, formData.deceasedDate),
+        address: formData.addresses
+            .filter(entry => entry.lines.length > 0 || entry.city || entry.district || entry.state || entry.postalCode)
+            .map(mapAddress),
+        maritalStatus: buildMaritalStatus(formData.maritalStatus),
+        ...buildMultipleBirth(formData.multipleBirth, formData.birthOrder),
+        photo: formData.photo ? [buildPhoto(formData.photo)] : [],
+        // A contact needs a name, phone, address or organization (pat-1)
+        contact: formData.contacts
+            .filter(entry => entry.given || entry.family || entry.nameText || entry.phone ||
+                entry.organization || hasContactAddress(entry))
+            .map(mapEmergencyContact),
+        communication: formData.communications
+            .filter(entry => entry.language)
+            .map(buildCommunication),
+        generalPractitioner: formData.generalPractitioners
+            .map(buildReference)
+            .filter(Boolean),
+        managingOrganization: buildReference({
+            reference: formData.managingOrganization,
+            display: formData.managingOrganizationDisplay
+        })
+    };
+
+    // FHIR does not allow empty arrays
+    ['extension', 'telecom', 'address', 'photo', 'contact', 'communication', 'generalPractitioner'].forEach(key => {
+        if (fhirPatient[key].length === 0) delete fhirPatient[key];
+    });
+
+    // Gender and birth date are optional in some target profiles; the
+    // other single elements are only sent when entered
+    ['gender', 'birthDate', 'maritalStatus', 'managingOrganization'].forEach(key => {
+        if (!fhirPatient[key]) delete fhirPatient[key];
+    });
+
+    // Keep the identity of an imported (or previously generated) resource
+    if (preserved) {
+        if (preserved.id) fhirPatient.id = preserved.id;
+        if (preserved.identifier) {
+            fhirPatient.identifier = identifiers.map(identifier => mergeImportedIdentifier(identifier, preserved.identifier));
+        }
+        if (preserved.meta) {
+            fhirPatient.meta = {
+                ...preserved.meta,
+                lastUpdated: fhirPatient.meta.lastUpdated,
+                profile: claimedProfiles(preserved.meta, profile)
+            };
+        }
+    }
+
+    fhirPatient.text.div = buildPatientNarrative(fhirPatient, currentLanguage);
+
+    return fhirPatient;
+}
+
+/**
+ * meta.profile of a regenerated resource: the target profile in place of
+ * any other target profile it claimed, and the profiles it kept
+ */
+function claimedProfiles(meta, profile) {
+    const targetUrls = Object.values(TARGET_PROFILES).map(target => target.url);
+    return [profile.url].concat((meta.profile || []).filter(url => !targetUrls.includes(url)));
+}
+
+/**
+ * Human-readable summary of a Patient as an XHTML narrative div, in the
+ * given UI language; every value is escaped
+ * @param {Object} patient - FHIR Patient resource
+ * @param {string} lang - Locale code
+ * @returns {string} XHTML div
+ */
+export function buildPatientNarrative(patient, lang) {
+    const t = translations[lang];
+    const names = patient.name || [];
+    const primaryName = names.find(name => name.use === 'official') || names[0] || {};
+    const label = (prefix, code) => (code && t[`${prefix}${code.charAt(0).toUpperCase()}${code.slice(1)}`]) || code || '';
+    const rows = [];
+    const addRow = (heading, values) => {
+        if (values.length === 0) return;
+        rows.push(`<tr><th>${escapeXml(heading)}</th><td>${values.map(escapeXml).join('<br/>')}</td></tr>`);
+    };
+
+    addRow(t.labelDob, patient.birthDate ? [formatLocaleDate(patient.birthDate, lang)] : []);
+    addRow(t.labelGender, patient.gender ? [label('option', patient.gender)] : []);
+    addRow(t.legendIdentifiers, (patient.identifier || []).map(identifier => {
+        const type = readIdentifierType(identifier.type);
+        return `${type ? t[`identifierType${type}`] : identifier.system || ''}: ${identifier.value || ''}`;
+    }));
+    addRow(t.legendContact, (patient.telecom || []).map(telecom =>
+        `${label('system', telecom.system)} (${label('use', telecom.use)}): ${telecom.value || ''}`));
+    addRow(t.legendAddress, (patient.address || []).map(address => formatNarrativeAddress(address, lang)));
+    addRow(t.legendEmergency, (patient.contact || []).map(contact => {
+        const { relationship } = readContactRelationship(contact.relationship);
+        const name = contact.name
+            ? contact.name.text || [(contact.name.given || []).join(' '), contact.name.family].filter(Boolean).join(' ')
+            : (contact.organization && contact.organization.display) || '';
+        const phone = (contact.telecom || []).map(telecom => telecom.value).filter(Boolean).join(', ');
+        return [name, relationship ? `(${t[`relationship${relationship}`]})` : ''].filter(Boolean).join(' ') +
+            (phone ? `: ${phone}` : '');
+    }));
+    addRow(t.legendCommunication, (patient.communication || []).map(communication => {
+        const { entry } = readCommunication(communication);
+        if (!entry) return (communication.language || {}).text || '';
+        const details = [entry.preferred ? t.labelPreferred : '', entry.proficiency ? t[`proficiency${entry.proficiency}`] : '']
+            .filter(Boolean).join(', ');
+        return languageName(entry.language, lang) + (details ? ` (${details})` : '');
+    }));
+    const interpreter = (patient.extension || []).find(isInterpreterRequiredExtension);
+    addRow(t.labelInterpreterRequired, interpreter ? [interpreter.valueBoolean ? t.optionYes : t.optionNo] : []);
+    const maritalStatus = readMaritalStatus(patient.maritalStatus);
+    addRow(t.labelMaritalStatus, maritalStatus ? [t[`maritalStatus${maritalStatus}`]] : []);
+    if (patient.deceasedDateTime) {
+        addRow(t.labelDeceasedDate, [formatLocaleDate(patient.deceasedDateTime.substring(0, 10), lang)]);
+    } else if (patient.deceasedBoolean !== undefined) {
+        addRow(t.labelDeceased, [patient.deceasedBoolean ? t.optionYes : t.optionNo]);
+    }
+    if (patient.multipleBirthInteger !== undefined) {
+        addRow(t.labelMultipleBirth, [formatMessage(t.narrativeBirthOrder, { order: patient.multipleBirthInteger })]);
+    } else if (patient.multipleBirthBoolean !== undefined) {
+        addRow(t.labelMultipleBirth, [patient.multipleBirthBoolean ? t.optionYes : t.optionNo]);
+    }
+    addRow(t.labelGeneralPractitioner, (patient.generalPractitioner || []).map(reference =>
+        reference.display || reference.reference || ''));
+    addRow(t.labelManagingOrganization, patient.managingOrganization
+        ? [patient.managingOrganization.display || patient.managingOrganization.reference || '']
+        : []);
+    addRow(t.labelActive, patient.active === false ? [t.optionNo] : []);
+
+    const heading = [(primaryName.given || []).join(' '), primaryName.family].filter(Boolean).join(' ');
+    const table = rows.length > 0 ? `<table><tbody>${rows.join('')}</tbody></table>` : '';
+
+    return `<div xmlns="http://www.w3.org/1999/xhtml" lang="${lang}" xml:lang="${lang}">` +
+        `<p><b>${escapeXml(heading || t.narrativeUnnamed)}</b></p>${table}</div>`;
+}
+
+/**
+ * One line of an address for the narrative; the country is named when
+ * it is not the United States
+ */
+function formatNarrativeAddress(address, lang) {
+    const cityLine = [address.city, [address.state, address.postalCode].filter(Boolean).join(' ')]
+        .filter(Boolean).join(', ');
+    const country = address.country && address.country !== 'US' ? [countryName(address.country, lang)] : [];
+    return (address.line || []).concat(cityLine ? [cityLine] : [], country).join(', ');
+}
+
+/**
+ * Maps a name entry to a HumanName; middle names follow the first given name
+ */
+function mapHumanName(entry) {
+    const name = {
+        use: entry.use || "official"
+    };
+
+    if (entry.family) name.family = entry.family;
+
+    const given = [entry.given].concat(entry.middle ? entry.middle.split(/\s+/) : []).filter(Boolean);
+    if (given.length > 0) name.given = given;
+
+    const period = buildPeriod(entry.periodStart, entry.periodEnd);
+    if (period) name.period = period;
+
+    return name;
+}
+
+/**
+ * Maps a telecom entry to a ContactPoint; phone numbers are written in
+ * E.164 (or as a tel: URI with an extension), and rank follows the
+ * entry order unless one is entered
+ */
+function mapContactPoint(entry, position, phoneCountry) {
+    const system = entry.system || "phone";
+
+    return {
+        system,
+        value: system === 'email' ? entry.value : normalizePhoneNumber(entry.value, phoneCountry),
+        use: entry.use || "home",
+        rank: entry.rank ? Number(entry.rank) : position
+    };
+}
+
+/**
+ * Country of phone numbers entered without a country code: the country
+ * of the first address
+ */
+function defaultPhoneCountry(formData) {
+    const address = formData.addresses[0];
+    return (address && address.country) || 'US';
+}
+
+/**
+ * Maps an address entry to an Address
+ */
+function mapAddress(entry) {
+    const address = {
+        use: entry.use || "home",
+        type: entry.type || "both"
+    };
+
+    if (entry.lines.length > 0) address.line = entry.lines;
+    if (entry.city) address.city = entry.city;
+    if (entry.district) address.district = entry.district;
+    if (entry.state) address.state = entry.state;
+    if (entry.postalCode) address.postalCode = entry.postalCode;
+    address.country = entry.country || "US";
+
+    const period = buildPeriod(entry.periodStart, entry.periodEnd);
+    if (period) address.period = period;
+
+    return address;
+}
+
+/**
+ * Maps an identifier entry to an Identifier
+ */
+function mapIdentifier(entry) {
+    const identifier = {
+        use: entry.use || "usual"
+    };
+
+    if (IDENTIFIER_TYPES[entry.type]) identifier.type = buildIdentifierType(entry.type);
+    if (entry.system) identifier.system = entry.system;
+    identifier.value = entry.type === 'SS' ? normalizeSsn(entry.value) : entry.value;
+
+    return identifier;
+}
+
+/**
+ * Identifier elements the form has no field for, taken over from the
+ * imported identifier with the same system and value
+ */
+const IMPORTED_IDENTIFIER_KEYS = ['period', 'assigner'];
+
+/**
+ * Adds the period, assigner and (when the form has none) the type of the
+ * matching imported identifier, such as a type that only has text
+ */
+function mergeImportedIdentifier(identifier, imported) {
+    const match = imported.find(entry => entry.system === identifier.system && entry.value === identifier.value);
+    if (!match) return identifier;
+
+    const merged = { use: identifier.use };
+    const type = identifier.type || match.type;
+    if (type) merged.type = type;
+    if (identifier.system) merged.system = identifier.system;
+    merged.value = identifier.value;
+    IMPORTED_IDENTIFIER_KEYS.forEach(key => {
+        if (match[key] !== undefined) merged[key] = match[key];
+    });
+
+    return merged;
+}
+
+/**
+ * Maps an emergency contact entry to a Patient.contact
+ */
+function mapEmergencyContact(entry) {
+    const emergencyContact = {};
+
+    const relationship = buildContactRelationship(entry.role, entry.relationship);
+    if (relationship.length > 0) emergencyContact.relationship = relationship;
+
+    // Given names are kept whole; splitting "María de la Cruz" would be a guess
+    const given = (entry.given || '').split(/\s+/).filter(Boolean);
+    if (given.length > 0 || entry.family) {
+        emergencyContact.name = {};
+        if (entry.family) emergencyContact.name.family = entry.family;
+        if (given.length > 0) emergencyContact.name.given = given;
+    } else if (entry.nameText) {
+        emergencyContact.name = { text: entry.nameText };
+    }
+
+    if (entry.phone) {
+        emergencyContact.telecom = [
+            {
+                system: "phone",
+                value: normalizePhoneNumber(entry.phone, entry.country),
+                use: entry.phoneUse || "mobile"
+            }
+        ];
+    }
+
+    if (hasContactAddress(entry)) {
+        emergencyContact.address = mapAddress({ use: 'home', type: 'both', ...entry });
+    }
+    if (entry.gender) emergencyContact.gender = entry.gender;
+    if (entry.organization) emergencyContact.organization = { display: entry.organization };
+
+    return emergencyContact;
+}
+
+/**
+ * Whether a contact entry has any address field filled in
+ */
+function hasContactAddress(entry) {
+    return (entry.lines || []).length > 0 || Boolean(entry.city || entry.district || entry.state || entry.postalCode);
+}
+
+/**
+ * Builds a Period from optional start and end dates
+ */
+function buildPeriod(start, end) {
+    if (!start && !end) return null;
+
+    const period = {};
+    if (start) period.start = start;
+    if (end) period.end = end;
+    return period;
+}
+
+// ===================================
+// FHIR Import Module
+// ===================================
+
+/**
+ * Parses JSON text and checks that it holds a Patient resource
+ * @param {string} text - Raw JSON text
+ * @returns {Object} Parsed Patient resource
+ */
+export function parseFhirPatientJson(text) {
+    let resource;
+
+    try {
+        resource = JSON.parse(text);
+    } catch (err) {
+        throw new Error(translations[currentLanguage].importErrorParse);
+    }
+
+    if (!resource || resource.resourceType !== 'Patient') {
+        throw new Error(translations[currentLanguage].importErrorResource);
+    }
+
+    return resource;
+}
+
+/**
+ * Form data with every field empty
+ */
+export function createEmptyFormData() {
+    return {
+        names: [],
+        dob: '',
+        gender: '',
+        identifiers: [],
+        telecoms: [],
+        addresses: [],
+        contacts: [],
+        race: [],
+        ethnicity: [],
+        birthSex: '',
+        genderIdentity: '',
+        communications: [],
+        interpreterRequired: '',
+        active: true,
+        maritalStatus: '',
+        deceased: '',
+        deceasedDate: '',
+        multipleBirth: '',
+        birthOrder: '',
+        photo: null,
+        generalPractitioners: [],
+        managingOrganization: '',
+        managingOrganizationDisplay: ''
+    };
+}
+
+/**
+ * Completes form data that did not come from the page (JSON files,
+ * pipelines): missing fields are empty and addresses are normalized the
+ * way the form normalizes them
+ * @param {Object} input - Form data, possibly partial
+ * @returns {Object} Form data for validateFormData() and mapToFhirPatient()
+ */
+export function normalizeFormData(input) {
+    const formData = { ...createEmptyFormData(), ...input };
+
+    formData.addresses = formData.addresses.map(entry => normalizeAddressEntry({ lines: [], ...entry }));
+    formData.contacts = formData.contacts.map(entry => normalizeAddressEntry({ lines: [], ...entry }));
+    // Languages may be typed by name; unknown text is kept for validation
+    formData.communications = formData.communications.map(entry => ({
+        language: findLanguageCode(entry.language) || (entry.language || '').trim(),
+        preferred: entry.preferred === true || entry.preferred === 'true',
+        proficiency: entry.proficiency || ''
+    }));
+    if (typeof formData.interpreterRequired === 'boolean') {
+        formData.interpreterRequired = String(formData.interpreterRequired);
+    }
+    formData.active = formData.active !== false && formData.active !== 'false';
+    ['deceased', 'multipleBirth'].forEach(key => {
+        if (typeof formData[key] === 'boolean') formData[key] = String(formData[key]);
+    });
+    formData.birthOrder = String(formData.birthOrder || '').trim();
+    formData.generalPractitioners = formData.generalPractitioners.map(entry => ({
+        reference: (entry.reference || '').trim(),
+        display: (entry.display || '').trim()
+    }));
+
+    return formData;
+}
+
+/**
+ * Maps a FHIR R4 Patient Resource back to form data
+ * @param {Object} patient - FHIR Patient resource
+ * @returns {Object} formData, the preserved id/meta/identifiers and the FHIRPath
+ *                   locations of elements the form cannot hold
+ */
+export function mapFromFhirPatient(patient) {
+    const unmapped = [];
+    const formData = createEmptyFormData();
+
+    collectUnmappedKeys(patient, 'Patient',
+        ['resourceType', 'id', 'meta', 'text', 'extension', 'identifier', 'active', 'name',
+         'telecom', 'gender', 'birthDate', 'deceasedBoolean', 'deceasedDateTime', 'address', 'maritalStatus',
+         'multipleBirthBoolean', 'multipleBirthInteger', 'photo', 'contact', 'communication',
+         'generalPractitioner', 'managingOrganization'], unmapped);
+
+    // US Core race, ethnicity, birth sex and gender identity
+    const usCore = parseUsCoreExtensions(readElementArray(patient.extension, 'Patient.extension', unmapped));
+    formData.race = usCore.race;
+    formData.ethnicity = usCore.ethnicity;
+    formData.birthSex = usCore.birthSex;
+    formData.genderIdentity = usCore.genderIdentity;
+    usCore.unmapped.forEach(part => unmapped.push(`Patient.${part}`));
+    usCore.unrecognized.forEach(index => {
+        const extension = patient.extension[index];
+        if (isInterpreterRequiredExtension(extension) && !formData.interpreterRequired) {
+            formData.interpreterRequired = String(extension.valueBoolean);
+        } else {
+            unmapped.push(`Patient.extension[${index}]`);
+        }
+    });
+
+    formData.active = patient.active !== false;
+
+    // A type the form does not offer, the period and the assigner are kept
+    // with the imported identifier and merged back on regeneration
+    const importedIdentifiers = [];
+    forEachElement(patient.identifier, 'Patient.identifier', unmapped, (identifier, path) => {
+        collectUnmappedKeys(identifier, path, ['use', 'type', 'system', 'value'].concat(IMPORTED_IDENTIFIER_KEYS), unmapped);
+        const type = readIdentifierType(identifier.type);
+        importedIdentifiers.push(identifier);
+        formData.identifiers.push({
+            use: identifier.use || 'usual',
+            type,
+            issuer: type === 'DL' ? driversLicenseState(identifier.system) : '',
+            system: identifier.system || '',
+            value: identifier.value || ''
+        });
+    });
+
+    forEachElement(patient.name, 'Patient.name', unmapped, (name, path) => {
+        collectUnmappedKeys(name, path, ['use', 'family', 'given', 'period'], unmapped);
+        const given = readStringList(name.given, `${path}.given`, unmapped);
+        formData.names.push({
+            use: name.use || 'official',
+            given: given[0] || '',
+            middle: given.slice(1).join(' '),
+            family: name.family || '',
+            periodStart: toDateInputValue(name.period && name.period.start, `${path}.period.start`, unmapped),
+            periodEnd: toDateInputValue(name.period && name.period.end, `${path}.period.end`, unmapped)
+        });
+    });
+
+    if (patient.gender) {
+        formData.gender = patient.gender;
+    }
+
+    // The date input only holds full dates
+    if (patient.birthDate) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(patient.birthDate)) {
+            formData.dob = patient.birthDate;
+        } else {
+            unmapped.push('Patient.birthDate');
+        }
+    }
+
+    // Telecom entries are listed in rank order; the form re-derives rank from it
+    const telecoms = [];
+    forEachElement(patient.telecom, 'Patient.telecom', unmapped, (telecom, path) => telecoms.push({ telecom, path }));
+    telecoms
+        .sort((a, b) => (a.telecom.rank || Infinity) - (b.telecom.rank || Infinity))
+        .forEach(({ telecom, path }) => {
+            if (!['phone', 'email', 'sms', 'fax'].includes(telecom.system)) {
+                unmapped.push(path);
+                return;
+            }
+            collectUnmappedKeys(telecom, path, ['system', 'value', 'use', 'rank'], unmapped);
+            formData.telecoms.push({
+                system: telecom.system,
+                value: telecom.value || '',
+                use: telecom.use || 'home',
+                rank: telecom.rank ? String(telecom.rank) : ''
+            });
+        });
+
+    forEachElement(patient.address, 'Patient.address', unmapped, (address, path) => {
+        collectUnmappedKeys(address, path,
+            ['use', 'type', 'line', 'city', 'district', 'state', 'postalCode', 'country', 'period'], unmapped);
+        formData.addresses.push({
+            use: address.use || 'home',
+            type: address.type || 'both',
+            ...readAddressFields(address, path, unmapped),
+            periodStart: toDateInputValue(address.period && address.period.start, `${path}.period.start`, unmapped),
+            periodEnd: toDateInputValue(address.period && address.period.end, `${path}.period.end`, unmapped)
+        });
+    });
+
+    forEachElement(patient.contact, 'Patient.contact', unmapped, (contact, path) => {
+        collectUnmappedKeys(contact, path,
+            ['relationship', 'name', 'telecom', 'address', 'gender', 'organization'], unmapped);
+        const entry = {
+            given: '', family: '', gender: contact.gender || '', role: '', relationship: '', phone: '', phoneUse: 'mobile',
+            organization: '', lines: [], city: '', district: '', state: '', postalCode: '', country: 'US'
+        };
+
+        if (readElement(contact.name, `${path}.name`, unmapped)) {
+            collectUnmappedKeys(contact.name, `${path}.name`, ['family', 'given', 'text'], unmapped);
+            entry.given = readStringList(contact.name.given, `${path}.name.given`, unmapped).join(' ');
+            entry.family = contact.name.family || '';
+            if (!entry.given && !entry.family && contact.name.text) {
+                unmapped.push(`${path}.name.text`);
+            }
+        }
+
+        const relationship = readContactRelationship(
+            readElementArray(contact.relationship, `${path}.relationship`, unmapped));
+        entry.role = relationship.role;
+        entry.relationship = relationship.relationship;
+        relationship.unmapped.forEach(i => unmapped.push(`${path}.relationship[${i}]`));
+
+        forEachElement(contact.telecom, `${path}.telecom`, unmapped, (telecom, telecomPath) => {
+            if (telecom.system === 'phone' && !entry.phone) {
+                entry.phone = telecom.value || '';
+                if (['mobile', 'home', 'work'].includes(telecom.use)) {
+                    entry.phoneUse = telecom.use;
+                } else if (telecom.use) {
+                    unmapped.push(`${telecomPath}.use`);
+                }
+            } else {
+                unmapped.push(telecomPath);
+            }
+        });
+
+        if (readElement(contact.address, `${path}.address`, unmapped)) {
+            collectUnmappedKeys(contact.address, `${path}.address`,
+                ['use', 'type', 'line', 'city', 'district', 'state', 'postalCode', 'country'], unmapped);
+            Object.assign(entry, readAddressFields(contact.address, `${path}.address`, unmapped));
+        }
+
+        if (readElement(contact.organization, `${path}.organization`, unmapped)) {
+            collectUnmappedKeys(contact.organization, `${path}.organization`, ['display'], unmapped);
+            entry.organization = contact.organization.display || '';
+        }
+
+        formData.contacts.push(entry);
+    });
+
+    // Languages need a BCP 47 coding; other code systems are not on the form
+    forEachElement(patient.communication, 'Patient.communication', unmapped, (communication, path) => {
+        const { entry, unmapped: parts } = readCommunication(communication);
+        if (!entry) {
+            unmapped.push(path);
+            return;
+        }
+        collectUnmappedKeys(communication, path, ['extension', 'language', 'preferred'], unmapped);
+        parts.forEach(part => unmapped.push(`${path}.${part}`));
+        formData.communications.push(entry);
+    });
+
+    if (patient.maritalStatus) {
+        formData.maritalStatus = readMaritalStatus(patient.maritalStatus);
+        if (!formData.maritalStatus) unmapped.push('Patient.maritalStatus');
+    }
+
+    // The date input holds the date of death without its time
+    if (patient.deceasedDateTime) {
+        formData.deceased = 'true';
+        formData.deceasedDate = toDateInputValue(patient.deceasedDateTime, 'Patient.deceasedDateTime', unmapped);
+    } else if (typeof patient.deceasedBoolean === 'boolean') {
+        formData.deceased = String(patient.deceasedBoolean);
+    }
+
+    if (patient.multipleBirthInteger !== undefined) {
+        formData.multipleBirth = 'true';
+        formData.birthOrder = String(patient.multipleBirthInteger);
+    } else if (typeof patient.multipleBirthBoolean === 'boolean') {
+        formData.multipleBirth = String(patient.multipleBirthBoolean);
+    }
+
+    // The form holds one photo with inline image data
+    forEachElement(patient.photo, 'Patient.photo', unmapped, (attachment, path) => {
+        const photo = formData.photo ? null : readPhoto(attachment);
+        if (!photo) {
+            unmapped.push(path);
+            return;
+        }
+        collectUnmappedKeys(attachment, path, ['contentType', 'data', 'size', 'title'], unmapped);
+        formData.photo = photo;
+    });
+
+    // Care provider references keep their reference and display
+    forEachElement(patient.generalPractitioner, 'Patient.generalPractitioner', unmapped, (reference, path) => {
+        collectUnmappedKeys(reference, path, ['reference', 'display'], unmapped);
+        if (!reference.reference && !reference.display) return;
+        formData.generalPractitioners.push({ reference: reference.reference || '', display: reference.display || '' });
+    });
+    if (readElement(patient.managingOrganization, 'Patient.managingOrganization', unmapped)) {
+        collectUnmappedKeys(patient.managingOrganization, 'Patient.managingOrganization', ['reference', 'display'], unmapped);
+        formData.managingOrganization = patient.managingOrganization.reference || '';
+        formData.managingOrganizationDisplay = patient.managingOrganization.display || '';
+    }
+
+    return {
+        formData,
+        preserved: {
+            id: patient.id,
+            meta: patient.meta,
+            identifier: importedIdentifiers
+        },
+        unmapped
+    };
+}
+
+/**
+ * Items of a repeating element; a value that is not an array is recorded
+ * and read as an empty list
+ */
+function readElementArray(value, path, unmapped) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) {
+        unmapped.push(path);
+        return [];
+    }
+    return value;
+}
+
+/**
+ * Calls back with each item of a repeating element that is an object and
+ * its path; items that are not (null, strings, numbers) are recorded
+ */
+function forEachElement(value, path, unmapped, callback) {
+    readElementArray(value, path, unmapped).forEach((item, index) => {
+        if (readElement(item, `${path}[${index}]`, unmapped)) {
+            callback(item, `${path}[${index}]`);
+        }
+    });
+}
+
+/**
+ * Whether a single element is an object the form can read; anything
+ * else that is present is recorded
+ */
+function readElement(value, path, unmapped) {
+    if (value === undefined) return false;
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        unmapped.push(path);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Strings of a list of strings (name.given, address.line); anything
+ * else is recorded and left out
+ */
+function readStringList(value, path, unmapped) {
+    return readElementArray(value, path, unmapped).filter((item, index) => {
+        if (typeof item === 'string') return true;
+        unmapped.push(`${path}[${index}]`);
+        return false;
+    });
+}
+
+/**
+ * Records every key of an element that is not in the supported list
+ */
+function collectUnmappedKeys(element, path, supportedKeys, unmapped) {
+    Object.keys(element).forEach(key => {
+        if (!supportedKeys.includes(key)) {
+            unmapped.push(`${path}.${key}`);
+        }
+    });
+}
+
+/**
+ * Address fields of a patient or contact address; a country the picker
+ * does not know is recorded and replaced by the US default
+ */
+function readAddressFields(address, path, unmapped) {
+    const country = address.country ? findCountryCode(address.country) : 'US';
+    if (!country) {
+        unmapped.push(`${path}.country`);
+    }
+
+    return {
+        lines: readStringList(address.line, `${path}.line`, unmapped),
+        city: address.city || '',
+        district: address.district || '',
+        state: address.state || '',
+        postalCode: address.postalCode || '',
+        country: country || 'US'
+    };
+}
+
+/**
+ * Reduces a date or dateTime to the YYYY-MM-DD a date input holds,
+ * recording the element when precision is lost
+ */
+function toDateInputValue(value, path, unmapped) {
+    if (!value) return '';
+
+    if (!/^\d{4}-\d{2}-\d{2}/.test(value)) {
+        unmapped.push(path);
+        return '';
+    }
+    if (value.length > 10) {
+        unmapped.push(path);
+    }
+    return value.substring(0, 10);
+}
+
+// ===================================
+// Validation Module
+// ===================================
+
+/**
+ * Validates form data before FHIR conversion
+ * @param {Object} formData - Form data to validate
+ * @param {string} [profileId] - Target profile whose required fields and
+ *                               identifier formats apply (default US Core)
+ * @returns {Object} Validation result with errors keyed by field
+ *                   (repeatable entries use "group[index].field")
+ */
+export function validateFormData(formData, profileId) {
+    const errors = {};
+    const t = translations[currentLanguage];
+    const profile = targetProfile(profileId);
+
+    // Required fields come from the target profile; the first name entry
+    // is the patient's primary name
+    const primaryName = formData.names[0] || {};
+    const requiredValues = {
+        given: primaryName.given,
+        family: primaryName.family,
+        dob: formData.dob,
+        gender: formData.gender
+    };
+    profile.required.forEach(field => {
+        if (!requiredValues[field] || requiredValues[field].trim() === '') {
+            errors[PROFILE_REQUIRED_FIELDS[field]] = t.errorRequired;
+        }
+    });
+
+    // Batch rows bypass the date input, so check the format here
+    if (formData.dob && !/^\d{4}-\d{2}-\d{2}$/.test(formData.dob)) {
+        errors.dob = t.errorDate;
+    }
+
+    if (formData.gender && !['male', 'female', 'other', 'unknown'].includes(formData.gender)) {
+        errors.gender = t.errorGender;
+    }
+
+    formData.names.forEach((entry, index) => {
+        if (!isValidPeriod(entry.periodStart, entry.periodEnd)) {
+            errors[`names[${index}].periodEnd`] = t.errorPeriod;
+        }
+    });
+
+    // Identifiers need both a system and a value
+    formData.identifiers.forEach((entry, index) => {
+        if (entry.value && !entry.system) {
+            errors[`identifiers[${index}].system`] = t.errorIdentifier;
+        } else if (entry.system && !entry.value) {
+            errors[`identifiers[${index}].value`] = t.errorIdentifier;
+        } else if (entry.type === 'SS' && entry.value && !isValidSsn(entry.value)) {
+            errors[`identifiers[${index}].value`] = t.errorSsn;
+        } else if (checkIdentifierFormat(profile, entry.system, entry.value)) {
+            errors[`identifiers[${index}].value`] = formatMessage(t.errorIdentifierFormat,
+                { example: profile.identifierFormats[entry.system].example });
+        }
+    });
+
+    // Email and phone validation (if provided)
+    const phoneCountry = defaultPhoneCountry(formData);
+    formData.telecoms.forEach((entry, index) => {
+        if (entry.rank && !/^[1-9]\d*$/.test(entry.rank)) {
+            errors[`telecoms[${index}].rank`] = t.errorRank;
+        }
+        if (!entry.value) return;
+
+        if (entry.system === 'email' && !isValidEmail(entry.value)) {
+            errors[`telecoms[${index}].value`] = t.errorEmail;
+        } else if (entry.system !== 'email' && !isValidPhone(entry.value, phoneCountry)) {
+            errors[`telecoms[${index}].value`] = t.errorPhone;
+        }
+    });
+
+    formData.addresses.forEach((entry, index) => {
+        if (!isValidPeriod(entry.periodStart, entry.periodEnd)) {
+            errors[`addresses[${index}].periodEnd`] = t.errorPeriod;
+        }
+        validateAddressFields(entry, `addresses[${index}]`, errors, t);
+    });
+
+    formData.contacts.forEach((entry, index) => {
+        if (entry.phone && !isValidPhone(entry.phone, entry.country)) {
+            errors[`contacts[${index}].phone`] = t.errorPhone;
+        }
+        validateAddressFields(entry, `contacts[${index}]`, errors, t);
+        if (entry.relationship && !CONTACT_RELATIONSHIP_CODES[entry.relationship]) {
+            errors[`contacts[${index}].relationship`] = t.errorRelationship;
+        }
+    });
+
+    formData.communications.forEach((entry, index) => {
+        if (entry.language && !findLanguageCode(entry.language)) {
+            errors[`communications[${index}].language`] = t.errorLanguage;
+        } else if (!entry.language && (entry.proficiency || entry.preferred)) {
+            errors[`communications[${index}].language`] = t.errorRequired;
+        }
+        if (entry.proficiency && !LANGUAGE_PROFICIENCY_CODES[entry.proficiency]) {
+            errors[`communications[${index}].proficiency`] = t.errorProficiency;
+        }
+    });
+
+    if (formData.maritalStatus && !MARITAL_STATUS_CODES[formData.maritalStatus]) {
+        errors.maritalStatus = t.errorMaritalStatus;
+    }
+
+    // Unknown or declined stands alone, and ethnicity has one OMB category
+    ['race', 'ethnicity'].forEach(kind => {
+        const problem = checkRaceEthnicityCodes(kind, formData[kind]);
+        if (problem === 'nullFlavor') {
+            errors[kind] = t.errorRaceEthnicityNullFlavor;
+        } else if (problem === 'ombCategoryMax') {
+            errors[kind] = formatMessage(t.errorOmbCategoryMax, { max: US_CORE_OMB_CATEGORY_MAX[kind] });
+        }
+    });
+
+    // A date of death is a full date between the birth date and today
+    if (formData.deceased === 'true' && formData.deceasedDate) {
+        const today = new Date().toISOString().substring(0, 10);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(formData.deceasedDate)) {
+            errors.deceasedDate = t.errorDate;
+        } else if (formData.deceasedDate > today || (formData.dob && formData.deceasedDate < formData.dob)) {
+            errors.deceasedDate = t.errorDeceasedDate;
+        }
+    }
+
+    if (formData.multipleBirth === 'true' && formData.birthOrder && !/^[1-9]\d?$/.test(formData.birthOrder)) {
+        errors.birthOrder = t.errorBirthOrder;
+    }
+
+    const photoProblem = formData.photo && checkPhoto(formData.photo);
+    if (photoProblem) {
+        errors.photo = formatMessage(t[photoProblem.key], photoProblem.params);
+    }
+
+    // References must point to a resource type the element allows
+    const referenceError = (reference, targets, example) =>
+        reference && !isValidReference(reference, targets)
+            ? formatMessage(t.errorReference, { example, types: targets.join(', ') })
+            : '';
+    formData.generalPractitioners.forEach((entry, index) => {
+        const error = referenceError(entry.reference, REFERENCE_TARGETS.generalPractitioner, 'Practitioner/123');
+        if (error) errors[`generalPractitioners[${index}].reference`] = error;
+    });
+    const organizationError = referenceError(formData.managingOrganization,
+        REFERENCE_TARGETS.managingOrganization, 'Organization/456');
+    if (organizationError) errors.managingOrganization = organizationError;
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Email validation helper
+ */
+export function isValidEmail(email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+}
+
+/**
+ * Phone validation helper (national or international formats, with an
+ * optional extension); the length must fit the number's country
+ */
+export function isValidPhone(phone, defaultCountry) {
+    const parsed = parsePhoneNumber(phone, defaultCountry);
+    return Boolean(parsed && parsed.valid);
+}
+
+/**
+ * Address validation helper: USPS state abbreviations for US addresses
+ * and the postal code format of the country
+ */
+function validateAddressFields(entry, prefix, errors, t) {
+    const country = entry.country || 'US';
+
+    if (country === 'US' && entry.state && !US_STATES[entry.state]) {
+        errors[`${prefix}.state`] = t.errorState;
+    }
+    if (entry.postalCode && !isValidPostalCode(entry.postalCode, country)) {
+        errors[`${prefix}.postalCode`] = formatMessage(t.errorPostalCode, { example: POSTAL_CODE_RULES[country].example });
+    }
+}
+
+/**
+ * Period validation helper (end on or after start)
+ */
+function isValidPeriod(start, end) {
+    return !start || !end || start <= end;
+}
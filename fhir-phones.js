@@ -0,0 +1,210 @@
+/**
+ * ===================================
+ * Phone Number Module
+ * E.164 parsing and normalization
+ * ===================================
+ *
+ * Purpose: Parse phone numbers as typed or imported ("(555) 123-4567 x12",
+ *          "+52 55 1234 5678", "tel:+15551234567;ext=12") into a canonical
+ *          ContactPoint.value
+ * Canonical form: E.164 ("+15551234567"); a number with an extension is
+ *                 written as a tel: URI ("tel:+15551234567;ext=12", RFC 3966)
+ *                 because E.164 has no room for one
+ * Country: Numbers without a country code belong to the country of the
+ *          address they are entered with (United States by default)
+ */
+
+// ===================================
+// Calling Codes
+// ===================================
+
+/**
+ * Country calling codes with the length range of the national number and
+ * the trunk prefix dialed before it inside the country
+ */
+const PHONE_COUNTRY_CODES = {
+    US: { code: '1', min: 10, max: 10 },
+    CA: { code: '1', min: 10, max: 10 },
+    PR: { code: '1', min: 10, max: 10 },
+    VI: { code: '1', min: 10, max: 10 },
+    GU: { code: '1', min: 10, max: 10 },
+    AS: { code: '1', min: 10, max: 10 },
+    MP: { code: '1', min: 10, max: 10 },
+    DO: { code: '1', min: 10, max: 10 },
+    JM: { code: '1', min: 10, max: 10 },
+    MX: { code: '52', min: 10, max: 10 },
+    GT: { code: '502', min: 8, max: 8 },
+    SV: { code: '503', min: 8, max: 8 },
+    HN: { code: '504', min: 8, max: 8 },
+    NI: { code: '505', min: 8, max: 8 },
+    CR: { code: '506', min: 8, max: 8 },
+    PA: { code: '507', min: 7, max: 8 },
+    HT: { code: '509', min: 8, max: 8 },
+    CU: { code: '53', min: 8, max: 8 },
+    CO: { code: '57', min: 10, max: 10 },
+    VE: { code: '58', min: 10, max: 10, trunk: '0' },
+    EC: { code: '593', min: 8, max: 9, trunk: '0' },
+    PE: { code: '51', min: 8, max: 9, trunk: '0' },
+    BO: { code: '591', min: 8, max: 8 },
+    CL: { code: '56', min: 9, max: 9 },
+    AR: { code: '54', min: 10, max: 11, trunk: '0' },
+    UY: { code: '598', min: 8, max: 8, trunk: '0' },
+    PY: { code: '595', min: 9, max: 9, trunk: '0' },
+    BR: { code: '55', min: 10, max: 11, trunk: '0' },
+    ES: { code: '34', min: 9, max: 9 },
+    PT: { code: '351', min: 9, max: 9 },
+    GB: { code: '44', min: 9, max: 10, trunk: '0' },
+    IE: { code: '353', min: 7, max: 9, trunk: '0' },
+    FR: { code: '33', min: 9, max: 9, trunk: '0' },
+    DE: { code: '49', min: 6, max: 13, trunk: '0' },
+    IT: { code: '39', min: 6, max: 11 },
+    NL: { code: '31', min: 9, max: 9, trunk: '0' },
+    PH: { code: '63', min: 8, max: 10, trunk: '0' },
+    VN: { code: '84', min: 9, max: 10, trunk: '0' },
+    CN: { code: '86', min: 9, max: 11, trunk: '0' },
+    IN: { code: '91', min: 10, max: 10, trunk: '0' },
+    KR: { code: '82', min: 8, max: 10, trunk: '0' },
+    JP: { code: '81', min: 9, max: 10, trunk: '0' },
+    AU: { code: '61', min: 9, max: 9, trunk: '0' }
+};
+
+/**
+ * Characters allowed in a typed number besides digits and a leading +
+ */
+const PHONE_SEPARATOR_PATTERN = /^[\d\s().\-\/]*$/;
+
+/**
+ * Extension written after the number: "x12", "ext. 12", ";ext=12", "#12"
+ */
+const PHONE_EXTENSION_PATTERN = /^(.*?)\s*(?:;ext=|(?:ext\.?|extension|x|#)\s*)(\d{1,6})$/i;
+
+// ===================================
+// Parsing and Formatting
+// ===================================
+
+/**
+ * Parses a phone number
+ * @param {string} text - Number as typed, an E.164 number or a tel: URI
+ * @param {string} [defaultCountry] - ISO 3166 country of numbers without a country code
+ * @returns {Object|null} e164, countryCode, country, national, extension,
+ *                        valid (the length fits the country) and warnings
+ *                        (translation keys); null when it is not a phone number
+ */
+export function parsePhoneNumber(text, defaultCountry) {
+    let value = (text || '').trim().replace(/^tel:/i, '');
+    let extension = '';
+
+    const extensionMatch = value.match(PHONE_EXTENSION_PATTERN);
+    if (extensionMatch) {
+        value = extensionMatch[1];
+        extension = extensionMatch[2];
+    }
+
+    const international = value.startsWith('+');
+    if (international) value = value.substring(1);
+    if (!/\d/.test(value) || !PHONE_SEPARATOR_PATTERN.test(value)) return null;
+
+    let digits = value.replace(/\D/g, '');
+    const home = PHONE_COUNTRY_CODES[defaultCountry] ? defaultCountry : 'US';
+    let country = home;
+    let national;
+
+    // "00" (and "011" inside North America) dials out like "+"
+    const exitPrefix = PHONE_COUNTRY_CODES[home].code === '1' ? '011' : '00';
+    if (international || digits.startsWith(exitPrefix)) {
+        if (!international) digits = digits.substring(exitPrefix.length);
+        country = findPhoneCountry(digits, home);
+        if (!country) {
+            // Unknown calling code: keep the digits as they are
+            return buildParsedPhone('', '', digits, extension, digits.length >= 8 && digits.length <= 15, []);
+        }
+        national = digits.substring(PHONE_COUNTRY_CODES[country].code.length);
+    } else {
+        national = digits;
+    }
+
+    const rule = PHONE_COUNTRY_CODES[country];
+    if (rule.code === '1' && national.length === 11 && national.startsWith('1')) {
+        national = national.substring(1);
+    } else if (rule.trunk && national.startsWith(rule.trunk) && national.length > rule.min) {
+        // "+44 (0)20 ..." and national numbers dialed with the trunk prefix
+        national = national.substring(rule.trunk.length);
+    }
+
+    const valid = national.length >= rule.min && national.length <= rule.max;
+    const warnings = valid && rule.code === '1' ? nanpWarnings(national) : [];
+    return buildParsedPhone(rule.code, country, national, extension, valid, warnings);
+}
+
+/**
+ * Country whose calling code starts the digits; a shared code (+1)
+ * belongs to the home country when it uses that code
+ */
+function findPhoneCountry(digits, home) {
+    if (digits.startsWith(PHONE_COUNTRY_CODES[home].code)) return home;
+
+    return Object.keys(PHONE_COUNTRY_CODES)
+        .filter(country => digits.startsWith(PHONE_COUNTRY_CODES[country].code))
+        .sort((a, b) => PHONE_COUNTRY_CODES[b].code.length - PHONE_COUNTRY_CODES[a].code.length)[0] || '';
+}
+
+/**
+ * Result of parsePhoneNumber()
+ */
+function buildParsedPhone(countryCode, country, national, extension, valid, warnings) {
+    return {
+        e164: `+${countryCode}${national}`,
+        countryCode,
+        country,
+        national,
+        extension,
+        valid,
+        warnings
+    };
+}
+
+/**
+ * Checks of a North American (NANP) number: area code and exchange are
+ * NXX (N = 2-9) and not N11 service codes; N9X, 37X and 96X area codes are
+ * reserved; 555-0100 to 555-0199 are fictional numbers
+ * @param {string} national - Ten digits
+ * @returns {Array} Translation keys of the warnings
+ */
+function nanpWarnings(national) {
+    const areaCode = national.substring(0, 3);
+    const exchange = national.substring(3, 6);
+    const line = national.substring(6);
+    const warnings = [];
+
+    if (/^[01]/.test(areaCode) || /^[2-9]11$/.test(areaCode)) {
+        warnings.push('phoneWarningAreaCode');
+    } else if (/^[2-9]9\d$/.test(areaCode) || /^(37|96)\d$/.test(areaCode)) {
+        warnings.push('phoneWarningReservedAreaCode');
+    }
+    if (/^[01]/.test(exchange) || /^[2-9]11$/.test(exchange)) {
+        warnings.push('phoneWarningExchange');
+    }
+    if (exchange === '555' && /^01\d\d$/.test(line)) {
+        warnings.push('phoneWarningFictional');
+    }
+
+    return warnings;
+}
+
+/**
+ * Canonical ContactPoint.value of a parsed number
+ * @param {Object} parsed - Result of parsePhoneNumber()
+ * @returns {string} E.164, or a tel: URI when there is an extension
+ */
+export function formatPhoneNumber(parsed) {
+    return parsed.extension ? `tel:${parsed.e164};ext=${parsed.extension}` : parsed.e164;
+}
+
+/**
+ * Canonical value of a phone number, or the text as entered when it
+ * cannot be parsed
+ */
+export function normalizePhoneNumber(text, defaultCountry) {
+    const parsed = parsePhoneNumber(text, defaultCountry);
+    return parsed && parsed.valid ? formatPhoneNumber(parsed) : text;
+}
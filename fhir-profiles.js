@@ -0,0 +1,166 @@
+/**
+ * ===================================
+ * Target Profiles
+ * HL7 FHIR Standard Compliant Module
+ * ===================================
+ *
+ * Purpose: Describe the implementation guides a Patient can be produced
+ *          for: the meta.profile it claims, the form fields it makes
+ *          mandatory, the identifier types and systems it uses, the
+ *          extensions it carries and the rules the validator checks
+ * Profiles: US Core Patient, IPS Patient (International Patient Summary),
+ *           CA Baseline Patient and AU Base Patient
+ */
+
+import { US_SSN_SYSTEM, identifierSystemForType } from './fhir-identifiers.js';
+import { US_CORE_EXTENSION_URLS } from './fhir-us-core.js';
+import { LANGUAGE_EXTENSION_URLS } from './fhir-languages.js';
+
+// ===================================
+// Identifier Systems
+// ===================================
+
+/**
+ * Individual Healthcare Identifier (Australian Healthcare Identifiers Service)
+ */
+export const AU_IHI_SYSTEM = 'http://ns.electronichealth.net.au/id/hi/ihi/1.0';
+
+/**
+ * Medicare card number (Services Australia)
+ */
+export const AU_MEDICARE_SYSTEM = 'http://ns.electronichealth.net.au/id/medicare-number';
+
+// ===================================
+// Profiles
+// ===================================
+
+/**
+ * Form fields a profile can make mandatory, with the validation key
+ * (and page field) of each
+ */
+export const PROFILE_REQUIRED_FIELDS = {
+    given: 'names[0].given',
+    family: 'names[0].family',
+    dob: 'dob',
+    gender: 'gender'
+};
+
+/**
+ * Profile used when none has been chosen
+ */
+export const DEFAULT_TARGET_PROFILE = 'us-core';
+
+/**
+ * Target profiles by id. Each profile: name and canonical url, required
+ * form fields, identifier types offered (v2-0203), systems it fixes for
+ * them and value formats by system, extension urls it carries, and its
+ * validation rules (minimum cardinalities, race/ethnicity-style complex
+ * extensions, and the name invariant)
+ */
+export const TARGET_PROFILES = {
+    'us-core': {
+        name: 'US Core Patient',
+        url: 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-patient',
+        required: ['given', 'family', 'dob', 'gender'],
+        identifierTypes: ['MR', 'SS', 'DL', 'MB'],
+        identifierSystems: { SS: US_SSN_SYSTEM },
+        identifierFormats: {},
+        extensions: Object.values(US_CORE_EXTENSION_URLS).concat(LANGUAGE_EXTENSION_URLS.interpreterRequired),
+        cardinality: {
+            'Patient.identifier': 1,
+            'Patient.identifier.system': 1,
+            'Patient.identifier.value': 1,
+            'Patient.name': 1,
+            'Patient.gender': 1,
+            'Patient.telecom.system': 1,
+            'Patient.telecom.value': 1,
+            'Patient.communication.language': 1
+        },
+        complexExtensions: [US_CORE_EXTENSION_URLS.race, US_CORE_EXTENSION_URLS.ethnicity],
+        nameInvariant: { key: 'us-core-6', allowText: false }
+    },
+    ips: {
+        name: 'IPS Patient',
+        url: 'http://hl7.org/fhir/uv/ips/StructureDefinition/Patient-uv-ips',
+        required: ['given', 'family', 'dob'],
+        identifierTypes: ['MR', 'NI', 'MB'],
+        identifierSystems: {},
+        identifierFormats: {},
+        extensions: [LANGUAGE_EXTENSION_URLS.interpreterRequired],
+        cardinality: {
+            'Patient.name': 1,
+            'Patient.birthDate': 1
+        },
+        complexExtensions: [],
+        nameInvariant: { key: 'ips-pat-1', allowText: true }
+    },
+    'ca-baseline': {
+        name: 'CA Baseline Patient',
+        url: 'http://hl7.org/fhir/ca/baseline/StructureDefinition/profile-patient',
+        required: ['given', 'family'],
+        // Health card numbers: the system is the issuing province's
+        identifierTypes: ['MR', 'JHN', 'MB'],
+        identifierSystems: {},
+        identifierFormats: {},
+        extensions: [LANGUAGE_EXTENSION_URLS.interpreterRequired],
+        cardinality: {},
+        complexExtensions: [],
+        nameInvariant: null
+    },
+    'au-base': {
+        name: 'AU Base Patient',
+        url: 'http://hl7.org.au/fhir/StructureDefinition/au-patient',
+        required: ['given', 'family'],
+        identifierTypes: ['MR', 'NI', 'MC', 'MB'],
+        identifierSystems: { NI: AU_IHI_SYSTEM, MC: AU_MEDICARE_SYSTEM },
+        // IHIs are 16 digits starting 800360; Medicare numbers have 10,
+        // or 11 with the individual reference number
+        identifierFormats: {
+            [AU_IHI_SYSTEM]: { pattern: /^800360\d{10}$/, example: '8003608166690503' },
+            [AU_MEDICARE_SYSTEM]: { pattern: /^\d{10,11}$/, example: '2123456701' }
+        },
+        extensions: [LANGUAGE_EXTENSION_URLS.interpreterRequired],
+        cardinality: {},
+        complexExtensions: [],
+        nameInvariant: null
+    }
+};
+
+/**
+ * Target profile for an id; unknown ids get the default profile
+ */
+export function targetProfile(id) {
+    return TARGET_PROFILES[id] || TARGET_PROFILES[DEFAULT_TARGET_PROFILE];
+}
+
+/**
+ * Id of the first target profile claimed in a meta.profile list
+ * @param {Array} profileUrls - Canonical urls
+ * @returns {string} Profile id, or '' when none is a target profile
+ */
+export function findTargetProfile(profileUrls) {
+    const urls = Array.isArray(profileUrls) ? profileUrls : [];
+    return Object.keys(TARGET_PROFILES).find(id => urls.includes(TARGET_PROFILES[id].url)) || '';
+}
+
+/**
+ * System an identifier type implies under a profile
+ * @param {Object} profile - Target profile
+ * @param {string} type - v2-0203 code
+ * @param {string} issuer - Issuing state for driver's licenses
+ * @param {Object} settings - Identifier settings (MRN namespace)
+ * @returns {string} System URI, or '' when the user has to enter it
+ */
+export function profileIdentifierSystem(profile, type, issuer, settings) {
+    return profile.identifierSystems[type] || identifierSystemForType(type, issuer, settings);
+}
+
+/**
+ * Checks an identifier value against the format the profile sets for its
+ * system
+ * @returns {Object|null} The format ({pattern, example}) it fails, or null
+ */
+export function checkIdentifierFormat(profile, system, value) {
+    const format = profile.identifierFormats[system];
+    return format && value && !format.pattern.test(value) ? format : null;
+}
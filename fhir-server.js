@@ -0,0 +1,471 @@
+/**
+ * ===================================
+ * FHIR Server Client Module
+ * FHIR R4 RESTful API (create, update, conditional create, search, $match)
+ * ===================================
+ *
+ * Purpose: Send the generated Patient to a FHIR server and read back the
+ *          server-assigned id, versionId, Location and OperationOutcome;
+ *          look up existing records of the same person before registering
+ * Authorization: None, a static bearer token, or SMART Backend Services
+ *                (client_credentials with a signed JWT client assertion)
+ */
+
+import { translations, currentLanguage } from './fhir-translations.js';
+import { formatMessage } from './fhir-validator.js';
+import { generateUuid } from './fhir-identifiers.js';
+import { buildDuplicateCandidates } from './fhir-match.js';
+import { mapToFhirPatient } from './fhir-patient.js';
+
+// ===================================
+// Constants
+// ===================================
+
+/**
+ * Media type for FHIR JSON requests and responses
+ */
+const FHIR_JSON_MIME_TYPE = 'application/fhir+json';
+
+/**
+ * JWT client assertion type (RFC 7523) used by SMART Backend Services
+ */
+const SMART_CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+/**
+ * WebCrypto parameters for the signing algorithms SMART requires
+ */
+const SMART_SIGNING_ALGORITHMS = {
+    RS384: {
+        importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' },
+        signParams: { name: 'RSASSA-PKCS1-v1_5' }
+    },
+    ES384: {
+        importParams: { name: 'ECDSA', namedCurve: 'P-384' },
+        signParams: { name: 'ECDSA', hash: 'SHA-384' }
+    }
+};
+
+/**
+ * Access token from the last SMART token request (kept in memory only)
+ */
+let smartTokenCache = null;
+
+// ===================================
+// Requests
+// ===================================
+
+/**
+ * Sends a Patient to the server
+ * @param {Object} patient - FHIR Patient resource
+ * @param {string} action - 'create' (POST), 'update' (PUT) or 'conditional' (POST with If-None-Exist)
+ * @param {Object} config - baseUrl, authMode ('none', 'bearer', 'smart'), token and smart settings
+ * @returns {Promise<Object>} Parsed server response
+ */
+export async function sendPatientToServer(patient, action, config) {
+    const t = translations[currentLanguage];
+    const baseUrl = normalizeBaseUrl(config.baseUrl);
+    const headers = {
+        'Accept': FHIR_JSON_MIME_TYPE,
+        'Content-Type': FHIR_JSON_MIME_TYPE,
+        'Prefer': 'return=representation'
+    };
+    let method = 'POST';
+    let url = `${baseUrl}/Patient`;
+    let body = patient;
+
+    if (action === 'update') {
+        if (!patient.id) {
+            throw new Error(t.serverErrorNoId);
+        }
+        method = 'PUT';
+        url = `${baseUrl}/Patient/${encodeURIComponent(patient.id)}`;
+    } else {
+        // The server assigns the id and version of a new resource
+        body = withoutServerManagedFields(patient);
+
+        if (action === 'conditional') {
+            headers['If-None-Exist'] = buildIdentifierSearch(patient);
+        }
+    }
+
+    const response = await fhirRequest(url, {
+        method,
+        headers,
+        body: JSON.stringify(body)
+    }, config, baseUrl);
+
+    return parseServerResponse(response, method);
+}
+
+/**
+ * Looks for existing records of the entered person with a
+ * family/given/birthdate search and, when the server supports it, $match
+ * @param {Object} formData - Collected form data
+ * @param {Object} config - Server settings
+ * @returns {Promise<Object>} Scored candidates and whether $match was available
+ */
+export async function findDuplicatePatients(formData, config) {
+    const t = translations[currentLanguage];
+    const baseUrl = normalizeBaseUrl(config.baseUrl);
+    const primaryName = formData.names[0] || {};
+
+    if (!primaryName.family && !formData.dob) {
+        throw new Error(t.duplicateErrorCriteria);
+    }
+
+    const entered = buildMatchPatient(formData);
+    const matchEntries = await matchPatientOnServer(entered, config, baseUrl);
+    const searchEntries = await searchPatientsOnServer({
+        family: primaryName.family,
+        given: primaryName.given,
+        birthdate: formData.dob
+    }, config, baseUrl);
+
+    return {
+        matchSupported: matchEntries !== null,
+        candidates: buildDuplicateCandidates(entered, matchEntries || [], searchEntries)
+    };
+}
+
+/**
+ * Patient with only what was entered (no generated id, MRN or narrative)
+ */
+function buildMatchPatient(formData) {
+    const patient = withoutServerManagedFields(mapToFhirPatient(formData));
+    delete patient.text;
+    delete patient.meta;
+
+    if (!formData.identifiers.some(entry => entry.value)) {
+        delete patient.identifier;
+    }
+
+    return patient;
+}
+
+/**
+ * Runs Patient?family=&given=&birthdate= with the given parameters
+ * @returns {Promise<Array>} Bundle entries
+ */
+async function searchPatientsOnServer(criteria, config, baseUrl) {
+    const params = new URLSearchParams();
+    Object.keys(criteria).forEach(name => {
+        if (criteria[name]) params.append(name, criteria[name]);
+    });
+    params.append('_count', '20');
+
+    const response = await fhirRequest(`${baseUrl}/Patient?${params.toString()}`, {
+        method: 'GET',
+        headers: { 'Accept': FHIR_JSON_MIME_TYPE }
+    }, config, baseUrl);
+
+    return readBundleEntries(response);
+}
+
+/**
+ * Runs Patient/$match with the entered Patient
+ * @returns {Promise<Array|null>} Bundle entries, or null when $match is not supported
+ */
+async function matchPatientOnServer(patient, config, baseUrl) {
+    const response = await fhirRequest(`${baseUrl}/Patient/$match`, {
+        method: 'POST',
+        headers: {
+            'Accept': FHIR_JSON_MIME_TYPE,
+            'Content-Type': FHIR_JSON_MIME_TYPE
+        },
+        body: JSON.stringify({
+            resourceType: 'Parameters',
+            parameter: [
+                { name: 'resource', resource: patient },
+                { name: 'onlyCertainMatches', valueBoolean: false },
+                { name: 'count', valueInteger: 10 }
+            ]
+        })
+    }, config, baseUrl);
+
+    if ([400, 404, 405, 501].includes(response.status)) {
+        return null;
+    }
+
+    return readBundleEntries(response);
+}
+
+/**
+ * Entries of a searchset Bundle; errors become translated exceptions
+ */
+async function readBundleEntries(response) {
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+        const issue = body && body.resourceType === 'OperationOutcome' && (body.issue || [])[0];
+        const message = formatMessage(translations[currentLanguage].serverFailed,
+            { status: response.status, statusText: response.statusText });
+        throw new Error(issue && issue.diagnostics ? `${message}: ${issue.diagnostics}` : message);
+    }
+
+    return body && body.resourceType === 'Bundle' ? body.entry || [] : [];
+}
+
+/**
+ * fetch() with the Authorization header of the configured mode
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch() options
+ * @param {Object} config - Server settings
+ * @param {string} baseUrl - Normalized FHIR base URL
+ * @returns {Promise<Response>} Response (any status)
+ */
+async function fhirRequest(url, options, config, baseUrl) {
+    const accessToken = await getAccessToken(config, baseUrl);
+    const headers = { ...options.headers };
+    if (accessToken) {
+        headers['Authorization'] = `Bearer ${accessToken}`;
+    }
+
+    try {
+        return await fetch(url, { ...options, headers });
+    } catch (err) {
+        throw new Error(formatMessage(translations[currentLanguage].serverErrorNetwork, { url }));
+    }
+}
+
+/**
+ * Reads status, headers and body of a FHIR create/update response
+ * @param {Response} response - fetch() response
+ * @param {string} method - HTTP method of the request
+ * @returns {Promise<Object>} ok, status, location, id, versionId, lastUpdated, resource, outcome
+ */
+async function parseServerResponse(response, method) {
+    const text = await response.text();
+    let body = null;
+    if (text.trim()) {
+        try {
+            body = JSON.parse(text);
+        } catch (err) {
+            body = null;
+        }
+    }
+
+    const location = response.headers.get('Location') || response.headers.get('Content-Location') || '';
+    const locationParts = location.match(/Patient\/([A-Za-z0-9\-.]{1,64})(?:\/_history\/([A-Za-z0-9\-.]{1,64}))?/);
+    const etag = (response.headers.get('ETag') || '').match(/"([^"]+)"/);
+    const resource = body && body.resourceType === 'Patient' ? body : null;
+    const outcome = body && body.resourceType === 'OperationOutcome' ? body : null;
+
+    return {
+        ok: response.ok,
+        status: response.status,
+        statusText: response.statusText,
+        method,
+        // 200 on a conditional create means a matching Patient already existed
+        created: response.status === 201,
+        location,
+        id: (resource && resource.id) || (locationParts && locationParts[1]) || '',
+        versionId: (resource && resource.meta && resource.meta.versionId) ||
+            (locationParts && locationParts[2]) || (etag && etag[1]) || '',
+        lastUpdated: (resource && resource.meta && resource.meta.lastUpdated) ||
+            response.headers.get('Last-Modified') || '',
+        resource,
+        outcome
+    };
+}
+
+/**
+ * Copy of the Patient without id, versionId and lastUpdated
+ */
+function withoutServerManagedFields(patient) {
+    const copy = JSON.parse(JSON.stringify(patient));
+    delete copy.id;
+
+    if (copy.meta) {
+        delete copy.meta.versionId;
+        delete copy.meta.lastUpdated;
+        if (Object.keys(copy.meta).length === 0) delete copy.meta;
+    }
+
+    return copy;
+}
+
+/**
+ * If-None-Exist search on the first identifier that has a system and value
+ */
+function buildIdentifierSearch(patient) {
+    const identifier = (patient.identifier || []).find(entry => entry.system && entry.value);
+
+    if (!identifier) {
+        throw new Error(translations[currentLanguage].serverErrorNoIdentifier);
+    }
+
+    return `identifier=${encodeURIComponent(identifier.system)}|${encodeURIComponent(identifier.value)}`;
+}
+
+/**
+ * Checks the base URL and removes the trailing slash
+ */
+function normalizeBaseUrl(baseUrl) {
+    const trimmed = (baseUrl || '').trim().replace(/\/+$/, '');
+
+    if (!/^https?:\/\/[^\s/]+/i.test(trimmed)) {
+        throw new Error(translations[currentLanguage].serverErrorBaseUrl);
+    }
+
+    return trimmed;
+}
+
+// ===================================
+// Authorization
+// ===================================
+
+/**
+ * Access token for the configured authorization mode
+ * @param {Object} config - Server settings
+ * @param {string} baseUrl - Normalized FHIR base URL
+ * @returns {Promise<string>} Token, or '' when no authorization is used
+ */
+async function getAccessToken(config, baseUrl) {
+    if (config.authMode === 'bearer') {
+        return (config.token || '').trim();
+    }
+
+    if (config.authMode === 'smart') {
+        return getSmartBackendToken(config.smart, baseUrl);
+    }
+
+    return '';
+}
+
+/**
+ * Requests (or reuses) a SMART Backend Services access token
+ * @param {Object} smart - tokenUrl, clientId, privateKey (JWK JSON) and scope
+ * @param {string} baseUrl - FHIR base URL used for token endpoint discovery
+ * @returns {Promise<string>} Access token
+ */
+async function getSmartBackendToken(smart, baseUrl) {
+    const t = translations[currentLanguage];
+    const tokenUrl = (smart.tokenUrl || '').trim() || await discoverTokenEndpoint(baseUrl);
+    const scope = (smart.scope || '').trim() || 'system/Patient.write';
+    const cacheKey = `${tokenUrl}|${smart.clientId}|${scope}`;
+
+    // Reuse the token until a minute before it expires
+    if (smartTokenCache && smartTokenCache.key === cacheKey && smartTokenCache.expires > Date.now() + 60000) {
+        return smartTokenCache.token;
+    }
+
+    const assertion = await buildClientAssertion(smart.clientId, tokenUrl, smart.privateKey);
+    const form = new URLSearchParams({
+        grant_type: 'client_credentials',
+        scope,
+        client_assertion_type: SMART_CLIENT_ASSERTION_TYPE,
+        client_assertion: assertion
+    });
+
+    let response;
+    try {
+        response = await fetch(tokenUrl, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: form.toString()
+        });
+    } catch (err) {
+        throw new Error(formatMessage(t.serverErrorNetwork, { url: tokenUrl }));
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.access_token) {
+        throw new Error(formatMessage(t.serverErrorToken, {
+            status: response.status,
+            detail: result.error_description || result.error || response.statusText
+        }));
+    }
+
+    smartTokenCache = {
+        key: cacheKey,
+        token: result.access_token,
+        expires: Date.now() + (result.expires_in || 300) * 1000
+    };
+
+    return result.access_token;
+}
+
+/**
+ * Reads token_endpoint from the server's .well-known/smart-configuration
+ */
+async function discoverTokenEndpoint(baseUrl) {
+    const t = translations[currentLanguage];
+
+    try {
+        const response = await fetch(`${baseUrl}/.well-known/smart-configuration`, {
+            headers: { 'Accept': 'application/json' }
+        });
+        const configuration = response.ok ? await response.json() : {};
+        if (configuration.token_endpoint) {
+            return configuration.token_endpoint;
+        }
+    } catch (err) {
+        // Unreachable or not JSON: reported below as a discovery failure
+    }
+
+    throw new Error(t.serverErrorDiscovery);
+}
+
+/**
+ * Signs the JWT client assertion with the private key (RS384 or ES384)
+ * @param {string} clientId - Registered client id (iss and sub)
+ * @param {string} tokenUrl - Token endpoint (aud)
+ * @param {string} privateKeyJson - Private key as a JWK
+ * @returns {Promise<string>} Compact JWS
+ */
+async function buildClientAssertion(clientId, tokenUrl, privateKeyJson) {
+    const t = translations[currentLanguage];
+    let jwk;
+
+    try {
+        jwk = JSON.parse(privateKeyJson);
+    } catch (err) {
+        throw new Error(t.serverErrorPrivateKey);
+    }
+
+    const alg = jwk.alg || (jwk.kty === 'EC' ? 'ES384' : 'RS384');
+    const algorithm = SMART_SIGNING_ALGORITHMS[alg];
+    if (!algorithm || !clientId) {
+        throw new Error(t.serverErrorPrivateKey);
+    }
+
+    const header = { alg, typ: 'JWT' };
+    if (jwk.kid) header.kid = jwk.kid;
+
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+        iss: clientId,
+        sub: clientId,
+        aud: tokenUrl,
+        exp: now + 300,
+        jti: generateUuid()
+    };
+
+    const signingInput = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(claims))}`;
+
+    let signature;
+    try {
+        const key = await crypto.subtle.importKey('jwk', jwk, algorithm.importParams, false, ['sign']);
+        signature = await crypto.subtle.sign(algorithm.signParams, key, new TextEncoder().encode(signingInput));
+    } catch (err) {
+        throw new Error(t.serverErrorPrivateKey);
+    }
+
+    return `${signingInput}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+/**
+ * Base64url without padding, from a string (UTF-8) or bytes
+ */
+function base64UrlEncode(value) {
+    const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
@@ -0,0 +1,362 @@
+/**
+ * ===================================
+ * Local Patient Store Module
+ * IndexedDB worklist, drafts and version history
+ * ===================================
+ *
+ * Purpose: Keep every generated Patient in the browser with its version
+ *          history, and autosave the form as a draft so a reload loses nothing
+ * Versions: Each regeneration that changes the resource is stored as a new
+ *           meta.versionId; regenerating unchanged data adds no version
+ * Audit:   Provenance and AuditEvent resources are kept in their own store,
+ *          listed oldest first
+ * Privacy: Data stays in this browser profile until "Clear all PHI" is used
+ */
+
+import { translations, currentLanguage } from './fhir-translations.js';
+import { normalizeMatchText } from './fhir-match.js';
+
+// ===================================
+// Database
+// ===================================
+
+const PATIENT_STORE_DB_NAME = 'fhirPatientConverter';
+const PATIENT_STORE_DB_VERSION = 2;
+
+/**
+ * Format marker of exported store files
+ */
+const PATIENT_STORE_EXPORT_FORMAT = 'fhir-patient-converter-store';
+
+/**
+ * Key of the autosaved form draft
+ */
+const CURRENT_DRAFT_KEY = 'current';
+
+let patientStoreDb = null;
+
+/**
+ * Opens (and on first use creates) the database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openPatientStore() {
+    if (patientStoreDb) {
+        return Promise.resolve(patientStoreDb);
+    }
+
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error(translations[currentLanguage].storeUnavailable));
+            return;
+        }
+
+        const request = indexedDB.open(PATIENT_STORE_DB_NAME, PATIENT_STORE_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('patients')) {
+                db.createObjectStore('patients', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('drafts')) {
+                db.createObjectStore('drafts', { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains('audit')) {
+                db.createObjectStore('audit', { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = () => {
+            patientStoreDb = request.result;
+            resolve(patientStoreDb);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs one request in a transaction and resolves with its result
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function runStoreRequest(storeName, mode, operation) {
+    const db = await openPatientStore();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// ===================================
+// Patients and Versions
+// ===================================
+
+/**
+ * Stores a generated Patient as a new version when its content changed
+ * @param {Object} resource - Generated Patient (its meta.versionId is set here)
+ * @returns {Promise<Object>} The stored resource, whether a version was
+ *                            added and the versionId it follows (null for
+ *                            a new patient)
+ */
+export async function savePatientVersion(resource) {
+    const existing = await runStoreRequest('patients', 'readonly', store => store.get(resource.id));
+    const versions = existing ? existing.versions : [];
+    const latest = versions[versions.length - 1];
+
+    if (latest && diffResources(latest.resource, resource).length === 0) {
+        return { resource: latest.resource, added: false, previousVersionId: null };
+    }
+
+    const stored = JSON.parse(JSON.stringify(resource));
+    stored.meta = {
+        ...stored.meta,
+        versionId: nextVersionId(latest, resource)
+    };
+
+    versions.push({
+        versionId: stored.meta.versionId,
+        savedAt: new Date().toISOString(),
+        resource: stored
+    });
+    await runStoreRequest('patients', 'readwrite', store => store.put(buildWorklistRecord(stored, versions)));
+
+    return { resource: stored, added: true, previousVersionId: latest ? latest.versionId : null };
+}
+
+/**
+ * Version after the latest local one; a first version keeps an
+ * imported versionId (for example one assigned by a server)
+ */
+function nextVersionId(latest, resource) {
+    if (!latest) {
+        return (resource.meta && resource.meta.versionId) || '1';
+    }
+
+    const number = parseInt(latest.versionId, 10);
+    return String((Number.isNaN(number) ? 0 : number) + 1);
+}
+
+/**
+ * Worklist record: searchable summary fields plus the versions
+ */
+function buildWorklistRecord(resource, versions) {
+    const names = resource.name || [];
+    const primaryName = names.find(name => name.use === 'official') || names[0] || {};
+
+    return {
+        id: resource.id,
+        name: [(primaryName.given || []).join(' '), primaryName.family].filter(Boolean).join(' '),
+        birthDate: resource.birthDate || '',
+        gender: resource.gender || '',
+        identifiers: (resource.identifier || []).map(identifier => identifier.value).filter(Boolean),
+        updatedAt: versions[versions.length - 1].savedAt,
+        versions
+    };
+}
+
+/**
+ * All worklist records, most recently updated first
+ * @returns {Promise<Array>} Records
+ */
+export async function listStoredPatients() {
+    const records = await runStoreRequest('patients', 'readonly', store => store.getAll());
+    return records.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * One worklist record with its versions
+ * @param {string} id - Patient id
+ * @returns {Promise<Object|undefined>} Record, if the patient is stored
+ */
+export function getStoredPatient(id) {
+    return runStoreRequest('patients', 'readonly', store => store.get(id));
+}
+
+/**
+ * Removes a patient and its history
+ */
+export function deleteStoredPatient(id) {
+    return runStoreRequest('patients', 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Records matching a search text (name, identifier, id, birth date) and gender
+ * @param {Array} records - Worklist records
+ * @param {string} text - Search text
+ * @param {string} gender - Gender filter ('' for all)
+ * @returns {Array} Matching records
+ */
+export function filterStoredPatients(records, text, gender) {
+    const query = normalizeMatchText(text);
+
+    return records.filter(record => {
+        if (gender && record.gender !== gender) return false;
+        if (!query) return true;
+
+        const haystack = normalizeMatchText([record.name, record.id, record.birthDate].concat(record.identifiers).join(' '));
+        return query.split(' ').every(term => haystack.includes(term));
+    });
+}
+
+// ===================================
+// Version Diff
+// ===================================
+
+/**
+ * Elements that change on every regeneration and are not content
+ */
+const DIFF_IGNORED_PATHS = ['meta.versionId', 'meta.lastUpdated'];
+
+/**
+ * Element-level differences between two versions
+ * @param {Object} before - Older resource
+ * @param {Object} after - Newer resource
+ * @returns {Array} path, before, after and kind ('added', 'removed', 'changed')
+ */
+export function diffResources(before, after) {
+    const left = flattenResource(before, '');
+    const right = flattenResource(after, '');
+    const paths = Array.from(new Set(Object.keys(left).concat(Object.keys(right))));
+
+    return paths
+        .filter(path => !DIFF_IGNORED_PATHS.includes(path) && left[path] !== right[path])
+        .map(path => ({
+            path,
+            before: left[path],
+            after: right[path],
+            kind: !(path in left) ? 'added' : !(path in right) ? 'removed' : 'changed'
+        }));
+}
+
+/**
+ * Leaf values of a resource keyed by path (name[0].given[1])
+ */
+function flattenResource(value, path, result = {}) {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => flattenResource(item, `${path}[${index}]`, result));
+    } else if (value !== null && typeof value === 'object') {
+        Object.keys(value).forEach(key => flattenResource(value[key], path ? `${path}.${key}` : key, result));
+    } else {
+        result[path] = String(value);
+    }
+    return result;
+}
+
+// ===================================
+// Drafts
+// ===================================
+
+/**
+ * Autosaves the form (and the resource it is bound to)
+ * @param {Object} draft - formData, context (imported id/meta) and resource
+ */
+export function saveDraft(draft) {
+    return runStoreRequest('drafts', 'readwrite', store => store.put({
+        ...draft,
+        key: CURRENT_DRAFT_KEY,
+        savedAt: new Date().toISOString()
+    }));
+}
+
+/**
+ * The autosaved draft, if any
+ */
+export function loadDraft() {
+    return runStoreRequest('drafts', 'readonly', store => store.get(CURRENT_DRAFT_KEY));
+}
+
+/**
+ * Removes the autosaved draft
+ */
+function deleteDraft() {
+    return runStoreRequest('drafts', 'readwrite', store => store.delete(CURRENT_DRAFT_KEY));
+}
+
+// ===================================
+// Audit Log
+// ===================================
+
+/**
+ * Stores a Provenance or AuditEvent resource
+ * @param {Object} resource - Audit resource with an id
+ */
+export function saveAuditResource(resource) {
+    return runStoreRequest('audit', 'readwrite', store => store.put(resource));
+}
+
+/**
+ * All audit resources, oldest first
+ * @returns {Promise<Array>} Provenance and AuditEvent resources
+ */
+export async function listAuditResources() {
+    const resources = await runStoreRequest('audit', 'readonly', store => store.getAll());
+    return resources.sort((a, b) => a.recorded.localeCompare(b.recorded));
+}
+
+// ===================================
+// Export, Import and Clearing
+// ===================================
+
+/**
+ * Stored patients with their versions as one JSON document (drafts and
+ * the audit log are not included)
+ * @returns {Promise<Object>} Export document
+ */
+export async function exportPatientStore() {
+    return {
+        format: PATIENT_STORE_EXPORT_FORMAT,
+        version: PATIENT_STORE_DB_VERSION,
+        exportedAt: new Date().toISOString(),
+        patients: await listStoredPatients()
+    };
+}
+
+/**
+ * Merges an exported store; versions already present, and versions that
+ * are not a Patient or have no savedAt, are skipped
+ * @param {Object} data - Parsed export document
+ * @returns {Promise<Object>} Number of patients and versions added
+ */
+export async function importPatientStore(data) {
+    if (!data || data.format !== PATIENT_STORE_EXPORT_FORMAT || !Array.isArray(data.patients)) {
+        throw new Error(translations[currentLanguage].storeImportInvalid);
+    }
+
+    let patientsAdded = 0;
+    let versionsAdded = 0;
+
+    for (const record of data.patients) {
+        if (!record || !record.id || !Array.isArray(record.versions) || record.versions.length === 0) continue;
+
+        const existing = await getStoredPatient(record.id);
+        const versions = existing ? existing.versions : [];
+        const known = new Set(versions.map(version => version.versionId));
+        const accepted = record.versions.filter(version => version && !known.has(version.versionId) &&
+            typeof version.savedAt === 'string' && version.resource && version.resource.resourceType === 'Patient');
+        if (accepted.length === 0) continue;
+
+        versions.push(...accepted);
+        versionsAdded += accepted.length;
+        if (!existing) patientsAdded++;
+
+        versions.sort((a, b) => a.savedAt.localeCompare(b.savedAt));
+        const latest = versions[versions.length - 1].resource;
+        await runStoreRequest('patients', 'readwrite', store => store.put(buildWorklistRecord(latest, versions)));
+    }
+
+    return { patientsAdded, versionsAdded };
+}
+
+/**
+ * Deletes every stored patient, version, draft and audit record (reasons
+ * may mention patient details)
+ */
+export async function clearPatientStore() {
+    await runStoreRequest('patients', 'readwrite', store => store.clear());
+    await runStoreRequest('drafts', 'readwrite', store => store.clear());
+    await runStoreRequest('audit', 'readwrite', store => store.clear());
+}
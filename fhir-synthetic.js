@@ -0,0 +1,276 @@
+/**
+ * ===================================
+ * Synthetic Patients
+ * Bilingual (English / Spanish) test data
+ * ===================================
+ *
+ * Purpose: Generate realistic but fictitious patients to fill test
+ *          environments: names, birth dates, addresses, phones and
+ *          languages are drawn from the seed lists below
+ * Seeds:   The same seed always gives the same patients (and, because ids
+ *          are derived from the MRNs, the same Patient ids); without a
+ *          seed every run is different
+ * Safety:  Phone numbers use the 555-01XX exchange reserved for fiction and
+ *          emails the example.com domain, so no real person is reached
+ */
+
+import { DEFAULT_IDENTIFIER_SETTINGS, sha1Hex } from './fhir-identifiers.js';
+import { targetProfile, profileIdentifierSystem } from './fhir-profiles.js';
+import { mapToFhirPatient } from './fhir-patient.js';
+
+// ===================================
+// Seed Lists
+// ===================================
+
+/**
+ * Given names by language and gender
+ */
+const GIVEN_NAMES = {
+    es: {
+        female: ['María', 'Guadalupe', 'Sofía', 'Lucía', 'Valentina', 'Ana', 'Carmen', 'Isabel', 'Rosa', 'Ximena', 'Daniela', 'Elena'],
+        male: ['José', 'Juan', 'Luis', 'Carlos', 'Miguel', 'Alejandro', 'Jorge', 'Diego', 'Mateo', 'Santiago', 'Andrés', 'Ramón']
+    },
+    en: {
+        female: ['Emily', 'Sarah', 'Jessica', 'Ashley', 'Olivia', 'Emma', 'Hannah', 'Grace', 'Abigail', 'Megan', 'Rachel', 'Linda'],
+        male: ['James', 'Michael', 'Robert', 'David', 'William', 'Daniel', 'Matthew', 'Ethan', 'Andrew', 'Joshua', 'Ryan', 'Thomas']
+    }
+};
+
+/**
+ * Family names by language; Spanish-speaking patients get two
+ */
+const FAMILY_NAMES = {
+    es: ['García', 'Rodríguez', 'Martínez', 'Hernández', 'López', 'González', 'Pérez', 'Sánchez', 'Ramírez', 'Torres', 'Flores', 'Rivera', 'Gómez', 'Díaz', 'Morales', 'Ortiz'],
+    en: ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Miller', 'Davis', 'Wilson', 'Anderson', 'Taylor', 'Thomas', 'Moore', 'Jackson', 'White', 'Harris', 'Clark']
+};
+
+/**
+ * Street names (the house number is generated)
+ */
+const STREET_NAMES = [
+    'Main St', 'Oak Ave', 'Maple Dr', 'Cedar Ln', 'Elm St', 'Pine St', 'Washington Blvd', 'Lincoln Ave',
+    'Sunset Blvd', 'Mission St', 'Calle Del Sol', 'Avenida Las Palmas', 'Park Pl', 'Lakeview Rd', 'Hillcrest Dr', 'River Rd'
+];
+
+/**
+ * Cities with their county, state, a ZIP code of the city and its area code
+ */
+const CITIES = [
+    { city: 'Los Angeles', district: 'Los Angeles County', state: 'CA', postalCode: '90001', areaCode: '213' },
+    { city: 'San Diego', district: 'San Diego County', state: 'CA', postalCode: '92101', areaCode: '619' },
+    { city: 'Fresno', district: 'Fresno County', state: 'CA', postalCode: '93721', areaCode: '559' },
+    { city: 'Phoenix', district: 'Maricopa County', state: 'AZ', postalCode: '85004', areaCode: '602' },
+    { city: 'Tucson', district: 'Pima County', state: 'AZ', postalCode: '85701', areaCode: '520' },
+    { city: 'Albuquerque', district: 'Bernalillo County', state: 'NM', postalCode: '87102', areaCode: '505' },
+    { city: 'Houston', district: 'Harris County', state: 'TX', postalCode: '77002', areaCode: '713' },
+    { city: 'San Antonio', district: 'Bexar County', state: 'TX', postalCode: '78205', areaCode: '210' },
+    { city: 'Dallas', district: 'Dallas County', state: 'TX', postalCode: '75201', areaCode: '214' },
+    { city: 'Miami', district: 'Miami-Dade County', state: 'FL', postalCode: '33130', areaCode: '305' },
+    { city: 'Orlando', district: 'Orange County', state: 'FL', postalCode: '32801', areaCode: '407' },
+    { city: 'Chicago', district: 'Cook County', state: 'IL', postalCode: '60601', areaCode: '312' },
+    { city: 'New York', district: 'New York County', state: 'NY', postalCode: '10001', areaCode: '212' },
+    { city: 'Denver', district: 'Denver County', state: 'CO', postalCode: '80202', areaCode: '303' },
+    { city: 'Seattle', district: 'King County', state: 'WA', postalCode: '98101', areaCode: '206' },
+    { city: 'Atlanta', district: 'Fulton County', state: 'GA', postalCode: '30303', areaCode: '404' }
+];
+
+/**
+ * Care providers a patient can be assigned to
+ */
+const CARE_PROVIDERS = [
+    { reference: 'Practitioner/example-pcp', display: 'Dr. Adam Careful' },
+    { reference: 'Practitioner/example-pcp-2', display: 'Dra. Laura Medina' },
+    { reference: 'Practitioner/example-pcp-3', display: 'Dr. Kevin Nguyen' }
+];
+
+/**
+ * Earliest and latest birth years; fixed so a seed gives the same
+ * patients whatever the current date
+ */
+const BIRTH_YEARS = [1935, 2015];
+
+/**
+ * Number of patients generated when none is given, and the most allowed
+ */
+export const SYNTHETIC_DEFAULT_COUNT = 10;
+export const SYNTHETIC_MAX_COUNT = 10000;
+
+// ===================================
+// Random Numbers
+// ===================================
+
+/**
+ * Random number source: seeded (mulberry32) when a seed is given, else
+ * Math.random
+ * @param {string|number} [seed] - Any text; '' and undefined mean no seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+export function createSeededRandom(seed) {
+    if (seed === undefined || seed === null || String(seed) === '') return Math.random;
+
+    let state = parseInt(sha1Hex(String(seed)).substring(0, 8), 16);
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Whole number from min to max (both included)
+ */
+function randomInteger(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Random element of a list
+ */
+function pick(random, list) {
+    return list[Math.floor(random() * list.length)];
+}
+
+/**
+ * Lowercase ASCII of a name, for email addresses
+ */
+function asciiName(text) {
+    return text.normalize('NFD').replace(/[^A-Za-z]/g, '').toLowerCase();
+}
+
+// ===================================
+// Generation
+// ===================================
+
+/**
+ * Form data of one synthetic patient
+ * @param {Function} random - From createSeededRandom()
+ * @param {Object} [settings] - Identifier settings (MRN namespace, target profile)
+ * @returns {Object} Form data for validateFormData() and mapToFhirPatient()
+ */
+export function generateSyntheticFormData(random, settings = DEFAULT_IDENTIFIER_SETTINGS) {
+    const profile = targetProfile(settings.profile);
+    const language = random() < 0.5 ? 'es' : 'en';
+    const gender = random() < 0.5 ? 'female' : 'male';
+    const given = pick(random, GIVEN_NAMES[language][gender]);
+    const middle = random() < 0.4 ? pick(random, GIVEN_NAMES[language][gender].filter(name => name !== given)) : '';
+    const family = language === 'es'
+        ? `${pick(random, FAMILY_NAMES.es)} ${pick(random, FAMILY_NAMES.es)}`
+        : pick(random, FAMILY_NAMES.en);
+
+    const birthYear = randomInteger(random, BIRTH_YEARS[0], BIRTH_YEARS[1]);
+    const dob = `${birthYear}-${String(randomInteger(random, 1, 12)).padStart(2, '0')}-${String(randomInteger(random, 1, 28)).padStart(2, '0')}`;
+    const adult = birthYear <= BIRTH_YEARS[1] - 18;
+    const maritalStatus = adult ? pick(random, ['M', 'M', 'S', 'D', 'W']) : 'S';
+
+    const place = pick(random, CITIES);
+    const phone = () => `(${place.areaCode}) 555-01${String(randomInteger(random, 0, 99)).padStart(2, '0')}`;
+    const mrn = `MRN${randomInteger(random, 100000, 999999)}`;
+
+    const names = [{ use: 'official', given, middle, family, periodStart: '', periodEnd: '' }];
+    // Married women may have been registered under their own family name
+    if (language === 'es' && gender === 'female' && maritalStatus === 'M' && random() < 0.5) {
+        names.push({
+            use: 'maiden', given, middle, family: pick(random, FAMILY_NAMES.es), periodStart: '',
+            periodEnd: `${birthYear + randomInteger(random, 20, 35)}-06-01`
+        });
+    }
+
+    const contacts = [];
+    if (maritalStatus === 'M') {
+        const spouseGender = gender === 'female' ? 'male' : 'female';
+        contacts.push({
+            given: pick(random, GIVEN_NAMES[language][spouseGender]),
+            family: language === 'es' ? `${pick(random, FAMILY_NAMES.es)} ${family.split(' ')[0]}` : family,
+            gender: spouseGender, role: 'C', relationship: gender === 'female' ? 'HUSB' : 'WIFE',
+            phone: phone(), phoneUse: 'mobile', organization: '', lines: [], city: '', district: '', state: '',
+            postalCode: '', country: 'US'
+        });
+    }
+
+    const ethnicity = language === 'es'
+        ? ['2135-2', pick(random, ['2148-5', '2148-5', '2155-0', '2180-8', '2182-4', '2165-9'])]
+        : ['2186-5'];
+    const race = [language === 'es' ? '2106-3' : pick(random, ['2106-3', '2106-3', '2054-5', '2028-9', '1002-5', '2076-8'])];
+    const englishProficiency = language === 'es' ? pick(random, ['E', 'G', 'F', 'P']) : 'E';
+    const communications = language === 'es'
+        ? [
+            { language: 'es', preferred: true, proficiency: 'E' },
+            { language: 'en', preferred: false, proficiency: englishProficiency }
+        ]
+        : [{ language: 'en', preferred: true, proficiency: 'E' }];
+
+    return {
+        names,
+        dob,
+        gender,
+        identifiers: [{
+            use: 'usual', type: 'MR', issuer: '',
+            system: profileIdentifierSystem(profile, 'MR', '', settings), value: mrn
+        }],
+        telecoms: [
+            { system: 'phone', value: phone(), use: random() < 0.5 ? 'home' : 'mobile' },
+            { system: 'email', value: `${asciiName(given)}.${asciiName(family.split(' ')[0])}${randomInteger(random, 1, 99)}@example.com`, use: 'home' }
+        ],
+        addresses: [{
+            use: 'home', type: 'both',
+            lines: [`${randomInteger(random, 100, 9999)} ${pick(random, STREET_NAMES)}`]
+                .concat(random() < 0.3 ? [`Apt ${randomInteger(random, 1, 30)}${pick(random, ['A', 'B', 'C'])}`] : []),
+            city: place.city, district: place.district, state: place.state, postalCode: place.postalCode,
+            country: 'US', periodStart: '', periodEnd: ''
+        }],
+        contacts,
+        race,
+        ethnicity,
+        birthSex: gender === 'female' ? 'F' : 'M',
+        genderIdentity: gender === 'female' ? '446141000124107' : '446151000124109',
+        communications,
+        interpreterRequired: String(englishProficiency === 'F' || englishProficiency === 'P'),
+        active: true,
+        maritalStatus,
+        deceased: 'false',
+        deceasedDate: '',
+        multipleBirth: '',
+        birthOrder: '',
+        photo: null,
+        generalPractitioners: [pick(random, CARE_PROVIDERS)],
+        managingOrganization: 'Organization/example-clinic',
+        managingOrganizationDisplay: 'Good Health Clinic'
+    };
+}
+
+/**
+ * Bundle of synthetic Patients
+ * @param {Object} options - count, seed, bundleType ('transaction' or
+ *                           'collection') and identifierSettings (MRN
+ *                           namespace, target profile)
+ * @returns {Object} FHIR Bundle
+ */
+export function generateSyntheticBundle(options) {
+    const count = Math.min(options.count || SYNTHETIC_DEFAULT_COUNT, SYNTHETIC_MAX_COUNT);
+    const bundleType = options.bundleType || 'collection';
+    const random = createSeededRandom(options.seed);
+    // Ids derived from the MRNs keep seeded runs reproducible
+    const settings = { ...(options.identifierSettings || DEFAULT_IDENTIFIER_SETTINGS), idStrategy: 'deterministic' };
+    const usedMrns = new Set();
+    const entries = [];
+
+    while (entries.length < count) {
+        const formData = generateSyntheticFormData(random, settings);
+        const mrn = formData.identifiers[0].value;
+        if (usedMrns.has(mrn)) continue;
+        usedMrns.add(mrn);
+
+        const patient = mapToFhirPatient(formData, null, settings);
+        const entry = { fullUrl: `urn:uuid:${patient.id}`, resource: patient };
+        if (bundleType === 'transaction') entry.request = { method: 'POST', url: 'Patient' };
+        entries.push(entry);
+    }
+
+    return {
+        resourceType: 'Bundle',
+        type: bundleType,
+        timestamp: new Date().toISOString(),
+        entry: entries
+    };
+}
@@ -0,0 +1,164 @@
+/**
+ * ===================================
+ * Translations
+ * Locale bundles for the UI and messages
+ * ===================================
+ *
+ * Purpose: Load the message bundles (locales/<code>.json) shared by the
+ *          page, the mapping and validation core and the command-line tool
+ * Bundles: locales/index.json lists the available locales with their
+ *          native name and text direction; a bundle only needs the keys it
+ *          translates, the others fall back to English
+ * Language: Modules read translations[currentLanguage]; setLanguage()
+ *           loads a bundle and switches it for all of them
+ */
+
+// ===================================
+// Locale Bundles
+// ===================================
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const LOCALES_URL = new URL('./locales/', import.meta.url);
+
+/**
+ * Loaded bundles by locale code, each complete (English fills the gaps)
+ */
+export const translations = {};
+
+/**
+ * Locales from locales/index.json: code, name (in the language itself)
+ * and dir ('ltr' or 'rtl')
+ */
+export let availableLocales = [];
+
+export let currentLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Reads a JSON file of the locales folder: fetched in the browser, read
+ * from disk when the modules are loaded from files (Node.js)
+ */
+async function readLocaleFile(name) {
+    const url = new URL(name, LOCALES_URL);
+
+    if (url.protocol === 'file:') {
+        const { readFile } = await import('fs/promises');
+        return JSON.parse(await readFile(url, 'utf8'));
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url}: HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Loads a bundle once; missing keys (and missing entries of the code
+ * table objects such as raceOptions) come from English
+ * @param {string} code - Locale code from locales/index.json
+ * @returns {Promise<Object>} The complete bundle
+ */
+export async function loadLocale(code) {
+    if (translations[code]) return translations[code];
+    if (!findLocale(code)) {
+        throw new Error(`Unknown locale "${code}"`);
+    }
+
+    const messages = await readLocaleFile(`${code}.json`);
+    const fallback = translations[DEFAULT_LANGUAGE] || {};
+    const bundle = { ...fallback };
+
+    Object.keys(messages).forEach(key => {
+        const isTable = fallback[key] && typeof fallback[key] === 'object';
+        bundle[key] = isTable ? { ...fallback[key], ...messages[key] } : messages[key];
+    });
+
+    translations[code] = bundle;
+    return bundle;
+}
+
+/**
+ * Entry of locales/index.json for a code, or undefined
+ */
+export function findLocale(code) {
+    return availableLocales.find(locale => locale.code === code);
+}
+
+/**
+ * Best available locale for a list of preferred language tags
+ * ("vi-VN" picks "vi"), or English
+ * @param {Array} tags - BCP 47 tags, most preferred first
+ * @returns {string} Locale code
+ */
+export function matchLocale(tags) {
+    for (const tag of tags || []) {
+        const lower = String(tag).toLowerCase();
+        const match = availableLocales.find(locale => locale.code.toLowerCase() === lower) ||
+            availableLocales.find(locale => locale.code.toLowerCase() === lower.split('-')[0]);
+        if (match) return match.code;
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+// ===================================
+// Current Language
+// ===================================
+
+/**
+ * Loads a bundle and switches the language of every message built from
+ * translations
+ * @param {string} lang - Locale code
+ */
+export async function setLanguage(lang) {
+    await loadLocale(lang);
+    currentLanguage = lang;
+}
+
+/**
+ * Text direction of a locale ('ltr' or 'rtl')
+ */
+export function localeDirection(lang = currentLanguage) {
+    const locale = findLocale(lang);
+    return (locale && locale.dir) || 'ltr';
+}
+
+// ===================================
+// Dates
+// ===================================
+
+/**
+ * A FHIR date (YYYY, YYYY-MM or YYYY-MM-DD) in the language's format;
+ * the date is not shifted by the time zone
+ * @param {string} value - FHIR date
+ * @param {string} [lang] - Locale code (default: current language)
+ * @returns {string} Formatted date, or the value when it is not a date
+ */
+export function formatLocaleDate(value, lang = currentLanguage) {
+    const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(value || '');
+    if (!match) return value || '';
+
+    const [, year, month, day] = match;
+    const date = new Date(Date.UTC(Number(year), Number(month || 1) - 1, Number(day || 1)));
+    // The month is written out so 03/04 is never read the wrong way around
+    const options = day
+        ? { timeZone: 'UTC', dateStyle: 'medium' }
+        : { timeZone: 'UTC', year: 'numeric', ...(month ? { month: 'long' } : {}) };
+
+    return new Intl.DateTimeFormat(lang, options).format(date);
+}
+
+/**
+ * A timestamp (instant or Date.now() value) as a local date and time in
+ * the language's format
+ */
+export function formatLocaleDateTime(value, lang = currentLanguage) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return value ? String(value) : '';
+
+    return new Intl.DateTimeFormat(lang, { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+}
+
+// English is always loaded, so the modules can use translations right away
+availableLocales = await readLocaleFile('index.json');
+await loadLocale(DEFAULT_LANGUAGE);
@@ -0,0 +1,277 @@
+/**
+ * ===================================
+ * US Core Patient Extensions
+ * HL7 FHIR Standard Compliant Module
+ * ===================================
+ *
+ * Purpose: Build and read the US Core race, ethnicity, birth sex and
+ *          gender identity extensions on a Patient resource
+ * Standard: US Core Patient Profile, OMB / CDC Race & Ethnicity codes
+ */
+
+// ===================================
+// Code Systems and Extension URLs
+// ===================================
+
+export const CDC_RACE_ETHNICITY_SYSTEM = 'urn:oid:2.16.840.1.113883.6.238';
+const NULL_FLAVOR_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-NullFlavor';
+const SNOMED_SYSTEM = 'http://snomed.info/sct';
+
+export const US_CORE_EXTENSION_URLS = {
+    race: 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-race',
+    ethnicity: 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-ethnicity',
+    birthSex: 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-birthsex',
+    genderIdentity: 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-genderIdentity'
+};
+
+/**
+ * OMB race categories and a subset of CDC detailed races.
+ * Detailed codes name their OMB parent category.
+ */
+export const US_CORE_RACE_CODES = [
+    { code: '1002-5', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'American Indian or Alaska Native', category: 'ombCategory' },
+    { code: '1004-1', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'American Indian', category: 'detailed', parent: '1002-5' },
+    { code: '1735-0', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Alaska Native', category: 'detailed', parent: '1002-5' },
+    { code: '2028-9', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Asian', category: 'ombCategory' },
+    { code: '2029-7', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Asian Indian', category: 'detailed', parent: '2028-9' },
+    { code: '2034-7', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Chinese', category: 'detailed', parent: '2028-9' },
+    { code: '2036-2', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Filipino', category: 'detailed', parent: '2028-9' },
+    { code: '2039-6', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Japanese', category: 'detailed', parent: '2028-9' },
+    { code: '2040-4', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Korean', category: 'detailed', parent: '2028-9' },
+    { code: '2047-9', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Vietnamese', category: 'detailed', parent: '2028-9' },
+    { code: '2054-5', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Black or African American', category: 'ombCategory' },
+    { code: '2058-6', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'African American', category: 'detailed', parent: '2054-5' },
+    { code: '2060-2', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'African', category: 'detailed', parent: '2054-5' },
+    { code: '2076-8', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Native Hawaiian or Other Pacific Islander', category: 'ombCategory' },
+    { code: '2079-2', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Native Hawaiian', category: 'detailed', parent: '2076-8' },
+    { code: '2080-0', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Samoan', category: 'detailed', parent: '2076-8' },
+    { code: '2086-7', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Guamanian or Chamorro', category: 'detailed', parent: '2076-8' },
+    { code: '2106-3', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'White', category: 'ombCategory' },
+    { code: '2108-9', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'European', category: 'detailed', parent: '2106-3' },
+    { code: '2118-8', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Middle Eastern or North African', category: 'detailed', parent: '2106-3' },
+    { code: 'UNK', system: NULL_FLAVOR_SYSTEM, display: 'Unknown', category: 'ombCategory' },
+    { code: 'ASKU', system: NULL_FLAVOR_SYSTEM, display: 'Asked but no answer', category: 'ombCategory' }
+];
+
+/**
+ * OMB ethnicity categories and a subset of CDC detailed ethnicities
+ */
+export const US_CORE_ETHNICITY_CODES = [
+    { code: '2135-2', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Hispanic or Latino', category: 'ombCategory' },
+    { code: '2137-8', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Spaniard', category: 'detailed', parent: '2135-2' },
+    { code: '2148-5', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Mexican', category: 'detailed', parent: '2135-2' },
+    { code: '2155-0', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Central American', category: 'detailed', parent: '2135-2' },
+    { code: '2165-9', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'South American', category: 'detailed', parent: '2135-2' },
+    { code: '2180-8', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Puerto Rican', category: 'detailed', parent: '2135-2' },
+    { code: '2182-4', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Cuban', category: 'detailed', parent: '2135-2' },
+    { code: '2184-0', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Dominican', category: 'detailed', parent: '2135-2' },
+    { code: '2186-5', system: CDC_RACE_ETHNICITY_SYSTEM, display: 'Not Hispanic or Latino', category: 'ombCategory' },
+    { code: 'UNK', system: NULL_FLAVOR_SYSTEM, display: 'Unknown', category: 'ombCategory' },
+    { code: 'ASKU', system: NULL_FLAVOR_SYSTEM, display: 'Asked but no answer', category: 'ombCategory' }
+];
+
+/**
+ * Most ombCategory codes each extension may hold
+ */
+export const US_CORE_OMB_CATEGORY_MAX = { race: 5, ethnicity: 1 };
+
+/**
+ * Null flavors that answer the whole question, so no other code may
+ * be given with them
+ */
+export const RACE_ETHNICITY_NULL_FLAVORS = ['UNK', 'ASKU'];
+
+/**
+ * Birth sex codes (us-core-birthsex, valueCode)
+ */
+export const US_CORE_BIRTH_SEX_CODES = ['F', 'M', 'UNK'];
+
+/**
+ * Gender identity codes (us-core-genderIdentity, valueCodeableConcept)
+ */
+export const US_CORE_GENDER_IDENTITY_CODES = [
+    { code: '446151000124109', system: SNOMED_SYSTEM, display: 'Identifies as male gender' },
+    { code: '446141000124107', system: SNOMED_SYSTEM, display: 'Identifies as female gender' },
+    { code: '33791000087105', system: SNOMED_SYSTEM, display: 'Identifies as nonbinary gender' },
+    { code: '407377005', system: SNOMED_SYSTEM, display: 'Female-to-male transsexual' },
+    { code: '407376001', system: SNOMED_SYSTEM, display: 'Male-to-female transsexual' },
+    { code: '446131000124102', system: SNOMED_SYSTEM, display: 'Identifies as non-conforming gender' },
+    { code: 'OTH', system: NULL_FLAVOR_SYSTEM, display: 'other' },
+    { code: 'ASKU', system: NULL_FLAVOR_SYSTEM, display: 'asked but declined' },
+    { code: 'UNK', system: NULL_FLAVOR_SYSTEM, display: 'unknown' }
+];
+
+// ===================================
+// Selection Rules
+// ===================================
+
+/**
+ * Checks race or ethnicity codes against the US Core extension rules;
+ * a detailed code counts as its OMB parent category, as it is built
+ * @param {string} kind - 'race' or 'ethnicity'
+ * @param {Array} codes - Selected codes (unknown codes are ignored)
+ * @returns {string} '' when valid, 'nullFlavor' when UNK or ASKU is given
+ *                   with another code, 'ombCategoryMax' when there are more
+ *                   OMB categories than US_CORE_OMB_CATEGORY_MAX allows
+ */
+export function checkRaceEthnicityCodes(kind, codes) {
+    const codeTable = kind === 'ethnicity' ? US_CORE_ETHNICITY_CODES : US_CORE_RACE_CODES;
+    const selected = codeTable.filter(entry => (codes || []).includes(entry.code));
+
+    if (selected.length > 1 && selected.some(entry => RACE_ETHNICITY_NULL_FLAVORS.includes(entry.code))) {
+        return 'nullFlavor';
+    }
+    if (new Set(selected.map(entry => entry.parent || entry.code)).size > US_CORE_OMB_CATEGORY_MAX[kind]) {
+        return 'ombCategoryMax';
+    }
+    return '';
+}
+
+// ===================================
+// Extension Mapping
+// ===================================
+
+/**
+ * Builds the US Core extensions for the selected demographics
+ * @param {Object} formData - Form data with race, ethnicity, birthSex and genderIdentity
+ * @returns {Array} Patient.extension entries (empty when nothing was selected)
+ */
+export function buildUsCoreExtensions(formData) {
+    const extensions = [];
+
+    const race = buildRaceEthnicityExtension(US_CORE_EXTENSION_URLS.race, US_CORE_RACE_CODES, formData.race);
+    if (race) extensions.push(race);
+
+    const ethnicity = buildRaceEthnicityExtension(US_CORE_EXTENSION_URLS.ethnicity, US_CORE_ETHNICITY_CODES, formData.ethnicity);
+    if (ethnicity) extensions.push(ethnicity);
+
+    if (formData.birthSex) {
+        extensions.push({
+            url: US_CORE_EXTENSION_URLS.birthSex,
+            valueCode: formData.birthSex
+        });
+    }
+
+    const genderIdentity = US_CORE_GENDER_IDENTITY_CODES.find(entry => entry.code === formData.genderIdentity);
+    if (genderIdentity) {
+        extensions.push({
+            url: US_CORE_EXTENSION_URLS.genderIdentity,
+            valueCodeableConcept: {
+                coding: [toCoding(genderIdentity)],
+                text: genderIdentity.display
+            }
+        });
+    }
+
+    return extensions;
+}
+
+/**
+ * Builds a complex race or ethnicity extension with ombCategory,
+ * detailed and text sub-extensions. Selecting a detailed code also
+ * reports its OMB parent category.
+ */
+function buildRaceEthnicityExtension(url, codeTable, selectedCodes) {
+    if (!selectedCodes || selectedCodes.length === 0) return null;
+
+    const selected = codeTable.filter(entry => selectedCodes.includes(entry.code));
+    const categories = selected.filter(entry => entry.category === 'ombCategory');
+    const detailed = selected.filter(entry => entry.category === 'detailed');
+
+    detailed.forEach(entry => {
+        if (!categories.some(category => category.code === entry.parent)) {
+            categories.push(codeTable.find(category => category.code === entry.parent));
+        }
+    });
+
+    const subExtensions = categories
+        .map(entry => ({ url: 'ombCategory', valueCoding: toCoding(entry) }))
+        .concat(detailed.map(entry => ({ url: 'detailed', valueCoding: toCoding(entry) })));
+
+    subExtensions.push({
+        url: 'text',
+        valueString: selected.map(entry => entry.display).join(', ')
+    });
+
+    return { url, extension: subExtensions };
+}
+
+/**
+ * Reads US Core extensions back into form data
+ * @param {Array} extensions - Patient.extension entries
+ * @returns {Object} race, ethnicity, birthSex, genderIdentity, the
+ *                   indexes of extensions that were not recognized and
+ *                   the relative paths (extension[0].extension[1]) of race
+ *                   and ethnicity codes the form does not list
+ */
+export function parseUsCoreExtensions(extensions) {
+    const result = { race: [], ethnicity: [], birthSex: '', genderIdentity: '', unrecognized: [], unmapped: [] };
+    const readCodes = (extension, index, codeTable) => {
+        const { codes, unmapped } = readRaceEthnicityCodes(extension, codeTable);
+        unmapped.forEach(part => result.unmapped.push(`extension[${index}].${part}`));
+        return codes;
+    };
+
+    (extensions || []).forEach((extension, index) => {
+        // Entries that are not objects are not extensions the form can read
+        if (!extension || typeof extension !== 'object') {
+            result.unrecognized.push(index);
+        } else if (extension.url === US_CORE_EXTENSION_URLS.race) {
+            result.race = readCodes(extension, index, US_CORE_RACE_CODES);
+        } else if (extension.url === US_CORE_EXTENSION_URLS.ethnicity) {
+            result.ethnicity = readCodes(extension, index, US_CORE_ETHNICITY_CODES);
+        } else if (extension.url === US_CORE_EXTENSION_URLS.birthSex && US_CORE_BIRTH_SEX_CODES.includes(extension.valueCode)) {
+            result.birthSex = extension.valueCode;
+        } else if (extension.url === US_CORE_EXTENSION_URLS.genderIdentity && findGenderIdentityCode(extension)) {
+            result.genderIdentity = findGenderIdentityCode(extension);
+        } else {
+            result.unrecognized.push(index);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Collects the known codes from ombCategory and detailed sub-extensions,
+ * with the relative paths of codes that are not in the code table (and
+ * of sub-extensions that are not a list)
+ */
+function readRaceEthnicityCodes(extension, codeTable) {
+    const codes = [];
+    const unmapped = [];
+
+    if (extension.extension !== undefined && !Array.isArray(extension.extension)) {
+        unmapped.push('extension');
+    }
+    (Array.isArray(extension.extension) ? extension.extension : []).forEach((sub, index) => {
+        if (!sub || (sub.url !== 'ombCategory' && sub.url !== 'detailed') || !sub.valueCoding) return;
+        if (codeTable.some(entry => entry.code === sub.valueCoding.code)) {
+            codes.push(sub.valueCoding.code);
+        } else {
+            unmapped.push(`extension[${index}]`);
+        }
+    });
+
+    return { codes, unmapped };
+}
+
+/**
+ * Finds the first known gender identity code in the extension
+ */
+function findGenderIdentityCode(extension) {
+    const codings = (extension.valueCodeableConcept && extension.valueCodeableConcept.coding) || [];
+    const match = codings.find(coding => US_CORE_GENDER_IDENTITY_CODES.some(entry => entry.code === coding.code));
+    return match ? match.code : '';
+}
+
+/**
+ * Converts a code table entry to a FHIR Coding
+ */
+function toCoding(entry) {
+    return {
+        system: entry.system,
+        code: entry.code,
+        display: entry.display
+    };
+}
@@ -0,0 +1,534 @@
+/**
+ * ===================================
+ * FHIR R4 Patient Structural Validator
+ * HL7 FHIR Standard Compliant Module
+ * ===================================
+ *
+ * Purpose: Validate a Patient resource against the FHIR R4 Patient
+ *          StructureDefinition and the target profiles it claims
+ * Standard: HL7 FHIR R4 (v4.0.1); profile rules come from fhir-profiles.js
+ * Output: OperationOutcome with FHIRPath-style issue locations
+ */
+
+import { translations, currentLanguage } from './fhir-translations.js';
+import { TARGET_PROFILES, checkIdentifierFormat } from './fhir-profiles.js';
+import { US_CORE_EXTENSION_URLS, US_CORE_OMB_CATEGORY_MAX, RACE_ETHNICITY_NULL_FLAVORS } from './fhir-us-core.js';
+
+// ===================================
+// Value Sets (required bindings)
+// ===================================
+
+const FHIR_VALUE_SETS = {
+    'administrative-gender': ['male', 'female', 'other', 'unknown'],
+    'name-use': ['usual', 'official', 'temp', 'nickname', 'anonymous', 'old', 'maiden'],
+    'contact-point-system': ['phone', 'fax', 'email', 'pager', 'url', 'sms', 'other'],
+    'contact-point-use': ['home', 'work', 'temp', 'old', 'mobile'],
+    'address-use': ['home', 'work', 'temp', 'old', 'billing'],
+    'address-type': ['postal', 'physical', 'both'],
+    'identifier-use': ['usual', 'official', 'temp', 'secondary', 'old'],
+    'narrative-status': ['generated', 'extensions', 'additional', 'empty'],
+    'link-type': ['replaced-by', 'replaces', 'refer', 'seealso']
+};
+
+// ===================================
+// Primitive Datatypes
+// ===================================
+
+/**
+ * Lexical rules for FHIR primitive types (from the R4 datatype definitions)
+ */
+export const FHIR_PRIMITIVE_RULES = {
+    boolean: value => typeof value === 'boolean',
+    integer: value => Number.isInteger(value) && value >= -2147483648 && value <= 2147483647,
+    positiveInt: value => Number.isInteger(value) && value > 0 && value <= 2147483647,
+    unsignedInt: value => Number.isInteger(value) && value >= 0 && value <= 2147483647,
+    decimal: value => typeof value === 'number' && isFinite(value),
+    string: value => typeof value === 'string' && /^[ \r\n\t\S]+$/.test(value),
+    markdown: value => typeof value === 'string' && /^[ \r\n\t\S]+$/.test(value),
+    xhtml: value => typeof value === 'string',
+    code: value => typeof value === 'string' && /^[^\s]+( [^\s]+)*$/.test(value),
+    id: value => typeof value === 'string' && /^[A-Za-z0-9\-.]{1,64}$/.test(value),
+    uri: value => typeof value === 'string' && /^\S+$/.test(value),
+    url: value => typeof value === 'string' && /^\S+$/.test(value),
+    canonical: value => typeof value === 'string' && /^\S+$/.test(value),
+    base64Binary: value => typeof value === 'string' && /^(\s*([0-9a-zA-Z+/=]){4}\s*)+$/.test(value),
+    date: value => typeof value === 'string' &&
+        /^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1]))?)?$/.test(value),
+    dateTime: value => typeof value === 'string' &&
+        /^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1])(T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|(\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00)))?)?)?$/.test(value),
+    instant: value => typeof value === 'string' &&
+        /^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)-(0[1-9]|1[0-2])-(0[1-9]|[1-2][0-9]|3[0-1])T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|(\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00))$/.test(value)
+};
+
+/**
+ * Types allowed for Extension.value[x] in this tool
+ */
+const EXTENSION_VALUE_TYPES = [
+    'boolean', 'integer', 'decimal', 'string', 'code', 'uri', 'url', 'canonical',
+    'date', 'dateTime', 'instant', 'Coding', 'CodeableConcept', 'Identifier',
+    'Period', 'Reference', 'Address', 'HumanName', 'ContactPoint', 'Attachment'
+];
+
+// ===================================
+// Structure Definitions
+// ===================================
+
+/**
+ * Element definitions for the Patient resource and the datatypes it uses.
+ * Each element: type (or types for choice elements), min, max and binding.
+ */
+export const FHIR_STRUCTURES = {
+    Patient: {
+        id: { type: 'id', min: 0, max: '1' },
+        meta: { type: 'Meta', min: 0, max: '1' },
+        implicitRules: { type: 'uri', min: 0, max: '1' },
+        language: { type: 'code', min: 0, max: '1' },
+        text: { type: 'Narrative', min: 0, max: '1' },
+        contained: { type: 'Resource', min: 0, max: '*' },
+        extension: { type: 'Extension', min: 0, max: '*' },
+        modifierExtension: { type: 'Extension', min: 0, max: '*' },
+        identifier: { type: 'Identifier', min: 0, max: '*' },
+        active: { type: 'boolean', min: 0, max: '1' },
+        name: { type: 'HumanName', min: 0, max: '*' },
+        telecom: { type: 'ContactPoint', min: 0, max: '*' },
+        gender: { type: 'code', min: 0, max: '1', binding: 'administrative-gender' },
+        birthDate: { type: 'date', min: 0, max: '1' },
+        'deceased[x]': { types: ['boolean', 'dateTime'], min: 0, max: '1' },
+        address: { type: 'Address', min: 0, max: '*' },
+        maritalStatus: { type: 'CodeableConcept', min: 0, max: '1' },
+        'multipleBirth[x]': { types: ['boolean', 'integer'], min: 0, max: '1' },
+        photo: { type: 'Attachment', min: 0, max: '*' },
+        contact: { type: 'PatientContact', min: 0, max: '*' },
+        communication: { type: 'PatientCommunication', min: 0, max: '*' },
+        generalPractitioner: { type: 'Reference', min: 0, max: '*' },
+        managingOrganization: { type: 'Reference', min: 0, max: '1' },
+        link: { type: 'PatientLink', min: 0, max: '*' }
+    },
+    PatientContact: {
+        relationship: { type: 'CodeableConcept', min: 0, max: '*' },
+        name: { type: 'HumanName', min: 0, max: '1' },
+        telecom: { type: 'ContactPoint', min: 0, max: '*' },
+        address: { type: 'Address', min: 0, max: '1' },
+        gender: { type: 'code', min: 0, max: '1', binding: 'administrative-gender' },
+        organization: { type: 'Reference', min: 0, max: '1' },
+        period: { type: 'Period', min: 0, max: '1' }
+    },
+    PatientCommunication: {
+        language: { type: 'CodeableConcept', min: 1, max: '1' },
+        preferred: { type: 'boolean', min: 0, max: '1' }
+    },
+    PatientLink: {
+        other: { type: 'Reference', min: 1, max: '1' },
+        type: { type: 'code', min: 1, max: '1', binding: 'link-type' }
+    },
+    Meta: {
+        versionId: { type: 'id', min: 0, max: '1' },
+        lastUpdated: { type: 'instant', min: 0, max: '1' },
+        source: { type: 'uri', min: 0, max: '1' },
+        profile: { type: 'canonical', min: 0, max: '*' },
+        security: { type: 'Coding', min: 0, max: '*' },
+        tag: { type: 'Coding', min: 0, max: '*' }
+    },
+    Narrative: {
+        status: { type: 'code', min: 1, max: '1', binding: 'narrative-status' },
+        div: { type: 'xhtml', min: 1, max: '1' }
+    },
+    Identifier: {
+        use: { type: 'code', min: 0, max: '1', binding: 'identifier-use' },
+        type: { type: 'CodeableConcept', min: 0, max: '1' },
+        system: { type: 'uri', min: 0, max: '1' },
+        value: { type: 'string', min: 0, max: '1' },
+        period: { type: 'Period', min: 0, max: '1' },
+        assigner: { type: 'Reference', min: 0, max: '1' }
+    },
+    HumanName: {
+        use: { type: 'code', min: 0, max: '1', binding: 'name-use' },
+        text: { type: 'string', min: 0, max: '1' },
+        family: { type: 'string', min: 0, max: '1' },
+        given: { type: 'string', min: 0, max: '*' },
+        prefix: { type: 'string', min: 0, max: '*' },
+        suffix: { type: 'string', min: 0, max: '*' },
+        period: { type: 'Period', min: 0, max: '1' }
+    },
+    ContactPoint: {
+        system: { type: 'code', min: 0, max: '1', binding: 'contact-point-system' },
+        value: { type: 'string', min: 0, max: '1' },
+        use: { type: 'code', min: 0, max: '1', binding: 'contact-point-use' },
+        rank: { type: 'positiveInt', min: 0, max: '1' },
+        period: { type: 'Period', min: 0, max: '1' }
+    },
+    Address: {
+        use: { type: 'code', min: 0, max: '1', binding: 'address-use' },
+        type: { type: 'code', min: 0, max: '1', binding: 'address-type' },
+        text: { type: 'string', min: 0, max: '1' },
+        line: { type: 'string', min: 0, max: '*' },
+        city: { type: 'string', min: 0, max: '1' },
+        district: { type: 'string', min: 0, max: '1' },
+        state: { type: 'string', min: 0, max: '1' },
+        postalCode: { type: 'string', min: 0, max: '1' },
+        country: { type: 'string', min: 0, max: '1' },
+        period: { type: 'Period', min: 0, max: '1' }
+    },
+    Period: {
+        start: { type: 'dateTime', min: 0, max: '1' },
+        end: { type: 'dateTime', min: 0, max: '1' }
+    },
+    Coding: {
+        system: { type: 'uri', min: 0, max: '1' },
+        version: { type: 'string', min: 0, max: '1' },
+        code: { type: 'code', min: 0, max: '1' },
+        display: { type: 'string', min: 0, max: '1' },
+        userSelected: { type: 'boolean', min: 0, max: '1' }
+    },
+    CodeableConcept: {
+        coding: { type: 'Coding', min: 0, max: '*' },
+        text: { type: 'string', min: 0, max: '1' }
+    },
+    Reference: {
+        reference: { type: 'string', min: 0, max: '1' },
+        type: { type: 'uri', min: 0, max: '1' },
+        identifier: { type: 'Identifier', min: 0, max: '1' },
+        display: { type: 'string', min: 0, max: '1' }
+    },
+    Attachment: {
+        contentType: { type: 'code', min: 0, max: '1' },
+        language: { type: 'code', min: 0, max: '1' },
+        data: { type: 'base64Binary', min: 0, max: '1' },
+        url: { type: 'url', min: 0, max: '1' },
+        size: { type: 'unsignedInt', min: 0, max: '1' },
+        hash: { type: 'base64Binary', min: 0, max: '1' },
+        title: { type: 'string', min: 0, max: '1' },
+        creation: { type: 'dateTime', min: 0, max: '1' }
+    },
+    Extension: {
+        url: { type: 'uri', min: 1, max: '1' },
+        'value[x]': { types: EXTENSION_VALUE_TYPES, min: 0, max: '1' }
+    }
+};
+
+/**
+ * Datatypes whose elements may not carry modifierExtension
+ */
+export const FHIR_BACKBONE_TYPES = ['PatientContact', 'PatientCommunication', 'PatientLink'];
+
+// ===================================
+// Validation Engine
+// ===================================
+
+/**
+ * Validates a Patient resource against the base StructureDefinition and
+ * any supported profile named in meta.profile
+ * @param {Object} resource - Candidate FHIR Patient resource
+ * @returns {Object} OperationOutcome describing every issue found
+ */
+export function validateFhirPatient(resource) {
+    const issues = [];
+
+    if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+        addValidationIssue(issues, 'error', 'structure', 'Patient', 'valNotObject', {});
+        return buildOperationOutcome(issues);
+    }
+
+    if (resource.resourceType !== 'Patient') {
+        addValidationIssue(issues, 'error', 'structure', 'Patient.resourceType', 'valResourceType', {});
+    }
+
+    validateComplexElement(resource, 'Patient', 'Patient', issues, ['resourceType']);
+
+    // Narrative must be a single XHTML div
+    if (resource.text && typeof resource.text.div === 'string' &&
+        !/^<div\s[^>]*xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"[^>]*>[\s\S]*<\/div>$/.test(resource.text.div.trim())) {
+        addValidationIssue(issues, 'error', 'invariant', 'Patient.text.div', 'valNarrative', {});
+    }
+
+    const profiles = (resource.meta && Array.isArray(resource.meta.profile)) ? resource.meta.profile : [];
+    Object.values(TARGET_PROFILES)
+        .filter(profile => profiles.includes(profile.url))
+        .forEach(profile => applyProfileRules(resource, profile, issues));
+
+    return buildOperationOutcome(issues);
+}
+
+/**
+ * Validates the elements of a complex value against its structure definition
+ * @param {Object} value - Element value
+ * @param {string} typeName - Datatype or backbone element name
+ * @param {string} path - FHIRPath location of the value
+ * @param {Array} issues - Issue list to append to
+ * @param {Array} [ignoredKeys] - Keys handled by the caller
+ */
+function validateComplexElement(value, typeName, path, issues, ignoredKeys) {
+    const structure = FHIR_STRUCTURES[typeName];
+    const allowedKeys = buildAllowedKeys(structure);
+    const seenChoices = {};
+
+    if (Object.keys(value).length === 0) {
+        addValidationIssue(issues, 'error', 'structure', path, 'valEmpty', {});
+        return;
+    }
+
+    Object.keys(value).forEach(key => {
+        if (ignoredKeys && ignoredKeys.includes(key)) return;
+
+        // Element id, extensions and primitive extension siblings
+        if (key === 'id' && typeName !== 'Patient') {
+            checkPrimitive(value[key], 'string', `${path}.id`, issues);
+            return;
+        }
+        if (key === 'extension' && typeName !== 'Patient') {
+            validateElementValues(value[key], { type: 'Extension', min: 0, max: '*' }, `${path}.extension`, issues);
+            return;
+        }
+        if (key === 'modifierExtension' && FHIR_BACKBONE_TYPES.includes(typeName)) {
+            validateElementValues(value[key], { type: 'Extension', min: 0, max: '*' }, `${path}.modifierExtension`, issues);
+            return;
+        }
+        if (key.charAt(0) === '_' && allowedKeys[key.substring(1)]) {
+            return;
+        }
+
+        const allowed = allowedKeys[key];
+        if (!allowed) {
+            addValidationIssue(issues, 'error', 'structure', `${path}.${key}`, 'valUnknown', {});
+            return;
+        }
+
+        if (allowed.choice) {
+            if (seenChoices[allowed.choice]) {
+                addValidationIssue(issues, 'error', 'structure', `${path}.${key}`, 'valChoice', { element: allowed.choice });
+            }
+            seenChoices[allowed.choice] = true;
+        }
+
+        validateElementValues(value[key], allowed.definition, `${path}.${key}`, issues);
+    });
+
+    // Required elements
+    Object.keys(structure).forEach(name => {
+        const definition = structure[name];
+        if (definition.min === 0) return;
+
+        const present = name.endsWith('[x]')
+            ? Object.keys(allowedKeys).some(key => allowedKeys[key].choice === name && value[key] !== undefined)
+            : value[name] !== undefined;
+
+        if (!present) {
+            addValidationIssue(issues, 'error', 'required', `${path}.${name}`, 'valRequired', { min: definition.min });
+        }
+    });
+}
+
+/**
+ * Expands choice elements (deceased[x]) into their typed JSON names
+ */
+function buildAllowedKeys(structure) {
+    const allowedKeys = {};
+
+    Object.keys(structure).forEach(name => {
+        const definition = structure[name];
+        if (name.endsWith('[x]')) {
+            const base = name.slice(0, -3);
+            definition.types.forEach(type => {
+                allowedKeys[base + type.charAt(0).toUpperCase() + type.slice(1)] = {
+                    choice: name,
+                    definition: { type, min: definition.min, max: definition.max, binding: definition.binding }
+                };
+            });
+        } else {
+            allowedKeys[name] = { definition };
+        }
+    });
+
+    return allowedKeys;
+}
+
+/**
+ * Checks cardinality of an element and validates each of its values
+ */
+function validateElementValues(value, definition, path, issues) {
+    let values;
+
+    if (definition.max === '*') {
+        if (!Array.isArray(value)) {
+            addValidationIssue(issues, 'error', 'structure', path, 'valNotArray', {});
+            return;
+        }
+        if (value.length === 0) {
+            addValidationIssue(issues, 'error', 'structure', path, 'valEmpty', {});
+            return;
+        }
+        values = value.map((item, index) => ({ item, itemPath: `${path}[${index}]` }));
+    } else {
+        if (Array.isArray(value)) {
+            addValidationIssue(issues, 'error', 'structure', path, 'valTooMany', {});
+            return;
+        }
+        values = [{ item: value, itemPath: path }];
+    }
+
+    values.forEach(({ item, itemPath }) => {
+        if (item === null) {
+            addValidationIssue(issues, 'error', 'structure', itemPath, 'valEmpty', {});
+        } else if (FHIR_PRIMITIVE_RULES[definition.type]) {
+            checkPrimitive(item, definition.type, itemPath, issues);
+            if (definition.binding && typeof item === 'string') {
+                checkBinding(item, definition.binding, itemPath, issues);
+            }
+        } else if (definition.type === 'Resource') {
+            if (typeof item !== 'object' || !item.resourceType) {
+                addValidationIssue(issues, 'error', 'structure', itemPath, 'valNotObject', {});
+            }
+        } else if (typeof item !== 'object' || Array.isArray(item)) {
+            addValidationIssue(issues, 'error', 'structure', itemPath, 'valNotObject', {});
+        } else {
+            validateComplexElement(item, definition.type, itemPath, issues);
+        }
+    });
+}
+
+/**
+ * Checks a primitive value against its lexical rule
+ */
+function checkPrimitive(value, type, path, issues) {
+    if (!FHIR_PRIMITIVE_RULES[type](value)) {
+        addValidationIssue(issues, 'error', 'value', path, 'valDatatype', { type });
+    }
+}
+
+/**
+ * Checks a code against a required value set binding
+ */
+function checkBinding(code, valueSet, path, issues) {
+    if (!FHIR_VALUE_SETS[valueSet].includes(code)) {
+        addValidationIssue(issues, 'error', 'code-invalid', path, 'valBinding', { code, valueSet });
+    }
+}
+
+/**
+ * Applies profile cardinalities and invariants
+ * @param {Object} resource - Patient resource
+ * @param {Object} profile - Target profile (fhir-profiles.js)
+ * @param {Array} issues - Issue list to append to
+ */
+function applyProfileRules(resource, profile, issues) {
+    Object.keys(profile.cardinality).forEach(elementPath => {
+        const min = profile.cardinality[elementPath];
+        const segments = elementPath.split('.').slice(1);
+        checkProfileCardinality(resource, 'Patient', segments, min, profile, issues);
+    });
+
+    // Race and ethnicity need a text and at least one code; a null
+    // sub-extension is already reported as a structure error (valEmpty)
+    (Array.isArray(resource.extension) ? resource.extension : []).forEach((extension, index) => {
+        if (!extension || !profile.complexExtensions.includes(extension.url)) return;
+        const subExtensions = (Array.isArray(extension.extension) ? extension.extension : [])
+            .filter(sub => sub && typeof sub === 'object');
+        const hasText = subExtensions.some(sub => sub.url === 'text' && sub.valueString);
+        const hasCode = subExtensions.some(sub => (sub.url === 'ombCategory' || sub.url === 'detailed') && sub.valueCoding);
+        if (!hasText || !hasCode) {
+            addValidationIssue(issues, 'error', 'invariant', `Patient.extension[${index}]`, 'valUsCoreExtensionText', { profile: profile.name });
+        }
+
+        // At most US_CORE_OMB_CATEGORY_MAX ombCategory codes; UNK and ASKU stand alone
+        const max = US_CORE_OMB_CATEGORY_MAX[extension.url === US_CORE_EXTENSION_URLS.ethnicity ? 'ethnicity' : 'race'];
+        const codes = subExtensions
+            .filter(sub => (sub.url === 'ombCategory' || sub.url === 'detailed') && sub.valueCoding)
+            .map(sub => sub.valueCoding.code);
+        if (subExtensions.filter(sub => sub.url === 'ombCategory').length > max) {
+            addValidationIssue(issues, 'error', 'structure', `Patient.extension[${index}]`, 'valUsCoreOmbCategoryMax',
+                { profile: profile.name, max });
+        }
+        if (codes.length > 1 && codes.some(code => RACE_ETHNICITY_NULL_FLAVORS.includes(code))) {
+            addValidationIssue(issues, 'error', 'invariant', `Patient.extension[${index}]`, 'valUsCoreNullFlavor',
+                { profile: profile.name });
+        }
+    });
+
+    // us-core-6 / ips-pat-1: a name needs a family or given part (or a text)
+    const invariant = profile.nameInvariant;
+    (invariant && Array.isArray(resource.name) ? resource.name : []).forEach((name, index) => {
+        if (name && !name.family && !(name.given && name.given.length) && !(invariant.allowText && name.text)) {
+            addValidationIssue(issues, 'error', 'invariant', `Patient.name[${index}]`,
+                invariant.allowText ? 'valProfileNameText' : 'valProfileName',
+                { profile: profile.name, invariant: invariant.key });
+        }
+    });
+
+    // National identifier formats (IHI, Medicare number)
+    (Array.isArray(resource.identifier) ? resource.identifier : []).forEach((identifier, index) => {
+        const format = identifier && checkIdentifierFormat(profile, identifier.system, identifier.value);
+        if (format) {
+            addValidationIssue(issues, 'error', 'value', `Patient.identifier[${index}].value`, 'valProfileIdentifierFormat',
+                { profile: profile.name, system: identifier.system, example: format.example });
+        }
+    });
+}
+
+/**
+ * Walks a profile element path, reporting missing required values (null
+ * and empty arrays count as missing)
+ */
+function checkProfileCardinality(parent, path, segments, min, profile, issues) {
+    const [segment, ...rest] = segments;
+    const value = parent[segment];
+    const elementPath = `${path}.${segment}`;
+    const count = value === undefined || value === null ? 0
+        : (Array.isArray(value) ? value.filter(item => item !== null).length : 1);
+
+    if (rest.length === 0) {
+        if (count < min) {
+            addValidationIssue(issues, 'error', 'required', elementPath, 'valProfileRequired', { min, profile: profile.name });
+        }
+        return;
+    }
+
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => {
+            if (item && typeof item === 'object') {
+                checkProfileCardinality(item, `${elementPath}[${index}]`, rest, min, profile, issues);
+            }
+        });
+    } else if (value && typeof value === 'object') {
+        checkProfileCardinality(value, elementPath, rest, min, profile, issues);
+    }
+}
+
+// ===================================
+// OperationOutcome
+// ===================================
+
+/**
+ * Records an issue with a translatable message
+ */
+function addValidationIssue(issues, severity, code, expression, messageKey, params) {
+    issues.push({ severity, code, expression, messageKey, params });
+}
+
+/**
+ * Builds an OperationOutcome from issues in the current language
+ * @param {Array} issues - Collected issues
+ * @returns {Object} FHIR R4 OperationOutcome
+ */
+function buildOperationOutcome(issues) {
+    const t = translations[currentLanguage];
+
+    return {
+        resourceType: 'OperationOutcome',
+        issue: issues.length === 0
+            ? [{ severity: 'information', code: 'informational', details: { text: t.valPassed } }]
+            : issues.map(issue => ({
+                severity: issue.severity,
+                code: issue.code,
+                details: { text: formatMessage(t[issue.messageKey], issue.params) },
+                expression: [issue.expression]
+            }))
+    };
+}
+
+/**
+ * Replaces {name} placeholders in a message template
+ */
+export function formatMessage(template, params) {
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] !== undefined ? params[name] : match);
+}
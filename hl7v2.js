@@ -0,0 +1,683 @@
+/**
+ * ===================================
+ * HL7 v2 ADT Message Module
+ * HL7 v2.5.1 / v2-to-FHIR Patient Mapping
+ * ===================================
+ *
+ * Purpose: Parse ADT messages (MSH, EVN, PID, NK1, PV1) into form data
+ *          and serialize a FHIR Patient back out as an ADT^A04
+ * Mapping: PID-3 identifier, PID-5 name, PID-7 birthDate, PID-8 gender,
+ *          PID-10/22 race and ethnicity, PID-11 address, PID-13/14 telecom,
+ *          PID-15 primary language, NK1 contact (HL7 v2-to-FHIR Patient mapping)
+ */
+
+import { translations, currentLanguage } from './fhir-translations.js';
+import {
+    CDC_RACE_ETHNICITY_SYSTEM, US_CORE_EXTENSION_URLS, US_CORE_RACE_CODES, US_CORE_ETHNICITY_CODES
+} from './fhir-us-core.js';
+import { US_SSN_SYSTEM, US_SSN_OID, IDENTIFIER_TYPES, driversLicenseState } from './fhir-identifiers.js';
+import {
+    CONTACT_ROLE_CODES, CONTACT_RELATIONSHIP_CODES, readContactRelationship,
+    findContactRelationshipCode
+} from './fhir-contacts.js';
+import { ISO_COUNTRY_CODES, findCountryCode } from './fhir-addresses.js';
+import { parsePhoneNumber } from './fhir-phones.js';
+import { languageName, findLanguageCode, readCommunication } from './fhir-languages.js';
+import { createEmptyFormData } from './fhir-patient.js';
+
+// ===================================
+// Encoding Characters
+// ===================================
+
+const HL7V2_DEFAULT_ENCODING = {
+    field: '|',
+    component: '^',
+    repetition: '~',
+    escape: '\\',
+    subcomponent: '&'
+};
+
+/**
+ * Segments that only describe the message itself
+ */
+const HL7V2_ENVELOPE_SEGMENTS = ['MSH', 'EVN'];
+
+// ===================================
+// Code Mappings (v2 tables to FHIR)
+// ===================================
+
+/**
+ * Table 0200 name type to HumanName.use
+ */
+const HL7V2_NAME_TYPES = {
+    L: 'official',
+    D: 'usual',
+    A: 'usual',
+    M: 'maiden',
+    N: 'nickname',
+    S: 'anonymous',
+    B: 'old'
+};
+
+/**
+ * HumanName.use to table 0200 name type
+ */
+const FHIR_NAME_USE_TO_V2 = {
+    official: 'L',
+    usual: 'D',
+    maiden: 'M',
+    nickname: 'N',
+    anonymous: 'S',
+    old: 'B',
+    temp: 'U'
+};
+
+/**
+ * Table 0001 administrative sex to Patient.gender
+ */
+const HL7V2_SEX_CODES = {
+    M: 'male',
+    F: 'female',
+    O: 'other',
+    A: 'other',
+    U: 'unknown',
+    N: 'unknown'
+};
+
+/**
+ * Patient.gender to table 0001 administrative sex
+ */
+const FHIR_GENDER_TO_V2 = {
+    male: 'M',
+    female: 'F',
+    other: 'O',
+    unknown: 'U'
+};
+
+/**
+ * Table 0063 relationship to v3 RoleCode (v2-to-FHIR concept map)
+ */
+const HL7V2_RELATIONSHIP_CODES = {
+    SPO: 'SPS',
+    DOM: 'DOMPART',
+    MTH: 'MTH',
+    FTH: 'FTH',
+    PAR: 'PRN',
+    CHD: 'CHILD',
+    SIB: 'SIB',
+    BRO: 'BRO',
+    SIS: 'SIS',
+    GRP: 'GRPRN',
+    GCH: 'GRNDCHILD',
+    EXF: 'FAMMEMB',
+    FND: 'FRND'
+};
+
+/**
+ * Table 0190 address type to Address.use / Address.type
+ */
+const HL7V2_ADDRESS_TYPES = {
+    H: { use: 'home', type: 'both' },
+    P: { use: 'home', type: 'both' },
+    M: { use: 'home', type: 'postal' },
+    B: { use: 'work', type: 'both' },
+    O: { use: 'work', type: 'both' },
+    C: { use: 'temp', type: 'both' },
+    BA: { use: 'old', type: 'both' }
+};
+
+// ===================================
+// Parsing
+// ===================================
+
+/**
+ * Parses an HL7 v2 message into segments
+ * @param {string} text - Message text (segments separated by CR, LF or CRLF)
+ * @returns {Object} Encoding characters and segments ({ name, fields })
+ *                   where fields[n] is the raw text of field n
+ */
+export function parseHl7v2Message(text) {
+    const lines = text.split(/\r\n|\r|\n/).map(line => line.trim()).filter(Boolean);
+
+    if (lines.length === 0 || !lines[0].startsWith('MSH')) {
+        throw new Error(translations[currentLanguage].hl7ErrorNoMsh);
+    }
+
+    const header = lines[0];
+    const encoding = {
+        field: header.charAt(3),
+        component: header.charAt(4) || HL7V2_DEFAULT_ENCODING.component,
+        repetition: header.charAt(5) || HL7V2_DEFAULT_ENCODING.repetition,
+        escape: header.charAt(6) || HL7V2_DEFAULT_ENCODING.escape,
+        subcomponent: header.charAt(7) || HL7V2_DEFAULT_ENCODING.subcomponent
+    };
+
+    const segments = lines.map(line => {
+        const fields = line.split(encoding.field);
+        // MSH-1 is the field separator itself
+        if (fields[0] === 'MSH') {
+            fields.splice(1, 0, encoding.field);
+        }
+        return { name: fields[0], fields };
+    });
+
+    return { encoding, segments };
+}
+
+/**
+ * Splits a field into repetitions of components of subcomponents,
+ * with escape sequences decoded
+ * @returns {Array} repetitions[r][c][s] (zero-based)
+ */
+function splitHl7v2Field(raw, encoding) {
+    if (!raw) return [];
+
+    return raw.split(encoding.repetition).map(repetition =>
+        repetition.split(encoding.component).map(component =>
+            component.split(encoding.subcomponent).map(value => unescapeHl7v2(value, encoding))));
+}
+
+/**
+ * Returns component (1-based) and subcomponent (1-based) of a repetition
+ */
+function hl7v2Component(repetition, component, subcomponent) {
+    const parts = repetition[component - 1];
+    return (parts && parts[(subcomponent || 1) - 1]) || '';
+}
+
+/**
+ * Decodes \F\ \S\ \T\ \R\ \E\ \.br\ and \Xhh\ escape sequences; an \X\
+ * without whole hex pairs is malformed and kept as literal text
+ */
+function unescapeHl7v2(value, encoding) {
+    const esc = encoding.escape;
+    if (!value.includes(esc)) return value;
+
+    const pattern = new RegExp(`${escapeRegExp(esc)}(F|S|T|R|E|\\.br|X(?:[0-9A-Fa-f]{2})+)${escapeRegExp(esc)}`, 'g');
+    return value.replace(pattern, (match, code) => {
+        switch (code) {
+            case 'F': return encoding.field;
+            case 'S': return encoding.component;
+            case 'T': return encoding.subcomponent;
+            case 'R': return encoding.repetition;
+            case 'E': return encoding.escape;
+            case '.br': return '\n';
+            default:
+                return (code.substring(1).match(/../g) || [])
+                    .map(hex => String.fromCharCode(parseInt(hex, 16)))
+                    .join('');
+        }
+    });
+}
+
+/**
+ * Encodes delimiter characters in a value
+ */
+function escapeHl7v2(value) {
+    const enc = HL7V2_DEFAULT_ENCODING;
+    return String(value)
+        .replace(/\\/g, `${enc.escape}E${enc.escape}`)
+        .replace(/\|/g, `${enc.escape}F${enc.escape}`)
+        .replace(/\^/g, `${enc.escape}S${enc.escape}`)
+        .replace(/&/g, `${enc.escape}T${enc.escape}`)
+        .replace(/~/g, `${enc.escape}R${enc.escape}`)
+        .replace(/\r\n|\r|\n/g, `${enc.escape}.br${enc.escape}`);
+}
+
+/**
+ * Escapes characters with special meaning in a regular expression
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ===================================
+// v2 to Form Data
+// ===================================
+
+/**
+ * Maps a parsed ADT message to form data
+ * @param {Object} message - Result of parseHl7v2Message()
+ * @returns {Object} formData and the locations of content the form cannot hold
+ */
+export function mapHl7v2ToFormData(message) {
+    const { encoding, segments } = message;
+    const unmapped = [];
+    const pid = segments.find(segment => segment.name === 'PID');
+
+    if (!pid) {
+        throw new Error(translations[currentLanguage].hl7ErrorNoPid);
+    }
+
+    const field = (segment, index) => splitHl7v2Field(segment.fields[index], encoding);
+    // Every field starts empty, so nothing of the form's previous patient is kept
+    const formData = createEmptyFormData();
+
+    // PID-3 patient identifier list (CX); CX-5 is the v2-0203 type code
+    field(pid, 3).forEach(cx => {
+        const type = IDENTIFIER_TYPES[hl7v2Component(cx, 5)] ? hl7v2Component(cx, 5) : '';
+        const system = hdToSystem(cx[3] || []);
+        formData.identifiers.push({
+            use: type === 'SS' ? 'official' : 'usual',
+            type,
+            issuer: type === 'DL' ? driversLicenseState(system) : '',
+            system,
+            value: hl7v2Component(cx, 1)
+        });
+    });
+
+    // PID-5 patient name (XPN)
+    field(pid, 5).forEach(xpn => formData.names.push(xpnToNameEntry(xpn)));
+
+    // PID-7 date of birth (TS)
+    const birth = hl7v2Component(field(pid, 7)[0] || [], 1);
+    if (birth) {
+        formData.dob = tsToDate(birth);
+        if (formData.dob.length !== 10) {
+            unmapped.push('PID-7');
+            formData.dob = '';
+        }
+    }
+
+    // PID-8 administrative sex
+    formData.gender = HL7V2_SEX_CODES[hl7v2Component(field(pid, 8)[0] || [], 1)] || '';
+
+    // PID-10 race and PID-22 ethnic group (CWE)
+    formData.race = field(pid, 10).map(cwe => hl7v2Component(cwe, 1))
+        .filter(code => US_CORE_RACE_CODES.some(entry => entry.code === code));
+    formData.ethnicity = field(pid, 22).map(cwe => hl7v2Component(cwe, 1))
+        .filter(code => US_CORE_ETHNICITY_CODES.some(entry => entry.code === code));
+
+    // PID-11 patient address (XAD)
+    field(pid, 11).forEach(xad => formData.addresses.push(xadToAddressEntry(xad)));
+
+    // PID-13 home and PID-14 business phone numbers (XTN)
+    [13, 14].forEach(index => {
+        field(pid, index).forEach(xtn => {
+            const entry = xtnToTelecomEntry(xtn, index === 14 ? 'work' : 'home');
+            if (entry.value) formData.telecoms.push(entry);
+        });
+    });
+
+    // PID-15 primary language (CWE); table 0296 codes are ISO 639, and the
+    // text is tried when the code is a local one
+    const primaryLanguage = field(pid, 15)[0] || [];
+    const language = findLanguageCode(hl7v2Component(primaryLanguage, 1)) ||
+        findLanguageCode(hl7v2Component(primaryLanguage, 2));
+    if (language) {
+        formData.communications.push({ language, preferred: true, proficiency: '' });
+    } else if (primaryLanguage.length > 0) {
+        unmapped.push('PID-15');
+    }
+
+    reportUnmappedFields(pid, 'PID', [1, 3, 5, 7, 8, 10, 11, 13, 14, 15, 22], unmapped);
+
+    // NK1 next of kin: name, relationship, address, phone, contact role,
+    // organization and sex
+    segments.filter(segment => segment.name === 'NK1').forEach((nk1, index) => {
+        const location = `NK1(${index + 1})`;
+        const name = field(nk1, 2)[0] || [];
+        const relationship = field(nk1, 3)[0] || [];
+        const address = field(nk1, 4)[0];
+        const phone = field(nk1, 5)[0] ? xtnToTelecomEntry(field(nk1, 5)[0], 'home') : null;
+        const role = hl7v2Component(field(nk1, 7)[0] || [], 1);
+        const addressEntry = address ? xadToAddressEntry(address) : { lines: [], city: '', district: '', state: '', postalCode: '', country: 'US' };
+
+        const entry = {
+            given: [hl7v2Component(name, 2), hl7v2Component(name, 3)].filter(Boolean).join(' '),
+            family: hl7v2Component(name, 1),
+            gender: HL7V2_SEX_CODES[hl7v2Component(field(nk1, 15)[0] || [], 1)] || '',
+            role: CONTACT_ROLE_CODES[role] ? role : '',
+            relationship: '',
+            phone: phone ? phone.value : '',
+            phoneUse: phone ? phone.use : 'mobile',
+            organization: hl7v2Component(field(nk1, 13)[0] || [], 1),
+            lines: addressEntry.lines,
+            city: addressEntry.city,
+            district: addressEntry.district,
+            state: addressEntry.state,
+            postalCode: addressEntry.postalCode,
+            country: addressEntry.country
+        };
+
+        // Table 0063 code, else the text (older exports sent HL70131 here)
+        const relationshipCode = hl7v2Component(relationship, 1);
+        if (relationship.length > 0) {
+            if (hl7v2Component(relationship, 3) === 'HL70131' && CONTACT_ROLE_CODES[relationshipCode] && !entry.role) {
+                entry.role = relationshipCode;
+            }
+            entry.relationship = HL7V2_RELATIONSHIP_CODES[relationshipCode] ||
+                findContactRelationshipCode(hl7v2Component(relationship, 2)) ||
+                findContactRelationshipCode(relationshipCode);
+            if (!entry.relationship && !entry.role) {
+                unmapped.push(`${location}-3`);
+            }
+        }
+        if (role && !entry.role) unmapped.push(`${location}-7`);
+
+        formData.contacts.push(entry);
+
+        reportUnmappedFields(nk1, location, [1, 2, 3, 4, 5, 7, 13, 15], unmapped);
+    });
+
+    // Visit and other segments have no place on a Patient
+    segments.forEach(segment => {
+        if (!['PID', 'NK1'].concat(HL7V2_ENVELOPE_SEGMENTS).includes(segment.name)) {
+            unmapped.push(segment.name);
+        }
+    });
+
+    return { formData, unmapped };
+}
+
+/**
+ * Records fields that carry content but are not mapped
+ */
+function reportUnmappedFields(segment, location, mappedFields, unmapped) {
+    segment.fields.forEach((value, index) => {
+        if (index > 0 && value && !mappedFields.includes(index)) {
+            unmapped.push(`${location}-${index}`);
+        }
+    });
+}
+
+/**
+ * Converts an assigning authority (HD) to an identifier system
+ */
+function hdToSystem(hd) {
+    const [namespace, universalId, universalIdType] = hd;
+
+    // FHIR names the SSN system by URL rather than by the SSA OID
+    if (universalId === US_SSN_OID && universalIdType === 'ISO') return US_SSN_SYSTEM;
+    if (universalId && universalIdType === 'ISO') return `urn:oid:${universalId}`;
+    if (universalId && universalIdType === 'UUID') return `urn:uuid:${universalId}`;
+    return universalId || namespace || '';
+}
+
+/**
+ * Converts an XPN repetition to a name entry
+ */
+function xpnToNameEntry(xpn) {
+    return {
+        use: HL7V2_NAME_TYPES[hl7v2Component(xpn, 7)] || 'official',
+        family: hl7v2Component(xpn, 1),
+        given: hl7v2Component(xpn, 2),
+        middle: hl7v2Component(xpn, 3),
+        periodStart: tsToDate(hl7v2Component(xpn, 12)),
+        periodEnd: tsToDate(hl7v2Component(xpn, 13))
+    };
+}
+
+/**
+ * Converts an XAD repetition to an address entry
+ */
+function xadToAddressEntry(xad) {
+    const addressType = HL7V2_ADDRESS_TYPES[hl7v2Component(xad, 7)] || HL7V2_ADDRESS_TYPES.H;
+
+    return {
+        use: addressType.use,
+        type: addressType.type,
+        lines: [hl7v2Component(xad, 1), hl7v2Component(xad, 2)].filter(Boolean),
+        city: hl7v2Component(xad, 3),
+        district: hl7v2Component(xad, 9),
+        state: hl7v2Component(xad, 4),
+        postalCode: hl7v2Component(xad, 5),
+        // XAD-6 is an ISO 3166 alpha-3 code (Table 0399)
+        country: findCountryCode(hl7v2Component(xad, 6)) || 'US',
+        periodStart: tsToDate(hl7v2Component(xad, 13)),
+        periodEnd: tsToDate(hl7v2Component(xad, 14))
+    };
+}
+
+/**
+ * Converts an XTN repetition to a telecom entry
+ */
+function xtnToTelecomEntry(xtn, defaultUse) {
+    const useCode = hl7v2Component(xtn, 2);
+    const equipment = hl7v2Component(xtn, 3);
+
+    if (useCode === 'NET' || equipment === 'Internet' || equipment === 'X.400') {
+        return { system: 'email', value: hl7v2Component(xtn, 4), use: defaultUse };
+    }
+
+    const countryCode = hl7v2Component(xtn, 5);
+    const areaCode = hl7v2Component(xtn, 6);
+    const localNumber = hl7v2Component(xtn, 7);
+    const extension = hl7v2Component(xtn, 8);
+    let value = hl7v2Component(xtn, 1);
+    if (localNumber) {
+        value = countryCode
+            ? `+${countryCode} ${areaCode}${localNumber}`
+            : `${areaCode ? `(${areaCode}) ` : ''}${localNumber.replace(/^(\d{3})(\d{4})$/, '$1-$2')}`;
+    }
+    if (extension && value) value += ` x${extension}`;
+
+    return {
+        system: equipment === 'FX' ? 'fax' : 'phone',
+        value,
+        use: useCode === 'WPN' ? 'work' : (equipment === 'CP' ? 'mobile' : defaultUse)
+    };
+}
+
+/**
+ * Converts a v2 timestamp (YYYY[MM[DD[HHMM...]]]) to a FHIR date
+ */
+function tsToDate(ts) {
+    const match = (ts || '').match(/^(\d{4})(\d{2})?(\d{2})?/);
+    if (!match) return '';
+    return [match[1], match[2], match[3]].filter(Boolean).join('-');
+}
+
+// ===================================
+// FHIR Patient to ADT^A04
+// ===================================
+
+/**
+ * Sequence of the last serialized message, so two in the same millisecond
+ * get different control ids
+ */
+let messageSequence = 0;
+
+/**
+ * MSH-10 message control id: FC, the time in milliseconds and a two-digit
+ * sequence (17 characters, within the 20 of the ST data type)
+ */
+function nextControlId() {
+    messageSequence = (messageSequence + 1) % 100;
+    return `FC${Date.now()}${String(messageSequence).padStart(2, '0')}`;
+}
+
+/**
+ * Serializes a FHIR Patient as an ADT^A04 (register a patient) message
+ * @param {Object} patient - FHIR R4 Patient resource
+ * @returns {string} HL7 v2.5.1 message with CR segment terminators
+ */
+export function serializeAdtA04(patient) {
+    const timestamp = formatHl7v2Timestamp(new Date());
+    const controlId = nextControlId();
+    const repeat = values => values.filter(Boolean).join(HL7V2_DEFAULT_ENCODING.repetition);
+
+    const msh = ['MSH', '^~\\&', 'FHIRCONV', 'FHIRCONV', '', '', timestamp, '',
+        'ADT^A04^ADT_A01', controlId, 'P', '2.5.1'];
+
+    const evn = ['EVN', 'A04', timestamp];
+
+    const pid = [];
+    pid[0] = 'PID';
+    pid[1] = '1';
+    pid[3] = repeat((patient.identifier || []).map(identifierToCx));
+    pid[5] = repeat((patient.name || []).map(nameToXpn));
+    pid[7] = (patient.birthDate || '').replace(/-/g, '');
+    pid[8] = FHIR_GENDER_TO_V2[patient.gender] || '';
+    pid[10] = repeat(usCoreCodings(patient, US_CORE_EXTENSION_URLS.race).map(codingToCwe));
+    pid[11] = repeat((patient.address || []).map(addressToXad));
+    pid[13] = repeat((patient.telecom || []).filter(telecom => telecom.use !== 'work').map(telecomToXtn));
+    pid[14] = repeat((patient.telecom || []).filter(telecom => telecom.use === 'work').map(telecomToXtn));
+    pid[15] = communicationToCwe(patient.communication || []);
+    pid[22] = repeat(usCoreCodings(patient, US_CORE_EXTENSION_URLS.ethnicity).map(codingToCwe));
+
+    const nk1Segments = (patient.contact || []).map((contact, index) => {
+        const { role, relationship } = readContactRelationship(contact.relationship);
+        const relationshipCode = Object.keys(HL7V2_RELATIONSHIP_CODES)
+            .find(code => HL7V2_RELATIONSHIP_CODES[code] === relationship);
+        const phone = (contact.telecom || []).find(telecom => telecom.system === 'phone');
+
+        const nk1 = ['NK1', String(index + 1),
+            contact.name ? nameToXpn(contact.name) : '',
+            relationship ? joinHl7v2Components([relationshipCode, CONTACT_RELATIONSHIP_CODES[relationship], relationshipCode ? 'HL70063' : '']) : '',
+            contact.address ? addressToXad(contact.address) : '',
+            phone ? telecomToXtn(phone) : ''];
+        nk1[7] = role ? joinHl7v2Components([role, CONTACT_ROLE_CODES[role], 'HL70131']) : '';
+        nk1[13] = contact.organization ? escapeHl7v2(contact.organization.display || '') : '';
+        nk1[15] = FHIR_GENDER_TO_V2[contact.gender] || '';
+        return nk1;
+    });
+
+    const pv1 = ['PV1', '1', 'O'];
+
+    return [msh, evn, pid].concat(nk1Segments, [pv1])
+        .map(segment => joinHl7v2Fields(segment))
+        .join('\r') + '\r';
+}
+
+/**
+ * Joins segment fields, dropping trailing empty fields
+ */
+function joinHl7v2Fields(fields) {
+    const values = Array.from(fields, value => value || '');
+    while (values.length > 1 && values[values.length - 1] === '') values.pop();
+
+    // MSH-1 is written as the separator between the name and MSH-2
+    if (values[0] === 'MSH') {
+        return 'MSH|' + values.slice(1).join('|');
+    }
+    return values.join('|');
+}
+
+/**
+ * Joins components, escaping each value and dropping trailing empties
+ */
+function joinHl7v2Components(components) {
+    return components.map(value => escapeHl7v2(value || '')).join('^').replace(/\^+$/, '');
+}
+
+/**
+ * Identifier to CX (ID^^^assigning authority^type code)
+ */
+function identifierToCx(identifier) {
+    const system = identifier.system || '';
+    let authority = '';
+
+    if (system === US_SSN_SYSTEM) {
+        authority = `SSA&${US_SSN_OID}&ISO`;
+    } else if (system.startsWith('urn:oid:')) {
+        authority = `&${system.substring(8)}&ISO`;
+    } else if (system.startsWith('urn:uuid:')) {
+        authority = `&${system.substring(9)}&UUID`;
+    } else if (system) {
+        authority = `&${escapeHl7v2(system)}&URI`;
+    }
+
+    const typeCoding = identifier.type && (identifier.type.coding || [])[0];
+    return [escapeHl7v2(identifier.value || ''), '', '', authority, typeCoding ? escapeHl7v2(typeCoding.code) : '']
+        .join('^').replace(/\^+$/, '');
+}
+
+/**
+ * HumanName to XPN (family^given^middle^suffix^prefix^^type)
+ */
+function nameToXpn(name) {
+    const given = name.given || [];
+    const components = [
+        name.family, given[0], given.slice(1).join(' '),
+        (name.suffix || []).join(' '), (name.prefix || []).join(' '), '',
+        FHIR_NAME_USE_TO_V2[name.use] || ''
+    ];
+
+    if (name.period) {
+        components[11] = (name.period.start || '').replace(/-/g, '');
+        components[12] = (name.period.end || '').replace(/-/g, '');
+    }
+    return joinHl7v2Components(components);
+}
+
+/**
+ * Address to XAD (street^other^city^state^zip^country^type^^county);
+ * the country is sent as its alpha-3 code
+ */
+function addressToXad(address) {
+    const lines = address.line || [];
+    let typeCode = { home: 'H', work: 'B', temp: 'C', old: 'BA', billing: 'M' }[address.use] || '';
+    if (address.use === 'home' && address.type === 'postal') typeCode = 'M';
+
+    const components = [lines[0], lines.slice(1).join(', '), address.city, address.state,
+        address.postalCode, ISO_COUNTRY_CODES[address.country] || address.country, typeCode, '', address.district];
+
+    if (address.period) {
+        components[12] = (address.period.start || '').replace(/-/g, '');
+        components[13] = (address.period.end || '').replace(/-/g, '');
+    }
+    return joinHl7v2Components(components);
+}
+
+/**
+ * ContactPoint to XTN (^use code^equipment^email^country^area^local^extension);
+ * numbers that cannot be parsed are sent as entered in XTN-1
+ */
+function telecomToXtn(telecom) {
+    if (telecom.system === 'email') {
+        return joinHl7v2Components(['', 'NET', 'Internet', telecom.value]);
+    }
+
+    const useCode = telecom.use === 'work' ? 'WPN' : 'PRN';
+    const equipment = telecom.system === 'fax' ? 'FX'
+        : (telecom.use === 'mobile' || telecom.system === 'sms' ? 'CP' : 'PH');
+    const parsed = parsePhoneNumber(telecom.value);
+
+    if (parsed && parsed.valid && parsed.countryCode === '1') {
+        return joinHl7v2Components(['', useCode, equipment, '', '1', parsed.national.substring(0, 3),
+            parsed.national.substring(3), parsed.extension]);
+    }
+    if (parsed && parsed.valid && parsed.countryCode) {
+        return joinHl7v2Components(['', useCode, equipment, '', parsed.countryCode, '', parsed.national, parsed.extension]);
+    }
+    return joinHl7v2Components([telecom.value, useCode, equipment]);
+}
+
+/**
+ * Coding to CWE (code^text^coding system)
+ */
+function codingToCwe(coding) {
+    const system = coding.system === CDC_RACE_ETHNICITY_SYSTEM ? 'CDCREC' : 'NULLFL';
+    return joinHl7v2Components([coding.code, coding.display, system]);
+}
+
+/**
+ * Preferred (or first) BCP 47 language to CWE (code^name^HL70296)
+ */
+function communicationToCwe(communications) {
+    const entries = communications.map(communication => readCommunication(communication).entry).filter(Boolean);
+    const entry = entries.find(item => item.preferred) || entries[0];
+    if (!entry) return '';
+
+    return joinHl7v2Components([entry.language, languageName(entry.language, 'en'), 'HL70296']);
+}
+
+/**
+ * Collects the ombCategory and detailed codings of a US Core extension
+ */
+function usCoreCodings(patient, url) {
+    const extension = (patient.extension || []).find(ext => ext.url === url);
+    if (!extension) return [];
+
+    return (extension.extension || [])
+        .filter(sub => (sub.url === 'ombCategory' || sub.url === 'detailed') && sub.valueCoding)
+        .map(sub => sub.valueCoding);
+}
+
+/**
+ * Formats a Date as a v2 timestamp (YYYYMMDDHHMMSS, UTC offset +0000)
+ */
+function formatHl7v2Timestamp(date) {
+    return date.toISOString().replace(/[-:T]/g, '').substring(0, 14) + '+0000';
+}
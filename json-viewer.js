@@ -0,0 +1,182 @@
+/**
+ * ===================================
+ * JSON Viewer
+ * Tokenized, collapsible JSON display
+ * ===================================
+ *
+ * Purpose: Show JSON as highlighted lines built from DOM text nodes, so
+ *          values are never interpreted as HTML
+ * Features: Line numbers, collapsible objects and arrays, and element
+ *           paths (Patient.name[0].given[1]) that can be clicked to copy
+ */
+
+// ===================================
+// Viewer
+// ===================================
+
+/**
+ * Renders a value as an interactive JSON tree
+ * @param {HTMLElement} container - Element to fill (its content is replaced)
+ * @param {*} value - JSON value
+ * @param {Object} options - rootPath (path of the value) and onPathClick(path)
+ */
+export function renderJsonViewer(container, value, options = {}) {
+    const state = { lineNumber: 0 };
+    const root = buildJsonNode(null, value, options.rootPath || '', true, 0, state);
+
+    container.replaceChildren(root);
+    container.classList.add('json-viewer');
+
+    // One listener for every toggle and path in the tree
+    container.onclick = event => {
+        const toggle = event.target.closest('.json-toggle');
+        if (toggle) {
+            const node = toggle.closest('.json-node');
+            const collapsed = node.classList.toggle('collapsed');
+            toggle.setAttribute('aria-expanded', String(!collapsed));
+            return;
+        }
+
+        const pathElement = event.target.closest('[data-path]');
+        if (pathElement && options.onPathClick) {
+            options.onPathClick(pathElement.dataset.path);
+        }
+    };
+}
+
+/**
+ * One member or item: a single line for primitives, an open line,
+ * children and a close line for objects and arrays
+ */
+function buildJsonNode(key, value, path, isLast, depth, state) {
+    const isContainer = value !== null && typeof value === 'object';
+    const comma = isLast ? '' : ',';
+
+    if (!isContainer) {
+        const line = createJsonLine(depth, state);
+        appendJsonKey(line, key, path);
+        line.appendChild(createJsonToken(JSON.stringify(value), jsonTokenClass(value), key === null ? path : null));
+        line.appendChild(document.createTextNode(comma));
+        return line;
+    }
+
+    const isArray = Array.isArray(value);
+    const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+    const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+    const node = document.createElement('div');
+    node.className = 'json-node';
+
+    const openLine = createJsonLine(depth, state);
+    if (entries.length > 0) {
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'json-toggle';
+        toggle.setAttribute('aria-expanded', 'true');
+        toggle.setAttribute('aria-label', path || open);
+        openLine.appendChild(toggle);
+    }
+    appendJsonKey(openLine, key, path);
+    openLine.appendChild(document.createTextNode(entries.length > 0 ? open : `${open}${close}${comma}`));
+    node.appendChild(openLine);
+
+    if (entries.length === 0) return node;
+
+    openLine.appendChild(createJsonToken(`…${close}${comma}`, 'json-summary'));
+
+    const children = document.createElement('div');
+    children.className = 'json-children';
+    entries.forEach(([childKey, childValue], index) => {
+        const childPath = isArray ? `${path}[${childKey}]` : (path ? `${path}.${childKey}` : childKey);
+        children.appendChild(buildJsonNode(isArray ? null : childKey, childValue, childPath, index === entries.length - 1, depth + 1, state));
+    });
+    node.appendChild(children);
+
+    const closeLine = createJsonLine(depth, state);
+    closeLine.classList.add('json-close');
+    closeLine.appendChild(document.createTextNode(close + comma));
+    node.appendChild(closeLine);
+
+    return node;
+}
+
+/**
+ * A numbered, indented line
+ */
+function createJsonLine(depth, state) {
+    const line = document.createElement('div');
+    line.className = 'json-line';
+
+    const number = document.createElement('span');
+    number.className = 'json-line-number';
+    number.textContent = String(++state.lineNumber);
+    line.appendChild(number);
+    line.appendChild(document.createTextNode('  '.repeat(depth)));
+
+    return line;
+}
+
+/**
+ * The "key": part of an object member; the key carries the element path
+ */
+function appendJsonKey(line, key, path) {
+    if (key === null) return;
+    line.appendChild(createJsonToken(JSON.stringify(key), 'json-key', path));
+    line.appendChild(document.createTextNode(': '));
+}
+
+/**
+ * A highlighted token; with a path it can be clicked to copy the path
+ */
+function createJsonToken(text, className, path) {
+    const token = document.createElement('span');
+    token.className = className;
+    token.textContent = text;
+    if (path) {
+        token.dataset.path = path;
+        token.title = path;
+        token.classList.add('json-path');
+    }
+    return token;
+}
+
+/**
+ * Highlight class of a primitive value
+ */
+function jsonTokenClass(value) {
+    if (value === null) return 'json-null';
+    if (typeof value === 'string') return 'json-string';
+    if (typeof value === 'number') return 'json-number';
+    return 'json-boolean';
+}
+
+// ===================================
+// Plain Highlighting
+// ===================================
+
+/**
+ * Highlights JSON text (for example NDJSON lines) without restructuring it
+ * @param {string} text - JSON text
+ * @returns {DocumentFragment} Highlighted text
+ */
+export function highlightJsonText(text) {
+    const fragment = document.createDocumentFragment();
+    const pattern = /("(?:[^"\\]|\\.)*")(\s*:)?|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|\b(true|false|null)\b/g;
+    let position = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        fragment.appendChild(document.createTextNode(text.substring(position, match.index)));
+        if (match[1]) {
+            fragment.appendChild(createJsonToken(match[1], match[2] ? 'json-key' : 'json-string'));
+            if (match[2]) fragment.appendChild(document.createTextNode(match[2]));
+        } else if (match[3]) {
+            fragment.appendChild(createJsonToken(match[3], 'json-number'));
+        } else {
+            fragment.appendChild(createJsonToken(match[4], match[4] === 'null' ? 'json-null' : 'json-boolean'));
+        }
+        position = pattern.lastIndex;
+    }
+    fragment.appendChild(document.createTextNode(text.substring(position)));
+
+    return fragment;
+}
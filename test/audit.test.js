@@ -0,0 +1,198 @@
+/**
+ * Tests of the audit trail: Provenance and AuditEvent resources built by
+ * fhir-audit.js, and the audit log of the local store (in an in-memory
+ * IndexedDB)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { indexedDB } from 'fake-indexeddb';
+
+import {
+    UNIDENTIFIED_OPERATOR, buildProvenance, buildAuditEvent, buildAuditBundle, auditResourceConcerns,
+    summarizeAuditResource
+} from '../fhir-audit.js';
+import { saveAuditResource, listAuditResources, clearPatientStore } from '../fhir-store.js';
+import { resolveBundleReference, unresolvedAuditReferences } from './helpers/bundle.js';
+
+globalThis.indexedDB = indexedDB;
+
+const PATIENT = {
+    resourceType: 'Patient',
+    id: '6f1c2d3e-4b5a-4c7d-8e9f-0a1b2c3d4e5f',
+    meta: { versionId: '3' }
+};
+
+const AUDIT = {
+    operator: { name: ' Dana Reyes ', identifier: 'dreyes@example.org' },
+    reason: 'Corrected the birth date'
+};
+
+/**
+ * Clock and id generator that make the output reproducible
+ */
+function fixedOptions(time, id) {
+    return { now: () => new Date(time), generateId: () => id };
+}
+
+// ===================================
+// Provenance
+// ===================================
+
+test('a first version is a CREATE targeting that version', () => {
+    const provenance = buildProvenance({ ...PATIENT, meta: { versionId: '1' } }, AUDIT,
+        fixedOptions('2024-01-15T10:30:00.000Z', 'prov-1'));
+
+    assert.deepEqual(provenance, {
+        resourceType: 'Provenance',
+        id: 'prov-1',
+        target: [{ reference: `Patient/${PATIENT.id}/_history/1` }],
+        recorded: '2024-01-15T10:30:00.000Z',
+        activity: {
+            coding: [{
+                system: 'http://terminology.hl7.org/CodeSystem/v3-DataOperation',
+                code: 'CREATE',
+                display: 'create'
+            }]
+        },
+        agent: [{
+            type: {
+                coding: [{
+                    system: 'http://terminology.hl7.org/CodeSystem/provenance-participant-type',
+                    code: 'author',
+                    display: 'Author'
+                }]
+            },
+            who: { identifier: { value: 'dreyes@example.org' }, display: 'Dana Reyes' }
+        }],
+        reason: [{ text: 'Corrected the birth date' }]
+    });
+});
+
+test('a later version is an UPDATE that revises the previous one', () => {
+    const provenance = buildProvenance(PATIENT, AUDIT, { previousVersionId: '2' });
+
+    assert.equal(provenance.activity.coding[0].code, 'UPDATE');
+    assert.equal(provenance.activity.coding[0].display, 'revise');
+    assert.deepEqual(provenance.entity, [{
+        role: 'revision',
+        what: { reference: `Patient/${PATIENT.id}/_history/2` }
+    }]);
+    assert.ok(!Number.isNaN(Date.parse(provenance.recorded)));
+});
+
+test('an operator who gave nothing is still named, and a blank reason is left out', () => {
+    const provenance = buildProvenance(PATIENT, { operator: { name: ' ', identifier: '' }, reason: '  ' },
+        { activity: 'UPDATE' });
+
+    assert.deepEqual(provenance.agent[0].who, { display: UNIDENTIFIED_OPERATOR });
+    assert.equal(provenance.reason, undefined);
+    assert.equal(provenance.entity, undefined);
+    assert.equal(provenance.activity.coding[0].code, 'UPDATE');
+});
+
+test('a Patient without a versionId is targeted as a whole', () => {
+    const provenance = buildProvenance({ resourceType: 'Patient', id: 'abc' }, AUDIT);
+
+    assert.equal(provenance.target[0].reference, 'Patient/abc');
+});
+
+// ===================================
+// AuditEvent
+// ===================================
+
+test('a copy is an Export AuditEvent with the operator as requestor', () => {
+    const event = buildAuditEvent(PATIENT, AUDIT, {
+        action: 'copy',
+        format: 'xml',
+        ...fixedOptions('2024-01-15T11:00:00.000Z', 'event-1')
+    });
+
+    assert.equal(event.resourceType, 'AuditEvent');
+    assert.equal(event.id, 'event-1');
+    assert.equal(event.type.code, '110106');
+    assert.equal(event.subtype[0].code, 'copy');
+    assert.equal(event.action, 'R');
+    assert.equal(event.outcome, '0');
+    assert.equal(event.recorded, '2024-01-15T11:00:00.000Z');
+    assert.deepEqual(event.agent, [{
+        who: { identifier: { value: 'dreyes@example.org' }, display: 'Dana Reyes' },
+        requestor: true
+    }]);
+    assert.equal(event.entity[0].what.reference, `Patient/${PATIENT.id}/_history/3`);
+    assert.deepEqual(event.entity[0].detail, [{ type: 'format', valueString: 'xml' }]);
+    assert.deepEqual(event.purposeOfEvent, [{ text: 'Corrected the birth date' }]);
+});
+
+test('an unknown action is recorded as a download', () => {
+    assert.equal(buildAuditEvent(PATIENT, AUDIT, { action: 'print' }).subtype[0].code, 'download');
+});
+
+// ===================================
+// Bundle and Log
+// ===================================
+
+test('the audit Bundle holds the Patient versions, then their audit resources', () => {
+    const first = { ...PATIENT, meta: { versionId: '2' } };
+    const provenance = buildProvenance(PATIENT, AUDIT, { previousVersionId: '2' });
+    const event = buildAuditEvent(first, AUDIT, { action: 'download' });
+    const bundle = buildAuditBundle([first, PATIENT], [provenance, event]);
+
+    assert.equal(bundle.type, 'collection');
+    assert.deepEqual(bundle.entry.map(entry => entry.resource.resourceType),
+        ['Patient', 'Patient', 'Provenance', 'AuditEvent']);
+    assert.deepEqual(bundle.entry.map(entry => entry.fullUrl),
+        [PATIENT.id, PATIENT.id, provenance.id, event.id].map(id => `urn:uuid:${id}`));
+    assert.deepEqual(unresolvedAuditReferences(bundle), []);
+    assert.equal(resolveBundleReference(bundle, provenance.target[0].reference).resource, PATIENT);
+    assert.equal(resolveBundleReference(bundle, event.entity[0].what.reference).resource, first);
+});
+
+test('an id that is not a UUID gets a stable urn:uuid fullUrl, and references still resolve', () => {
+    const patient = { resourceType: 'Patient', id: 'example-123' };
+    const bundle = buildAuditBundle([patient], [buildProvenance(patient, AUDIT), buildAuditEvent(patient, AUDIT)]);
+
+    bundle.entry.forEach(entry => assert.match(entry.fullUrl,
+        /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/));
+    assert.equal(bundle.entry[0].fullUrl, buildAuditBundle([patient], []).entry[0].fullUrl);
+    assert.deepEqual(unresolvedAuditReferences(bundle), []);
+});
+
+test('audit resources are matched to their patient across versions', () => {
+    const provenance = buildProvenance(PATIENT, AUDIT);
+    const event = buildAuditEvent({ ...PATIENT, meta: {} }, AUDIT, { action: 'copy' });
+    const other = buildProvenance({ ...PATIENT, id: `${PATIENT.id}0` }, AUDIT);
+
+    assert.ok(auditResourceConcerns(provenance, PATIENT.id));
+    assert.ok(auditResourceConcerns(event, PATIENT.id));
+    assert.ok(!auditResourceConcerns(other, PATIENT.id));
+});
+
+test('log rows summarize who did what to which patient and why', () => {
+    const provenance = buildProvenance(PATIENT, AUDIT, fixedOptions('2024-01-15T10:30:00.000Z', 'prov-1'));
+    const event = buildAuditEvent(PATIENT, { operator: { identifier: 'dreyes' } }, { action: 'send' });
+
+    assert.deepEqual(summarizeAuditResource(provenance), {
+        id: 'prov-1',
+        recorded: '2024-01-15T10:30:00.000Z',
+        event: 'CREATE',
+        patient: `Patient/${PATIENT.id}/_history/3`,
+        operator: 'Dana Reyes (dreyes@example.org)',
+        reason: 'Corrected the birth date'
+    });
+    assert.equal(summarizeAuditResource(event).event, 'send');
+    assert.equal(summarizeAuditResource(event).operator, 'dreyes');
+    assert.equal(summarizeAuditResource(event).reason, '');
+});
+
+test('the store keeps the audit log oldest first until it is cleared', async () => {
+    const later = buildAuditEvent(PATIENT, AUDIT, { action: 'copy', ...fixedOptions('2024-01-15T11:00:00.000Z', 'b') });
+    const earlier = buildProvenance(PATIENT, AUDIT, fixedOptions('2024-01-15T10:30:00.000Z', 'a'));
+
+    await saveAuditResource(later);
+    await saveAuditResource(earlier);
+    assert.deepEqual((await listAuditResources()).map(resource => resource.id), ['a', 'b']);
+
+    await clearPatientStore();
+    assert.deepEqual(await listAuditResources(), []);
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests of the batch CSV conversion: parseDelimitedText(),
+ * guessColumnMapping() and convertCsvRowsToBundle() on small rosters
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_IDENTIFIER_SETTINGS } from '../fhir-identifiers.js';
+import { validateFhirPatient } from '../fhir-validator.js';
+import { parseDelimitedText, guessColumnMapping, convertCsvRowsToBundle } from '../fhir-batch.js';
+
+const ROSTER = [
+    'First Name,Last Name,DOB,Sex,ID Type,MRN,Phone,Email,Address,City,State,ZIP',
+    'Ana,Ruiz,1990-04-12,F,MR,MRN000101,(303) 555-0123,ana.ruiz@example.com,123 Main St,Denver,CO,80202',
+    'James,Smith,11/02/1950,M,MR,MRN000102,,,,,,',
+    'Lee,,12-1985,X,MR,MRN000103,,not-an-email,,,,'
+].join('\n');
+
+/**
+ * Converts a roster with the guessed column mapping
+ */
+async function convertRoster(text, bundleType = 'transaction', settings = {}) {
+    const { headers, rows, rowLines } = parseDelimitedText(text);
+    return convertCsvRowsToBundle(rows, guessColumnMapping(headers), {
+        bundleType,
+        headers,
+        rowLines,
+        identifierSettings: { ...DEFAULT_IDENTIFIER_SETTINGS, profile: 'us-core', ...settings }
+    });
+}
+
+test('columns are mapped from their header names', () => {
+    const { headers } = parseDelimitedText(ROSTER);
+
+    assert.deepEqual(guessColumnMapping(headers), [
+        'given', 'family', 'dob', 'gender', 'identifierType', 'identifierValue', 'phone', 'email', 'addressLine1',
+        'city', 'state', 'postalCode'
+    ]);
+});
+
+test('valid rows become Patients in a transaction Bundle', async () => {
+    const { bundle } = await convertRoster(ROSTER);
+    const patients = bundle.entry.map(entry => entry.resource);
+
+    assert.equal(bundle.resourceType, 'Bundle');
+    assert.equal(bundle.type, 'transaction');
+    assert.equal(patients.length, 2);
+    assert.deepEqual(patients.map(patient => patient.name[0].family), ['Ruiz', 'Smith']);
+    assert.equal(patients[1].birthDate, '1950-11-02');
+    assert.equal(patients[0].active, true);
+    assert.deepEqual(bundle.entry.map(entry => entry.request), [
+        { method: 'POST', url: 'Patient' },
+        { method: 'POST', url: 'Patient' }
+    ]);
+    patients.forEach(patient => {
+        assert.deepEqual(validateFhirPatient(patient).issue.filter(issue => issue.severity === 'error'), []);
+    });
+});
+
+test('each entry fullUrl is the urn:uuid of its Patient id', async () => {
+    const { bundle } = await convertRoster(ROSTER);
+    bundle.entry.forEach(entry => assert.equal(entry.fullUrl, `urn:uuid:${entry.resource.id}`));
+    bundle.entry.forEach(entry => assert.match(entry.fullUrl, /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/));
+
+    // Deterministic ids give the same fullUrls on every conversion
+    const first = await convertRoster(ROSTER, 'transaction', { idStrategy: 'deterministic' });
+    const second = await convertRoster(ROSTER, 'transaction', { idStrategy: 'deterministic' });
+    assert.deepEqual(first.bundle.entry.map(entry => entry.fullUrl), second.bundle.entry.map(entry => entry.fullUrl));
+});
+
+test('invalid rows are reported by row and column', async () => {
+    const { errors } = await convertRoster(ROSTER);
+
+    assert.ok(errors.length > 0);
+    assert.ok(errors.every(error => error.row === 4));
+    assert.deepEqual([...new Set(errors.map(error => error.column))].sort(), ['DOB', 'Email', 'Last Name', 'Sex']);
+});
+
+test('errors give the line the row starts on, after quoted line breaks and blank lines', async () => {
+    const lines = ROSTER.split('\n');
+    const roster = [
+        lines[0],
+        lines[1].replace('123 Main St', '"123 Main St\r\nApt 4"'),
+        '',
+        lines[2],
+        lines[3]
+    ].join('\r\n');
+    const { rowLines } = parseDelimitedText(roster);
+    const { errors } = await convertRoster(roster);
+
+    assert.deepEqual(rowLines, [2, 5, 6]);
+    assert.ok(errors.length > 0);
+    assert.ok(errors.every(error => error.row === 6));
+});
+
+test('a collection Bundle has no requests', async () => {
+    const { bundle } = await convertRoster(ROSTER, 'collection');
+
+    assert.equal(bundle.type, 'collection');
+    assert.ok(bundle.entry.every(entry => entry.request === undefined));
+});
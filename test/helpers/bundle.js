@@ -0,0 +1,45 @@
+/**
+ * ===================================
+ * Bundle Reference Checks
+ * ===================================
+ *
+ * Purpose: Resolve the references of audit resources inside a Bundle:
+ *          Type/id matches the urn:uuid entry holding that resource, and
+ *          Type/id/_history/n the one of them whose meta.versionId is n
+ */
+
+/**
+ * References held by Provenance (target, entity) and AuditEvent (entity)
+ */
+function auditReferences(resource) {
+    const references = resource.resourceType === 'Provenance'
+        ? (resource.target || []).concat((resource.entity || []).map(entity => entity.what))
+        : (resource.entity || []).map(entity => entity.what);
+    return references.map(reference => reference.reference);
+}
+
+/**
+ * The entry a reference points to in the Bundle, if any
+ * @param {Object} bundle - Bundle
+ * @param {string} reference - Type/id or Type/id/_history/versionId
+ * @returns {Object|undefined} Bundle entry
+ */
+export function resolveBundleReference(bundle, reference) {
+    const [type, id, history, versionId] = reference.split('/');
+
+    return bundle.entry.find(entry => entry.fullUrl.startsWith('urn:uuid:') &&
+        entry.resource.resourceType === type && entry.resource.id === id &&
+        (history !== '_history' || (entry.resource.meta && entry.resource.meta.versionId === versionId)));
+}
+
+/**
+ * References of the Bundle's audit resources that do not resolve in it
+ * @param {Object} bundle - Bundle
+ * @returns {Array} Unresolved references
+ */
+export function unresolvedAuditReferences(bundle) {
+    return bundle.entry
+        .filter(entry => ['Provenance', 'AuditEvent'].includes(entry.resource.resourceType))
+        .flatMap(entry => auditReferences(entry.resource))
+        .filter(reference => !resolveBundleReference(bundle, reference));
+}
@@ -0,0 +1,125 @@
+/**
+ * ===================================
+ * DOM Shim
+ * The converter page in Node.js
+ * ===================================
+ *
+ * Purpose: Load index.html into jsdom, expose its window as the globals
+ *          the page modules use (document, localStorage, navigator,
+ *          indexedDB…) and run fhir-converter.js against it
+ * Browser APIs jsdom lacks are replaced by recorders: downloads (the
+ * file name and text of every link clicked), alert/confirm messages and
+ * the clipboard
+ * One page per process: ES modules run once, so a test file loads the
+ * page once and its tests share it (node --test runs each file in its own
+ * process)
+ */
+
+import { readFile } from 'fs/promises';
+import { JSDOM } from 'jsdom';
+import { indexedDB, IDBKeyRange } from 'fake-indexeddb';
+
+const PAGE_URL = new URL('../../index.html', import.meta.url);
+
+/**
+ * Globals copied from the jsdom window
+ */
+const WINDOW_GLOBALS = [
+    'window', 'document', 'localStorage', 'HTMLElement', 'HTMLInputElement', 'Node', 'Event', 'KeyboardEvent'
+];
+
+/**
+ * Loads the page and waits until it is initialized
+ * @param {Object} [options] - languages: the browser's preferred languages
+ *                             (default ['en-US'])
+ * @returns {Promise<Object>} window, document, and the downloads, alerts
+ *                            and clipboard recorded so far
+ */
+export async function loadConverterPage(options = {}) {
+    const html = await readFile(PAGE_URL, 'utf8');
+    const dom = new JSDOM(html, { url: 'http://localhost/', pretendToBeVisual: true });
+    const { window } = dom;
+    const page = { window, document: window.document, downloads: [], alerts: [], clipboard: [] };
+
+    WINDOW_GLOBALS.forEach(name => {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    });
+    Object.defineProperty(globalThis, 'navigator', {
+        value: {
+            language: (options.languages || ['en-US'])[0],
+            languages: options.languages || ['en-US'],
+            clipboard: { writeText: async text => { page.clipboard.push(text); } }
+        },
+        configurable: true
+    });
+    globalThis.indexedDB = indexedDB;
+    globalThis.IDBKeyRange = IDBKeyRange;
+    globalThis.alert = message => { page.alerts.push(message); };
+    globalThis.confirm = message => { page.alerts.push(message); return true; };
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+
+    // Downloads: remember the blob behind each object URL and stop the
+    // navigation jsdom cannot do
+    const blobs = new Map();
+    URL.createObjectURL = blob => {
+        const url = `blob:http://localhost/${blobs.size + 1}`;
+        blobs.set(url, blob);
+        return url;
+    };
+    URL.revokeObjectURL = () => {};
+    window.document.addEventListener('click', event => {
+        const link = event.target.closest && event.target.closest('a[download]');
+        if (!link) return;
+        event.preventDefault();
+        page.downloads.push({ filename: link.download, blob: blobs.get(link.href) });
+    }, true);
+
+    // initializeApp() logs once everything is set up and translated
+    let ready = false;
+    const log = console.log;
+    console.log = (...args) => {
+        if (String(args[0]).includes('initialized successfully')) ready = true;
+        else log(...args);
+    };
+    try {
+        await import('../../fhir-converter.js');
+        await waitFor(() => ready);
+    } finally {
+        console.log = log;
+    }
+    return page;
+}
+
+/**
+ * Resolves once a condition holds; rejects after the timeout
+ */
+export async function waitFor(condition, timeout = 5000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for the page');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Sets a field's value and fires the events a user's typing would
+ */
+export function fillField(element, value) {
+    const window = element.ownerDocument.defaultView;
+    if (element.type === 'checkbox') {
+        element.checked = value;
+    } else {
+        element.value = value;
+    }
+    element.dispatchEvent(new window.Event('input', { bubbles: true }));
+    element.dispatchEvent(new window.Event('change', { bubbles: true }));
+}
+
+/**
+ * Text of a recorded download
+ */
+export function downloadText(download) {
+    return download.blob.text();
+}
@@ -0,0 +1,49 @@
+/**
+ * Tests of hl7v2.js: escape sequences of imported ADT messages and the
+ * MSH segment of serialized ones
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseHl7v2Message, mapHl7v2ToFormData, serializeAdtA04 } from '../hl7v2.js';
+
+/**
+ * Family name the form gets from a PID-5 family component
+ */
+function importedFamily(family) {
+    const message = parseHl7v2Message([
+        'MSH|^~\\&|ADT|HOSP|||20240115103000||ADT^A04|MSG0001|P|2.5.1',
+        `PID|1||MRN000555^^^HOSP^MR||${family}^Minh||19800101|M`
+    ].join('\r'));
+    return mapHl7v2ToFormData(message).formData.names[0].family;
+}
+
+// ===================================
+// Escape Sequences
+// ===================================
+
+test('delimiter and hex escapes are decoded', () => {
+    assert.equal(importedFamily('O\\X27\\Brien'), "O'Brien");
+    assert.equal(importedFamily('Smith\\T\\Jones'), 'Smith&Jones');
+    assert.equal(importedFamily('\\X4C6565\\'), 'Lee');
+});
+
+test('hex escapes without whole pairs are kept as literal text', () => {
+    assert.equal(importedFamily('Lee\\XA\\'), 'Lee\\XA\\');
+    assert.equal(importedFamily('Lee\\X414\\'), 'Lee\\X414\\');
+    assert.equal(importedFamily('Lee\\X\\'), 'Lee\\X\\');
+});
+
+// ===================================
+// ADT^A04
+// ===================================
+
+test('message control ids fit the 20 characters of MSH-10 and differ between messages', () => {
+    const patient = { resourceType: 'Patient', name: [{ family: 'Nguyen', given: ['Minh'] }] };
+    const controlIds = [serializeAdtA04(patient), serializeAdtA04(patient)]
+        .map(message => message.split('\r')[0].split('|')[9]);
+
+    controlIds.forEach(controlId => assert.ok(controlId.length <= 20, controlId));
+    assert.notEqual(controlIds[0], controlIds[1]);
+});
@@ -0,0 +1,184 @@
+/**
+ * Golden-file tests of mapToFhirPatient(): each fixture (form data) is
+ * mapped with a fixed clock and id generator and compared with its golden
+ * Patient. Run with UPDATE_GOLDEN=1 to rewrite the golden files after an
+ * intended change to the output.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'fs/promises';
+
+import { setLanguage } from '../fhir-translations.js';
+import { DEFAULT_IDENTIFIER_SETTINGS } from '../fhir-identifiers.js';
+import { validateFhirPatient } from '../fhir-validator.js';
+import { normalizeFormData, mapToFhirPatient, mapFromFhirPatient, validateFormData } from '../fhir-patient.js';
+
+const FIXTURES_URL = new URL('./fixtures/', import.meta.url);
+const GOLDEN_URL = new URL('./golden/', import.meta.url);
+
+/**
+ * Settings that make the output reproducible
+ */
+const FIXED_SETTINGS = {
+    ...DEFAULT_IDENTIFIER_SETTINGS,
+    now: () => new Date('2024-01-15T10:30:00.000Z'),
+    generateId: () => '6f1c2d3e-4b5a-4c7d-8e9f-0a1b2c3d4e5f'
+};
+
+/**
+ * Fixture, target profile, id strategy and narrative language of each golden file
+ */
+const GOLDEN_CASES = [
+    { name: 'maria-garcia', fixture: 'maria-garcia', profile: 'us-core', lang: 'en' },
+    { name: 'maria-garcia-es', fixture: 'maria-garcia', profile: 'us-core', lang: 'es' },
+    { name: 'minimal-deterministic', fixture: 'minimal-deterministic', profile: 'us-core', lang: 'en', idStrategy: 'deterministic' },
+    { name: 'nguyen-au-base', fixture: 'nguyen-au-base', profile: 'au-base', lang: 'vi' }
+];
+
+async function readJson(url) {
+    return JSON.parse(await readFile(url, 'utf8'));
+}
+
+/**
+ * Maps a golden case's fixture
+ */
+async function mapCase(goldenCase) {
+    await setLanguage(goldenCase.lang);
+    const formData = normalizeFormData(await readJson(new URL(`${goldenCase.fixture}.json`, FIXTURES_URL)));
+    const settings = {
+        ...FIXED_SETTINGS,
+        profile: goldenCase.profile,
+        idStrategy: goldenCase.idStrategy || FIXED_SETTINGS.idStrategy
+    };
+    return { formData, settings, patient: mapToFhirPatient(formData, null, settings) };
+}
+
+GOLDEN_CASES.forEach(goldenCase => {
+    test(`mapToFhirPatient matches golden/${goldenCase.name}.json`, async () => {
+        const { formData, settings, patient } = await mapCase(goldenCase);
+        const goldenUrl = new URL(`${goldenCase.name}.json`, GOLDEN_URL);
+
+        assert.deepEqual(validateFormData(formData, settings.profile).errors, {});
+        if (process.env.UPDATE_GOLDEN) {
+            await writeFile(goldenUrl, `${JSON.stringify(patient, null, 4)}\n`);
+        }
+        assert.deepEqual(patient, await readJson(goldenUrl));
+    });
+
+    test(`golden/${goldenCase.name}.json passes structural validation`, async () => {
+        const { patient } = await mapCase(goldenCase);
+        const errors = validateFhirPatient(patient).issue.filter(issue => issue.severity === 'error');
+
+        assert.deepEqual(errors, []);
+    });
+
+    test(`golden/${goldenCase.name}.json survives import and regeneration`, async () => {
+        const { settings, patient } = await mapCase(goldenCase);
+        const imported = mapFromFhirPatient(patient);
+
+        assert.deepEqual(imported.unmapped, []);
+        assert.deepEqual(mapToFhirPatient(imported.formData, imported.preserved, settings), patient);
+    });
+});
+
+test('the same input without injected generators gets fresh ids and timestamps', async () => {
+    const { formData } = await mapCase(GOLDEN_CASES[0]);
+    const first = mapToFhirPatient(formData, null, DEFAULT_IDENTIFIER_SETTINGS);
+    const second = mapToFhirPatient(formData, null, DEFAULT_IDENTIFIER_SETTINGS);
+
+    assert.match(first.id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    assert.notEqual(first.id, second.id);
+    assert.ok(!Number.isNaN(Date.parse(first.meta.lastUpdated)));
+});
+
+test('deterministic ids depend only on the identifiers', async () => {
+    const { formData } = await mapCase(GOLDEN_CASES[0]);
+    const settings = { ...DEFAULT_IDENTIFIER_SETTINGS, idStrategy: 'deterministic' };
+    const withMrn = value => ({ ...formData, identifiers: [{ ...formData.identifiers[0], value }] });
+
+    assert.equal(mapToFhirPatient(formData, null, settings).id, mapToFhirPatient(formData, null, settings).id);
+    assert.notEqual(mapToFhirPatient(withMrn('MRN000001'), null, settings).id,
+        mapToFhirPatient(withMrn('MRN000002'), null, settings).id);
+});
+
+test('race and ethnicity codes the form does not list are reported as unmapped', () => {
+    const coding = code => ({ system: 'urn:oid:2.16.840.1.113883.6.238', code });
+    const { formData, unmapped } = mapFromFhirPatient({
+        resourceType: 'Patient',
+        extension: [{
+            url: 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-race',
+            extension: [
+                { url: 'ombCategory', valueCoding: coding('2106-3') },
+                { url: 'detailed', valueCoding: coding('2500-7') },
+                { url: 'text', valueString: 'White, Other White' }
+            ]
+        }, {
+            url: 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-ethnicity',
+            extension: [
+                { url: 'ombCategory', valueCoding: coding('9999-9') },
+                { url: 'text', valueString: 'Unlisted' }
+            ]
+        }]
+    });
+
+    assert.deepEqual(formData.race, ['2106-3']);
+    assert.deepEqual(formData.ethnicity, []);
+    assert.deepEqual(unmapped, ['Patient.extension[0].extension[1]', 'Patient.extension[1].extension[0]']);
+});
+
+test('entries that are not objects or strings are reported as unmapped instead of throwing', () => {
+    const { formData, unmapped } = mapFromFhirPatient({
+        resourceType: 'Patient',
+        extension: [null],
+        identifier: [null, { system: 'http://hospital.example.org/mrn', value: 'MRN000101' }],
+        name: [null, { family: 'Ruiz', given: ['Ana', 7] }],
+        telecom: 'x',
+        contact: [{ name: { family: 'Ruiz', given: 'Luis' }, telecom: [null] }]
+    });
+
+    assert.deepEqual(formData.identifiers.map(identifier => identifier.value), ['MRN000101']);
+    assert.deepEqual(formData.names.map(name => [name.given, name.family]), [['Ana', 'Ruiz']]);
+    assert.equal(formData.contacts[0].family, 'Ruiz');
+    assert.deepEqual(unmapped.sort(), [
+        'Patient.contact[0].name.given', 'Patient.contact[0].telecom[0]', 'Patient.extension[0]',
+        'Patient.identifier[0]', 'Patient.name[0]', 'Patient.name[1].given[1]', 'Patient.telecom'
+    ]);
+});
+
+test('imported identifiers keep their period, assigner and text-only type on regeneration', () => {
+    const imported = mapFromFhirPatient({
+        resourceType: 'Patient',
+        id: 'example',
+        identifier: [{
+            use: 'usual',
+            type: { text: 'Hospital number' },
+            system: 'http://hospital.example.org/mrn',
+            value: 'MRN000101',
+            period: { start: '2020-01-01' },
+            assigner: { display: 'Example Hospital' }
+        }, {
+            use: 'official',
+            type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: 'MR' }] },
+            system: 'http://other.example.org/mrn',
+            value: 'A1'
+        }],
+        name: [{ family: 'Ruiz', given: ['Ana'] }],
+        gender: 'female',
+        birthDate: '1990-01-01'
+    });
+    imported.formData.identifiers[1].value = 'A2';
+
+    assert.deepEqual(imported.unmapped, []);
+    const identifiers = mapToFhirPatient(imported.formData, imported.preserved, FIXED_SETTINGS).identifier;
+    assert.deepEqual(identifiers[0], {
+        use: 'usual',
+        type: { text: 'Hospital number' },
+        system: 'http://hospital.example.org/mrn',
+        value: 'MRN000101',
+        period: { start: '2020-01-01' },
+        assigner: { display: 'Example Hospital' }
+    });
+    assert.equal(identifiers[1].value, 'A2');
+    assert.equal(identifiers[1].period, undefined);
+});
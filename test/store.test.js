@@ -0,0 +1,91 @@
+/**
+ * Tests of the local patient store (in an in-memory IndexedDB): export and
+ * import of stored patients
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { indexedDB } from 'fake-indexeddb';
+
+import { exportPatientStore, importPatientStore, getStoredPatient, clearPatientStore } from '../fhir-store.js';
+
+globalThis.indexedDB = indexedDB;
+
+/**
+ * One exported version of a Patient
+ */
+function storedVersion(id, versionId, savedAt, family) {
+    return {
+        versionId,
+        savedAt,
+        resource: { resourceType: 'Patient', id, meta: { versionId }, name: [{ family }] }
+    };
+}
+
+/**
+ * Export document holding the given worklist records
+ */
+function exportDocument(patients) {
+    return { format: 'fhir-patient-converter-store', version: 2, patients };
+}
+
+beforeEach(() => clearPatientStore());
+
+// ===================================
+// Export and Import
+// ===================================
+
+test('an exported store imports into an empty one', async () => {
+    await importPatientStore(exportDocument([{
+        id: 'a',
+        versions: [
+            storedVersion('a', '2', '2024-01-15T11:00:00.000Z', 'Ruiz'),
+            storedVersion('a', '1', '2024-01-15T10:00:00.000Z', 'Ruis')
+        ]
+    }]));
+    const data = await exportPatientStore();
+
+    assert.equal(data.patients.length, 1);
+    assert.equal(data.patients[0].name, 'Ruiz');
+    assert.deepEqual(data.patients[0].versions.map(version => version.versionId), ['1', '2']);
+    assert.equal(data.drafts, undefined);
+
+    await clearPatientStore();
+    assert.deepEqual(await importPatientStore(data), { patientsAdded: 1, versionsAdded: 2 });
+    assert.equal((await getStoredPatient('a')).versions.length, 2);
+});
+
+test('versions without savedAt or a Patient are skipped, and so are records left with none', async () => {
+    const result = await importPatientStore(exportDocument([
+        {
+            id: 'a',
+            versions: [
+                { versionId: '1', resource: { resourceType: 'Patient', id: 'a' } },
+                storedVersion('a', '2', '2024-01-15T11:00:00.000Z', 'Ruiz')
+            ]
+        },
+        {
+            id: 'b',
+            versions: [
+                { versionId: '1', savedAt: '2024-01-15T10:00:00.000Z', resource: { resourceType: 'Observation' } },
+                { versionId: '2', savedAt: '2024-01-15T11:00:00.000Z' },
+                null
+            ]
+        }
+    ]));
+
+    assert.deepEqual(result, { patientsAdded: 1, versionsAdded: 1 });
+    assert.deepEqual((await getStoredPatient('a')).versions.map(version => version.versionId), ['2']);
+    assert.equal(await getStoredPatient('b'), undefined);
+});
+
+test('versions already stored are not imported again', async () => {
+    const record = { id: 'a', versions: [storedVersion('a', '1', '2024-01-15T10:00:00.000Z', 'Ruiz')] };
+
+    await importPatientStore(exportDocument([record]));
+    assert.deepEqual(await importPatientStore(exportDocument([record])), { patientsAdded: 0, versionsAdded: 0 });
+});
+
+test('a file that is not an export is refused', async () => {
+    await assert.rejects(importPatientStore({ patients: [] }));
+});
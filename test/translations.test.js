@@ -0,0 +1,58 @@
+/**
+ * Locale bundle tests: every key of the English bundle is translated in
+ * every locale of locales/index.json, with the same {placeholders}
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+
+const LOCALES_URL = new URL('../locales/', import.meta.url);
+
+async function readLocale(name) {
+    return JSON.parse(await readFile(new URL(name, LOCALES_URL), 'utf8'));
+}
+
+/**
+ * Key paths of a bundle ("batchTargets.given" for nested tables) with their text
+ */
+function flattenMessages(messages, prefix = '') {
+    return Object.entries(messages).flatMap(([key, value]) => value && typeof value === 'object'
+        ? flattenMessages(value, `${prefix}${key}.`)
+        : [[`${prefix}${key}`, value]]);
+}
+
+/**
+ * Sorted placeholder names of a message
+ */
+function placeholders(text) {
+    return (String(text).match(/\{\w+\}/g) || []).sort();
+}
+
+const english = new Map(flattenMessages(await readLocale('en.json')));
+const locales = (await readLocale('index.json')).filter(locale => locale.code !== 'en');
+
+test('every key in translations.en exists in translations.es', async () => {
+    const spanish = new Map(flattenMessages(await readLocale('es.json')));
+    const missing = [...english.keys()].filter(key => !spanish.has(key));
+
+    assert.deepEqual(missing, []);
+});
+
+locales.forEach(locale => {
+    test(`locales/${locale.code}.json translates every English key`, async () => {
+        const messages = new Map(flattenMessages(await readLocale(`${locale.code}.json`)));
+
+        assert.deepEqual([...english.keys()].filter(key => !messages.has(key)), []);
+        assert.deepEqual([...messages.keys()].filter(key => !english.has(key)), [], 'keys English does not have');
+    });
+
+    test(`locales/${locale.code}.json keeps the placeholders of every message`, async () => {
+        const messages = new Map(flattenMessages(await readLocale(`${locale.code}.json`)));
+        const mismatched = [...english.keys()]
+            .filter(key => messages.has(key))
+            .filter(key => placeholders(english.get(key)).join() !== placeholders(messages.get(key)).join());
+
+        assert.deepEqual(mismatched, []);
+    });
+});
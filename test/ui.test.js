@@ -0,0 +1,274 @@
+/**
+ * End-to-end tests of the converter page in jsdom: fill the form,
+ * generate, download and copy the output, record the audit trail, and
+ * switch languages. The tests share one page and run in order.
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadConverterPage, waitFor, fillField, downloadText } from './helpers/dom.js';
+import { unresolvedAuditReferences } from './helpers/bundle.js';
+import { translations } from '../fhir-translations.js';
+
+let page;
+let document;
+
+before(async () => {
+    page = await loadConverterPage({ languages: ['en-US', 'en'] });
+    document = page.document;
+});
+
+/**
+ * The first entry of a repeatable group
+ */
+function firstEntry(groupName) {
+    return document.querySelector(`#${groupName}-entries > .repeatable-entry`);
+}
+
+/**
+ * Fills the fields of the first entry of a group
+ */
+function fillEntry(groupName, values) {
+    const entry = firstEntry(groupName);
+    Object.keys(values).forEach(field => fillField(entry.querySelector(`[data-field="${field}"]`), values[field]));
+}
+
+/**
+ * Submits the form and waits for the output (or the validation alert)
+ */
+async function generate() {
+    const timestamp = document.getElementById('meta-timestamp-value');
+    const previousTime = timestamp.dataset.time;
+    const previousAlerts = page.alerts.length;
+
+    document.getElementById('patient-form').requestSubmit();
+    await waitFor(() => timestamp.dataset.time !== previousTime || page.alerts.length > previousAlerts);
+}
+
+/**
+ * Clicks a button and returns the file it downloads
+ */
+async function clickDownload(buttonId) {
+    const count = page.downloads.length;
+    document.getElementById(buttonId).click();
+    await waitFor(() => page.downloads.length > count);
+
+    const download = page.downloads[page.downloads.length - 1];
+    return { filename: download.filename, text: await downloadText(download) };
+}
+
+/**
+ * Chooses a language in the picker and waits for the page to follow
+ */
+async function switchLanguage(code) {
+    const select = document.getElementById('language-select');
+    fillField(select, code);
+    await waitFor(() => document.documentElement.lang === code &&
+        document.getElementById('form-title').textContent === translations[code].formTitle);
+}
+
+test('the page starts in the browser language with one entry per repeatable group', () => {
+    assert.equal(document.documentElement.lang, 'en');
+    assert.equal(document.getElementById('form-title').textContent, translations.en.formTitle);
+    assert.ok(firstEntry('names'));
+    assert.ok(firstEntry('telecoms'));
+    assert.equal(document.getElementById('btn-download').disabled, true);
+});
+
+test('generating without the required fields shows the errors', async () => {
+    await generate();
+
+    assert.equal(page.alerts.at(-1), translations.en.errorValidation);
+    assert.equal(document.getElementById('dob-error').textContent, translations.en.errorRequired);
+    assert.equal(firstEntry('names').querySelector('[data-error-for="given"]').textContent, translations.en.errorRequired);
+    assert.ok(document.getElementById('dob').classList.contains('error'));
+});
+
+test('an invalid email is reported at its entry', async () => {
+    fillEntry('names', { given: 'Ana', family: 'Ruiz' });
+    fillField(document.getElementById('dob'), '1990-04-12');
+    fillField(document.getElementById('gender'), 'female');
+    fillEntry('telecoms', { system: 'email', value: 'ana.ruiz@example' });
+    await generate();
+
+    assert.equal(firstEntry('telecoms').querySelector('[data-error-for="value"]').textContent, translations.en.errorEmail);
+    assert.equal(document.getElementById('dob-error').textContent, '');
+});
+
+test('filling the form and generating produces a valid Patient', async () => {
+    fillEntry('telecoms', { system: 'phone', value: '(303) 555-0123' });
+    await generate();
+
+    assert.equal(document.getElementById('btn-download').disabled, false);
+    assert.equal(document.getElementById('metadata-section').style.display, 'block');
+    assert.match(document.getElementById('validation-summary').textContent, /\S/);
+    assert.ok(document.querySelector('#validation-issues .issue-error') === null);
+
+    const { filename, text } = await clickDownload('btn-download');
+    const patient = JSON.parse(text);
+    assert.match(filename, /^fhir-patient-\d{4}-\d{2}-\d{2}\.json$/);
+    assert.equal(patient.resourceType, 'Patient');
+    assert.deepEqual(patient.name[0].given, ['Ana']);
+    assert.equal(patient.name[0].family, 'Ruiz');
+    assert.equal(patient.birthDate, '1990-04-12');
+    assert.equal(patient.telecom[0].value, '+13035550123');
+    assert.equal(patient.meta.versionId, '1');
+});
+
+test('the output downloads in other formats and as HL7 v2', async () => {
+    fillField(document.getElementById('output-format'), 'xml');
+    const xml = await clickDownload('btn-download');
+    assert.match(xml.filename, /\.xml$/);
+    assert.match(xml.text, /<Patient xmlns="http:\/\/hl7\.org\/fhir">/);
+    fillField(document.getElementById('output-format'), 'json');
+
+    const hl7 = await clickDownload('btn-download-hl7');
+    assert.match(hl7.filename, /\.hl7$/);
+    assert.match(hl7.text, /^MSH\|\^~\\&\|/);
+    assert.match(hl7.text, /PID\|.*Ruiz\^Ana/);
+});
+
+test('copying puts the resource on the clipboard', async () => {
+    document.getElementById('btn-copy').click();
+    await waitFor(() => page.clipboard.length > 0);
+
+    assert.equal(JSON.parse(page.clipboard.at(-1)).resourceType, 'Patient');
+    assert.equal(page.alerts.at(-1), translations.en.successCopy);
+});
+
+test('regenerating the same patient stores a new version', async () => {
+    fillEntry('names', { middle: 'Lucía' });
+    await generate();
+
+    const patient = JSON.parse((await clickDownload('btn-download')).text);
+    assert.equal(patient.meta.versionId, '2');
+    assert.deepEqual(patient.name[0].given, ['Ana', 'Lucía']);
+});
+
+test('each version gets a Provenance with the operator and reason, bundled with the Patient', async () => {
+    fillField(document.getElementById('operator-name'), 'Dana Reyes');
+    fillField(document.getElementById('operator-id'), 'dreyes');
+    fillField(document.getElementById('audit-reason'), 'Corrected the middle name');
+    fillEntry('names', { middle: 'Lucia' });
+    await generate();
+
+    const { filename, text } = await clickDownload('btn-download-audit');
+    const bundle = JSON.parse(text);
+    const patients = bundle.entry.map(entry => entry.resource).filter(resource => resource.resourceType === 'Patient');
+    const patient = patients.at(-1);
+    const provenances = bundle.entry.map(entry => entry.resource).filter(resource => resource.resourceType === 'Provenance');
+    const events = bundle.entry.map(entry => entry.resource).filter(resource => resource.resourceType === 'AuditEvent');
+
+    assert.match(filename, /^fhir-patient-audit-/);
+    assert.deepEqual(patients.map(version => version.meta.versionId), ['1', '2', '3']);
+    assert.deepEqual(unresolvedAuditReferences(bundle), []);
+    assert.deepEqual(provenances.map(provenance => provenance.activity.coding[0].code), ['CREATE', 'UPDATE', 'UPDATE']);
+    assert.equal(provenances[2].target[0].reference, `Patient/${patient.id}/_history/3`);
+    assert.equal(provenances[2].entity[0].what.reference, `Patient/${patient.id}/_history/2`);
+    assert.deepEqual(provenances[2].agent[0].who, { identifier: { value: 'dreyes' }, display: 'Dana Reyes' });
+    assert.deepEqual(provenances[2].reason, [{ text: 'Corrected the middle name' }]);
+    assert.deepEqual(events.map(event => event.subtype[0].code), ['download', 'download', 'download', 'copy', 'download', 'download']);
+    assert.equal(JSON.parse(page.window.localStorage.getItem('fhirConverter.auditSettings')).operatorName, 'Dana Reyes');
+});
+
+test('the audit log lists every record and exports them as NDJSON', async () => {
+    const rows = document.querySelectorAll('#audit-rows tr');
+    assert.equal(rows.length, 9);
+    assert.equal(rows[0].cells[1].textContent, translations.en.auditEvents.download);
+    assert.equal(rows[0].cells[3].textContent, 'Dana Reyes (dreyes)');
+
+    const { filename, text } = await clickDownload('btn-audit-export');
+    const resources = text.trim().split('\n').map(line => JSON.parse(line));
+    assert.match(filename, /\.ndjson$/);
+    assert.equal(resources.length, 9);
+    assert.equal(resources[0].resourceType, 'Provenance');
+});
+
+test('downloads and copies are not recorded when turned off', async () => {
+    fillField(document.getElementById('audit-exports'), false);
+    await clickDownload('btn-download');
+
+    assert.equal(document.querySelectorAll('#audit-rows tr').length, 9);
+    fillField(document.getElementById('audit-exports'), true);
+});
+
+test('the de-identified Bundle has no name, telecom or full birth date', async () => {
+    const { filename, text } = await clickDownload('btn-download-deidentified');
+    const bundle = JSON.parse(text);
+    const patient = bundle.entry[0].resource;
+
+    assert.match(filename, /^fhir-deidentified-/);
+    assert.equal(bundle.resourceType, 'Bundle');
+    assert.equal(patient.name, undefined);
+    assert.equal(patient.telecom, undefined);
+    assert.equal(patient.birthDate, '1990');
+    assert.doesNotMatch(text, /Ruiz/);
+});
+
+test('demo data fills the form with a patient that generates', async () => {
+    document.getElementById('btn-demo').click();
+    assert.notEqual(firstEntry('names').querySelector('[data-field="given"]').value, '');
+
+    const alerts = page.alerts.length;
+    await generate();
+    assert.equal(page.alerts.length, alerts);
+});
+
+test('importing an HL7 v2 message clears what the form held of the previous patient', () => {
+    fillField(document.getElementById('maritalStatus'), 'M');
+    fillField(document.getElementById('active'), false);
+    fillEntry('generalPractitioners', { reference: 'Practitioner/123', display: 'Dr. Lee' });
+    fillField(document.getElementById('import-text'), [
+        'MSH|^~\\&|ADT|HOSP|||20240115103000||ADT^A04|MSG0001|P|2.5.1',
+        'PID|1||MRN000555^^^HOSP^MR||Nguyen^Minh||19800101|M'
+    ].join('\r'));
+    document.getElementById('btn-import').click();
+
+    assert.equal(document.getElementById('import-status').textContent, translations.en.importHl7Success);
+    assert.equal(firstEntry('names').querySelector('[data-field="family"]').value, 'Nguyen');
+    assert.equal(document.getElementById('maritalStatus').value, '');
+    assert.equal(document.getElementById('active').checked, true);
+    assert.deepEqual(Array.from(document.querySelectorAll('#generalPractitioners-entries [data-field="reference"]'))
+        .map(input => input.value).filter(Boolean), []);
+});
+
+test('synthetic patients download as a Bundle of the requested size', async () => {
+    fillField(document.getElementById('synthetic-count'), '3');
+    fillField(document.getElementById('synthetic-seed'), 'ui-test');
+    const first = JSON.parse((await clickDownload('btn-synthetic-generate')).text);
+    const second = JSON.parse((await clickDownload('btn-synthetic-generate')).text);
+
+    assert.equal(first.entry.length, 3);
+    assert.deepEqual(first.entry.map(entry => entry.resource.id), second.entry.map(entry => entry.resource.id));
+});
+
+test('switching to Spanish translates every labelled element', async () => {
+    await switchLanguage('es');
+
+    const untranslated = Array.from(document.querySelectorAll('[data-i18n]'))
+        .filter(element => element.textContent !== translations.es[element.dataset.i18n])
+        .map(element => element.dataset.i18n);
+    assert.deepEqual(untranslated, []);
+    assert.equal(document.title, translations.es.mainTitle);
+    assert.equal(document.getElementById('btn-download-text').textContent,
+        translations.es.btnDownload.replace('{format}', 'JSON'));
+});
+
+test('validation messages follow the language', async () => {
+    document.getElementById('btn-new').click();
+    await generate();
+
+    assert.equal(page.alerts.at(-1), translations.es.errorValidation);
+    assert.equal(document.getElementById('dob-error').textContent, translations.es.errorRequired);
+});
+
+test('Arabic lays the page out right to left and the choice is remembered', async () => {
+    await switchLanguage('ar');
+
+    assert.equal(document.documentElement.dir, 'rtl');
+    assert.equal(page.window.localStorage.getItem('fhirConverter.language'), 'ar');
+
+    await switchLanguage('en');
+    assert.equal(document.documentElement.dir, 'ltr');
+});
@@ -0,0 +1,239 @@
+/**
+ * Property-based tests of the form validators: isValidEmail(),
+ * isValidPhone() and validateFormData(), over inputs generated by
+ * fast-check; and the profile rules of validateFhirPatient()
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fc from 'fast-check';
+
+import { TARGET_PROFILES, PROFILE_REQUIRED_FIELDS } from '../fhir-profiles.js';
+import { createSeededRandom, generateSyntheticFormData } from '../fhir-synthetic.js';
+import { isValidEmail, isValidPhone, validateFormData } from '../fhir-patient.js';
+import { validateFhirPatient } from '../fhir-validator.js';
+
+const digit = fc.constantFrom(...'0123456789');
+const digits = length => fc.array(digit, { minLength: length, maxLength: length }).map(list => list.join(''));
+
+/**
+ * North American numbers: area code and exchange start with 2-9
+ */
+const nanpNumber = fc.record({
+    area: fc.tuple(fc.integer({ min: 2, max: 9 }), digits(2)).map(([first, rest]) => `${first}${rest}`),
+    exchange: fc.tuple(fc.integer({ min: 2, max: 9 }), digits(2)).map(([first, rest]) => `${first}${rest}`),
+    line: digits(4)
+});
+
+/**
+ * The ways a North American number is typed
+ */
+const NANP_FORMATS = [
+    ({ area, exchange, line }) => `(${area}) ${exchange}-${line}`,
+    ({ area, exchange, line }) => `${area}-${exchange}-${line}`,
+    ({ area, exchange, line }) => `${area}.${exchange}.${line}`,
+    ({ area, exchange, line }) => `${area}${exchange}${line}`,
+    ({ area, exchange, line }) => `+1 ${area} ${exchange} ${line}`,
+    ({ area, exchange, line }) => `1-${area}-${exchange}-${line}`,
+    ({ area, exchange, line }) => `tel:+1${area}${exchange}${line}`
+];
+
+// ===================================
+// isValidEmail
+// ===================================
+
+test('isValidEmail accepts well-formed email addresses', () => {
+    fc.assert(fc.property(fc.emailAddress(), email => isValidEmail(email)));
+});
+
+test('isValidEmail rejects text without an @', () => {
+    fc.assert(fc.property(fc.string().filter(text => !text.includes('@')), text => !isValidEmail(text)));
+});
+
+test('isValidEmail rejects addresses containing whitespace', () => {
+    fc.assert(fc.property(fc.emailAddress(), fc.constantFrom(' ', '\t', '\n'), fc.nat(),
+        (email, space, position) => {
+            const at = position % (email.length + 1);
+            return !isValidEmail(`${email.substring(0, at)}${space}${email.substring(at)}`);
+        }));
+});
+
+test('isValidEmail rejects domains without a dot', () => {
+    fc.assert(fc.property(fc.stringMatching(/^[a-z0-9]{1,20}$/), fc.stringMatching(/^[a-z0-9-]{1,20}$/),
+        (local, domain) => !isValidEmail(`${local}@${domain}`)));
+});
+
+// ===================================
+// isValidPhone
+// ===================================
+
+test('isValidPhone accepts North American numbers however they are typed', () => {
+    fc.assert(fc.property(nanpNumber, fc.constantFrom(...NANP_FORMATS), (number, format) =>
+        isValidPhone(format(number), 'US')));
+});
+
+test('isValidPhone accepts an extension after a valid number', () => {
+    fc.assert(fc.property(nanpNumber, fc.integer({ min: 1, max: 99999 }), fc.constantFrom(' x', ' ext. ', ' ext '),
+        (number, extension, separator) => isValidPhone(`${NANP_FORMATS[0](number)}${separator}${extension}`, 'US')));
+});
+
+test('isValidPhone rejects numbers too short for North America', () => {
+    fc.assert(fc.property(fc.integer({ min: 1, max: 9 }).chain(length => digits(length)), short =>
+        !isValidPhone(short, 'US')));
+});
+
+test('isValidPhone rejects text without digits', () => {
+    fc.assert(fc.property(fc.string().filter(text => !/\d/.test(text)), text => !isValidPhone(text, 'US')));
+});
+
+test('isValidPhone does not depend on the default country for international numbers', () => {
+    fc.assert(fc.property(nanpNumber, fc.constantFrom('US', 'CA', 'MX', 'GB', 'AU', 'VN', 'CN'),
+        (number, country) => isValidPhone(NANP_FORMATS[4](number), country)));
+});
+
+// ===================================
+// validateFormData
+// ===================================
+
+/**
+ * Form data of a synthetic patient for a fast-check seed
+ */
+const syntheticFormData = fc.integer().map(seed => generateSyntheticFormData(createSeededRandom(seed)));
+
+test('validateFormData accepts every synthetic patient under every target profile', () => {
+    fc.assert(fc.property(syntheticFormData, fc.constantFrom(...Object.keys(TARGET_PROFILES)), (formData, profile) => {
+        assert.deepEqual(validateFormData(formData, profile).errors, {});
+    }));
+});
+
+test('validateFormData reports each required field that is left blank', () => {
+    const profileAndField = fc.constantFrom(...Object.keys(TARGET_PROFILES))
+        .chain(profile => fc.tuple(fc.constant(profile), fc.constantFrom(...TARGET_PROFILES[profile].required)));
+
+    fc.assert(fc.property(syntheticFormData, profileAndField, fc.constantFrom('', '   '),
+        (formData, [profile, field], blank) => {
+            if (field === 'given' || field === 'family') {
+                formData.names[0][field] = blank;
+            } else {
+                formData[field] = blank;
+            }
+            const { isValid, errors } = validateFormData(formData, profile);
+            return !isValid && Boolean(errors[PROFILE_REQUIRED_FIELDS[field]]);
+        }));
+});
+
+test('validateFormData rejects birth dates that are not YYYY-MM-DD', () => {
+    fc.assert(fc.property(syntheticFormData, fc.string({ minLength: 1 }).filter(text =>
+        text.trim() !== '' && !/^\d{4}-\d{2}-\d{2}$/.test(text)), (formData, dob) => {
+        formData.dob = dob;
+        return Boolean(validateFormData(formData, 'us-core').errors.dob);
+    }));
+});
+
+test('validateFormData rejects SSNs with a reserved area, group or serial', () => {
+    const reservedSsn = fc.oneof(
+        fc.tuple(fc.constantFrom('000', '666'), digits(6)).map(([area, rest]) => `${area}${rest}`),
+        fc.tuple(fc.integer({ min: 900, max: 999 }), digits(6)).map(([area, rest]) => `${area}${rest}`),
+        fc.tuple(fc.integer({ min: 100, max: 665 }), digits(4)).map(([area, serial]) => `${area}00${serial}`),
+        fc.tuple(fc.integer({ min: 100, max: 665 }), digits(2)).map(([area, group]) => `${area}${group}0000`)
+    );
+
+    fc.assert(fc.property(syntheticFormData, reservedSsn, (formData, ssn) => {
+        formData.identifiers.push({ use: 'official', type: 'SS', issuer: '', system: 'http://hl7.org/fhir/sid/us-ssn', value: ssn });
+        return Boolean(validateFormData(formData, 'us-core').errors['identifiers[1].value']);
+    }));
+});
+
+test('validateFormData reports an invalid phone at its entry', () => {
+    fc.assert(fc.property(syntheticFormData, fc.integer({ min: 1, max: 6 }).chain(length => digits(length)),
+        (formData, short) => {
+            formData.telecoms[0].value = short;
+            return Boolean(validateFormData(formData, 'us-core').errors['telecoms[0].value']);
+        }));
+});
+
+test('validateFormData allows one ethnicity category and no other code beside UNK or ASKU', () => {
+    fc.assert(fc.property(syntheticFormData, formData => {
+        const errors = validateFormData({ ...formData, race: ['2106-3', 'UNK'], ethnicity: ['2148-5', '2186-5'] }).errors;
+        return Boolean(errors.race) && Boolean(errors.ethnicity);
+    }));
+
+    const errors = validateFormData({
+        ...generateSyntheticFormData(createSeededRandom(1)),
+        race: ['2028-9', '2034-7', '2106-3'],
+        ethnicity: ['ASKU']
+    }).errors;
+    assert.equal(errors.race, undefined);
+    assert.equal(errors.ethnicity, undefined);
+});
+
+// ===================================
+// validateFhirPatient profile rules
+// ===================================
+
+/**
+ * Smallest Patient that conforms to US Core
+ */
+function usCorePatient(elements) {
+    return {
+        resourceType: 'Patient',
+        meta: { profile: [TARGET_PROFILES['us-core'].url] },
+        identifier: [{ system: 'http://hospital.example.org/mrn', value: 'MRN000101' }],
+        name: [{ family: 'Ruiz', given: ['Ana'] }],
+        gender: 'female',
+        ...elements
+    };
+}
+
+/**
+ * Expression and code of each error issue
+ */
+function profileErrors(resource) {
+    return validateFhirPatient(resource).issue
+        .filter(issue => issue.severity === 'error')
+        .map(issue => `${issue.expression[0]} ${issue.code}`);
+}
+
+test('a null race sub-extension is a structure error, not a crash', () => {
+    const race = {
+        url: 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-race',
+        extension: [
+            null,
+            { url: 'ombCategory', valueCoding: { system: 'urn:oid:2.16.840.1.113883.6.238', code: '2106-3', display: 'White' } },
+            { url: 'text', valueString: 'White' }
+        ]
+    };
+
+    assert.deepEqual(profileErrors(usCorePatient({ extension: [race] })), ['Patient.extension[0].extension[0] structure']);
+});
+
+test('null and empty required elements are missing for the profile', () => {
+    const errors = profileErrors(usCorePatient({ identifier: [], gender: null, name: [null] }));
+
+    assert.ok(errors.includes('Patient.identifier required'));
+    assert.ok(errors.includes('Patient.gender required'));
+    assert.ok(errors.includes('Patient.name required'));
+});
+
+test('more than one ethnicity ombCategory, or UNK beside another code, is an error', () => {
+    const coding = code => ({ system: 'urn:oid:2.16.840.1.113883.6.238', code });
+    const ethnicity = {
+        url: 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-ethnicity',
+        extension: [
+            { url: 'ombCategory', valueCoding: coding('2135-2') },
+            { url: 'ombCategory', valueCoding: coding('2186-5') },
+            { url: 'text', valueString: 'Hispanic or Latino, Not Hispanic or Latino' }
+        ]
+    };
+    const race = {
+        url: 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-race',
+        extension: [
+            { url: 'ombCategory', valueCoding: { system: 'http://terminology.hl7.org/CodeSystem/v3-NullFlavor', code: 'UNK' } },
+            { url: 'ombCategory', valueCoding: coding('2106-3') },
+            { url: 'text', valueString: 'Unknown, White' }
+        ]
+    };
+
+    assert.deepEqual(profileErrors(usCorePatient({ extension: [ethnicity, race] })),
+        ['Patient.extension[0] structure', 'Patient.extension[1] invariant']);
+});
@@ -0,0 +1,446 @@
+/**
+ * ===================================
+ * Mock FHIR Server (HAPI-style)
+ * For local testing of "Send to FHIR Server"
+ * ===================================
+ *
+ * Usage: node tools/mock-fhir-server.js [--port 8080] [--token secret] [--smart]
+ *
+ * Base URL: http://localhost:<port>/fhir
+ * Supports: POST /Patient (with If-None-Exist), PUT /Patient/{id},
+ *           GET /Patient/{id}[/_history/{vid}],
+ *           GET /Patient?identifier=&family=&given=&birthdate=,
+ *           POST /Patient/$match, GET /metadata
+ * --token:  Requires "Authorization: Bearer <secret>"
+ * --smart:  Publishes .well-known/smart-configuration and a token endpoint
+ *           that issues tokens for client_credentials requests
+ *           (client assertion signatures are NOT verified)
+ *
+ * Everything is kept in memory and lost when the process exits.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+const FHIR_JSON_MIME_TYPE = 'application/fhir+json';
+const BASE_PATH = '/fhir';
+
+// ===================================
+// Options
+// ===================================
+
+const args = process.argv.slice(2);
+const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+};
+
+const port = Number(option('--port')) || 8080;
+const staticToken = option('--token');
+const smartEnabled = args.includes('--smart');
+const issuedTokens = new Set();
+
+// ===================================
+// Storage
+// ===================================
+
+/**
+ * Patient versions by id (the last entry is current)
+ */
+const patients = new Map();
+let nextId = 1;
+
+/**
+ * Stores a new version of a Patient and returns it
+ */
+function storePatient(id, resource) {
+    const versions = patients.get(id) || [];
+    const stored = {
+        ...resource,
+        id,
+        meta: {
+            ...resource.meta,
+            versionId: String(versions.length + 1),
+            lastUpdated: new Date().toISOString()
+        }
+    };
+    versions.push(stored);
+    patients.set(id, versions);
+    return stored;
+}
+
+/**
+ * Current version of every Patient
+ */
+function currentPatients() {
+    return Array.from(patients.values()).map(versions => versions[versions.length - 1]);
+}
+
+/**
+ * Case- and accent-insensitive text for string searches
+ */
+function searchText(value) {
+    return (value || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Current Patients matching family, given (string "starts with" searches),
+ * birthdate (exact) and identifier parameters
+ */
+function searchPatients(params) {
+    const family = params.get('family');
+    const given = params.get('given');
+    const birthdate = params.get('birthdate');
+    const identifier = params.get('identifier');
+    const ids = identifier ? findByIdentifier(identifier).map(patient => patient.id) : null;
+
+    return currentPatients().filter(patient => {
+        const names = patient.name || [];
+        return (!family || names.some(name => searchText(name.family).startsWith(searchText(family)))) &&
+            (!given || names.some(name => (name.given || []).some(part => searchText(part).startsWith(searchText(given))))) &&
+            (!birthdate || patient.birthDate === birthdate) &&
+            (!ids || ids.includes(patient.id));
+    });
+}
+
+/**
+ * Simple $match scoring on family, given, birth date, gender and identifiers
+ */
+function matchScore(input, candidate) {
+    const first = patient => (patient.name || [])[0] || {};
+    const identifiers = patient => (patient.identifier || []).map(entry => `${entry.system}|${entry.value}`);
+    let score = 0;
+
+    if (identifiers(input).some(value => identifiers(candidate).includes(value))) score += 0.4;
+    if (searchText(first(input).family) && searchText(first(input).family) === searchText(first(candidate).family)) score += 0.25;
+    const given = searchText((first(input).given || [])[0]);
+    if (given && given === searchText((first(candidate).given || [])[0])) score += 0.1;
+    if (input.birthDate && input.birthDate === candidate.birthDate) score += 0.2;
+    if (input.gender && input.gender === candidate.gender) score += 0.05;
+
+    return Math.min(1, Math.round(score * 100) / 100);
+}
+
+function matchGrade(score) {
+    if (score >= 0.9) return 'certain';
+    if (score >= 0.7) return 'probable';
+    return 'possible';
+}
+
+/**
+ * Current Patients matching an identifier=system|value search
+ */
+function findByIdentifier(search) {
+    const [system, value] = search.includes('|') ? search.split('|') : [null, search];
+
+    return currentPatients().filter(patient => (patient.identifier || []).some(identifier =>
+        identifier.value === value && (system === null || identifier.system === system)));
+}
+
+// ===================================
+// Responses
+// ===================================
+
+function operationOutcome(severity, code, diagnostics, expression) {
+    const issue = { severity, code, diagnostics };
+    if (expression) issue.expression = [expression];
+    return { resourceType: 'OperationOutcome', issue: [issue] };
+}
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': `${FHIR_JSON_MIME_TYPE}; charset=utf-8`,
+        ...headers
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body, null, 2));
+}
+
+/**
+ * Responds with the stored version, honoring Prefer: return=
+ */
+function sendStored(req, res, status, stored) {
+    const location = `${serverBase(req)}/Patient/${stored.id}/_history/${stored.meta.versionId}`;
+    const prefer = (req.headers.prefer || '').match(/return=([a-zA-Z]+)/);
+    const headers = {
+        'Location': location,
+        'Content-Location': location,
+        'ETag': `W/"${stored.meta.versionId}"`,
+        'Last-Modified': new Date(stored.meta.lastUpdated).toUTCString()
+    };
+
+    if (prefer && prefer[1] === 'minimal') {
+        send(res, status, undefined, headers);
+    } else if (prefer && prefer[1] === 'OperationOutcome') {
+        send(res, status, operationOutcome('information', 'informational',
+            `Successfully stored Patient/${stored.id}/_history/${stored.meta.versionId}`), headers);
+    } else {
+        send(res, status, stored, headers);
+    }
+}
+
+function serverBase(req) {
+    return `http://${req.headers.host}${BASE_PATH}`;
+}
+
+// ===================================
+// Request Handling
+// ===================================
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Parses a Patient body or sends a 400/422 OperationOutcome
+ */
+function parsePatient(res, body) {
+    let resource;
+    try {
+        resource = JSON.parse(body);
+    } catch (err) {
+        send(res, 400, operationOutcome('error', 'structure', `Failed to parse request body as JSON: ${err.message}`));
+        return null;
+    }
+
+    if (!resource || resource.resourceType !== 'Patient') {
+        send(res, 400, operationOutcome('error', 'invalid', 'Expected a Patient resource', 'Patient'));
+        return null;
+    }
+
+    if (!Array.isArray(resource.name) || resource.name.length === 0) {
+        send(res, 422, operationOutcome('error', 'required', 'Patient.name: minimum required = 1, but only found 0', 'Patient.name'));
+        return null;
+    }
+
+    return resource;
+}
+
+function isAuthorized(req) {
+    if (!staticToken && !smartEnabled) return true;
+
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    return Boolean(match) && (match[1] === staticToken || issuedTokens.has(match[1]));
+}
+
+async function handleToken(req, res) {
+    const form = new URLSearchParams(await readBody(req));
+    const assertion = form.get('client_assertion') || '';
+
+    if (form.get('grant_type') !== 'client_credentials' || assertion.split('.').length !== 3) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'invalid_request', error_description: 'Expected client_credentials with a JWT client_assertion' }));
+        return;
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    issuedTokens.add(token);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+        access_token: token,
+        token_type: 'bearer',
+        expires_in: 300,
+        scope: form.get('scope') || ''
+    }));
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const path = url.pathname.replace(/\/+$/, '');
+    console.log(`${req.method} ${url.pathname}${url.search}`);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (smartEnabled && req.method === 'GET' && path === `${BASE_PATH}/.well-known/smart-configuration`) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            token_endpoint: `${serverBase(req)}/token`,
+            grant_types_supported: ['client_credentials'],
+            token_endpoint_auth_methods_supported: ['private_key_jwt'],
+            token_endpoint_auth_signing_alg_values_supported: ['RS384', 'ES384']
+        }));
+        return;
+    }
+
+    if (smartEnabled && req.method === 'POST' && path === `${BASE_PATH}/token`) {
+        await handleToken(req, res);
+        return;
+    }
+
+    if (req.method === 'GET' && path === `${BASE_PATH}/metadata`) {
+        send(res, 200, {
+            resourceType: 'CapabilityStatement',
+            status: 'active',
+            date: new Date().toISOString(),
+            kind: 'instance',
+            fhirVersion: '4.0.1',
+            format: ['json'],
+            rest: [{
+                mode: 'server',
+                resource: [{
+                    type: 'Patient',
+                    interaction: [{ code: 'create' }, { code: 'update' }, { code: 'read' }, { code: 'vread' }, { code: 'search-type' }],
+                    conditionalCreate: true
+                }]
+            }]
+        });
+        return;
+    }
+
+    if (!isAuthorized(req)) {
+        send(res, 401, operationOutcome('error', 'login', 'Missing or invalid bearer token'));
+        return;
+    }
+
+    const parts = path.startsWith(`${BASE_PATH}/`) ? path.substring(BASE_PATH.length + 1).split('/') : [];
+    if (parts[0] !== 'Patient') {
+        send(res, 404, operationOutcome('error', 'not-supported', `Unknown resource path: ${url.pathname}`));
+        return;
+    }
+
+    const id = parts[1];
+
+    if (req.method === 'POST' && id === '$match') {
+        let parameters;
+        try {
+            parameters = JSON.parse(await readBody(req));
+        } catch (err) {
+            send(res, 400, operationOutcome('error', 'structure', `Failed to parse request body as JSON: ${err.message}`));
+            return;
+        }
+
+        const input = ((parameters.parameter || []).find(parameter => parameter.name === 'resource') || {}).resource;
+        if (!input || input.resourceType !== 'Patient') {
+            send(res, 400, operationOutcome('error', 'required', 'No Patient resource parameter was provided'));
+            return;
+        }
+
+        const matches = currentPatients()
+            .map(patient => ({ patient, score: matchScore(input, patient) }))
+            .filter(match => match.score >= 0.5)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 10);
+
+        send(res, 200, {
+            resourceType: 'Bundle',
+            type: 'searchset',
+            total: matches.length,
+            entry: matches.map(match => ({
+                fullUrl: `${serverBase(req)}/Patient/${match.patient.id}`,
+                resource: match.patient,
+                search: {
+                    extension: [{
+                        url: 'http://hl7.org/fhir/StructureDefinition/match-grade',
+                        valueCode: matchGrade(match.score)
+                    }],
+                    mode: 'match',
+                    score: match.score
+                }
+            }))
+        });
+        return;
+    }
+
+    if (req.method === 'POST' && !id) {
+        const resource = parsePatient(res, await readBody(req));
+        if (!resource) return;
+
+        const condition = req.headers['if-none-exist'];
+        if (condition) {
+            const search = new URLSearchParams(condition.replace(/^.*\?/, '')).get('identifier');
+            const matches = search ? findByIdentifier(search) : [];
+
+            if (matches.length > 1) {
+                send(res, 412, operationOutcome('error', 'duplicate',
+                    `Failed to create conditionally: ${matches.length} Patients match "${condition}"`));
+                return;
+            }
+            if (matches.length === 1) {
+                sendStored(req, res, 200, matches[0]);
+                return;
+            }
+        }
+
+        sendStored(req, res, 201, storePatient(String(nextId++), resource));
+        return;
+    }
+
+    if (req.method === 'PUT' && id && parts.length === 2) {
+        const resource = parsePatient(res, await readBody(req));
+        if (!resource) return;
+
+        if (resource.id !== id) {
+            send(res, 400, operationOutcome('error', 'invalid',
+                `Resource body ID "${resource.id}" does not match URL ID "${id}"`, 'Patient.id'));
+            return;
+        }
+
+        const existed = patients.has(id);
+        sendStored(req, res, existed ? 200 : 201, storePatient(id, resource));
+        return;
+    }
+
+    if (req.method === 'GET' && id) {
+        const versions = patients.get(id);
+        const version = parts[2] === '_history' ? versions && versions[Number(parts[3]) - 1] : versions && versions[versions.length - 1];
+
+        if (!version) {
+            send(res, 404, operationOutcome('error', 'not-found', `Resource Patient/${parts.slice(1).join('/')} is not known`));
+            return;
+        }
+
+        sendStored(req, res, 200, version);
+        return;
+    }
+
+    if (req.method === 'GET' && !id) {
+        const count = Number(url.searchParams.get('_count')) || 50;
+        const matches = searchPatients(url.searchParams).slice(0, count);
+
+        send(res, 200, {
+            resourceType: 'Bundle',
+            type: 'searchset',
+            total: matches.length,
+            entry: matches.map(patient => ({
+                fullUrl: `${serverBase(req)}/Patient/${patient.id}`,
+                resource: patient,
+                search: { mode: 'match' }
+            }))
+        });
+        return;
+    }
+
+    send(res, 405, operationOutcome('error', 'not-supported', `${req.method} is not supported on ${url.pathname}`));
+}
+
+// ===================================
+// Server
+// ===================================
+
+const server = http.createServer((req, res) => {
+    // The converter runs from a file:// or other origin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept, If-None-Exist, Prefer');
+    res.setHeader('Access-Control-Expose-Headers', 'Location, Content-Location, ETag, Last-Modified');
+
+    handleRequest(req, res).catch(err => {
+        console.error(err);
+        send(res, 500, operationOutcome('fatal', 'exception', err.message));
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Mock FHIR server listening on http://localhost:${port}${BASE_PATH}`);
+    if (staticToken) console.log('Bearer token required');
+    if (smartEnabled) console.log(`SMART token endpoint: http://localhost:${port}${BASE_PATH}/token`);
+});